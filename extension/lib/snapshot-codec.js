@@ -0,0 +1,341 @@
+/**
+ * Civitai Reaction Stats - Snapshot codec
+ *
+ * Delta-encoded snapshot series, shared by the collector and the stats page.
+ * The page loads this file as a classic script, which defines the global
+ * `SnapshotCodec`; Node loads it as CommonJS (scripts/lib/snapshots.js
+ * re-exports it). Keep it free of imports and browser or Node APIs.
+ *
+ * A series starts with an absolute snapshot ({ timestamp, likes, hearts, ... });
+ * later entries store only the changes (dl, dh, dla, dc, dco, dbu, dcol, dvi),
+ * or `_d: 1` when nothing changed, so they are never mistaken for absolute.
+ *
+ * Each tracked series type has its own set of stat fields and delta keys
+ * (IMAGE_SERIES, MODEL_SERIES, PROFILE_SERIES); every function takes the
+ * series as its last argument and defaults to images. A new metric is one
+ * entry in its series' table (and, for images, in its `sources`).
+ *
+ * Entries that retention merged several samples into may also carry
+ * BUCKET_FIELDS (see scripts/lib/retention.js). They describe that entry's
+ * period only, so resolving and encoding copy them as they are.
+ *
+ * For storage, a series can also be written in columnar form (toColumns,
+ * encodeColumnar for a whole document); readers turn it back into entries
+ * (fromColumns, decodeColumnar), so everything else only sees entries.
+ */
+
+const SnapshotCodec = (() => {
+  /**
+   * Describe a series from its { field: deltaKey } map. `precision` gives the
+   * decimals kept for fractional fields (e.g. an average rating), so summing
+   * deltas does not accumulate floating-point noise. `sources` names where the
+   * collector reads each field in API responses.
+   */
+  function defineSeries(deltaKeys, { precision = {}, sources = {} } = {}) {
+    return { fields: Object.keys(deltaKeys), deltaKeys, precision, sources };
+  }
+
+  // Image sources: `stats` is the key in an image's `stats` as the images
+  // endpoint returns them, `trpc` the all-time key in tRPC image.get stats
+  const IMAGE_SERIES = defineSeries({
+    likes: 'dl', hearts: 'dh', laughs: 'dla', cries: 'dc',
+    comments: 'dco', buzz: 'dbu', collects: 'dcol', views: 'dvi'
+  }, {
+    sources: {
+      likes: { stats: 'likeCount', trpc: 'likeCountAllTime' },
+      hearts: { stats: 'heartCount', trpc: 'heartCountAllTime' },
+      laughs: { stats: 'laughCount', trpc: 'laughCountAllTime' },
+      cries: { stats: 'cryCount', trpc: 'cryCountAllTime' },
+      comments: { stats: 'commentCount', trpc: 'commentCountAllTime' },
+      buzz: { stats: 'buzzCount', trpc: 'tippedAmountCountAllTime' },
+      collects: { stats: 'collectCount', trpc: 'collectedCountAllTime' },
+      views: { stats: 'viewCount', trpc: 'viewCountAllTime' }
+    }
+  });
+
+  const MODEL_SERIES = defineSeries({
+    downloads: 'ddl', favorites: 'dfa', thumbsUp: 'dtu', thumbsDown: 'dtd',
+    comments: 'dco', buzz: 'dbu', ratingCount: 'drc', rating: 'drt'
+  }, { precision: { rating: 2 } });
+
+  // Creator profile; rank is the leaderboard position, 0 while unranked
+  const PROFILE_SERIES = defineSeries({
+    followers: 'dfo', uploads: 'dup', reactions: 'dre', downloads: 'ddl', rank: 'drk'
+  });
+
+  // Stat fields of a resolved image snapshot
+  const STAT_FIELDS = IMAGE_SERIES.fields;
+
+  // pk: peak hourly reaction gain within a downsampled entry's period;
+  // n: number of samples merged into it
+  const BUCKET_FIELDS = ['pk', 'n'];
+
+  function round(series, field, value) {
+    const decimals = series.precision[field];
+    if (decimals == null) return value;
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+  }
+
+  function absoluteValues(snapshot, series) {
+    const values = {};
+    for (const field of series.fields) values[field] = snapshot?.[field] || 0;
+    return values;
+  }
+
+  function withBucketFields(target, snapshot) {
+    for (const field of BUCKET_FIELDS) {
+      if (snapshot?.[field] != null) target[field] = snapshot[field];
+    }
+    return target;
+  }
+
+  /**
+   * Check if a snapshot is delta-encoded (has any d* keys)
+   */
+  function isDelta(snapshot, series = IMAGE_SERIES) {
+    return Boolean(snapshot) && ('_d' in snapshot || series.fields.some(field => series.deltaKeys[field] in snapshot));
+  }
+
+  /**
+   * Resolve a single snapshot at a given index to absolute values
+   * by walking backward to find the nearest absolute snapshot and applying deltas forward
+   */
+  function resolveSnapshot(snapshots, index, series = IMAGE_SERIES) {
+    let base = absoluteValues(null, series);
+    let startIdx = 0;
+
+    for (let i = index; i >= 0; i--) {
+      if (!isDelta(snapshots[i], series)) {
+        base = absoluteValues(snapshots[i], series);
+        startIdx = i + 1;
+        break;
+      }
+    }
+
+    for (let i = startIdx; i <= index; i++) {
+      const s = snapshots[i];
+      if (isDelta(s, series)) {
+        for (const field of series.fields) {
+          base[field] = round(series, field, base[field] + (s[series.deltaKeys[field]] || 0));
+        }
+      }
+    }
+
+    return withBucketFields({ timestamp: snapshots[index].timestamp, ...base }, snapshots[index]);
+  }
+
+  /**
+   * Resolve all snapshots in an array to absolute values
+   */
+  function resolveAllSnapshots(snapshots, series = IMAGE_SERIES) {
+    const result = [];
+    let current = absoluteValues(null, series);
+
+    for (const s of snapshots || []) {
+      if (isDelta(s, series)) {
+        const next = {};
+        for (const field of series.fields) {
+          next[field] = round(series, field, current[field] + (s[series.deltaKeys[field]] || 0));
+        }
+        current = next;
+      } else {
+        current = absoluteValues(s, series);
+      }
+      result.push(withBucketFields({ timestamp: s.timestamp, ...current }, s));
+    }
+    return result;
+  }
+
+  /**
+   * Delta entry from `prev` to `curr` (absolute snapshots), or null when no
+   * field changed
+   */
+  function deltaBetween(prev, curr, series = IMAGE_SERIES) {
+    const delta = { timestamp: curr.timestamp };
+    let changed = false;
+    for (const field of series.fields) {
+      const diff = round(series, field, (curr[field] || 0) - (prev[field] || 0));
+      if (diff) {
+        delta[series.deltaKeys[field]] = diff;
+        changed = true;
+      }
+    }
+    return changed ? delta : null;
+  }
+
+  /**
+   * Entry that appends the absolute snapshot `curr` to a series whose latest
+   * resolved snapshot is `prev`: `curr` itself when the series is empty
+   * (`prev` null), otherwise its delta. When no field changed it is null, or
+   * with `keepUnchanged` a `_d: 1` entry.
+   */
+  function appendEntry(prev, curr, series = IMAGE_SERIES, { keepUnchanged = false } = {}) {
+    if (!prev) return curr;
+    const delta = deltaBetween(prev, curr, series);
+    if (delta || !keepUnchanged) return delta;
+    // Mark as delta even when all changes are zero, so resolvers don't mistake it for absolute
+    return { timestamp: curr.timestamp, _d: 1 };
+  }
+
+  /**
+   * Encode an array of absolute snapshots as deltas (first stays absolute, rest become deltas)
+   */
+  function encodeAsDeltas(absoluteSnapshots, series = IMAGE_SERIES) {
+    if (absoluteSnapshots.length === 0) return [];
+    const result = [absoluteSnapshots[0]];
+    for (let i = 1; i < absoluteSnapshots.length; i++) {
+      const entry = appendEntry(absoluteSnapshots[i - 1], absoluteSnapshots[i], series, { keepUnchanged: true });
+      result.push(withBucketFields(entry, absoluteSnapshots[i]));
+    }
+    return result;
+  }
+
+  /**
+   * Problems with the encoding of a series, as readable strings: entries
+   * without a valid timestamp, stats or delta keys that are not finite
+   * numbers, a first entry that is a delta, and entries mixing absolute
+   * fields with delta keys. Says nothing about what the values mean.
+   */
+  function validateSeries(snapshots, series = IMAGE_SERIES) {
+    const problems = [];
+    if (!Array.isArray(snapshots)) return ['snapshots is not a list'];
+
+    snapshots.forEach((s, i) => {
+      if (!s || typeof s !== 'object') {
+        problems.push(`entry ${i} is not an object`);
+        return;
+      }
+      if (typeof s.timestamp !== 'string' || Number.isNaN(Date.parse(s.timestamp))) {
+        problems.push(`entry ${i} has an invalid timestamp "${s.timestamp}"`);
+      }
+      const delta = isDelta(s, series);
+      if (delta && i === 0) problems.push('entry 0 is a delta, with no absolute snapshot to start from');
+      for (const field of series.fields) {
+        if (delta && field in s) problems.push(`entry ${i} mixes ${field} with delta keys`);
+        const key = delta ? series.deltaKeys[field] : field;
+        if (s[key] != null && !Number.isFinite(s[key])) problems.push(`entry ${i} has a non-numeric ${key} (${JSON.stringify(s[key])})`);
+      }
+    });
+    return problems;
+  }
+
+  /**
+   * Whether a stored series is in columnar form
+   */
+  function isColumnar(value) {
+    return Boolean(value) && !Array.isArray(value) && typeof value === 'object' && Array.isArray(value.t);
+  }
+
+  /**
+   * Columnar form of a non-empty series:
+   *
+   *   { base: { t, likes, hearts, ... }, t: [3600, ...], likes: [2, ...], imageCount: [...] }
+   *
+   * `base` holds the first entry, with `t` in epoch seconds. `t` and each stat
+   * column hold the changes of the following entries, all integers: whole
+   * seconds (timestamps keep second precision; milliseconds are dropped) and
+   * stats with decimals scaled by their precision. A stat column of zeros is left
+   * out. Other fields of the entries (the totals' imageCount, BUCKET_FIELDS)
+   * get a column of their own values, null where an entry has none, ending at
+   * the last entry that has one.
+   */
+  function toColumns(snapshots, series = IMAGE_SERIES) {
+    const resolved = resolveAllSnapshots(snapshots, series);
+    const times = resolved.map(s => Math.floor(Date.parse(s.timestamp) / 1000));
+    const columns = { base: { t: times[0] }, t: times.slice(1).map((time, i) => time - times[i]) };
+
+    for (const field of series.fields) {
+      const scale = 10 ** (series.precision[field] || 0);
+      columns.base[field] = resolved[0][field];
+      const changes = resolved.slice(1).map((s, i) => Math.round((s[field] - resolved[i][field]) * scale));
+      if (changes.some(change => change !== 0)) columns[field] = changes;
+    }
+
+    const deltaKeys = new Set(Object.values(series.deltaKeys));
+    const others = new Set();
+    for (const s of snapshots) {
+      for (const key of Object.keys(s)) {
+        if (key !== 'timestamp' && key !== '_d' && !(key in series.deltaKeys) && !deltaKeys.has(key)) others.add(key);
+      }
+    }
+    for (const key of others) {
+      const values = snapshots.map(s => s[key] ?? null);
+      while (values[values.length - 1] === null) values.pop();
+      columns[key] = values;
+    }
+    return columns;
+  }
+
+  /**
+   * Entries of a series stored in columnar form (see toColumns), encoded as
+   * usual: the first absolute, then deltas. Times are read as (possibly
+   * fractional) seconds, as the first version of the encoding wrote them.
+   */
+  function fromColumns(columns, series = IMAGE_SERIES) {
+    let time = Math.round(columns.base.t * 1000);
+    const scaled = {};
+    for (const field of series.fields) {
+      scaled[field] = Math.round((columns.base[field] || 0) * 10 ** (series.precision[field] || 0));
+    }
+
+    const absolute = [];
+    for (let i = 0; i <= columns.t.length; i++) {
+      if (i > 0) {
+        time += Math.round(columns.t[i - 1] * 1000);
+        for (const field of series.fields) scaled[field] += columns[field]?.[i - 1] || 0;
+      }
+      const snapshot = { timestamp: new Date(time).toISOString() };
+      for (const field of series.fields) snapshot[field] = scaled[field] / 10 ** (series.precision[field] || 0);
+      absolute.push(snapshot);
+    }
+
+    const encoded = encodeAsDeltas(absolute, series);
+    for (const [key, values] of Object.entries(columns)) {
+      if (key === 'base' || key === 't' || key in series.deltaKeys) continue;
+      values.forEach((value, i) => {
+        if (value !== null && encoded[i]) encoded[i][key] = value;
+      });
+    }
+    return encoded;
+  }
+
+  // Copy of a stats document (or of an image shard) with `convert` applied to
+  // every series it holds
+  function mapDocumentSeries(doc, convert) {
+    const result = { ...doc };
+    if (doc.totalSnapshots) result.totalSnapshots = convert(doc.totalSnapshots, IMAGE_SERIES);
+    if (doc.profileSnapshots) result.profileSnapshots = convert(doc.profileSnapshots, PROFILE_SERIES);
+    if (Array.isArray(doc.images)) {
+      result.images = doc.images.map(image => image?.snapshots ? { ...image, snapshots: convert(image.snapshots, IMAGE_SERIES) } : image);
+    }
+    if (Array.isArray(doc.models)) {
+      result.models = doc.models.map(model => model?.snapshots ? { ...model, snapshots: convert(model.snapshots, MODEL_SERIES) } : model);
+    }
+    return result;
+  }
+
+  /**
+   * Copy of a stats document with every non-empty series in columnar form
+   */
+  function encodeColumnar(doc) {
+    return mapDocumentSeries(doc, (snapshots, series) =>
+      Array.isArray(snapshots) && snapshots.length > 0 ? toColumns(snapshots, series) : snapshots);
+  }
+
+  /**
+   * Copy of a stats document with every columnar series turned back into
+   * entries; series already stored as entries are kept as they are
+   */
+  function decodeColumnar(doc) {
+    return mapDocumentSeries(doc, (snapshots, series) => isColumnar(snapshots) ? fromColumns(snapshots, series) : snapshots);
+  }
+
+  return {
+    IMAGE_SERIES, MODEL_SERIES, PROFILE_SERIES, STAT_FIELDS, BUCKET_FIELDS,
+    isDelta, resolveSnapshot, resolveAllSnapshots, deltaBetween, appendEntry, encodeAsDeltas, validateSeries,
+    isColumnar, toColumns, fromColumns, encodeColumnar, decodeColumnar
+  };
+})();
+
+if (typeof module !== 'undefined') module.exports = SnapshotCodec;
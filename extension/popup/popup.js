@@ -54,7 +54,8 @@ function isValidGistUrl(url) {
   try {
     const parsed = new URL(url);
     return parsed.hostname === 'gist.githubusercontent.com' ||
-           parsed.hostname === 'gist.github.com';
+           parsed.hostname === 'gist.github.com' ||
+           parsed.hostname === 'raw.githubusercontent.com'; // git storage backend
   } catch {
     return false;
   }
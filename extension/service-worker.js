@@ -17,6 +17,12 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         .catch(error => sendResponse({ success: false, error: error.message }));
       return true; // Keep channel open for async response
 
+    case 'fetchShard':
+      fetchShard(message.file)
+        .then(data => sendResponse({ success: true, data }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
     case 'getSettings':
       getSettings()
         .then(settings => sendResponse({ success: true, settings }))
@@ -43,7 +49,8 @@ function openStatsPage() {
 }
 
 /**
- * Fetch data from the configured Gist
+ * Fetch data from the configured Gist. For a sharded layout this is only the
+ * index (totals + shard list); images are fetched per shard with fetchShard.
  */
 async function fetchGistData() {
   const settings = await getSettings();
@@ -52,8 +59,31 @@ async function fetchGistData() {
     throw new Error('Gist URL not configured. Please set it in the extension popup.');
   }
 
+  return fetchJson(new URL(settings.gistUrl));
+}
+
+/**
+ * Fetch one image shard of a sharded layout. Shard files sit next to
+ * stats.json, so their URL is resolved relative to the configured one.
+ */
+async function fetchShard(file) {
+  const settings = await getSettings();
+
+  if (!settings.gistUrl) {
+    throw new Error('Gist URL not configured. Please set it in the extension popup.');
+  }
+  if (!/^images-[\w-]+\.json$/.test(file || '')) {
+    throw new Error(`Invalid shard file name: ${file}`);
+  }
+
+  return fetchJson(new URL(file, settings.gistUrl));
+}
+
+/**
+ * Fetch a JSON document, bypassing caches
+ */
+async function fetchJson(url) {
   // Add cache-busting parameter to get fresh data
-  const url = new URL(settings.gistUrl);
   url.searchParams.set('_t', Date.now());
 
   const response = await fetch(url.toString());
@@ -0,0 +1,82 @@
+/**
+ * Civitai Reaction Stats - Data Migrations
+ * Upgrades stats data written by older collector versions on read.
+ *
+ * Mirrors the version numbers of scripts/lib/migrations.js. Only the steps
+ * that matter for display are applied here; the stats page never writes data
+ * back. Steps must tolerate partially-upgraded data, since documents without
+ * a schemaVersion (version 0) can be in any of the historical formats.
+ */
+
+const STATS_MIGRATIONS = [
+  {
+    // Legacy per-image `currentStats` → a single absolute snapshot
+    version: 1,
+    migrate(data) {
+      for (const image of data.images || []) {
+        if (!image.currentStats) continue;
+        if (!image.snapshots || image.snapshots.length === 0) {
+          const cs = image.currentStats;
+          image.snapshots = [{
+            timestamp: data.lastUpdated || image.createdAt || new Date(0).toISOString(),
+            likes: cs.likes || 0,
+            hearts: cs.hearts || 0,
+            laughs: cs.laughs || 0,
+            cries: cs.cries || 0,
+            comments: cs.comments || 0,
+            buzz: cs.buzz || 0,
+            collects: cs.collects || 0,
+            views: cs.views || 0
+          }];
+        }
+        delete image.currentStats;
+      }
+    }
+  },
+  {
+    // Absolute → delta snapshots. resolveSnapshots reads both forms, so
+    // nothing to do on the read side.
+    version: 2,
+    migrate() {}
+  },
+  {
+    // host/stale/lastSeenAt for images tracked before the civitai.red split
+    version: 3,
+    migrate(data) {
+      for (const image of data.images || []) {
+        if (!image.host) image.host = image.url?.includes('civitai.red') ? 'red' : 'com';
+        if (image.stale === undefined) image.stale = false;
+        if (image.lastSeenAt === undefined) image.lastSeenAt = null;
+      }
+    }
+  },
+  {
+    // Total history shifted to match the sum of the images. The collector
+    // rewrites the totals; nothing to do on the read side.
+    version: 4,
+    migrate() {}
+  }
+];
+
+const CURRENT_SCHEMA_VERSION = STATS_MIGRATIONS[STATS_MIGRATIONS.length - 1].version;
+
+/**
+ * Upgrade stats data to CURRENT_SCHEMA_VERSION in place. Data from a newer
+ * collector is left as-is (and logged), since it is usually still readable.
+ */
+function migrateStatsData(data) {
+  const fromVersion = data.schemaVersion || 0;
+
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    console.warn(`Stats data has schemaVersion ${fromVersion}, newer than this extension supports (${CURRENT_SCHEMA_VERSION}). Consider updating the extension.`);
+    return data;
+  }
+
+  for (const migration of STATS_MIGRATIONS) {
+    if (migration.version <= fromVersion) continue;
+    migration.migrate(data);
+    data.schemaVersion = migration.version;
+  }
+
+  return data;
+}
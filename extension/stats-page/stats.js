@@ -3,10 +3,14 @@
  * Handles data fetching, chart rendering, and UI interactions
  */
 
+// Delta-encoded snapshot series (../lib/snapshot-codec.js, shared with the collector)
+const { IMAGE_SERIES, MODEL_SERIES, PROFILE_SERIES, decodeColumnar, resolveAllSnapshots } = SnapshotCodec;
+
 // State
 let statsData = null;
 let overviewChart = null;
 let overviewActivityChart = null;
+let overviewAudienceChart = null;
 let currentTab = 'overview';
 let currentTimeRange = '1d';
 let currentChartType = 'auto'; // 'auto', 'line', 'bar'
@@ -23,10 +27,19 @@ let visibleLines = {
 };
 let displayedImages = 10;
 const IMAGES_PER_PAGE = 10;
+let imageMilestones = new Map(); // Map<imageId, milestone[]> (rebuilt by renderStats)
 
 // Track per-image chart state
 const imageCharts = new Map(); // Map<imageId, Chart>
+const postCharts = new Map(); // Map<'post-<postId>', Chart> (Posts tab)
+let displayedPosts = IMAGES_PER_PAGE;
+const modelCharts = new Map(); // Map<modelId, Chart> (Models tab)
+let displayedModels = IMAGES_PER_PAGE;
 const imageTimeRanges = new Map(); // Map<imageId, timeRange>
+// Sharded layout: shard requests of the current data (Map<file, Promise<image[]>>)
+// and the shards whose images are in statsData.images
+let shardRequests = new Map();
+let loadedShards = new Set();
 let imageLineVisibility = { total: true, likes: true, hearts: true, laughs: true, cries: true, buzz: true, collects: true };
 
 // Emoji labels for chart tooltips
@@ -37,7 +50,45 @@ const LABEL_EMOJI = {
   'Laughs': '\u{1F604}',     // 😄
   'Cries': '\u{1F622}',      // 😢
   'Buzz': '\u26A1',           // ⚡
-  'Collects': '\u{1F516}'    // 🔖
+  'Collects': '\u{1F516}',   // 🔖
+  'Downloads': '\u2B07\uFE0F', // ⬇️
+  'Favorites': '\u2B50',      // ⭐
+  'Thumbs up': '\u{1F44D}',   // 👍
+  'Comments': '\u{1F4AC}',    // 💬
+  'Corrections': '\u2796',    // ➖
+  'Peak / hour': '\u{1F4C8}'  // 📈
+};
+
+// Confirmed decreases in delta charts
+const CORRECTION_COLOR = '#fa5252';
+
+// Points of image charts holding a suspicious burst
+const BURST_COLOR = '#fd7e14';
+
+// Peak hourly gain of downsampled periods
+const PEAK_COLOR = '#15aabf';
+
+// Collector health widget: hourly runs over the last HEALTH_DAYS days
+const HOUR_MS = 60 * 60 * 1000;
+const HEALTH_DAYS = 7;
+
+// Names of the milestone metrics (scripts/lib/milestones.js)
+const MILESTONE_LABELS = {
+  reactions: 'reactions',
+  hearts: 'hearts',
+  buzz: 'Buzz',
+  collects: 'collects',
+  views: 'views'
+};
+
+// Badges for stale images, by the status the collector's probes recorded
+// (image.availability); images not classified yet are just "frozen"
+const STALE_BADGES = {
+  frozen: { label: 'frozen', title: 'Not returned by the API on the latest run — stats are frozen at their last-known value' },
+  deleted: { label: 'deleted', title: 'Deleted on Civitai — kept for its history, no longer counted in the totals' },
+  'migrated-to-red': { label: 'moved to .red', title: 'Moved to civitai.red but not listed there yet — stats are frozen' },
+  'migrated-to-com': { label: 'moved to .com', title: 'Moved to civitai.com but not listed there yet — stats are frozen' },
+  unavailable: { label: 'hidden', title: 'Not listed on Civitai (hidden, under review or unreachable) — stats are frozen' }
 };
 
 /**
@@ -49,77 +100,125 @@ function isDeltaMode(timeRange) {
 
 /**
  * Compute deltas from resolved (absolute) snapshots.
- * Each point becomes the difference from the previous point.
- * Negative deltas are clamped to 0 (API caching artifacts).
+ * Each point becomes the gain since the previous point. Confirmed decreases
+ * the collector recorded in that period (`corrections`, see
+ * scripts/lib/corrections.js) are taken out of the gains and reported as
+ * `correction` (a negative reaction total); any other negative delta is
+ * clamped to 0 (API caching artifacts). Points that retention downsampled
+ * keep their `peak` hourly gain and number of `samples` (pk and n, see
+ * scripts/lib/retention.js).
  * The first point is dropped (no previous to diff against).
  */
-function computeDeltas(snapshots) {
+function computeDeltas(snapshots, corrections = []) {
   if (!snapshots || snapshots.length < 2) return [];
   const result = [];
   for (let i = 1; i < snapshots.length; i++) {
     const prev = snapshots[i - 1];
     const curr = snapshots[i];
+    const from = new Date(prev.timestamp).getTime();
+    const to = new Date(curr.timestamp).getTime();
+    const inPeriod = corrections.filter(c => {
+      const t = new Date(c.timestamp).getTime();
+      return t > from && t <= to;
+    });
+    const corrected = field => inPeriod.reduce((sum, c) => sum + (c[field] || 0), 0);
+    const gain = field => Math.max(0, (curr[field] || 0) - (prev[field] || 0) - corrected(field));
     result.push({
       timestamp: curr.timestamp,
-      likes: Math.max(0, (curr.likes || 0) - (prev.likes || 0)),
-      hearts: Math.max(0, (curr.hearts || 0) - (prev.hearts || 0)),
-      laughs: Math.max(0, (curr.laughs || 0) - (prev.laughs || 0)),
-      cries: Math.max(0, (curr.cries || 0) - (prev.cries || 0)),
-      comments: Math.max(0, (curr.comments || 0) - (prev.comments || 0)),
-      buzz: Math.max(0, (curr.buzz || 0) - (prev.buzz || 0)),
-      collects: Math.max(0, (curr.collects || 0) - (prev.collects || 0)),
-      views: Math.max(0, (curr.views || 0) - (prev.views || 0))
+      ...Object.fromEntries(IMAGE_SERIES.fields.map(field => [field, gain(field)])),
+      correction: corrected('likes') + corrected('hearts') + corrected('laughs') + corrected('cries'),
+      peak: curr.pk ?? null,
+      samples: curr.n || 1
     });
   }
   return result;
 }
 
 /**
- * Get effective chart type based on time range and user override.
- * 'auto' = bar for delta mode, line for cumulative.
+ * Correction entries of every image that counts towards the totals
+ * (deleted images were taken out of the total history)
  */
-function getEffectiveChartType(timeRange, override) {
-  if (override && override !== 'auto') return override;
-  return isDeltaMode(timeRange) ? 'bar' : 'line';
+function totalCorrections() {
+  return (statsData.images || [])
+    .filter(img => img.availability?.status !== 'deleted')
+    .flatMap(img => img.corrections || []);
 }
 
 /**
- * Resolve delta-encoded snapshots back to absolute values.
- * Absolute snapshots pass through unchanged; delta snapshots (with d* keys)
- * are accumulated on top of the previous absolute values.
+ * Chart dataset of the corrections in delta mode, or null when the period
+ * has none
  */
-function resolveSnapshots(snapshots) {
-  if (!snapshots || snapshots.length === 0) return [];
-  const result = [];
-  let current = { likes: 0, hearts: 0, laughs: 0, cries: 0, comments: 0, buzz: 0, collects: 0, views: 0 };
-
-  for (const s of snapshots) {
-    if ('dl' in s || 'dh' in s || 'dla' in s || 'dc' in s || 'dco' in s || '_d' in s || 'dbu' in s || 'dcol' in s || 'dvi' in s) {
-      current = {
-        likes: current.likes + (s.dl || 0),
-        hearts: current.hearts + (s.dh || 0),
-        laughs: current.laughs + (s.dla || 0),
-        cries: current.cries + (s.dc || 0),
-        comments: current.comments + (s.dco || 0),
-        buzz: current.buzz + (s.dbu || 0),
-        collects: current.collects + (s.dcol || 0),
-        views: current.views + (s.dvi || 0)
-      };
-    } else {
-      current = {
-        likes: s.likes || 0,
-        hearts: s.hearts || 0,
-        laughs: s.laughs || 0,
-        cries: s.cries || 0,
-        comments: s.comments || 0,
-        buzz: s.buzz || 0,
-        collects: s.collects || 0,
-        views: s.views || 0
-      };
+function correctionDataset(deltas) {
+  if (!deltas.some(s => s.correction < 0)) return null;
+  return {
+    label: 'Corrections',
+    data: deltas.map(s => s.correction),
+    borderColor: CORRECTION_COLOR,
+    backgroundColor: CORRECTION_COLOR + '80',
+    borderWidth: 1.5,
+    tension: 0,
+    fill: false,
+    pointRadius: 0,
+    pointHoverRadius: 3
+  };
+}
+
+/**
+ * Chart dataset of the peak hourly gains of downsampled periods in delta
+ * mode (points only), or null when the period has none
+ */
+function peakDataset(deltas) {
+  if (!deltas.some(s => s.peak != null)) return null;
+  return {
+    type: 'line',
+    label: 'Peak / hour',
+    data: deltas.map(s => s.peak),
+    samples: deltas.map(s => s.samples),
+    borderColor: PEAK_COLOR,
+    backgroundColor: PEAK_COLOR,
+    showLine: false,
+    pointStyle: 'triangle',
+    pointRadius: 3,
+    pointHoverRadius: 5
+  };
+}
+
+/**
+ * Tooltip note for a downsampled point of a cumulative chart, e.g.
+ * " · peak +42/h over 24 samples"
+ */
+function peakNote(snapshot) {
+  if (snapshot?.pk == null) return '';
+  return ` \u00B7 peak +${snapshot.pk.toLocaleString()}/h over ${snapshot.n || 1} samples`;
+}
+
+/**
+ * Indexes of the chart points whose period holds a suspicious burst the
+ * collector flagged (image.anomalies, see scripts/lib/anomalies.js)
+ */
+function burstPoints(points, anomalies = []) {
+  const flagged = new Set();
+  if (!anomalies || anomalies.length === 0) return flagged;
+  points.forEach((point, i) => {
+    const to = new Date(point.timestamp).getTime();
+    const from = i > 0 ? new Date(points[i - 1].timestamp).getTime() : to - 1;
+    if (anomalies.some(a => {
+      const t = new Date(a.timestamp).getTime();
+      return t > from && t <= to;
+    })) {
+      flagged.add(i);
     }
-    result.push({ timestamp: s.timestamp, ...current });
-  }
-  return result;
+  });
+  return flagged;
+}
+
+/**
+ * Get effective chart type based on time range and user override.
+ * 'auto' = bar for delta mode, line for cumulative.
+ */
+function getEffectiveChartType(timeRange, override) {
+  if (override && override !== 'auto') return override;
+  return isDeltaMode(timeRange) ? 'bar' : 'line';
 }
 
 // Default colors matching Civitai's palette
@@ -211,6 +310,7 @@ function setupEventListeners() {
           renderImageChart(image, timeRange);
         }
       });
+      rerenderPostCharts();
     });
   });
 
@@ -220,6 +320,7 @@ function setupEventListeners() {
     reactionTypeSelect.style.display = e.target.value === 'reactions' ? '' : 'none';
     displayedImages = IMAGES_PER_PAGE;
     renderImages(e.target.value);
+    loadShards(shardsForView());
   });
 
   // Reaction type selector
@@ -232,6 +333,32 @@ function setupEventListeners() {
   document.getElementById('loadMoreBtn').addEventListener('click', () => {
     displayedImages += IMAGES_PER_PAGE;
     renderImages(document.getElementById('sortSelect').value);
+    loadShards(shardsForView());
+  });
+
+  // Posts sort and paging
+  document.getElementById('postSortSelect').addEventListener('change', () => {
+    displayedPosts = IMAGES_PER_PAGE;
+    renderPosts();
+  });
+  document.getElementById('postsLoadMoreBtn').addEventListener('click', () => {
+    displayedPosts += IMAGES_PER_PAGE;
+    renderPosts();
+  });
+
+  // Resources period and sort
+  document.getElementById('resourceRangeSelect').addEventListener('change', () => renderResources());
+  document.getElementById('resourceSortSelect').addEventListener('change', () => renderResources());
+
+  // Models period, sort and paging
+  document.getElementById('modelRangeSelect').addEventListener('change', () => renderModels());
+  document.getElementById('modelSortSelect').addEventListener('change', () => {
+    displayedModels = IMAGES_PER_PAGE;
+    renderModels();
+  });
+  document.getElementById('modelsLoadMoreBtn').addEventListener('click', () => {
+    displayedModels += IMAGES_PER_PAGE;
+    renderModels();
   });
 }
 
@@ -248,14 +375,130 @@ async function loadData() {
       throw new Error(response.error);
     }
 
-    statsData = response.data;
+    // Series stored in columnar form (STATS_ENCODING=columnar) become entries again
+    statsData = decodeColumnar(response.data);
+    shardRequests = new Map();
+    loadedShards = new Set();
+    // Sharded layout: the index carries totals only, images arrive per shard
+    // when a view needs them (and are migrated shard by shard)
+    if (Array.isArray(statsData.shards)) {
+      statsData.images = [];
+    } else {
+      migrateStatsData(statsData);
+    }
     showContent();
     renderStats();
+    loadShards(shardsForView());
   } catch (error) {
     showError(error.message);
   }
 }
 
+/**
+ * Whether statsData holds every image (always, unless the layout is sharded)
+ */
+function allImagesLoaded() {
+  return !statsData?.shards || statsData.shards.every(shard => loadedShards.has(shard.file));
+}
+
+/**
+ * Number of images in the data, loaded or not
+ */
+function imageTotal() {
+  if (!statsData?.shards) return (statsData?.images || []).length;
+  return statsData.shards.reduce((sum, shard) => sum + shard.imageCount, 0);
+}
+
+/**
+ * Shard files the view on screen needs. The Images tab sorted by newest
+ * needs the newest months up to the images displayed (images without a date
+ * come last); the other image-based views need every shard, the Overview
+ * and Models tabs none (the Overview loads them on request).
+ */
+function shardsForView() {
+  if (!statsData?.shards) return [];
+  const dated = file => /^images-\d{4}-\d{2}\.json$/.test(file);
+  const shards = [...statsData.shards]
+    .sort((a, b) => dated(b.file) - dated(a.file) || b.file.localeCompare(a.file));
+
+  if (currentTab === 'overview' || currentTab === 'models') return [];
+  if (currentTab === 'images' && document.getElementById('sortSelect').value === 'newest') {
+    const needed = [];
+    let count = 0;
+    for (const shard of shards) {
+      if (count >= displayedImages) break;
+      needed.push(shard.file);
+      count += shard.imageCount;
+    }
+    return needed;
+  }
+  return shards.map(shard => shard.file);
+}
+
+/**
+ * Fetch one image shard, once per data load: requests in flight are shared,
+ * failed ones are retried on the next call.
+ */
+function requestShard(file) {
+  if (!shardRequests.has(file)) {
+    const request = chrome.runtime.sendMessage({ action: 'fetchShard', file }).then(response => {
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+      return decodeColumnar(response.data).images || [];
+    });
+    request.catch(() => shardRequests.delete(file));
+    shardRequests.set(file, request);
+  }
+  return shardRequests.get(file);
+}
+
+/**
+ * Load the given image shards of a sharded layout, if not loaded yet: their
+ * images are migrated, added to statsData and the page re-renders.
+ */
+async function loadShards(files) {
+  const data = statsData;
+  const missing = files.filter(file => !loadedShards.has(file));
+  if (missing.length === 0) return;
+
+  document.getElementById('imageCount').textContent = `Loading images... (${missing.length} of ${data.shards.length} months)`;
+  let results;
+  try {
+    results = await Promise.all(missing.map(requestShard));
+  } catch (error) {
+    if (statsData === data) showError(error.message);
+    return;
+  }
+
+  // A refresh started while shards were loading — its data wins
+  if (statsData !== data) return;
+
+  missing.forEach((file, i) => {
+    // Another call may have added it meanwhile
+    if (loadedShards.has(file)) return;
+    loadedShards.add(file);
+    const shard = { schemaVersion: data.schemaVersion, lastUpdated: data.lastUpdated, images: results[i] };
+    data.images.push(...migrateStatsData(shard).images);
+  });
+  renderStats();
+}
+
+/**
+ * Placeholder of an Overview widget that needs every image while the
+ * sharded layout has not loaded them all; its button loads them.
+ */
+function renderImagesPending(container) {
+  container.innerHTML = `
+    <div class="widget-empty">
+      Images load on demand.
+      <button class="btn btn-secondary load-images-btn" type="button">Load all images</button>
+    </div>`;
+  container.querySelector('.load-images-btn').addEventListener('click', () => {
+    loadShards(statsData.shards.map(shard => shard.file));
+  });
+}
+
 /**
  * Show loading state
  */
@@ -307,10 +550,25 @@ function renderStats() {
   renderReactionMix();
   renderActivityChart();
   renderTopMovers();
-
-  // Render images
+  renderAudience();
+  renderMilestoneTimeline();
+  renderSuspiciousActivity();
+  renderCollectorHealth();
+
+  // Render images (with the milestones each one reached)
+  imageMilestones = new Map();
+  for (const milestone of statsData.milestones || []) {
+    if (milestone.scope !== 'image') continue;
+    if (!imageMilestones.has(milestone.id)) imageMilestones.set(milestone.id, []);
+    imageMilestones.get(milestone.id).push(milestone);
+  }
   renderImages(document.getElementById('sortSelect').value);
 
+  // Render the Posts, Resources and Models tabs
+  renderPosts();
+  renderResources();
+  renderModels();
+
   // The Trends chart is rendered lazily when its tab is activated (a canvas
   // sized while hidden renders at 0 height). Render now only if already active.
   if (currentTab === 'trends') {
@@ -321,8 +579,8 @@ function renderStats() {
 
 /**
  * Switch the active tab. The Trends chart is (re)rendered on activation so its
- * canvas is sized while visible; the Overview activity chart is resized in case
- * it was created while another tab was showing.
+ * canvas is sized while visible; the Overview charts are resized in case they
+ * were created while another tab was showing.
  */
 function switchTab(tab) {
   currentTab = tab;
@@ -337,16 +595,18 @@ function switchTab(tab) {
   if (tab === 'trends' && statsData) {
     renderChart();
     renderPeriodSummary();
-  } else if (tab === 'overview' && overviewActivityChart) {
-    overviewActivityChart.resize();
+  } else if (tab === 'overview') {
+    if (overviewActivityChart) overviewActivityChart.resize();
+    if (overviewAudienceChart) overviewAudienceChart.resize();
   }
+  loadShards(shardsForView());
 }
 
 /**
  * Render summary cards with current totals
  */
 function renderSummaryCards() {
-  const snapshots = resolveSnapshots(statsData.totalSnapshots || []);
+  const snapshots = resolveAllSnapshots(statsData.totalSnapshots || []);
   const latest = snapshots[snapshots.length - 1] || {};
 
   const total = (latest.likes || 0) + (latest.hearts || 0) +
@@ -363,13 +623,29 @@ function renderSummaryCards() {
   document.getElementById('totalCollects').textContent = (latest.collects || 0).toLocaleString();
 }
 
+/**
+ * Gains of the total series over a time range, in the shape of
+ * computePeriodSummary's totals. Used while a sharded layout has not loaded
+ * every image.
+ */
+function totalsPeriodSummary(timeRange) {
+  const filtered = filterByTimeRange(resolveAllSnapshots(statsData.totalSnapshots || []), timeRange);
+  const totals = { total: 0 };
+  for (const type of ['likes', 'hearts', 'laughs', 'cries', 'comments', 'buzz', 'collects']) {
+    totals[type] = filtered.length < 2 ? 0 : Math.max(0, (filtered[filtered.length - 1][type] || 0) - (filtered[0][type] || 0));
+  }
+  totals.total = totals.likes + totals.hearts + totals.laughs + totals.cries;
+  return { totals };
+}
+
 /**
  * Show +today / +7d gains under each summary card. Reuses computePeriodSummary,
  * which already sums per-image gains by reaction type for a time range.
  */
 function renderKpiDeltas() {
-  const today = computePeriodSummary('1d');
-  const week = computePeriodSummary('7d');
+  const summarize = allImagesLoaded() ? computePeriodSummary : totalsPeriodSummary;
+  const today = summarize('1d');
+  const week = summarize('7d');
   const types = ['total', 'likes', 'hearts', 'laughs', 'cries', 'comments', 'buzz', 'collects'];
 
   for (const type of types) {
@@ -409,12 +685,12 @@ function renderReactionMix() {
     { key: 'cries', emoji: '\u{1F622}' }
   ];
 
-  const today = computePeriodSummary('1d')?.totals || {};
+  const today = (allImagesLoaded() ? computePeriodSummary : totalsPeriodSummary)('1d')?.totals || {};
   let values = types.map(t => today[t.key] || 0);
   let scope = 'today';
 
   if (values.reduce((a, b) => a + b, 0) === 0) {
-    const resolved = resolveSnapshots(statsData.totalSnapshots || []);
+    const resolved = resolveAllSnapshots(statsData.totalSnapshots || []);
     const latest = resolved[resolved.length - 1] || {};
     values = types.map(t => latest[t.key] || 0);
     scope = 'all time';
@@ -449,8 +725,8 @@ function renderReactionMix() {
  * Buckets the already-clamped per-snapshot deltas from computeDeltas by day.
  */
 function dailyActivity(days) {
-  const resolved = resolveSnapshots(statsData.totalSnapshots || []);
-  const deltas = computeDeltas(resolved);
+  const resolved = resolveAllSnapshots(statsData.totalSnapshots || []);
+  const deltas = computeDeltas(resolved, totalCorrections());
 
   const dayKey = d => `${d.getFullYear()}-${d.getMonth()}-${d.getDate()}`;
   const today = new Date();
@@ -537,12 +813,152 @@ function renderActivityChart() {
   });
 }
 
+/**
+ * Value of a resolved series at the end of each of the last `days` calendar
+ * days: its latest snapshot up to then (null before the series starts).
+ */
+function dailyCloses(resolved, days, valueOf) {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  const points = [];
+  let i = -1;
+  for (let d = days - 1; d >= 0; d--) {
+    const date = new Date(today);
+    date.setDate(today.getDate() - d);
+    const end = new Date(date);
+    end.setDate(date.getDate() + 1);
+    while (i + 1 < resolved.length && new Date(resolved[i + 1].timestamp) < end) i++;
+    points.push({ date, value: i >= 0 ? valueOf(resolved[i]) : null });
+  }
+  return points;
+}
+
+/**
+ * Render the Followers widget: follower growth next to reaction growth over
+ * the last 30 days, and how many reactions each follower stands for. Needs
+ * the creator profile series (`profileSnapshots`) recorded by the collector.
+ */
+function renderAudience() {
+  const statsEl = document.getElementById('audienceStats');
+  const canvas = document.getElementById('overviewAudienceChart');
+  if (!statsEl || !canvas) return;
+
+  if (overviewAudienceChart) {
+    overviewAudienceChart.destroy();
+    overviewAudienceChart = null;
+  }
+
+  const profile = resolveAllSnapshots(statsData.profileSnapshots || [], PROFILE_SERIES);
+  if (profile.length === 0) {
+    statsEl.innerHTML = '<div class="widget-empty">No follower data yet — it is recorded from the collector\'s next run</div>';
+    canvas.style.display = 'none';
+    return;
+  }
+  canvas.style.display = 'block';
+
+  const totals = resolveAllSnapshots(statsData.totalSnapshots || []);
+  const current = profile[profile.length - 1];
+  const reactions = getTotalReactions(totals[totals.length - 1]);
+
+  const profileMonth = filterByTimeRange(profile, '30d');
+  const totalsMonth = filterByTimeRange(totals, '30d');
+  const followerGain = profileMonth.length >= 2 ? current.followers - profileMonth[0].followers : 0;
+  const reactionGain = totalsMonth.length >= 2
+    ? getTotalReactions(totalsMonth[totalsMonth.length - 1]) - getTotalReactions(totalsMonth[0])
+    : 0;
+
+  const perFollower = current.followers > 0 ? (reactions / current.followers).toFixed(1) : '–';
+  const perNewFollower = followerGain > 0 ? (reactionGain / followerGain).toFixed(1) : '–';
+  const signed = n => `${n > 0 ? '+' : ''}${formatNumber(n)}`;
+  const stat = (value, label, sub = '') => `
+    <div class="audience-stat">
+      <span class="audience-value">${value}</span>
+      <span class="audience-label">${label}</span>
+      ${sub}
+    </div>`;
+
+  statsEl.innerHTML =
+    stat(formatNumber(current.followers), 'Followers',
+      `<span class="${followerGain > 0 ? 'delta-up' : 'delta-muted'}">${signed(followerGain)} 30d</span>`) +
+    stat(signed(reactionGain), 'Reactions 30d') +
+    stat(perFollower, 'Reactions per follower') +
+    stat(perNewFollower, 'Reactions per new follower (30d)') +
+    stat(current.rank > 0 ? `#${current.rank.toLocaleString()}` : '–', 'Leaderboard rank');
+
+  const followers = dailyCloses(profile, 30, s => s.followers);
+  const reactionCloses = dailyCloses(totals, 30, getTotalReactions);
+  const pad = n => String(n).padStart(2, '0');
+  const axis = position => ({
+    position,
+    grid: { color: position === 'left' ? 'rgba(55, 58, 64, 0.5)' : 'transparent' },
+    ticks: { color: '#909296', callback: value => formatNumber(value) }
+  });
+
+  overviewAudienceChart = new Chart(canvas.getContext('2d'), {
+    type: 'line',
+    data: {
+      labels: followers.map(p => `${pad(p.date.getMonth() + 1)}-${pad(p.date.getDate())}`),
+      datasets: [{
+        label: 'Followers',
+        data: followers.map(p => p.value),
+        yAxisID: 'followers',
+        borderColor: CHART_COLORS.hearts,
+        borderWidth: 2,
+        tension: 0,
+        pointRadius: 0,
+        spanGaps: true
+      }, {
+        label: 'Reactions',
+        data: reactionCloses.map(p => p.value),
+        yAxisID: 'reactions',
+        borderColor: CHART_COLORS.total,
+        borderWidth: 2,
+        tension: 0,
+        pointRadius: 0,
+        spanGaps: true
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: { mode: 'index', intersect: false },
+      plugins: {
+        legend: { display: true, labels: { color: '#c1c2c5', boxWidth: 12 } },
+        tooltip: {
+          backgroundColor: '#25262b',
+          titleColor: '#fff',
+          bodyColor: '#c1c2c5',
+          borderColor: '#373a40',
+          borderWidth: 1,
+          padding: 10,
+          callbacks: {
+            label: ctx => `${ctx.dataset.label}: ${ctx.parsed.y.toLocaleString()}`
+          }
+        }
+      },
+      scales: {
+        x: {
+          grid: { display: false },
+          ticks: { color: '#909296', maxRotation: 0, autoSkip: true, maxTicksLimit: 7 }
+        },
+        followers: axis('left'),
+        reactions: axis('right')
+      }
+    }
+  });
+}
+
 /**
  * Render the Top movers list: images with the most reactions gained in 7 days.
  */
 function renderTopMovers() {
   const container = document.getElementById('topMovers');
   if (!container) return;
+  if (!allImagesLoaded()) {
+    renderImagesPending(container);
+    return;
+  }
 
   const summary = computePeriodSummary('7d');
   const movers = (summary?.images || []).slice(0, 5);
@@ -575,6 +991,354 @@ function renderTopMovers() {
   }).join('');
 }
 
+/**
+ * A threshold without trailing ".0": 1K, 2.5K, 1M
+ */
+function formatThreshold(value) {
+  return formatNumber(value).replace('.0', '');
+}
+
+/**
+ * A duration in hours below two days, in days above
+ */
+function formatDuration(ms) {
+  const hours = ms / (60 * 60 * 1000);
+  if (hours < 48) return `${Math.max(1, Math.round(hours))}h`;
+  return `${Math.round(hours / 24)} days`;
+}
+
+/**
+ * Render the milestone timeline: the latest thresholds the account and its
+ * images reached (statsData.milestones), newest first. Account milestones
+ * show how long they took from the previous threshold of the same metric,
+ * image milestones how long after the upload.
+ */
+function renderMilestoneTimeline() {
+  const container = document.getElementById('milestoneTimeline');
+  if (!container) return;
+
+  const milestones = statsData.milestones || [];
+  if (milestones.length === 0) {
+    container.innerHTML = '<div class="widget-empty">No milestones reached yet</div>';
+    return;
+  }
+
+  const images = new Map((statsData.images || []).map(img => [img.id, img]));
+  const latest = [...milestones]
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+    .slice(0, 12);
+
+  container.innerHTML = latest.map(milestone => {
+    const reached = `${formatThreshold(milestone.threshold)} ${MILESTONE_LABELS[milestone.metric] || escapeHtml(milestone.metric)}`;
+    let subject;
+    let detail = '';
+    if (milestone.scope === 'account') {
+      subject = 'Your account';
+      const previous = milestones
+        .filter(m => m.scope === 'account' && m.metric === milestone.metric && m.threshold < milestone.threshold)
+        .sort((a, b) => b.threshold - a.threshold)[0];
+      if (previous) {
+        detail = `${formatDuration(new Date(milestone.timestamp) - new Date(previous.timestamp))} after ${formatThreshold(previous.threshold)}`;
+      }
+    } else {
+      const image = images.get(milestone.id);
+      const name = escapeHtml(image?.name || `Image ${milestone.id}`);
+      subject = image?.url ? `<a href="${escapeHtml(image.url)}" target="_blank" rel="noopener">${name}</a>` : name;
+      if (image?.createdAt) {
+        detail = `${formatDuration(new Date(milestone.timestamp) - new Date(image.createdAt))} after upload`;
+      }
+    }
+    return `
+      <div class="milestone-row${milestone.scope === 'account' ? ' account' : ''}">
+        <div class="milestone-date">${escapeHtml(formatDate(new Date(milestone.timestamp)))}</div>
+        <div class="milestone-text">
+          ${subject} reached <strong>${reached}</strong>
+          ${detail ? `<span class="milestone-detail">${detail}</span>` : ''}
+        </div>
+      </div>`;
+  }).join('');
+}
+
+/**
+ * Render the Suspicious activity list: the latest bursts the collector
+ * flagged (image.anomalies), newest first.
+ */
+function renderSuspiciousActivity() {
+  const container = document.getElementById('suspiciousActivity');
+  if (!container) return;
+  if (!allImagesLoaded()) {
+    renderImagesPending(container);
+    return;
+  }
+
+  const bursts = (statsData.images || [])
+    .flatMap(image => (image.anomalies || []).map(burst => ({ image, burst })))
+    .sort((a, b) => new Date(b.burst.timestamp) - new Date(a.burst.timestamp))
+    .slice(0, 10);
+
+  if (bursts.length === 0) {
+    container.innerHTML = '<div class="widget-empty">No suspicious bursts detected</div>';
+    return;
+  }
+
+  container.innerHTML = bursts.map(({ image, burst }) => {
+    const name = escapeHtml(image.name || 'Untitled');
+    const thumb = image.thumbnailUrl
+      ? `<img src="${escapeHtml(image.thumbnailUrl)}" alt="" loading="lazy">`
+      : '<div class="placeholder">\u{1F5BC}️</div>';
+    const href = image.url ? escapeHtml(image.url) : '#';
+    const hours = burst.hours === 1 ? '1 hour' : `${burst.hours} hours`;
+    return `
+      <a class="mover-row" href="${href}" target="_blank" rel="noopener">
+        <div class="mover-thumb">${thumb}</div>
+        <div class="mover-info">
+          <div class="mover-name">${name}</div>
+          <div class="burst-detail">+${formatNumber(burst.gain)} reactions in ${hours} (usually ${burst.baseline}/h)</div>
+        </div>
+        <div class="burst-score" title="Robust z-score of the hourly rate against the image's own history">
+          score ${burst.score}
+          <span class="burst-date">${escapeHtml(formatDate(new Date(burst.timestamp)))}</span>
+        </div>
+      </a>`;
+  }).join('');
+}
+
+/**
+ * Whether a run record (statsData.runs) failed requests or went without some
+ * of its data, as in the collector's isDegraded()
+ */
+function isDegradedRun(run) {
+  return run.failures > 0 || (run.problems?.length || 0) > 0;
+}
+
+/**
+ * Render the Collector health widget from statsData.runs (one record per run
+ * that wrote): run counts for the last 7 days, a strip with one cell per
+ * hour (ok, degraded, missed) and the latest missed and degraded runs.
+ * Hours without a run only count as missed when the runs around them are
+ * more than 1.5 hours apart, so a run that slipped into the next hour is not
+ * reported.
+ */
+function renderCollectorHealth() {
+  const statsEl = document.getElementById('collectorHealthStats');
+  const stripEl = document.getElementById('collectorHealthStrip');
+  const issuesEl = document.getElementById('collectorHealthIssues');
+  if (!statsEl || !stripEl || !issuesEl) return;
+
+  const runs = statsData.runs || [];
+  if (runs.length === 0) {
+    statsEl.innerHTML = '<div class="widget-empty">No run records yet</div>';
+    stripEl.innerHTML = '';
+    issuesEl.innerHTML = '';
+    return;
+  }
+
+  const now = Date.now();
+  const starts = runs.map(run => new Date(run.startedAt).getTime());
+  const firstHour = Math.floor((now - HEALTH_DAYS * 24 * HOUR_MS) / HOUR_MS) * HOUR_MS + HOUR_MS;
+
+  // One cell per hour, oldest first
+  const cells = [];
+  for (let hour = firstHour; hour <= now; hour += HOUR_MS) {
+    const inHour = runs.filter((run, i) => starts[i] >= hour && starts[i] < hour + HOUR_MS);
+    let status;
+    if (inHour.length > 0) {
+      status = inHour.some(isDegradedRun) ? 'degraded' : 'ok';
+    } else if (hour + HOUR_MS <= starts[0]) {
+      status = 'none';
+    } else if (hour + HOUR_MS > now) {
+      status = 'pending';
+    } else {
+      const previous = starts.filter(start => start < hour).at(-1);
+      const next = starts.find(start => start >= hour + HOUR_MS) ?? now;
+      status = next - previous > 1.5 * HOUR_MS ? 'missed' : 'late';
+    }
+    cells.push({ hour, status, runs: inHour });
+  }
+
+  const recent = runs.filter((run, i) => starts[i] >= firstHour);
+  const missed = cells.filter(cell => cell.status === 'missed').length;
+  const degraded = recent.filter(isDegradedRun);
+  const last = runs[runs.length - 1];
+  const durations = recent
+    .map(run => new Date(run.finishedAt) - new Date(run.startedAt))
+    .filter(ms => ms >= 0)
+    .sort((a, b) => a - b);
+  const median = durations.length > 0 ? durations[Math.floor(durations.length / 2)] : null;
+
+  const stat = (value, label) => `
+    <div class="audience-stat">
+      <span class="audience-value">${value}</span>
+      <span class="audience-label">${label}</span>
+    </div>`;
+  statsEl.innerHTML = [
+    stat(formatDuration(now - new Date(last.startedAt).getTime()) + ' ago', 'Last run'),
+    stat(recent.length.toLocaleString(), 'Runs'),
+    stat(`<span class="${missed > 0 ? 'health-bad' : ''}">${missed}</span>`, 'Missed hours'),
+    stat(`<span class="${degraded.length > 0 ? 'health-warn' : ''}">${degraded.length}</span>`, 'Degraded runs'),
+    stat(median != null ? `${Math.round(median / 1000)}s` : '-', 'Median duration'),
+    stat(last.size ? `${(last.size / 1024 / 1024).toFixed(2)} MB` : '-', 'Stored size')
+  ].join('');
+
+  stripEl.innerHTML = cells.map(cell => {
+    const when = formatDate(new Date(cell.hour));
+    let title = `${when}: `;
+    if (cell.runs.length > 0) {
+      title += cell.runs.map(run => {
+        const requests = (run.requests?.com || 0) + (run.requests?.red || 0);
+        const parts = [`${run.mode || 'auto'} refresh of ${run.refreshed ?? 0} images`, `${requests} requests`];
+        if (run.retries) parts.push(`${run.retries} retries`);
+        if (run.rateLimited) parts.push(`${run.rateLimited} rate-limited`);
+        if (run.failures) parts.push(`${run.failures} failed`);
+        return parts.join(', ') + (run.problems?.length ? ` (${run.problems.join('; ')})` : '');
+      }).join(' | ');
+    } else {
+      title += { none: 'before the first recorded run', pending: 'next run due', missed: 'no run', late: 'run moved to the next hour' }[cell.status];
+    }
+    return `<span class="health-cell ${cell.status}" title="${escapeHtml(title)}"></span>`;
+  }).join('');
+
+  // Missed stretches and degraded runs, newest first
+  const issues = [];
+  for (let i = 0; i < runs.length; i++) {
+    const next = i + 1 < runs.length ? starts[i + 1] : now;
+    if (next - starts[i] > 1.5 * HOUR_MS && next > firstHour) {
+      // The run due in the current hour is not missed yet
+      const count = i + 1 < runs.length
+        ? Math.round((next - starts[i]) / HOUR_MS) - 1
+        : Math.floor((next - starts[i]) / HOUR_MS - 0.5);
+      issues.push({
+        time: starts[i] + HOUR_MS,
+        text: `${count} hourly run${count === 1 ? '' : 's'} missed` +
+          (i + 1 < runs.length ? ` until ${formatDate(new Date(next))}` : ' so far')
+      });
+    }
+  }
+  for (const run of degraded) {
+    const reasons = [...(run.problems || [])];
+    if (run.failures > 0) reasons.push(`${run.failures} failed request${run.failures === 1 ? '' : 's'}`);
+    issues.push({ time: new Date(run.startedAt).getTime(), text: `Degraded run: ${reasons.join('; ')}`, degraded: true });
+  }
+  issues.sort((a, b) => b.time - a.time);
+
+  issuesEl.innerHTML = issues.length === 0
+    ? '<div class="widget-empty">Every hourly run of the last 7 days completed</div>'
+    : issues.slice(0, 8).map(issue => `
+      <div class="health-issue${issue.degraded ? ' degraded' : ''}">
+        <span class="milestone-date">${escapeHtml(formatDate(new Date(issue.time)))}</span>
+        ${escapeHtml(issue.text)}
+      </div>`).join('');
+}
+
+/**
+ * Aggregate reactions per checkpoint and per LoRA from each image's `meta`.
+ * An image counts once for its checkpoint and once for each of its LoRAs.
+ * Gains are reactions gained over `timeRange`, as in computePeriodSummary.
+ * Returns { checkpoints: [row], loras: [row], withoutMeta } where a row is
+ * { name, baseModel, images, reactions, gain, avgReactions, avgGain }.
+ */
+function computeResourceStats(timeRange) {
+  const checkpoints = new Map();
+  const loras = new Map();
+  let withoutMeta = 0;
+
+  const add = (map, name, baseModel, reactions, gain) => {
+    if (!map.has(name)) {
+      map.set(name, { name, baseModels: new Map(), images: 0, reactions: 0, gain: 0 });
+    }
+    const row = map.get(name);
+    row.images++;
+    row.reactions += reactions;
+    row.gain += gain;
+    if (baseModel) row.baseModels.set(baseModel, (row.baseModels.get(baseModel) || 0) + 1);
+  };
+
+  for (const image of statsData?.images || []) {
+    const meta = image.meta;
+    if (!meta || (!meta.checkpoint && !meta.loras)) {
+      withoutMeta++;
+      continue;
+    }
+
+    const resolved = resolveAllSnapshots(image.snapshots || []);
+    const last = resolved[resolved.length - 1];
+    const reactions = getTotalReactions(last);
+    const filtered = filterByTimeRange(resolved, timeRange);
+    const gain = filtered.length >= 2
+      ? Math.max(0, getTotalReactions(filtered[filtered.length - 1]) - getTotalReactions(filtered[0]))
+      : 0;
+
+    if (meta.checkpoint) add(checkpoints, meta.checkpoint, meta.baseModel, reactions, gain);
+    for (const lora of meta.loras || []) {
+      add(loras, lora.name, meta.baseModel, reactions, gain);
+    }
+  }
+
+  const rows = map => [...map.values()].map(({ baseModels, ...row }) => ({
+    ...row,
+    // Most common base model among the images using the resource
+    baseModel: [...baseModels.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null,
+    avgReactions: row.reactions / row.images,
+    avgGain: row.gain / row.images
+  }));
+
+  return { checkpoints: rows(checkpoints), loras: rows(loras), withoutMeta };
+}
+
+/**
+ * Render the Resources tab: one table for checkpoints, one for LoRAs
+ */
+function renderResources() {
+  const checkpointTable = document.getElementById('checkpointTable');
+  const loraTable = document.getElementById('loraTable');
+  if (!checkpointTable || !loraTable || !statsData) return;
+
+  const timeRange = document.getElementById('resourceRangeSelect').value;
+  const sortBy = document.getElementById('resourceSortSelect').value;
+  const rangeLabel = document.getElementById('resourceRangeSelect').selectedOptions[0].textContent.replace('Gains: ', '');
+  const { checkpoints, loras, withoutMeta } = computeResourceStats(timeRange);
+
+  const table = (rows, emptyText) => {
+    if (rows.length === 0) {
+      return `<div class="widget-empty">${emptyText}</div>`;
+    }
+    const sorted = [...rows].sort((a, b) => b[sortBy] - a[sortBy] || b.reactions - a.reactions);
+    const body = sorted.map(row => `
+      <tr>
+        <td class="resource-name">
+          ${escapeHtml(row.name)}
+          ${row.baseModel ? `<span class="resource-base">${escapeHtml(row.baseModel)}</span>` : ''}
+        </td>
+        <td>${row.images.toLocaleString()}</td>
+        <td>${formatNumber(row.reactions)}</td>
+        <td class="${row.gain > 0 ? 'delta-up' : 'delta-muted'}">+${formatNumber(row.gain)}</td>
+        <td>${formatNumber(Math.round(row.avgReactions))}</td>
+        <td>+${row.avgGain.toFixed(1)}</td>
+      </tr>`).join('');
+    return `
+      <table class="resources-table">
+        <thead>
+          <tr>
+            <th>Resource</th>
+            <th>Images</th>
+            <th>\u{1F310} Reactions</th>
+            <th>Gained (${escapeHtml(rangeLabel)})</th>
+            <th>Avg / image</th>
+            <th>Avg gain / image</th>
+          </tr>
+        </thead>
+        <tbody>${body}</tbody>
+      </table>`;
+  };
+
+  checkpointTable.innerHTML = table(checkpoints, 'No checkpoint information yet');
+  loraTable.innerHTML = table(loras, 'No LoRAs used');
+
+  document.getElementById('resourcesNote').textContent = withoutMeta > 0
+    ? `${withoutMeta} image${withoutMeta === 1 ? ' has' : 's have'} no generation metadata (hidden by the uploader, or not crawled since metadata collection started).`
+    : '';
+}
+
 /**
  * Render the overview chart
  */
@@ -621,9 +1385,13 @@ function renderChart() {
           callbacks: {
             label: function(context) {
               const emoji = LABEL_EMOJI[context.dataset.label] || context.dataset.label;
+              if (context.parsed.y == null) return null;
               const value = context.parsed.y.toLocaleString();
+              if (context.dataset.samples) {
+                return `${emoji}: +${value}/h (peak over ${context.dataset.samples[context.dataIndex]} samples)`;
+              }
               if (deltaMode) {
-                return `${emoji}: +${value}`;
+                return `${emoji}: ${context.parsed.y >= 0 ? '+' : ''}${value}`;
               }
               const idx = context.dataIndex;
               let delta = '';
@@ -634,7 +1402,7 @@ function renderChart() {
                   delta = ` (${diff >= 0 ? '+' : ''}${diff.toLocaleString()})`;
                 }
               }
-              return `${emoji}: ${value}${delta}`;
+              return `${emoji}: ${value}${delta}${peakNote(context.dataset.snapshots?.[idx])}`;
             }
           }
         }
@@ -662,7 +1430,7 @@ function renderChart() {
           beginAtZero: true,
           title: deltaMode ? {
             display: true,
-            text: 'Gained per period',
+            text: 'Gained per period (corrections below zero)',
             color: '#909296',
             font: { size: 12 }
           } : { display: false }
@@ -684,9 +1452,9 @@ function updateChart() {
  * Get chart data based on current time range and visible lines
  */
 function getChartData() {
-  const resolved = filterByTimeRange(resolveSnapshots(statsData.totalSnapshots || []));
+  const resolved = filterByTimeRange(resolveAllSnapshots(statsData.totalSnapshots || []));
   const deltaMode = isDeltaMode(currentTimeRange);
-  const snapshots = deltaMode ? computeDeltas(resolved) : resolved;
+  const snapshots = deltaMode ? computeDeltas(resolved, totalCorrections()) : resolved;
 
   const labels = snapshots.map(s => formatChartDate(new Date(s.timestamp), currentTimeRange));
 
@@ -702,7 +1470,8 @@ function getChartData() {
       tension: 0,
       fill: false,
       pointRadius: snapshots.length > 50 ? 0 : 3,
-      pointHoverRadius: 5
+      pointHoverRadius: 5,
+      snapshots
     });
   }
 
@@ -790,6 +1559,12 @@ function getChartData() {
     });
   }
 
+  const corrections = deltaMode ? correctionDataset(snapshots) : null;
+  if (corrections) datasets.push(corrections);
+
+  const peaks = deltaMode ? peakDataset(snapshots) : null;
+  if (peaks) datasets.push(peaks);
+
   return { labels, datasets };
 }
 
@@ -830,8 +1605,11 @@ function renderImages(sortBy = 'newest') {
   imageCharts.clear();
   imageTimeRanges.clear();
 
-  // Update count
-  document.getElementById('imageCount').textContent = `${images.length} images`;
+  // Update count (a sharded layout may not have loaded every image yet)
+  const total = imageTotal();
+  document.getElementById('imageCount').textContent = images.length < total
+    ? `${images.length} of ${total} images loaded`
+    : `${images.length} images`;
 
   // Get images to display
   const toDisplay = images.slice(0, displayedImages);
@@ -842,18 +1620,20 @@ function renderImages(sortBy = 'newest') {
   setupImageChartListeners(toDisplay);
 
   // Show/hide load more button
-  loadMoreContainer.style.display = displayedImages < images.length ? 'flex' : 'none';
+  loadMoreContainer.style.display = displayedImages < total ? 'flex' : 'none';
 }
 
 /**
- * Set up event listeners for image chart toggles and time selectors
+ * Set up event listeners for image chart toggles and time selectors within
+ * `root`. Charts are kept in `charts` (the Posts and Models tabs keep their
+ * own) and drawn with `render` (renderModelChart for models).
  */
-function setupImageChartListeners(images) {
+function setupImageChartListeners(images, root = document, charts = imageCharts, render = renderImageChart) {
   // Chart toggle buttons
-  document.querySelectorAll('.image-chart-toggle').forEach(btn => {
+  root.querySelectorAll('.image-chart-toggle').forEach(btn => {
     btn.addEventListener('click', () => {
       const imageId = btn.dataset.imageId;
-      const container = document.getElementById(`chart-container-${imageId}`);
+      const container = root.querySelector(`#chart-container-${imageId}`);
       const isExpanded = container.classList.contains('visible');
 
       if (isExpanded) {
@@ -868,11 +1648,11 @@ function setupImageChartListeners(images) {
         btn.querySelector('span').textContent = 'Hide Chart';
 
         // Render chart if not already rendered
-        if (!imageCharts.has(imageId)) {
+        if (!charts.has(imageId)) {
           const image = images.find(img => img.id === imageId);
           if (image) {
             const timeRange = imageTimeRanges.get(imageId) || 'all';
-            renderImageChart(image, timeRange);
+            render(image, timeRange, charts);
           }
         }
       }
@@ -880,7 +1660,7 @@ function setupImageChartListeners(images) {
   });
 
   // Per-image chart type toggle
-  document.querySelectorAll('.image-chart-type-btn').forEach(btn => {
+  root.querySelectorAll('.image-chart-type-btn').forEach(btn => {
     btn.addEventListener('click', () => {
       const imageId = btn.dataset.imageId;
       const type = btn.dataset.type;
@@ -894,13 +1674,13 @@ function setupImageChartListeners(images) {
       const image = images.find(img => img.id === imageId);
       if (image) {
         const timeRange = imageTimeRanges.get(imageId) || 'all';
-        renderImageChart(image, timeRange);
+        render(image, timeRange, charts);
       }
     });
   });
 
   // Time selector buttons for each image
-  document.querySelectorAll('.image-time-btn').forEach(btn => {
+  root.querySelectorAll('.image-time-btn').forEach(btn => {
     btn.addEventListener('click', () => {
       const imageId = btn.dataset.imageId;
       const range = btn.dataset.range;
@@ -915,16 +1695,93 @@ function setupImageChartListeners(images) {
 
       const image = images.find(img => img.id === imageId);
       if (image) {
-        renderImageChart(image, range);
+        render(image, range, charts);
       }
     });
   });
 }
 
+/**
+ * Chart.js options of the small per-card charts (images, posts, models).
+ * In delta mode the tooltip shows the gain of each period, otherwise the
+ * value and its change from the previous point.
+ */
+function imageChartOptions(deltaMode) {
+  return {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: {
+      mode: 'index',
+      intersect: false
+    },
+    plugins: {
+      legend: {
+        display: false
+      },
+      tooltip: {
+        backgroundColor: '#25262b',
+        titleColor: '#fff',
+        bodyColor: '#c1c2c5',
+        borderColor: '#373a40',
+        borderWidth: 1,
+        padding: 8,
+        displayColors: true,
+        callbacks: {
+          label: function(context) {
+            const emoji = LABEL_EMOJI[context.dataset.label] || context.dataset.label;
+            if (context.parsed.y == null) return null;
+            const value = context.parsed.y.toLocaleString();
+            if (context.dataset.samples) {
+              return `${emoji}: +${value}/h (peak over ${context.dataset.samples[context.dataIndex]} samples)`;
+            }
+            const burst = context.dataset.bursts?.has(context.dataIndex) ? ' \u26A0\uFE0F suspicious burst' : '';
+            if (deltaMode) {
+              return `${emoji}: ${context.parsed.y >= 0 ? '+' : ''}${value}${burst}`;
+            }
+            const idx = context.dataIndex;
+            let delta = '';
+            if (idx > 0) {
+              const prev = context.dataset.data[idx - 1];
+              const diff = context.parsed.y - prev;
+              if (diff !== 0) {
+                delta = ` (${diff >= 0 ? '+' : ''}${diff.toLocaleString()})`;
+              }
+            }
+            return `${emoji}: ${value}${delta}${peakNote(context.dataset.snapshots?.[idx])}${burst}`;
+          }
+        }
+      }
+    },
+    scales: {
+      x: {
+        display: false
+      },
+      y: {
+        grid: {
+          color: 'rgba(55, 58, 64, 0.3)',
+          drawBorder: false
+        },
+        ticks: {
+          color: '#909296',
+          font: { size: 10 },
+          callback: value => formatNumber(value)
+        },
+        beginAtZero: true,
+        title: deltaMode ? {
+          display: true,
+          text: 'Gained per period',
+          color: '#909296',
+          font: { size: 10 }
+        } : { display: false }
+      }
+    }
+  };
+}
+
 /**
  * Render chart for a single image
  */
-function renderImageChart(image, timeRange) {
+function renderImageChart(image, timeRange, charts = imageCharts) {
   const canvasId = `image-chart-${image.id}`;
   const canvas = document.getElementById(canvasId);
   if (!canvas) return;
@@ -932,13 +1789,13 @@ function renderImageChart(image, timeRange) {
   const ctx = canvas.getContext('2d');
 
   // Destroy existing chart if any
-  if (imageCharts.has(image.id)) {
-    imageCharts.get(image.id).destroy();
+  if (charts.has(image.id)) {
+    charts.get(image.id).destroy();
   }
 
-  const resolved = filterByTimeRange(resolveSnapshots(image.snapshots || []), timeRange);
+  const resolved = filterByTimeRange(resolveAllSnapshots(image.snapshots || []), timeRange);
   const deltaMode = isDeltaMode(timeRange);
-  const snapshots = deltaMode ? computeDeltas(resolved) : resolved;
+  const snapshots = deltaMode ? computeDeltas(resolved, image.corrections) : resolved;
 
   if (snapshots.length < 2) {
     // Not enough data points
@@ -962,16 +1819,22 @@ function renderImageChart(image, timeRange) {
   const datasets = [];
 
   if (vis.total) {
+    // Flagged bursts stand out as larger points (or bars) in BURST_COLOR
+    const bursts = burstPoints(snapshots, image.anomalies);
+    const pointRadius = snapshots.length > 30 ? 0 : 2;
     datasets.push({
       label: 'Total',
       data: snapshots.map(s => (s.likes || 0) + (s.hearts || 0) + (s.laughs || 0) + (s.cries || 0)),
       borderColor: CHART_COLORS.total,
-      backgroundColor: CHART_COLORS.total + '20',
+      backgroundColor: snapshots.map((_, i) => bursts.has(i) ? BURST_COLOR + 'c0' : CHART_COLORS.total + '20'),
+      pointBackgroundColor: snapshots.map((_, i) => bursts.has(i) ? BURST_COLOR : CHART_COLORS.total),
       borderWidth: 2,
       tension: 0,
       fill: false,
-      pointRadius: snapshots.length > 30 ? 0 : 2,
-      pointHoverRadius: 4
+      pointRadius: snapshots.map((_, i) => bursts.has(i) ? 5 : pointRadius),
+      pointHoverRadius: 4,
+      bursts,
+      snapshots
     });
   }
 
@@ -1053,6 +1916,12 @@ function renderImageChart(image, timeRange) {
     });
   }
 
+  const corrections = deltaMode ? correctionDataset(snapshots) : null;
+  if (corrections) datasets.push(corrections);
+
+  const peaks = deltaMode ? peakDataset(snapshots) : null;
+  if (peaks) datasets.push(peaks);
+
   const chartType = getEffectiveChartType(timeRange, imageChartTypes.get(image.id));
 
   const chart = new Chart(ctx, {
@@ -1061,73 +1930,10 @@ function renderImageChart(image, timeRange) {
       labels,
       datasets
     },
-    options: {
-      responsive: true,
-      maintainAspectRatio: false,
-      interaction: {
-        mode: 'index',
-        intersect: false
-      },
-      plugins: {
-        legend: {
-          display: false
-        },
-        tooltip: {
-          backgroundColor: '#25262b',
-          titleColor: '#fff',
-          bodyColor: '#c1c2c5',
-          borderColor: '#373a40',
-          borderWidth: 1,
-          padding: 8,
-          displayColors: true,
-          callbacks: {
-            label: function(context) {
-              const emoji = LABEL_EMOJI[context.dataset.label] || context.dataset.label;
-              const value = context.parsed.y.toLocaleString();
-              if (deltaMode) {
-                return `${emoji}: +${value}`;
-              }
-              const idx = context.dataIndex;
-              let delta = '';
-              if (idx > 0) {
-                const prev = context.dataset.data[idx - 1];
-                const diff = context.parsed.y - prev;
-                if (diff !== 0) {
-                  delta = ` (${diff >= 0 ? '+' : ''}${diff.toLocaleString()})`;
-                }
-              }
-              return `${emoji}: ${value}${delta}`;
-            }
-          }
-        }
-      },
-      scales: {
-        x: {
-          display: false
-        },
-        y: {
-          grid: {
-            color: 'rgba(55, 58, 64, 0.3)',
-            drawBorder: false
-          },
-          ticks: {
-            color: '#909296',
-            font: { size: 10 },
-            callback: value => formatNumber(value)
-          },
-          beginAtZero: true,
-          title: deltaMode ? {
-            display: true,
-            text: 'Gained per period',
-            color: '#909296',
-            font: { size: 10 }
-          } : { display: false }
-        }
-      }
-    }
+    options: imageChartOptions(deltaMode)
   });
 
-  imageCharts.set(image.id, chart);
+  charts.set(image.id, chart);
 }
 
 /**
@@ -1153,16 +1959,16 @@ function sortImages(images, sortBy) {
 }
 
 /**
- * Get current stats from an image (latest snapshot or legacy currentStats)
+ * Get current stats from an image (latest snapshot). Legacy `currentStats`
+ * images are converted to snapshots by migrateStatsData on load.
  */
 function getCurrentStats(image) {
-  // Support new snapshots format — resolve deltas to get absolute values
+  // Resolve deltas to get absolute values
   if (image.snapshots && image.snapshots.length > 0) {
-    const resolved = resolveSnapshots(image.snapshots);
+    const resolved = resolveAllSnapshots(image.snapshots);
     return resolved[resolved.length - 1];
   }
-  // Fallback to legacy format
-  return image.currentStats || { likes: 0, hearts: 0, laughs: 0, cries: 0, comments: 0, buzz: 0, collects: 0, views: 0 };
+  return { likes: 0, hearts: 0, laughs: 0, cries: 0, comments: 0, buzz: 0, collects: 0, views: 0 };
 }
 
 /**
@@ -1188,7 +1994,7 @@ function computePeriodSummary(timeRange) {
   for (const image of statsData.images) {
     if (!image.snapshots || image.snapshots.length === 0) continue;
 
-    const resolved = resolveSnapshots(image.snapshots);
+    const resolved = resolveAllSnapshots(image.snapshots);
     const filtered = filterByTimeRange(resolved, timeRange);
     if (filtered.length < (timeRange === 'all' ? 1 : 2)) continue;
 
@@ -1314,6 +2120,118 @@ function renderPeriodSummary() {
   });
 }
 
+/**
+ * Chart toggle, controls and canvas of an image card (or a post card, whose
+ * `id` is 'post-<postId>'), or a note when there is no history yet
+ */
+function imageChartSection(id, hasSnapshots) {
+  if (!hasSnapshots) {
+    return `
+    <div class="image-chart-empty-note" style="font-size: 11px; color: var(--text-muted); margin-top: 8px; text-align: center;">
+      Historical data will appear after more snapshots are collected
+    </div>
+    `;
+  }
+  return `
+    <button class="image-chart-toggle" data-image-id="${escapeHtml(id)}">
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <polyline points="6 9 12 15 18 9"></polyline>
+      </svg>
+      <span>Show Chart</span>
+    </button>
+    <div class="image-chart-container" id="chart-container-${escapeHtml(id)}">
+      <div class="image-chart-controls">
+        <div class="image-time-selector">
+          <button class="image-time-btn" data-range="1d" data-image-id="${escapeHtml(id)}">1D</button>
+          <button class="image-time-btn" data-range="7d" data-image-id="${escapeHtml(id)}">7D</button>
+          <button class="image-time-btn" data-range="30d" data-image-id="${escapeHtml(id)}">30D</button>
+          <button class="image-time-btn" data-range="1y" data-image-id="${escapeHtml(id)}">1Y</button>
+          <button class="image-time-btn active" data-range="all" data-image-id="${escapeHtml(id)}">All</button>
+        </div>
+        <div class="image-chart-type-toggle" data-image-id="${escapeHtml(id)}">
+          <button class="image-chart-type-btn active" data-type="auto" data-image-id="${escapeHtml(id)}" title="Auto">
+            <svg viewBox="0 0 24 24" width="12" height="12" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="3"/><path d="M12 2v4m0 12v4m-10-10h4m12 0h4"/></svg>
+          </button>
+          <button class="image-chart-type-btn" data-type="line" data-image-id="${escapeHtml(id)}" title="Line">
+            <svg viewBox="0 0 24 24" width="12" height="12" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 17 9 11 13 15 21 7"/></svg>
+          </button>
+          <button class="image-chart-type-btn" data-type="bar" data-image-id="${escapeHtml(id)}" title="Bar">
+            <svg viewBox="0 0 24 24" width="12" height="12" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="12" width="4" height="9"/><rect x="10" y="7" width="4" height="14"/><rect x="17" y="3" width="4" height="18"/></svg>
+          </button>
+        </div>
+      </div>
+      <div class="image-chart-wrapper">
+        <canvas id="image-chart-${escapeHtml(id)}"></canvas>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Reaction badges of an image card (likes, hearts, ..., collects)
+ */
+function statBadgesHtml(stats) {
+  return `
+    <span class="stat-badge likes">
+      &#x1F44D;
+      ${formatNumber(stats.likes || 0)}
+    </span>
+    <span class="stat-badge hearts">
+      &#x2764;&#xFE0F;
+      ${formatNumber(stats.hearts || 0)}
+    </span>
+    <span class="stat-badge laughs">
+      &#x1F604;
+      ${formatNumber(stats.laughs || 0)}
+    </span>
+    <span class="stat-badge cries">
+      &#x1F622;
+      ${formatNumber(stats.cries || 0)}
+    </span>
+    <span class="stat-badge comments">
+      &#x1F4AC;
+      ${formatNumber(stats.comments || 0)}
+    </span>
+    <span class="stat-badge buzz">
+      &#x26A1;
+      ${formatNumber(stats.buzz || 0)}
+    </span>
+    <span class="stat-badge collects">
+      &#x1F516;
+      ${formatNumber(stats.collects || 0)}
+    </span>
+  `;
+}
+
+/**
+ * Badge of a stale image, with the reason and date of its status if it has one
+ */
+function staleBadge(image) {
+  if (!image.stale) return '';
+  const availability = image.availability;
+  const status = STALE_BADGES[availability?.status] ? availability.status : 'frozen';
+  const { label, title } = STALE_BADGES[status];
+  const detail = status === 'frozen' ? '' : ` (${availability.reason}, since ${formatDate(new Date(availability.since))})`;
+  return `<span class="host-badge stale ${status}" title="${escapeHtml(title + detail)}">${label}</span>`;
+}
+
+/**
+ * Badges for the highest threshold an image reached in each metric
+ */
+function milestoneBadges(image) {
+  const best = new Map();
+  for (const milestone of imageMilestones.get(image.id) || []) {
+    if (!best.has(milestone.metric) || best.get(milestone.metric).threshold < milestone.threshold) {
+      best.set(milestone.metric, milestone);
+    }
+  }
+  return [...best.values()].map(milestone => {
+    const label = MILESTONE_LABELS[milestone.metric] || milestone.metric;
+    const title = `Reached ${milestone.threshold.toLocaleString()} ${label} on ${formatDate(new Date(milestone.timestamp))}`;
+    return `<span class="host-badge milestone" title="${escapeHtml(title)}">\u{1F3C6} ${formatThreshold(milestone.threshold)} ${escapeHtml(label)}</span>`;
+  }).join('');
+}
+
 /**
  * Create an image card HTML
  */
@@ -1324,7 +2242,8 @@ function createImageCard(image) {
 
   const badges =
     (image.host === 'red' ? '<span class="host-badge red" title="Hosted on civitai.red (R+)">.red</span>' : '') +
-    (image.stale ? '<span class="host-badge stale" title="Not returned by the API on the latest run — stats are frozen at their last-known value (possibly migrated or removed)">frozen</span>' : '');
+    staleBadge(image) +
+    milestoneBadges(image);
 
   return `
     <div class="image-card" data-image-id="${escapeHtml(image.id)}">
@@ -1342,75 +2261,385 @@ function createImageCard(image) {
             </a>
           </div>
           <div class="image-date">${date}${badges}</div>
-          <div class="image-stats">
-            <span class="stat-badge likes">
-              &#x1F44D;
-              ${formatNumber(stats.likes || 0)}
-            </span>
-            <span class="stat-badge hearts">
-              &#x2764;&#xFE0F;
-              ${formatNumber(stats.hearts || 0)}
-            </span>
-            <span class="stat-badge laughs">
-              &#x1F604;
-              ${formatNumber(stats.laughs || 0)}
-            </span>
-            <span class="stat-badge cries">
-              &#x1F622;
-              ${formatNumber(stats.cries || 0)}
-            </span>
-            <span class="stat-badge comments">
-              &#x1F4AC;
-              ${formatNumber(stats.comments || 0)}
-            </span>
-            <span class="stat-badge buzz">
-              &#x26A1;
-              ${formatNumber(stats.buzz || 0)}
-            </span>
-            <span class="stat-badge collects">
-              &#x1F516;
-              ${formatNumber(stats.collects || 0)}
-            </span>
+          <div class="image-stats">${statBadgesHtml(stats)}</div>
+        </div>
+      </div>
+      ${imageChartSection(image.id, hasSnapshots)}
+    </div>
+  `;
+}
+
+/**
+ * Sum the series of several images into one: at every timestamp any of them
+ * has, each image contributes its latest value at or before that time.
+ */
+function combineSnapshots(images) {
+  const fields = ['likes', 'hearts', 'laughs', 'cries', 'comments', 'buzz', 'collects', 'views'];
+  const series = images.map(image => resolveAllSnapshots(image.snapshots || []));
+  const timestamps = [...new Set(series.flat().map(s => s.timestamp))]
+    .sort((a, b) => new Date(a) - new Date(b));
+
+  const positions = series.map(() => -1);
+  return timestamps.map(timestamp => {
+    const time = new Date(timestamp).getTime();
+    const combined = { timestamp };
+    fields.forEach(f => combined[f] = 0);
+    series.forEach((snapshots, i) => {
+      while (positions[i] + 1 < snapshots.length && new Date(snapshots[positions[i] + 1].timestamp).getTime() <= time) {
+        positions[i]++;
+      }
+      const current = snapshots[positions[i]];
+      if (current) fields.forEach(f => combined[f] += current[f] || 0);
+    });
+    return combined;
+  });
+}
+
+/**
+ * Group images by `postId` into posts:
+ * { id: 'post-<postId>', postId, url, images, createdAt, stats, snapshots, corrections, best, worst }
+ * `snapshots` is the combined series (absolute values), `corrections` those
+ * of all its images; best/worst are the
+ * images with the most/fewest reactions. Returns { posts, withoutPost }.
+ */
+function groupPosts() {
+  const byPost = new Map();
+  let withoutPost = 0;
+  for (const image of statsData?.images || []) {
+    if (image.postId == null) {
+      withoutPost++;
+      continue;
+    }
+    if (!byPost.has(image.postId)) byPost.set(image.postId, []);
+    byPost.get(image.postId).push(image);
+  }
+
+  const posts = [...byPost.entries()].map(([postId, images]) => {
+    const ranked = images
+      .map(image => ({ image, reactions: getTotalReactions(getCurrentStats(image)) }))
+      .sort((a, b) => b.reactions - a.reactions);
+    const snapshots = combineSnapshots(images);
+    const first = images[0];
+    return {
+      id: `post-${postId}`,
+      postId,
+      // Image URLs are <origin>/images/<id>; posts live on the same host
+      url: first.url ? first.url.replace(/\/images\/[^/]+$/, `/posts/${postId}`) : null,
+      host: first.host,
+      images,
+      createdAt: images.map(img => img.createdAt).filter(Boolean).sort()[0] || null,
+      stats: snapshots[snapshots.length - 1] || getCurrentStats({}),
+      snapshots,
+      corrections: images.flatMap(img => img.corrections || []),
+      best: ranked[0],
+      worst: ranked.length > 1 ? ranked[ranked.length - 1] : null
+    };
+  });
+
+  return { posts, withoutPost };
+}
+
+/**
+ * Sort posts
+ */
+function sortPosts(posts, sortBy) {
+  switch (sortBy) {
+    case 'oldest':
+      return posts.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    case 'reactions':
+      return posts.sort((a, b) => getTotalReactions(b.stats) - getTotalReactions(a.stats));
+    case 'average':
+      return posts.sort((a, b) => getTotalReactions(b.stats) / b.images.length - getTotalReactions(a.stats) / a.images.length);
+    case 'images':
+      return posts.sort((a, b) => b.images.length - a.images.length);
+    case 'newest':
+    default:
+      return posts.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+}
+
+/**
+ * Render the Posts tab
+ */
+function renderPosts() {
+  const grid = document.getElementById('postsGrid');
+  if (!grid || !statsData) return;
+
+  postCharts.forEach(chart => chart.destroy());
+  postCharts.clear();
+
+  const { posts, withoutPost } = groupPosts();
+  sortPosts(posts, document.getElementById('postSortSelect').value);
+
+  document.getElementById('postCount').textContent = `${posts.length} posts`;
+
+  const toDisplay = posts.slice(0, displayedPosts);
+  grid.innerHTML = toDisplay.length > 0
+    ? toDisplay.map(post => createPostCard(post)).join('')
+    : '<div class="widget-empty">No post information yet</div>';
+
+  setupImageChartListeners(toDisplay, grid, postCharts);
+
+  document.getElementById('postsLoadMoreContainer').style.display = displayedPosts < posts.length ? 'flex' : 'none';
+  document.getElementById('postsNote').textContent = withoutPost > 0
+    ? `${withoutPost} image${withoutPost === 1 ? ' has' : 's have'} no post yet (filled in the next time a crawl reaches ${withoutPost === 1 ? 'it' : 'them'}).`
+    : '';
+}
+
+/**
+ * Re-render the open charts of the Posts tab (after a color or line change)
+ */
+function rerenderPostCharts() {
+  const { posts } = groupPosts();
+  postCharts.forEach((chart, postId) => {
+    const post = posts.find(p => p.id === postId);
+    if (post) renderImageChart(post, imageTimeRanges.get(postId) || 'all', postCharts);
+  });
+}
+
+/**
+ * Create a post card HTML: combined stats and chart, best and worst image
+ */
+function createPostCard(post) {
+  const date = post.createdAt ? formatDate(new Date(post.createdAt)) : 'Unknown';
+  const hasSnapshots = post.snapshots.length > 1;
+  const thumbs = post.images.slice(0, 4).map(image => image.thumbnailUrl
+    ? `<img src="${escapeHtml(image.thumbnailUrl)}" alt="" loading="lazy">`
+    : '<div class="placeholder">?</div>').join('');
+  const badges = post.host === 'red' ? '<span class="host-badge red" title="Hosted on civitai.red (R+)">.red</span>' : '';
+
+  const imageLink = ({ image, reactions }, label) => `
+    <div class="post-rank">
+      <span class="post-rank-label">${label}</span>
+      <a href="${escapeHtml(image.url)}" target="_blank" rel="noopener">${escapeHtml(image.name || `Image ${image.id}`)}</a>
+      <span class="post-rank-value">\u{1F310} ${formatNumber(reactions)}</span>
+    </div>`;
+
+  return `
+    <div class="image-card post-card" data-image-id="${escapeHtml(post.id)}">
+      <div class="image-card-header">
+        <div class="image-thumbnail post-thumbnails">${thumbs}</div>
+        <div class="image-info">
+          <div class="image-name">
+            ${post.url
+              ? `<a href="${escapeHtml(post.url)}" target="_blank" rel="noopener">Post ${escapeHtml(String(post.postId))}</a>`
+              : `Post ${escapeHtml(String(post.postId))}`}
           </div>
+          <div class="image-date">${date} · ${post.images.length} image${post.images.length === 1 ? '' : 's'}${badges}</div>
+          <div class="image-stats">${statBadgesHtml(post.stats)}</div>
         </div>
       </div>
-      ${hasSnapshots ? `
-        <button class="image-chart-toggle" data-image-id="${escapeHtml(image.id)}">
-          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-            <polyline points="6 9 12 15 18 9"></polyline>
-          </svg>
-          <span>Show Chart</span>
-        </button>
-        <div class="image-chart-container" id="chart-container-${escapeHtml(image.id)}">
-          <div class="image-chart-controls">
-            <div class="image-time-selector">
-              <button class="image-time-btn" data-range="1d" data-image-id="${escapeHtml(image.id)}">1D</button>
-              <button class="image-time-btn" data-range="7d" data-image-id="${escapeHtml(image.id)}">7D</button>
-              <button class="image-time-btn" data-range="30d" data-image-id="${escapeHtml(image.id)}">30D</button>
-              <button class="image-time-btn" data-range="1y" data-image-id="${escapeHtml(image.id)}">1Y</button>
-              <button class="image-time-btn active" data-range="all" data-image-id="${escapeHtml(image.id)}">All</button>
-            </div>
-            <div class="image-chart-type-toggle" data-image-id="${escapeHtml(image.id)}">
-              <button class="image-chart-type-btn active" data-type="auto" data-image-id="${escapeHtml(image.id)}" title="Auto">
-                <svg viewBox="0 0 24 24" width="12" height="12" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="3"/><path d="M12 2v4m0 12v4m-10-10h4m12 0h4"/></svg>
-              </button>
-              <button class="image-chart-type-btn" data-type="line" data-image-id="${escapeHtml(image.id)}" title="Line">
-                <svg viewBox="0 0 24 24" width="12" height="12" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 17 9 11 13 15 21 7"/></svg>
-              </button>
-              <button class="image-chart-type-btn" data-type="bar" data-image-id="${escapeHtml(image.id)}" title="Bar">
-                <svg viewBox="0 0 24 24" width="12" height="12" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="12" width="4" height="9"/><rect x="10" y="7" width="4" height="14"/><rect x="17" y="3" width="4" height="18"/></svg>
-              </button>
-            </div>
+      <div class="post-ranks">
+        ${imageLink(post.best, post.worst ? 'Best' : 'Only image')}
+        ${post.worst ? imageLink(post.worst, 'Worst') : ''}
+      </div>
+      ${imageChartSection(post.id, hasSnapshots)}
+    </div>
+  `;
+}
+
+/**
+ * A model as shown on its card. Its `id` is 'model-<id>' so its chart cannot
+ * clash with an image of the same id; `modelId` is the Civitai id.
+ */
+function modelCardOf(model) {
+  return { ...model, id: `model-${model.id}`, modelId: model.id };
+}
+
+/**
+ * Tracked models with their latest stats and what they gained over
+ * `timeRange`: [{ model, stats, gain: { downloads, favorites, thumbsUp } }]
+ * (model as returned by modelCardOf). Unlike reactions, model stats can go
+ * down (withdrawn favorites), so gains may be negative.
+ */
+function modelRows(timeRange) {
+  return (statsData?.models || []).map(stored => {
+    const model = modelCardOf(stored);
+    const resolved = resolveAllSnapshots(model.snapshots, MODEL_SERIES);
+    const stats = resolved[resolved.length - 1] || Object.fromEntries(MODEL_SERIES.fields.map(f => [f, 0]));
+    const filtered = filterByTimeRange(resolved, timeRange);
+    const gain = {};
+    for (const field of ['downloads', 'favorites', 'thumbsUp']) {
+      gain[field] = filtered.length >= 2 ? filtered[filtered.length - 1][field] - filtered[0][field] : 0;
+    }
+    return { model, stats, gain };
+  });
+}
+
+/**
+ * Sort model rows
+ */
+function sortModels(rows, sortBy) {
+  switch (sortBy) {
+    case 'gain':
+      return rows.sort((a, b) => b.gain.downloads - a.gain.downloads || b.stats.downloads - a.stats.downloads);
+    case 'favorites':
+      return rows.sort((a, b) => b.stats.favorites - a.stats.favorites);
+    case 'thumbsUp':
+      return rows.sort((a, b) => b.stats.thumbsUp - a.stats.thumbsUp);
+    case 'newest':
+      return rows.sort((a, b) => new Date(b.model.createdAt || 0) - new Date(a.model.createdAt || 0));
+    case 'downloads':
+    default:
+      return rows.sort((a, b) => b.stats.downloads - a.stats.downloads);
+  }
+}
+
+/**
+ * Render the Models tab: totals over all models, then one card per model
+ */
+function renderModels() {
+  const grid = document.getElementById('modelsGrid');
+  if (!grid || !statsData) return;
+
+  modelCharts.forEach(chart => chart.destroy());
+  modelCharts.clear();
+
+  const rangeSelect = document.getElementById('modelRangeSelect');
+  const rangeLabel = rangeSelect.selectedOptions[0].textContent.replace('Gains: ', '');
+  const rows = sortModels(modelRows(rangeSelect.value), document.getElementById('modelSortSelect').value);
+
+  document.getElementById('modelCount').textContent = `${rows.length} model${rows.length === 1 ? '' : 's'}`;
+
+  const sum = field => rows.reduce((total, row) => total + row.stats[field], 0);
+  const sumGain = field => rows.reduce((total, row) => total + row.gain[field], 0);
+  const gainText = value => `${value >= 0 ? '+' : ''}${formatNumber(value)} (${escapeHtml(rangeLabel)})`;
+  document.getElementById('modelTotals').innerHTML = rows.length === 0 ? '' : `
+    <div class="model-total"><span class="model-total-value">${formatNumber(sum('downloads'))}</span><span class="model-total-label">&#x2B07;&#xFE0F; Downloads</span><span class="model-total-gain">${gainText(sumGain('downloads'))}</span></div>
+    <div class="model-total"><span class="model-total-value">${formatNumber(sum('favorites'))}</span><span class="model-total-label">&#x2B50; Favorites</span><span class="model-total-gain">${gainText(sumGain('favorites'))}</span></div>
+    <div class="model-total"><span class="model-total-value">${formatNumber(sum('thumbsUp'))}</span><span class="model-total-label">&#x1F44D; Thumbs up</span><span class="model-total-gain">${gainText(sumGain('thumbsUp'))}</span></div>
+    <div class="model-total"><span class="model-total-value">${formatNumber(sum('comments'))}</span><span class="model-total-label">&#x1F4AC; Comments</span></div>
+    <div class="model-total"><span class="model-total-value">${formatNumber(sum('buzz'))}</span><span class="model-total-label">&#x26A1; Buzz</span></div>
+  `;
+
+  const toDisplay = rows.slice(0, displayedModels);
+  grid.innerHTML = toDisplay.length > 0
+    ? toDisplay.map(row => createModelCard(row, rangeLabel)).join('')
+    : '<div class="widget-empty">No models tracked</div>';
+
+  setupImageChartListeners(toDisplay.map(row => row.model), grid, modelCharts, renderModelChart);
+
+  document.getElementById('modelsLoadMoreContainer').style.display = displayedModels < rows.length ? 'flex' : 'none';
+  document.getElementById('modelsNote').textContent = statsData.models
+    ? ''
+    : 'Models are tracked by collectors that have model tracking enabled (MODELS_ENABLED, on by default); they appear after its next run.';
+}
+
+/**
+ * Re-render the open charts of the Models tab (after a color change)
+ */
+function rerenderModelCharts() {
+  modelCharts.forEach((chart, cardId) => {
+    const model = statsData?.models?.find(m => `model-${m.id}` === cardId);
+    if (model) renderModelChart(modelCardOf(model), imageTimeRanges.get(cardId) || 'all', modelCharts);
+  });
+}
+
+/**
+ * Render the chart of a model card (see modelCardOf): downloads, favorites,
+ * thumbs up, comments and buzz (gains per period in delta mode)
+ */
+function renderModelChart(model, timeRange, charts = modelCharts) {
+  const canvas = document.getElementById(`image-chart-${model.id}`);
+  if (!canvas) return;
+
+  if (charts.has(model.id)) {
+    charts.get(model.id).destroy();
+  }
+
+  const resolved = filterByTimeRange(resolveAllSnapshots(model.snapshots, MODEL_SERIES), timeRange);
+  const deltaMode = isDeltaMode(timeRange);
+  const fields = ['downloads', 'favorites', 'thumbsUp', 'comments', 'buzz'];
+  const snapshots = deltaMode
+    ? resolved.slice(1).map((s, i) => ({
+      timestamp: s.timestamp,
+      ...Object.fromEntries(fields.map(f => [f, s[f] - resolved[i][f]]))
+    }))
+    : resolved;
+
+  const wrapper = canvas.closest('.image-chart-wrapper');
+  if (snapshots.length < 2) {
+    canvas.style.display = 'none';
+    if (!wrapper.querySelector('.image-chart-empty')) {
+      wrapper.insertAdjacentHTML('beforeend', '<div class="image-chart-empty">Not enough data for selected time range</div>');
+    }
+    return;
+  }
+  canvas.style.display = 'block';
+  wrapper.querySelector('.image-chart-empty')?.remove();
+
+  const lines = [
+    { label: 'Downloads', field: 'downloads', color: CHART_COLORS.total, main: true },
+    { label: 'Favorites', field: 'favorites', color: CHART_COLORS.collects },
+    { label: 'Thumbs up', field: 'thumbsUp', color: CHART_COLORS.likes },
+    { label: 'Comments', field: 'comments', color: CHART_COLORS.comments },
+    { label: 'Buzz', field: 'buzz', color: CHART_COLORS.buzz }
+  ];
+
+  const chart = new Chart(canvas.getContext('2d'), {
+    type: getEffectiveChartType(timeRange, imageChartTypes.get(model.id)),
+    data: {
+      labels: snapshots.map(s => formatChartDate(new Date(s.timestamp), timeRange)),
+      datasets: lines.map(line => ({
+        label: line.label,
+        data: snapshots.map(s => s[line.field]),
+        borderColor: line.color,
+        backgroundColor: line.main ? line.color + '20' : undefined,
+        borderWidth: line.main ? 2 : 1.5,
+        tension: 0,
+        fill: false,
+        pointRadius: line.main && snapshots.length <= 30 ? 2 : 0,
+        pointHoverRadius: line.main ? 4 : 3
+      }))
+    },
+    options: imageChartOptions(deltaMode)
+  });
+
+  charts.set(model.id, chart);
+}
+
+/**
+ * Create a model card HTML: stats, gains over the selected period, versions
+ * and chart
+ */
+function createModelCard({ model, stats, gain }, rangeLabel) {
+  const date = model.createdAt ? formatDate(new Date(model.createdAt)) : 'Unknown';
+  const hasSnapshots = model.snapshots && model.snapshots.length > 1;
+  const versions = model.versions || [];
+  const baseModels = [...new Set(versions.map(v => v.baseModel).filter(Boolean))];
+
+  const badges =
+    (model.type ? `<span class="host-badge model-type">${escapeHtml(model.type)}</span>` : '') +
+    (model.stale ? '<span class="host-badge stale" title="Not returned by the API on the latest run — stats are frozen at their last-known value (possibly unpublished or deleted)">frozen</span>' : '');
+  const signed = value => `${value >= 0 ? '+' : ''}${formatNumber(value)}`;
+
+  return `
+    <div class="image-card model-card" data-image-id="${escapeHtml(model.id)}">
+      <div class="image-card-header">
+        <div class="image-thumbnail">
+          ${model.thumbnailUrl
+            ? `<img src="${escapeHtml(model.thumbnailUrl)}" alt="" loading="lazy">`
+            : '<div class="placeholder">?</div>'
+          }
+        </div>
+        <div class="image-info">
+          <div class="image-name">
+            <a href="${escapeHtml(model.url)}" target="_blank" rel="noopener">${escapeHtml(model.name || `Model ${model.modelId}`)}</a>
           </div>
-          <div class="image-chart-wrapper">
-            <canvas id="image-chart-${escapeHtml(image.id)}"></canvas>
+          <div class="image-date">${date} · ${versions.length} version${versions.length === 1 ? '' : 's'}${baseModels.length ? ` · ${escapeHtml(baseModels.join(', '))}` : ''}${badges}</div>
+          <div class="image-stats">
+            <span class="stat-badge downloads">&#x2B07;&#xFE0F; ${formatNumber(stats.downloads)}</span>
+            <span class="stat-badge favorites">&#x2B50; ${formatNumber(stats.favorites)}</span>
+            <span class="stat-badge likes">&#x1F44D; ${formatNumber(stats.thumbsUp)}</span>
+            <span class="stat-badge">&#x1F44E; ${formatNumber(stats.thumbsDown)}</span>
+            <span class="stat-badge comments">&#x1F4AC; ${formatNumber(stats.comments)}</span>
+            <span class="stat-badge buzz">&#x26A1; ${formatNumber(stats.buzz)}</span>
+            ${stats.ratingCount > 0 ? `<span class="stat-badge" title="${stats.ratingCount.toLocaleString()} ratings">&#x2605; ${stats.rating.toFixed(2)}</span>` : ''}
           </div>
+          <div class="model-gains">${escapeHtml(rangeLabel)}: ${signed(gain.downloads)} downloads, ${signed(gain.favorites)} favorites, ${signed(gain.thumbsUp)} thumbs up</div>
         </div>
-      ` : `
-        <div class="image-chart-empty-note" style="font-size: 11px; color: var(--text-muted); margin-top: 8px; text-align: center;">
-          Historical data will appear after more snapshots are collected
-        </div>
-      `}
+      </div>
+      ${imageChartSection(model.id, hasSnapshots)}
     </div>
   `;
 }
@@ -1541,6 +2770,8 @@ function setupColorSettings() {
           renderImageChart(image, timeRange);
         }
       });
+      rerenderPostCharts();
+      rerenderModelCharts();
     });
 
     // Save on change (when user releases the picker)
@@ -1565,6 +2796,8 @@ function setupColorSettings() {
         renderImageChart(image, timeRange);
       }
     });
+    rerenderPostCharts();
+    rerenderModelCharts();
     // Clear from storage
     chrome.runtime.sendMessage({
       action: 'saveSettings',
@@ -0,0 +1,116 @@
+/**
+ * Re-apply the retention policy to the stored stats data and report the
+ * snapshots and bytes it saves.
+ *
+ * Usage: node scripts/compact.js [--dry-run] [--policy=<spec>]
+ *
+ * Uses the same storage settings as the collector (STORAGE_BACKEND, GIST_ID,
+ * GIST_TOKEN, ...) and its RETENTION_POLICY and RETENTION_PEAKS, unless
+ * --policy gives another spec (see lib/retention.js). The collector applies
+ * the policy to the series it updates on every run; this rewrites every
+ * series at once, e.g. right after the policy was changed. The current data
+ * is saved as a pre-compact backup first (in the backup location, see
+ * storage/index.js; data in a Gist needs BACKUP_STORAGE_BACKEND), and the
+ * result must pass the same integrity check as a collector run. --dry-run
+ * prints the report without writing anything.
+ */
+
+import { MISSING_BACKUP_LOCATION, createBackupStorage, createStorage } from './storage/index.js';
+import { readStatsDocument, serializeStatsDocument, writeStatsDocument } from './lib/stats-store.js';
+import { formatMigrationReport, migrateDocument } from './lib/migrations.js';
+import { compactDocument, formatRetentionPolicy, parseRetentionPolicy } from './lib/retention.js';
+import { summarizeDocument, validateDocument } from './lib/validate.js';
+import { backupContent, preCompactBackupName } from './lib/backups.js';
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const peaks = (process.env.RETENTION_PEAKS || 'true').toLowerCase() !== 'false';
+const policySpec = args.find(arg => arg.startsWith('--policy='))?.slice('--policy='.length) ?? process.env.RETENTION_POLICY;
+
+function formatSize(bytes) {
+  return `${(bytes / 1024).toFixed(2)} KB`;
+}
+
+function filesSize(files) {
+  return Object.values(files).reduce((sum, content) => sum + content.length, 0);
+}
+
+// Compactions grouped by kind of series: { label: { series, before, after } }
+function summarize(compactions) {
+  const groups = {};
+  for (const { id, before, after } of compactions) {
+    const label = id === 'total' ? 'totals' : id === 'profile' ? 'profile' : id.startsWith('model ') ? 'models' : 'images';
+    const group = groups[label] ||= { series: 0, before: 0, after: 0 };
+    group.series++;
+    group.before += before;
+    group.after += after;
+  }
+  return groups;
+}
+
+async function main() {
+  const policy = parseRetentionPolicy(policySpec);
+  const storage = createStorage(process.env);
+  const backupStorage = createBackupStorage(process.env, storage);
+  if (!backupStorage && !dryRun) {
+    throw new Error(`No place for the pre-compact backup: ${MISSING_BACKUP_LOCATION}`);
+  }
+
+  console.log('Retention policy:');
+  formatRetentionPolicy(policy).forEach(line => console.log(`  ${line}`));
+  console.log(`\nReading stats data from ${storage.describe()}...`);
+
+  const { data, files, layout, encoding } = await readStatsDocument(storage);
+  if (!data) {
+    console.log('No stats data found, nothing to compact.');
+    return;
+  }
+
+  const migration = migrateDocument(data);
+  if (migration.applied.length > 0) {
+    formatMigrationReport(migration).forEach(line => console.log(line));
+  }
+
+  const baseline = summarizeDocument(data);
+  const compactions = compactDocument(data, policy, { peaks });
+  if (compactions.length === 0) {
+    console.log('Every series already follows the policy, nothing to compact.');
+    return;
+  }
+
+  const violations = validateDocument(data, baseline);
+  if (violations.length > 0) {
+    console.error(`Compacted data failed the integrity check (${violations.length} violation(s)):`);
+    violations.slice(0, 20).forEach(violation => console.error(`  - ${violation}`));
+    throw new Error('Refusing to write data that failed the integrity check');
+  }
+
+  console.log('\nSnapshots removed:');
+  for (const [label, group] of Object.entries(summarize(compactions))) {
+    console.log(`  ${label}: ${group.before} -> ${group.after} in ${group.series} series`);
+  }
+  const before = filesSize(files);
+  const after = filesSize(serializeStatsDocument(data, layout, { encoding }));
+  console.log(`Size: ${formatSize(before)} -> ${formatSize(after)}` +
+    ` (saves ${formatSize(before - after)}, ${before > 0 ? Math.round((1 - after / before) * 100) : 0}%)`);
+
+  if (dryRun) {
+    console.log('\nDry run: nothing written.');
+    return;
+  }
+
+  const content = await backupContent(files);
+  if (content !== null) {
+    const name = preCompactBackupName();
+    await backupStorage.writeFiles({ [name]: content });
+    console.log(`\nSaved current data as ${name} in ${backupStorage.describe()}`);
+  }
+
+  const { written, size } = await writeStatsDocument(storage, data, { layout, encoding, previousFiles: files });
+  console.log(`Wrote ${written.join(', ')} (${formatSize(size)})`);
+}
+
+main().catch(error => {
+  console.error('Compaction failed:', error.message);
+  process.exit(1);
+});
@@ -1,25 +1,177 @@
-import { Octokit } from '@octokit/rest';
+import { writeFile } from 'node:fs/promises';
+
+import { MISSING_BACKUP_LOCATION, createBackupStorage, createStorage } from './storage/index.js';
+import { ENCODINGS, LAYOUTS, STATS_FILE, readStatsDocument, serializeStatsDocument, writeStatsDocument } from './lib/stats-store.js';
+import { IMAGE_SERIES, MODEL_SERIES, PROFILE_SERIES, STAT_FIELDS, appendEntry, resolveSnapshot } from './lib/snapshots.js';
+import { CURRENT_SCHEMA_VERSION, formatMigrationReport, migrateDocument } from './lib/migrations.js';
+import { diffDocuments, formatDiff } from './lib/diff.js';
+import { DEFAULT_BACKUP_POLICY, backupContent, listBackups, rotateBackups } from './lib/backups.js';
+import { summarizeDocument, validateDocument } from './lib/validate.js';
+import { createRateLimiter, runPool } from './lib/request-pool.js';
+import { DEFAULT_SCHEDULE, gainVelocity, planRefresh } from './lib/refresh-scheduler.js';
+import { clearCheckpoint, createCheckpointWriter, loadCheckpoint } from './lib/checkpoint.js';
+import { extractImageMeta } from './lib/image-meta.js';
+import { checkDecreases, correctionEntry } from './lib/corrections.js';
+import { DEFAULT_ANOMALY, detectBurst } from './lib/anomalies.js';
+import { parseMilestoneThresholds, updateMilestones } from './lib/milestones.js';
+import {
+  DEFAULT_NOTIFY, EVENT_TYPES, abortedEvent, deliverNotifications, gainEvents, milestoneEvents, parseWebhooks,
+  staleEvents
+} from './lib/notifications.js';
+import { compactSeries, formatRetentionPolicy, parseRetentionPolicy } from './lib/retention.js';
+import { DEFAULT_RUN_HISTORY, appendRun, createRunCounters, isDegraded, missedRuns } from './lib/runs.js';
+import { DEFAULT_STALE_PROBE, classifyProbe, nextAvailability, selectForProbe, shiftTotals } from './lib/stale-status.js';
 
 // Environment variables
-const GIST_ID = process.env.GIST_ID;
-const GIST_TOKEN = process.env.GIST_TOKEN;
 const CIVITAI_USERNAME = process.env.CIVITAI_USERNAME;
 const CIVITAI_API_KEY = process.env.CIVITAI_API_KEY; // Optional - may help get accurate stats
 // R-and-harder content was moved to a separate domain (civitai.red). The .red
 // API uses the same backend/shape; fall back to the .com key if none is set.
 const CIVITAI_RED_API_KEY = process.env.CIVITAI_RED_API_KEY || process.env.CIVITAI_API_KEY;
 const CIVITAI_RED_ENABLED = (process.env.CIVITAI_RED_ENABLED || 'true').toLowerCase() !== 'false';
-const REFRESH_TIER_OVERRIDE = process.env.REFRESH_TIER; // Optional: 'auto', 'daily', 'monthly', 'quarterly'
+// Individual stat refreshes: 'auto' (priority scheduler, see
+// scripts/lib/refresh-scheduler.js) or 'all' (refresh every image and crawl
+// every page). The legacy REFRESH_TIER=quarterly still means 'all'.
+const REFRESH_MODE = (process.env.REFRESH_MODE || (process.env.REFRESH_TIER === 'quarterly' ? 'all' : 'auto')).toLowerCase();
+const REFRESH_BUDGET = Number(process.env.REFRESH_BUDGET) || DEFAULT_SCHEDULE.budget; // tRPC requests per run
+const MAX_STALENESS_DAYS = Number(process.env.MAX_STALENESS_DAYS) || DEFAULT_SCHEDULE.maxStalenessHours / 24;
+const STATS_LAYOUT = (process.env.STATS_LAYOUT || 'single').toLowerCase(); // 'single' | 'sharded'
+// How snapshot series are stored: 'objects' (one JSON object per snapshot) or 'columnar' (lib/stats-store.js)
+const STATS_ENCODING = (process.env.STATS_ENCODING || 'objects').toLowerCase();
+// Dry run: do everything except the write, and print what would change.
+// Enabled by --dry-run or DRY_RUN=true; --diff-file=<path> also saves the diff as JSON.
+const DRY_RUN = process.argv.includes('--dry-run') || (process.env.DRY_RUN || '').toLowerCase() === 'true';
+// Rotating backups of the stored data (see scripts/lib/backups.js)
+const BACKUP_ENABLED = (process.env.BACKUP_ENABLED || 'true').toLowerCase() !== 'false';
+const BACKUP_POLICY = {
+  dailyDays: Number(process.env.BACKUP_DAILY_DAYS) || DEFAULT_BACKUP_POLICY.dailyDays,
+  weeklyWeeks: Number(process.env.BACKUP_WEEKLY_WEEKS) || DEFAULT_BACKUP_POLICY.weeklyWeeks
+};
+// Discovery: 'auto' (incremental, with a full crawl every
+// FULL_CRAWL_INTERVAL_DAYS), 'full' or 'incremental'
+const DISCOVERY_MODE = (process.env.DISCOVERY_MODE || 'auto').toLowerCase();
+const FULL_CRAWL_INTERVAL_DAYS = Number(process.env.FULL_CRAWL_INTERVAL_DAYS) || 7;
+// Checkpoints of the individual stats refresh, so an interrupted run can be
+// resumed (see scripts/lib/checkpoint.js)
+const CHECKPOINT_ENABLED = (process.env.CHECKPOINT_ENABLED || 'true').toLowerCase() !== 'false';
+const CHECKPOINT_INTERVAL_SECONDS = Number(process.env.CHECKPOINT_INTERVAL_SECONDS) || 60;
+const CHECKPOINT_MAX_AGE_HOURS = Number(process.env.CHECKPOINT_MAX_AGE_HOURS) || 6;
+// Also track the user's published models (downloads, favorites, ratings, ...)
+const MODELS_ENABLED = (process.env.MODELS_ENABLED || 'true').toLowerCase() !== 'false';
+// Record the creator profile (followers, uploads, rank) each run
+const PROFILE_ENABLED = (process.env.PROFILE_ENABLED || 'true').toLowerCase() !== 'false';
+// Probe images missing from the listings for STALE_GRACE_HOURS on both hosts
+// and classify them (deleted, migrated, ...; see scripts/lib/stale-status.js)
+const STALE_PROBE_ENABLED = (process.env.STALE_PROBE_ENABLED || 'true').toLowerCase() !== 'false';
+const STALE_GRACE_HOURS = Number(process.env.STALE_GRACE_HOURS) || DEFAULT_STALE_PROBE.graceHours;
+const STALE_PROBE_LIMIT = Number(process.env.STALE_PROBE_LIMIT) || DEFAULT_STALE_PROBE.limit; // images per run
+// Flag per-image gains far above the image's own hourly rate (see
+// scripts/lib/anomalies.js); a higher threshold flags fewer bursts
+const ANOMALY_ENABLED = (process.env.ANOMALY_ENABLED || 'true').toLowerCase() !== 'false';
+const ANOMALY_THRESHOLD = Number(process.env.ANOMALY_THRESHOLD) || DEFAULT_ANOMALY.threshold;
+// Milestone thresholds per metric, e.g. "reactions=1000,10000;views=100000"
+// (see scripts/lib/milestones.js for the defaults)
+const MILESTONE_THRESHOLDS_SPEC = process.env.MILESTONE_THRESHOLDS || '';
+// Webhooks told about milestones, fast-gaining images, newly stale images and
+// aborted runs: comma-separated URLs, optionally prefixed with discord=, slack=
+// or json= (see scripts/lib/notifications.js)
+const WEBHOOK_URLS = process.env.WEBHOOK_URLS || '';
+const NOTIFY_EVENTS = (process.env.NOTIFY_EVENTS || EVENT_TYPES.join(',')).split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
+const NOTIFY_GAIN_THRESHOLD = Number(process.env.NOTIFY_GAIN_THRESHOLD) || DEFAULT_NOTIFY.gainThreshold; // reactions
+const NOTIFY_GAIN_HOURS = Number(process.env.NOTIFY_GAIN_HOURS) || DEFAULT_NOTIFY.gainHours;
+// Retention tiers per series, e.g. "images=7d:6h,30d:1d,1y:1w;totals=30d:1d" (lib/retention.js)
+const RETENTION_POLICY_SPEC = process.env.RETENTION_POLICY || '';
+// Downsampled image and total entries keep their peak hourly gain and sample count
+const RETENTION_PEAKS = (process.env.RETENTION_PEAKS || 'true').toLowerCase() !== 'false';
+// Collector health log: records kept in the document's `runs` list
+const RUN_HISTORY_LIMIT = Number(process.env.RUN_HISTORY_LIMIT) || DEFAULT_RUN_HISTORY;
+const DIFF_FILE = process.argv.find(arg => arg.startsWith('--diff-file='))?.slice('--diff-file='.length) || process.env.DIFF_FILE;
 
 // Validate required environment variables
-if (!GIST_ID || !GIST_TOKEN || !CIVITAI_USERNAME) {
+if (!CIVITAI_USERNAME) {
   console.error('Missing required environment variables:');
-  if (!GIST_ID) console.error('  - GIST_ID');
-  if (!GIST_TOKEN) console.error('  - GIST_TOKEN');
-  if (!CIVITAI_USERNAME) console.error('  - CIVITAI_USERNAME');
+  console.error('  - CIVITAI_USERNAME');
   process.exit(1);
 }
 
+if (!LAYOUTS.includes(STATS_LAYOUT)) {
+  console.error(`Invalid STATS_LAYOUT "${STATS_LAYOUT}" (expected one of: ${LAYOUTS.join(', ')})`);
+  process.exit(1);
+}
+
+if (!ENCODINGS.includes(STATS_ENCODING)) {
+  console.error(`Invalid STATS_ENCODING "${STATS_ENCODING}" (expected one of: ${ENCODINGS.join(', ')})`);
+  process.exit(1);
+}
+
+let MILESTONE_THRESHOLDS;
+try {
+  MILESTONE_THRESHOLDS = parseMilestoneThresholds(MILESTONE_THRESHOLDS_SPEC);
+} catch (error) {
+  console.error(`Invalid MILESTONE_THRESHOLDS: ${error.message}`);
+  process.exit(1);
+}
+
+let RETENTION;
+try {
+  RETENTION = parseRetentionPolicy(RETENTION_POLICY_SPEC);
+} catch (error) {
+  console.error(`Invalid RETENTION_POLICY: ${error.message}`);
+  process.exit(1);
+}
+
+let WEBHOOKS;
+try {
+  WEBHOOKS = parseWebhooks(WEBHOOK_URLS);
+} catch (error) {
+  console.error(`Invalid WEBHOOK_URLS: ${error.message}`);
+  process.exit(1);
+}
+
+const unknownEvents = NOTIFY_EVENTS.filter(type => !EVENT_TYPES.includes(type));
+if (unknownEvents.length > 0) {
+  console.error(`Invalid NOTIFY_EVENTS "${unknownEvents.join(', ')}" (expected some of: ${EVENT_TYPES.join(', ')})`);
+  process.exit(1);
+}
+
+if (!['auto', 'all'].includes(REFRESH_MODE)) {
+  console.error(`Invalid REFRESH_MODE "${REFRESH_MODE}" (expected one of: auto, all)`);
+  process.exit(1);
+}
+
+if (!['auto', 'full', 'incremental'].includes(DISCOVERY_MODE)) {
+  console.error(`Invalid DISCOVERY_MODE "${DISCOVERY_MODE}" (expected one of: auto, full, incremental)`);
+  process.exit(1);
+}
+
+// Where stats.json lives is chosen by STORAGE_BACKEND (gist, local, git, s3);
+// backups go next to it unless BACKUP_STORAGE_BACKEND picks a second location
+// (required for a Gist: null without one)
+let storage;
+let backupStorage;
+try {
+  storage = createStorage(process.env);
+  backupStorage = createBackupStorage(process.env, storage);
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+console.log(`Storage: ${storage.describe()} (${STATS_LAYOUT} layout${STATS_ENCODING === 'columnar' ? ', columnar series' : ''})`);
+if (BACKUP_ENABLED && !backupStorage) {
+  console.warn(`⚠️  Backups: none, ${MISSING_BACKUP_LOCATION}`);
+} else if (BACKUP_ENABLED) {
+  console.log(`Backups: ${backupStorage.describe()} (daily for ${BACKUP_POLICY.dailyDays} days, weekly for ${BACKUP_POLICY.weeklyWeeks} weeks)`);
+} else {
+  console.log('Backups: disabled');
+}
+if (RETENTION_POLICY_SPEC) {
+  console.log('Retention policy:');
+  formatRetentionPolicy(RETENTION).forEach(line => console.log(`  ${line}`));
+}
+if (DRY_RUN) {
+  console.log('Dry run: stored data will not be modified');
+}
+
 if (CIVITAI_API_KEY) {
   console.log('Using Civitai API key for authenticated requests');
 } else {
@@ -32,28 +184,38 @@ if (CIVITAI_RED_ENABLED) {
   console.log('civitai.red capture: disabled');
 }
 
-const octokit = new Octokit({ auth: GIST_TOKEN });
-
 // Constants
-const CIVITAI_API_BASE = 'https://civitai.com/api/v1';
-const CIVITAI_RED_API_BASE = 'https://civitai.red/api/v1';
+// API origins can be pointed elsewhere (e.g. the replay mock server in
+// scripts/replay); stored image links always use the real site origins.
+const CIVITAI_API_ORIGIN = (process.env.CIVITAI_API_ORIGIN || 'https://civitai.com').replace(/\/+$/, '');
+const CIVITAI_RED_API_ORIGIN = (process.env.CIVITAI_RED_API_ORIGIN || 'https://civitai.red').replace(/\/+$/, '');
 const IMAGES_PER_PAGE = 200;
+const MODELS_PER_PAGE = 100;
 
-// Map an image's host ('com' | 'red') to its API base and site origin.
+// Map an image's host ('com' | 'red') to its API origin/base and site origin.
+function apiOriginForHost(host) {
+  return host === 'red' ? CIVITAI_RED_API_ORIGIN : CIVITAI_API_ORIGIN;
+}
 function apiBaseForHost(host) {
-  return host === 'red' ? CIVITAI_RED_API_BASE : CIVITAI_API_BASE;
+  return `${apiOriginForHost(host)}/api/v1`;
 }
 function siteOriginForHost(host) {
   return host === 'red' ? 'https://civitai.red' : 'https://civitai.com';
 }
 const MAX_RETRIES = 3;
 const INITIAL_BACKOFF_MS = 1000;
-const STATS_FETCH_DELAY_MS = 300; // Delay between individual image stats fetches
-const STATS_BATCH_SIZE = 5; // Number of concurrent stats fetches
-
-// Data retention thresholds
-const HOURLY_RETENTION_DAYS = 7;
-const SIX_HOUR_RETENTION_DAYS = 30;
+// Request pacing: one token bucket for every API request (both hosts), and up
+// to STATS_CONCURRENCY individual stats fetches in flight (adapted at runtime)
+const API_REQUESTS_PER_SECOND = Number(process.env.API_REQUESTS_PER_SECOND) || 6;
+const STATS_CONCURRENCY = Number(process.env.STATS_CONCURRENCY) || 8;
+const apiLimiter = createRateLimiter({ requestsPerSecond: API_REQUESTS_PER_SECOND });
+
+// Requests, retries and problems of this run, for its health record (lib/runs.js)
+const runCounters = createRunCounters();
+// Backups that have nowhere to go make every run degraded until that is fixed
+if (BACKUP_ENABLED && !backupStorage) {
+  runCounters.problems.push(`no backups: ${MISSING_BACKUP_LOCATION}`);
+}
 
 /**
  * Fetch with exponential backoff retry
@@ -64,36 +226,55 @@ async function fetchWithRetry(url, retries = MAX_RETRIES, backoff = INITIAL_BACK
       const headers = {};
       // Pick the auth key by host so .red requests use the .red key (which may
       // differ from the .com key, though it falls back to it).
-      const key = url.includes('civitai.red') ? CIVITAI_RED_API_KEY : CIVITAI_API_KEY;
+      const host = url.startsWith(CIVITAI_RED_API_ORIGIN) ? 'red' : 'com';
+      const key = host === 'red' ? CIVITAI_RED_API_KEY : CIVITAI_API_KEY;
       if (key) {
         headers['Authorization'] = `Bearer ${key}`;
       }
+      await apiLimiter.acquire();
+      runCounters.requests[host]++;
       const response = await fetch(url, { headers });
 
       if (response.status === 429) {
-        // Rate limited - wait and retry
+        runCounters.rateLimited++;
+        if (attempt < retries) runCounters.retries++;
+        // Rate limited - pause every request (not just this one), then retry
         const retryAfter = response.headers.get('Retry-After');
         const waitTime = retryAfter ? parseInt(retryAfter) * 1000 : backoff;
-        console.log(`Rate limited. Waiting ${waitTime}ms before retry ${attempt}/${retries}`);
-        await sleep(waitTime);
+        console.log(`Rate limited. Pausing all requests for ${waitTime}ms before retry ${attempt}/${retries}`);
+        apiLimiter.pause(waitTime);
         backoff *= 2;
         continue;
       }
 
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+        error.status = response.status;
+        throw error;
       }
 
       return await response.json();
     } catch (error) {
+      // Not found will not change on a retry, and is no sign of overload
+      if (error.status === 404) throw error;
+      apiLimiter.reportError();
       if (attempt === retries) {
+        runCounters.failures++;
         throw error;
       }
+      runCounters.retries++;
       console.log(`Attempt ${attempt} failed: ${error.message}. Retrying in ${backoff}ms...`);
       await sleep(backoff);
       backoff *= 2;
     }
   }
+
+  // Still rate limited after the last attempt: fail like any other error,
+  // so callers never mistake the missing response for an empty one
+  runCounters.failures++;
+  const error = new Error(`HTTP 429: still rate limited after ${retries} attempts`);
+  error.status = 429;
+  throw error;
 }
 
 function sleep(ms) {
@@ -107,22 +288,13 @@ function sleep(ms) {
  */
 async function fetchImageStats(imageId, host = 'com') {
   const input = { json: { id: Number(imageId) } };
-  const url = `${siteOriginForHost(host)}/api/trpc/image.get?input=${encodeURIComponent(JSON.stringify(input))}`;
+  const url = `${apiOriginForHost(host)}/api/trpc/image.get?input=${encodeURIComponent(JSON.stringify(input))}`;
   try {
     const data = await fetchWithRetry(url);
     const item = data?.result?.data?.json;
     if (item && item.stats) {
-      const s = item.stats;
-      return {
-        likeCount: s.likeCountAllTime || 0,
-        heartCount: s.heartCountAllTime || 0,
-        laughCount: s.laughCountAllTime || 0,
-        cryCount: s.cryCountAllTime || 0,
-        commentCount: s.commentCountAllTime || 0,
-        buzzCount: s.tippedAmountCountAllTime || 0,
-        collectCount: s.collectedCountAllTime || 0,
-        viewCount: s.viewCountAllTime || 0
-      };
+      return Object.fromEntries(STAT_FIELDS.map(field =>
+        [IMAGE_SERIES.sources[field].stats, item.stats[IMAGE_SERIES.sources[field].trpc] || 0]));
     }
   } catch (error) {
     console.log(`  Warning: Failed to fetch stats for image ${imageId}: ${error.message}`);
@@ -131,132 +303,247 @@ async function fetchImageStats(imageId, host = 'com') {
 }
 
 /**
- * Determine which tier of refresh to run based on current date or override
- * - Daily: images from last 30 days + any with 0 stats
- * - Monthly (1st of month): also images from 1-6 months ago
- * - Quarterly (1st of month in Jan/Apr/Jul/Oct): ALL images
+ * Look an image up with tRPC `image.get` on one host, for classifying stale
+ * images: { found: true }, { found: false } when the host does not have it,
+ * or { error } when the probe failed.
  */
-function getRefreshTier() {
-  // Check for manual override from workflow_dispatch input
-  if (REFRESH_TIER_OVERRIDE && REFRESH_TIER_OVERRIDE !== 'auto') {
-    console.log(`Using manual refresh tier override: ${REFRESH_TIER_OVERRIDE}`);
-    return REFRESH_TIER_OVERRIDE;
+async function probeImage(imageId, host) {
+  const input = { json: { id: Number(imageId) } };
+  const url = `${apiOriginForHost(host)}/api/trpc/image.get?input=${encodeURIComponent(JSON.stringify(input))}`;
+  try {
+    const data = await fetchWithRetry(url);
+    return { found: Boolean(data?.result?.data?.json) };
+  } catch (error) {
+    return error.status === 404 ? { found: false } : { error: error.message };
   }
+}
 
-  // Auto: determine tier based on date
-  const now = new Date();
-  const dayOfMonth = now.getDate();
-  const month = now.getMonth(); // 0-indexed
+/**
+ * Probe the stale images due for it (see selectForProbe) on both hosts and
+ * update their `availability` in place. Images found on the other host are
+ * moved there (host and url). Returns the images newly confirmed deleted.
+ */
+async function probeStaleImages(staleImages, timestamp) {
+  const due = selectForProbe(staleImages, {
+    now: new Date(timestamp),
+    graceHours: STALE_GRACE_HOURS,
+    limit: STALE_PROBE_LIMIT
+  });
+  if (due.length === 0) return [];
+
+  console.log(`\nProbing ${due.length} stale images on both hosts (stale for ${STALE_GRACE_HOURS}h or more)`);
+  const deleted = [];
+  await runPool(due, async image => {
+    const host = image.host || 'com';
+    const probes = {};
+    for (const probeHost of ['com', 'red']) {
+      probes[probeHost] = await probeImage(image.id, probeHost);
+    }
+    const classified = classifyProbe(host, probes);
+    if (classified.status === 'deleted') deleted.push(image);
+    image.availability = nextAvailability(image.availability, classified, timestamp);
 
-  if (dayOfMonth === 1 && month % 3 === 0) {
-    return 'quarterly';
-  }
-  if (dayOfMonth === 1) {
-    return 'monthly';
-  }
-  return 'daily';
+    if (classified.status.startsWith('migrated-to-')) {
+      image.host = classified.status.slice('migrated-to-'.length);
+      image.url = `${siteOriginForHost(image.host)}/images/${image.id}`;
+    }
+    console.log(`  Image ${image.id}: ${classified.status} (${classified.reason})`);
+  }, { limiter: apiLimiter, maxWorkers: STATS_CONCURRENCY });
+
+  return deleted;
 }
 
 /**
- * Refresh image stats individually based on a tiered schedule.
- * The Civitai bulk API returns stale stats, so we re-fetch individually
- * on a smart schedule to keep stats fresh without excessive API calls.
+ * Fetch the creator profile through the tRPC API (the REST API has no
+ * follower counts). Returns an absolute PROFILE_SERIES snapshot, or null
+ * when the profile could not be fetched; the run goes on without it.
  */
-async function refreshImageStats(images) {
-  const tier = getRefreshTier();
-  const now = new Date();
-  const thirtyDaysAgo = new Date(now - 30 * 24 * 60 * 60 * 1000);
-  const sixMonthsAgo = new Date(now - 180 * 24 * 60 * 60 * 1000);
+async function fetchCreatorProfile(username, timestamp) {
+  const input = { json: { username } };
+  const url = `${apiOriginForHost('com')}/api/trpc/user.getCreator?input=${encodeURIComponent(JSON.stringify(input))}`;
+  try {
+    const data = await fetchWithRetry(url);
+    const creator = data?.result?.data?.json;
+    if (creator?.stats) {
+      const s = creator.stats;
+      return {
+        timestamp,
+        followers: s.followerCountAllTime || 0,
+        uploads: s.uploadCountAllTime || 0,
+        reactions: s.reactionCountAllTime || 0,
+        downloads: s.downloadCountAllTime || 0,
+        rank: creator.rank?.leaderboardRank || 0
+      };
+    }
+    console.log(`  Warning: No creator profile returned for ${username}`);
+  } catch (error) {
+    console.log(`  Warning: Failed to fetch the creator profile: ${error.message}`);
+    runCounters.problems.push(`creator profile fetch failed: ${error.message}`);
+  }
+  return null;
+}
 
-  // Determine which images to refresh
-  const toRefresh = new Set();
+// Checkpoint left by an interrupted run, resumed by refreshImageStats (set in main)
+let resumeCheckpoint = null;
 
-  for (const img of images) {
-    const total = (img.stats?.likeCount || 0) + (img.stats?.heartCount || 0) +
-                  (img.stats?.laughCount || 0) + (img.stats?.cryCount || 0);
-    const createdAt = new Date(img.createdAt);
-
-    // Always: images with 0 stats or from last 30 days
-    if (total === 0 || createdAt >= thirtyDaysAgo) {
-      toRefresh.add(img);
-      continue;
-    }
+// Snapshot field -> field of the stats built from API responses (img.stats)
+const SOURCE_FIELDS = Object.fromEntries(STAT_FIELDS.map(field => [field, IMAGE_SERIES.sources[field].stats]));
 
-    // Monthly: also images from 1-6 months ago
-    if ((tier === 'monthly' || tier === 'quarterly') && createdAt >= sixMonthsAgo) {
-      toRefresh.add(img);
-      continue;
-    }
+// Fields of img.stats that count as reactions
+const REACTION_SOURCES = ['likes', 'hearts', 'laughs', 'cries'].map(field => SOURCE_FIELDS[field]);
 
-    // Quarterly: ALL images
-    if (tier === 'quarterly') {
-      toRefresh.add(img);
+function totalReactionsOf(stats) {
+  return REACTION_SOURCES.reduce((sum, source) => sum + (stats?.[source] || 0), 0);
+}
+
+/**
+ * Keep the higher value for each field — individual refresh should correct
+ * understated bulk stats, not overwrite with stale/lower values
+ */
+function mergeStats(stats, bulkStats = {}) {
+  return Object.fromEntries(Object.values(SOURCE_FIELDS).map(source =>
+    [source, Math.max(stats[source] || 0, bulkStats[source] || 0)]));
+}
+
+/**
+ * Refresh image stats individually, picking images with the priority
+ * scheduler (velocity, time since last refresh, age) within the per-run
+ * budget. The Civitai bulk API returns stale stats, so accurate values need
+ * one request per image. Refreshed images get `refreshedAt`.
+ * `storedImages` (id -> stored image) supplies the history the scores use.
+ *
+ * Images already refreshed by an interrupted run (resumeCheckpoint) take
+ * their stats from the checkpoint instead of being fetched again, and
+ * progress is checkpointed every CHECKPOINT_INTERVAL_SECONDS.
+ *
+ * A tRPC value below the stored one is a suspected decrease
+ * (img.pendingDecrease); images with one from an earlier run are fetched
+ * again regardless of the scheduler, and a decrease seen twice is confirmed
+ * (img.confirmedDecrease, see lib/corrections.js).
+ */
+async function refreshImageStats(images, storedImages = new Map()) {
+  const now = new Date();
+
+  let resumed = 0;
+  if (resumeCheckpoint) {
+    for (const img of images) {
+      const entry = resumeCheckpoint.refreshed[String(img.id)];
+      if (!entry) continue;
+      img.stats = mergeStats(entry.stats, img.stats);
+      img.refreshedAt = entry.refreshedAt;
+      resumed++;
     }
+    console.log(`\nResuming refresh checkpoint from ${resumeCheckpoint.startedAt}: ${resumed} images already refreshed`);
   }
 
-  const refreshList = [...toRefresh];
+  const pending = resumeCheckpoint
+    ? images.filter(img => !resumeCheckpoint.refreshed[String(img.id)])
+    : images;
+
+  const candidates = pending.map(img => {
+    const stored = storedImages.get(String(img.id));
+    return {
+      img,
+      id: String(img.id),
+      createdAt: img.createdAt,
+      refreshedAt: stored?.refreshedAt || null,
+      velocity: gainVelocity(stored?.snapshots, now),
+      bulkReactions: totalReactionsOf(img.stats)
+    };
+  });
 
-  console.log(`\nRefreshing stats: ${refreshList.length}/${images.length} images (tier: ${tier})`);
+  const plan = planRefresh(candidates, {
+    now,
+    refreshAll: REFRESH_MODE === 'all',
+    budget: REFRESH_BUDGET,
+    maxStalenessHours: MAX_STALENESS_DAYS * 24
+  });
+  const refreshList = plan.refresh.map(candidate => candidate.img);
+
+  // Suspected decreases are checked on the next run, whatever the scheduler says
+  const planned = new Set(refreshList);
+  const rechecks = pending.filter(img => !planned.has(img) && storedImages.get(String(img.id))?.pendingDecrease);
+  refreshList.push(...rechecks);
+
+  runCounters.refreshed = refreshList.length;
+  console.log(`\nRefreshing stats: ${refreshList.length}/${images.length} images (mode: ${REFRESH_MODE}, budget: ${REFRESH_BUDGET})`);
+  if (rechecks.length > 0) {
+    console.log(`  ${rechecks.length} re-checked for a suspected decrease`);
+  }
+  if (REFRESH_MODE === 'auto') {
+    console.log(`  ${plan.forced} past the ${MAX_STALENESS_DAYS}-day staleness limit, ${plan.due} due` +
+      ` (${plan.deferred} deferred by the budget), ${plan.notDue} not due`);
+    if (plan.forced > REFRESH_BUDGET) {
+      console.log(`  ⚠️  Staleness guarantee exceeds the budget (${plan.forced} > ${REFRESH_BUDGET}); consider raising REFRESH_BUDGET`);
+    }
+  }
   console.log(`(Civitai API only returns accurate stats when querying by imageId)`);
 
   if (refreshList.length === 0) {
     return images;
   }
 
+  // Dry runs write nothing, checkpoints included
+  const checkpoint = CHECKPOINT_ENABLED && !DRY_RUN
+    ? createCheckpointWriter(storage, {
+      username: CIVITAI_USERNAME,
+      resumed: resumeCheckpoint,
+      intervalMs: CHECKPOINT_INTERVAL_SECONDS * 1000
+    })
+    : null;
+
   let updated = 0;
   let unchanged = 0;
 
-  // Process in batches to avoid overwhelming the API
-  for (let i = 0; i < refreshList.length; i += STATS_BATCH_SIZE) {
-    const batch = refreshList.slice(i, i + STATS_BATCH_SIZE);
-
-    const results = await Promise.all(
-      batch.map(img => fetchImageStats(img.id, img.host || 'com'))
-    );
-
-    for (let j = 0; j < batch.length; j++) {
-      const stats = results[j];
-      if (stats) {
-        const bulkStats = batch[j].stats || {};
-        // Keep the higher value for each field — individual refresh should
-        // correct understated bulk stats, not overwrite with stale/lower values
-        const mergedStats = {
-          likeCount: Math.max(stats.likeCount || 0, bulkStats.likeCount || 0),
-          heartCount: Math.max(stats.heartCount || 0, bulkStats.heartCount || 0),
-          laughCount: Math.max(stats.laughCount || 0, bulkStats.laughCount || 0),
-          cryCount: Math.max(stats.cryCount || 0, bulkStats.cryCount || 0),
-          commentCount: Math.max(stats.commentCount || 0, bulkStats.commentCount || 0),
-          buzzCount: Math.max(stats.buzzCount || 0, bulkStats.buzzCount || 0),
-          collectCount: Math.max(stats.collectCount || 0, bulkStats.collectCount || 0),
-          viewCount: Math.max(stats.viewCount || 0, bulkStats.viewCount || 0),
-        };
-        const oldTotal = (bulkStats.likeCount || 0) + (bulkStats.heartCount || 0) +
-                         (bulkStats.laughCount || 0) + (bulkStats.cryCount || 0);
-        const newTotal = (mergedStats.likeCount || 0) + (mergedStats.heartCount || 0) +
-                         (mergedStats.laughCount || 0) + (mergedStats.cryCount || 0);
-        batch[j].stats = mergedStats;
-        if (newTotal !== oldTotal) {
-          updated++;
-        } else {
-          unchanged++;
-        }
+  const started = Date.now();
+  const { peakWorkers } = await runPool(refreshList, async img => {
+    const stats = await fetchImageStats(img.id, img.host || 'com');
+    if (stats) {
+      img.refreshedAt = new Date().toISOString();
+      const bulkStats = img.stats || {};
+      const mergedStats = mergeStats(stats, bulkStats);
+
+      const stored = storedImages.get(String(img.id));
+      if (stored?.snapshots?.length) {
+        const last = resolveSnapshot(stored.snapshots, stored.snapshots.length - 1);
+        const fresh = Object.fromEntries(Object.entries(SOURCE_FIELDS).map(([field, source]) => [field, stats[source]]));
+        const { confirmed, pending: suspected } = checkDecreases(last, fresh, stored.pendingDecrease, img.refreshedAt);
+        // Confirmed decreases take the tRPC value, even below (stale) bulk stats
+        for (const field of Object.keys(confirmed || {})) mergedStats[SOURCE_FIELDS[field]] = confirmed[field];
+        img.confirmedDecrease = confirmed;
+        img.pendingDecrease = suspected;
+      }
+
+      checkpoint?.record(img.id, mergedStats, img.refreshedAt);
+      img.stats = mergedStats;
+      if (totalReactionsOf(mergedStats) !== totalReactionsOf(bulkStats)) {
+        updated++;
       } else {
         unchanged++;
       }
+    } else {
+      unchanged++;
     }
-
-    // Progress update every 50 images
-    const processed = Math.min(i + STATS_BATCH_SIZE, refreshList.length);
-    if (processed % 50 === 0 || processed === refreshList.length) {
-      console.log(`  Progress: ${processed}/${refreshList.length} (${updated} changed)`);
+  }, {
+    limiter: apiLimiter,
+    maxWorkers: STATS_CONCURRENCY,
+    onProgress(done, total, workers) {
+      // Progress update every 50 images
+      if (done % 50 === 0 || done === total) {
+        console.log(`  Progress: ${done}/${total} (${updated} changed, ${workers} workers)`);
+      }
     }
+  });
 
-    // Delay between batches
-    if (i + STATS_BATCH_SIZE < refreshList.length) {
-      await sleep(STATS_FETCH_DELAY_MS);
-    }
+  if (checkpoint) {
+    await checkpoint.flush();
+    console.log(`  Checkpoint: ${checkpoint.size} refreshed images saved`);
   }
 
+  const { requests, pauses, pausedMs } = apiLimiter.stats();
+  console.log(`  Finished in ${((Date.now() - started) / 1000).toFixed(1)}s with up to ${peakWorkers} workers` +
+    ` (${requests} API requests so far, ${pauses} rate-limit pauses totalling ${(pausedMs / 1000).toFixed(1)}s)`);
+
   console.log(`\nIndividual stats refresh complete:`);
   console.log(`  Stats changed: ${updated}`);
   console.log(`  Unchanged: ${unchanged}`);
@@ -265,9 +552,11 @@ async function refreshImageStats(images) {
 }
 
 /**
- * Fetch all pages from a paginated API URL
+ * Fetch all pages from a paginated API URL.
+ * With `isKnown`, stop after the first page whose items are all known
+ * (incremental discovery: results are sorted newest first).
  */
-async function fetchAllPages(startUrl, label) {
+async function fetchAllPages(startUrl, label, isKnown = null) {
   const allItems = [];
   let nextPage = startUrl;
   let pageCount = 0;
@@ -280,11 +569,16 @@ async function fetchAllPages(startUrl, label) {
 
     if (data.items && data.items.length > 0) {
       allItems.push(...data.items);
-      console.log(`    Retrieved ${data.items.length} images (total: ${allItems.length})`);
+      console.log(`    Retrieved ${data.items.length} items (total: ${allItems.length})`);
     }
 
     nextPage = data.metadata?.nextPage || null;
 
+    if (nextPage && isKnown && data.items?.length > 0 && data.items.every(isKnown)) {
+      console.log(`    Page ${pageCount} is entirely known, stopping (incremental discovery)`);
+      nextPage = null;
+    }
+
     // Small delay between pages to be respectful
     if (nextPage) {
       await sleep(500);
@@ -294,50 +588,58 @@ async function fetchAllPages(startUrl, label) {
   return allItems;
 }
 
-/**
- * Fetch all images for a user, paginating through all results.
- * Fetches each NSFW level separately because the API doesn't reliably return all in one call.
- * nsfw=true only returns Mature+X, omitting Soft (PG-13). See: github.com/civitai/civitai/issues/1795
- */
-function totalReactionsOf(img) {
-  return (img.stats?.likeCount || 0) + (img.stats?.heartCount || 0) +
-         (img.stats?.laughCount || 0) + (img.stats?.cryCount || 0);
-}
-
 /**
  * Merge two discovery records for the same image id (rare post-split, since an
  * image lives on one host). Keep the per-field maximum and prefer the host whose
  * response reported the higher total.
  */
 function mergeDiscoveredImage(a, b) {
-  const base = totalReactionsOf(b) > totalReactionsOf(a) ? b : a;
-  const fields = ['likeCount', 'heartCount', 'laughCount', 'cryCount',
-    'commentCount', 'buzzCount', 'collectCount', 'viewCount'];
-  const stats = {};
-  for (const f of fields) {
-    stats[f] = Math.max(a.stats?.[f] || 0, b.stats?.[f] || 0);
-  }
-  return { ...base, stats };
+  const base = totalReactionsOf(b.stats) > totalReactionsOf(a.stats) ? b : a;
+  return { ...base, stats: mergeStats(a.stats || {}, b.stats) };
 }
 
 /**
  * Fetch all of a user's images from a single host, paginating each NSFW level.
- * Tags each returned image with its host ('com' | 'red').
+ * Tags each returned image with its host ('com' | 'red'). Levels are fetched
+ * separately because the API doesn't reliably return all in one call:
+ * nsfw=true only returns Mature+X, omitting Soft (PG-13). See: github.com/civitai/civitai/issues/1795
+ *
+ * In incremental mode, each level stops paginating once a page holds only
+ * images in `knownIds` or older than the level's cursor (the newest image seen
+ * by an earlier crawl). A level without a cursor is always crawled in full.
+ * Returns { images, cursors, complete }: cursors are the updated
+ * { level: { newestCreatedAt } } and complete is false if any level stopped early.
  */
-async function fetchUserImagesFromHost(username, host) {
+async function fetchUserImagesFromHost(username, host, { incremental = false, knownIds = new Set(), cursors = {} } = {}) {
   const baseUrl = `${apiBaseForHost(host)}/images?username=${encodeURIComponent(username)}&limit=${IMAGES_PER_PAGE}&sort=Newest&period=AllTime`;
 
   const nsfwLevels = [
-    { param: '',             label: 'SFW (None)' },
-    { param: '&nsfw=Soft',   label: 'Soft (PG-13)' },
-    { param: '&nsfw=Mature', label: 'Mature (R)' },
-    { param: '&nsfw=X',     label: 'X' },
+    { key: 'None',   param: '',             label: 'SFW (None)' },
+    { key: 'Soft',   param: '&nsfw=Soft',   label: 'Soft (PG-13)' },
+    { key: 'Mature', param: '&nsfw=Mature', label: 'Mature (R)' },
+    { key: 'X',      param: '&nsfw=X',      label: 'X' },
   ];
 
   const results = [];
-  for (const { param, label } of nsfwLevels) {
-    const images = await fetchAllPages(`${baseUrl}${param}`, `${host}:${label}`);
+  const nextCursors = {};
+  let complete = true;
+  const now = new Date();
+  for (const { key, param, label } of nsfwLevels) {
+    const cursor = cursors[key]?.newestCreatedAt ? new Date(cursors[key].newestCreatedAt) : null;
+    const isKnown = incremental && cursor
+      ? img => knownIds.has(String(img.id)) || new Date(img.createdAt) < cursor
+      : null;
+    const images = await fetchAllPages(`${baseUrl}${param}`, `${host}:${label}`, isKnown);
     results.push({ label, count: images.length, images });
+    if (isKnown) complete = false;
+
+    // Newest published image of this level (scheduled posts are not known yet)
+    let newest = cursor;
+    for (const img of images) {
+      const createdAt = new Date(img.createdAt);
+      if (createdAt <= now && (!newest || createdAt > newest)) newest = createdAt;
+    }
+    if (newest) nextCursors[key] = { newestCreatedAt: newest.toISOString() };
   }
 
   // Deduplicate within this host and tag the host on each image.
@@ -350,24 +652,86 @@ async function fetchUserImagesFromHost(username, host) {
   }
 
   const breakdown = results.map(r => `${r.count} ${r.label}`).join(' + ');
-  console.log(`[${host}] ${breakdown} = ${imageMap.size} unique images`);
-  return Array.from(imageMap.values());
+  console.log(`[${host}] ${breakdown} = ${imageMap.size} unique images${complete ? '' : ' (incremental)'}`);
+  return { images: Array.from(imageMap.values()), cursors: nextCursors, complete };
 }
 
-async function fetchAllUserImages(username) {
+/**
+ * Whether this run re-crawls every page. Discovery is incremental except
+ * when a host has not had a full crawl for FULL_CRAWL_INTERVAL_DAYS (or
+ * REFRESH_MODE=all / DISCOVERY_MODE=full), so images that moved, changed
+ * level or were missed are picked up again.
+ */
+function isFullCrawl(discovery) {
+  if (DISCOVERY_MODE === 'full' || REFRESH_MODE === 'all') return true;
+  if (DISCOVERY_MODE === 'incremental') return false;
+  const hosts = CIVITAI_RED_ENABLED ? ['com', 'red'] : ['com'];
+  const oldest = Date.now() - FULL_CRAWL_INTERVAL_DAYS * 24 * 60 * 60 * 1000;
+  return hosts.some(host => !discovery[host]?.lastFullCrawlAt || Date.parse(discovery[host].lastFullCrawlAt) < oldest);
+}
+
+/**
+ * Discovery record for a tracked image that incremental discovery did not
+ * reach: its last stored values stand in for the bulk stats, so it is neither
+ * marked stale nor loses its scheduled refresh.
+ */
+function discoveryRecordFromHistory(image) {
+  const last = resolveSnapshot(image.snapshots, image.snapshots.length - 1);
+  return {
+    id: image.id,
+    host: image.host || 'com',
+    createdAt: image.createdAt,
+    url: image.thumbnailUrl,
+    name: image.name,
+    lastSeenAt: image.lastSeenAt || null,
+    fromHistory: true,
+    stats: Object.fromEntries(STAT_FIELDS.map(field => [SOURCE_FIELDS[field], last[field]]))
+  };
+}
+
+/**
+ * Discover the user's images on both hosts and refresh their stats.
+ * `storedData` provides the known images and the discovery cursors
+ * (`storedData.discovery`, updated in place).
+ */
+async function fetchAllUserImages(username, storedData) {
   console.log(`Fetching images for user: ${username}`);
 
+  const discovery = storedData.discovery || {};
+  const fullCrawl = isFullCrawl(discovery);
+  const knownIds = new Set(storedData.images.map(img => img.id));
+  console.log(`Discovery: ${fullCrawl ? 'full crawl' : 'incremental (stops at already-known images)'}`);
+  runCounters.discovery = fullCrawl ? 'full' : 'incremental';
+
+  const crawl = async host => {
+    const result = await fetchUserImagesFromHost(username, host, {
+      incremental: !fullCrawl,
+      knownIds,
+      cursors: discovery[host]?.levels || {}
+    });
+    discovery[host] = {
+      levels: result.cursors,
+      lastFullCrawlAt: result.complete ? new Date().toISOString() : (discovery[host]?.lastFullCrawlAt || null)
+    };
+    return result;
+  };
+
   // .com discovery is required.
-  const comImages = await fetchUserImagesFromHost(username, 'com');
+  const comResult = await crawl('com');
+  const comImages = comResult.images;
+  let complete = comResult.complete;
 
   // .red discovery (R-and-harder content moved here). Best-effort: a failure
   // must not abort the whole run, otherwise a .red outage would lose .com data.
   let redImages = [];
   if (CIVITAI_RED_ENABLED) {
     try {
-      redImages = await fetchUserImagesFromHost(username, 'red');
+      const redResult = await crawl('red');
+      redImages = redResult.images;
+      complete = complete && redResult.complete;
     } catch (err) {
       console.log(`\n⚠️  civitai.red discovery failed (continuing with .com only): ${err.message}`);
+      runCounters.problems.push(`civitai.red discovery failed: ${err.message}`);
     }
   } else {
     console.log('civitai.red discovery disabled (CIVITAI_RED_ENABLED=false)');
@@ -383,6 +747,22 @@ async function fetchAllUserImages(username) {
 
   console.log(`\nCombined hosts: ${comImages.length} com + ${redImages.length} red = ${allImages.length} unique images`);
 
+  // Incremental discovery did not look at older pages: carry the tracked
+  // images it did not reach (stale ones stay stale until a full crawl)
+  if (!complete) {
+    const discoveredIds = new Set(allImages.map(img => String(img.id)));
+    const skippedHosts = new Set(CIVITAI_RED_ENABLED ? [] : ['red']);
+    let fromHistory = 0;
+    for (const image of storedData.images) {
+      if (discoveredIds.has(image.id) || image.stale || !image.snapshots?.length) continue;
+      if (skippedHosts.has(image.host)) continue;
+      allImages.push(discoveryRecordFromHistory(image));
+      fromHistory++;
+    }
+    console.log(`Incremental discovery: ${fromHistory} known images not re-crawled (using stored values)`);
+  }
+  storedData.discovery = discovery;
+
   // Filter out unpublished/scheduled images (future dates)
   const now = new Date();
   const publishedImages = allImages.filter(img => new Date(img.createdAt) <= now);
@@ -396,9 +776,7 @@ async function fetchAllUserImages(username) {
   let zeroStatsCount = 0;
   let hasStatsCount = 0;
   for (const img of publishedImages) {
-    const total = (img.stats?.likeCount || 0) + (img.stats?.heartCount || 0) +
-                  (img.stats?.laughCount || 0) + (img.stats?.cryCount || 0);
-    if (total === 0) {
+    if (totalReactionsOf(img.stats) === 0) {
       zeroStatsCount++;
     } else {
       hasStatsCount++;
@@ -406,70 +784,84 @@ async function fetchAllUserImages(username) {
   }
   console.log(`\nBulk fetch stats: ${hasStatsCount} with reactions, ${zeroStatsCount} with 0 reactions`);
 
-  // Re-fetch accurate stats using tiered schedule
-  const imagesWithStats = await refreshImageStats(publishedImages);
+  // Re-fetch accurate stats for the images the scheduler picks
+  const storedImages = new Map(storedData.images.map(img => [img.id, img]));
+  const imagesWithStats = await refreshImageStats(publishedImages, storedImages);
 
   console.log(`\nTotal published images: ${imagesWithStats.length}`);
   return imagesWithStats;
 }
 
 /**
- * Read existing Gist data with better error handling
+ * Fetch every model the user published, from civitai.com (nsfw=true includes
+ * models of all levels). Models are optional: a failed fetch is logged and
+ * returns null, so the stored models are kept as they are.
  */
-async function readGistData() {
+async function fetchUserModels(username) {
+  const url = `${apiBaseForHost('com')}/models?username=${encodeURIComponent(username)}&limit=${MODELS_PER_PAGE}&nsfw=true`;
   try {
-    console.log('Reading existing Gist data...');
-    const gist = await octokit.gists.get({ gist_id: GIST_ID });
+    const models = await fetchAllPages(url, 'com:models');
+    console.log(`[com] ${models.length} models`);
+    return models;
+  } catch (error) {
+    console.warn(`\n⚠️  WARNING: Failed to fetch models: ${error.message}`);
+    console.warn('   Keeping the stored models unchanged this run.');
+    runCounters.problems.push(`models fetch failed: ${error.message}`);
+    return null;
+  }
+}
+
+// Raw content of the files read at startup, so unchanged shards are not rewritten
+let storedFiles = {};
+
+/**
+ * Read existing stats data from the configured storage backend
+ */
+async function readStoredData() {
+  try {
+    console.log(`Reading existing data from ${storage.describe()}...`);
+    const { data, files } = await readStatsDocument(storage);
+    storedFiles = files;
 
     // Check if stats.json file exists
-    if (!gist.data.files['stats.json']) {
-      console.log('Warning: stats.json file not found in Gist');
-      console.log('Available files:', Object.keys(gist.data.files).join(', '));
+    if (!(STATS_FILE in files)) {
+      console.log(`Warning: ${STATS_FILE} file not found in storage`);
+      console.log('Available files:', (await storage.listFiles()).join(', ') || '(none)');
       console.log('Starting with empty stats');
       return createEmptyStats();
     }
 
-    const fileData = gist.data.files['stats.json'];
-    let content;
-
-    // Handle truncated files (GitHub API truncates large Gist files)
-    if (fileData.truncated) {
-      console.log('Gist file is truncated (too large for API response), fetching full content from raw_url...');
-      const response = await fetch(fileData.raw_url);
-      if (!response.ok) {
-        throw new Error(`Failed to fetch full Gist content from raw_url: HTTP ${response.status}`);
-      }
-      content = await response.text();
-      console.log(`Fetched full content: ${(content.length / 1024).toFixed(2)} KB`);
-    } else {
-      content = fileData.content;
-    }
-
-    // Check for truly empty/new Gist
-    if (!content || content.trim() === '' || content.trim() === '{}') {
-      console.log('Gist file is empty, starting fresh');
+    // Check for truly empty/new file
+    if (!data) {
+      console.log('Stored file is empty, starting fresh');
       return createEmptyStats();
     }
 
-    // Parse and validate
-    const data = JSON.parse(content);
-
     // Validate structure
     if (!data.totalSnapshots || !data.images) {
-      console.error('ERROR: Gist data has invalid structure');
+      console.error('ERROR: Stored data has invalid structure');
       console.error('Data structure:', Object.keys(data));
-      throw new Error('Invalid Gist data structure - missing totalSnapshots or images arrays');
+      throw new Error('Invalid stored data structure - missing totalSnapshots or images arrays');
     }
 
-    console.log(`Successfully read existing data: ${data.totalSnapshots.length} totalSnapshots, ${data.images.length} images`);
+    // Upgrade older data formats before anything touches the document
+    const migration = migrateDocument(data);
+    if (migration.applied.length > 0) {
+      formatMigrationReport(migration).forEach(line => console.log(line));
+    }
+
+    const shardCount = Object.keys(files).length - 1;
+    console.log(`Successfully read existing data: ${data.totalSnapshots.length} totalSnapshots, ${data.images.length} images` +
+      (shardCount > 0 ? ` (${shardCount} shards)` : ''));
     return data;
 
   } catch (error) {
     // CRITICAL: Do NOT silently return empty stats on error!
     console.error('');
     console.error('═══════════════════════════════════════════════════════════');
-    console.error('CRITICAL ERROR: Failed to read existing Gist data');
+    console.error('CRITICAL ERROR: Failed to read existing stats data');
     console.error('═══════════════════════════════════════════════════════════');
+    console.error('Storage:', storage.describe());
     console.error('Error type:', error.name);
     console.error('Error message:', error.message);
     console.error('Stack trace:', error.stack);
@@ -478,16 +870,17 @@ async function readGistData() {
     console.error('all existing historical data with only the current snapshot.');
     console.error('');
     console.error('Possible causes:');
-    console.error('  1. Network timeout or GitHub API issues');
-    console.error('  2. Invalid GIST_TOKEN or insufficient permissions');
-    console.error('  3. Gist was deleted or ID changed');
-    console.error('  4. Gist file name is not "stats.json"');
+    console.error('  1. Network timeout or storage backend (GitHub, git remote, S3) issues');
+    console.error('  2. Invalid credentials (GIST_TOKEN, S3 keys, git push access) or insufficient permissions');
+    console.error('  3. Gist/bucket/branch was deleted or its ID changed');
+    console.error(`  4. Stored file name is not "${STATS_FILE}"`);
     console.error('');
     console.error('ABORTING to prevent data loss.');
     console.error('═══════════════════════════════════════════════════════════');
     console.error('');
 
     // Exit with error code instead of returning empty stats
+    await notify([abortedEvent('read-failed', error.message, { username: CIVITAI_USERNAME })]);
     process.exit(1);
   }
 }
@@ -497,6 +890,7 @@ async function readGistData() {
  */
 function createEmptyStats() {
   return {
+    schemaVersion: CURRENT_SCHEMA_VERSION,
     username: CIVITAI_USERNAME,
     lastUpdated: null,
     totalSnapshots: [],
@@ -505,42 +899,70 @@ function createEmptyStats() {
 }
 
 /**
- * Update Gist with new data
+ * Keep rotating daily/weekly copies of the stored document before it is
+ * overwritten. A failed backup is logged but does not stop the write.
  */
-async function updateGist(data) {
+async function backupStoredData() {
+  if (!BACKUP_ENABLED) return;
+  if (backupStorage !== storage) {
+    // Rotating backups of earlier versions stay next to the data until deleted
+    const leftover = (await listBackups(storage).catch(() => []))
+      .filter(backup => backup.kind === 'daily' || backup.kind === 'weekly');
+    if (leftover.length > 0) {
+      console.warn(`\n⚠️  ${leftover.length} backups from earlier runs are still in ${storage.describe()}, next to the data.`);
+      console.warn('   Nothing rotates them out there: delete them once you have copied any you want to keep (restore.js lists them).');
+    }
+  }
+  if (!backupStorage) return;
   try {
-    const content = JSON.stringify(data, null, 2);
+    const { created, removed } = await rotateBackups(backupStorage, () => backupContent(storedFiles), {
+      policy: BACKUP_POLICY
+    });
+    if (created.length > 0) console.log(`\nBackup created: ${created.join(', ')}`);
+    if (removed.length > 0) console.log(`Expired backups removed: ${removed.join(', ')}`);
+  } catch (error) {
+    console.warn(`\n⚠️  WARNING: Backup to ${backupStorage.describe()} failed: ${error.message}`);
+    console.warn('   Continuing with the write; the previous version is not backed up.');
+  }
+}
 
-    console.log('\nUpdating Gist...');
-    console.log(`  Data size: ${(content.length / 1024).toFixed(2)} KB`);
+/**
+ * Write stats data to the configured storage backend
+ */
+async function writeStoredData(data) {
+  try {
+    console.log(`\nWriting to ${storage.describe()}...`);
     console.log(`  Total snapshots: ${data.totalSnapshots.length}`);
     console.log(`  Images: ${data.images.length}`);
+    if (data.models) {
+      console.log(`  Models: ${data.models.length}`);
+    }
 
-    await octokit.gists.update({
-      gist_id: GIST_ID,
-      files: {
-        'stats.json': {
-          content: content
-        }
-      }
+    const { written, unchanged, size } = await writeStatsDocument(storage, data, {
+      layout: STATS_LAYOUT,
+      encoding: STATS_ENCODING,
+      previousFiles: storedFiles
     });
 
-    console.log('✓ Gist updated successfully');
+    console.log(`  Data size: ${(size / 1024).toFixed(2)} KB`);
+    console.log(`  Files written: ${written.length}${unchanged > 0 ? ` (${unchanged} unchanged, skipped)` : ''}`);
+    console.log('✓ Stored data updated successfully');
   } catch (error) {
     console.error('');
     console.error('═══════════════════════════════════════════════════════════');
-    console.error('CRITICAL ERROR: Failed to update Gist');
+    console.error('CRITICAL ERROR: Failed to write stats data');
     console.error('═══════════════════════════════════════════════════════════');
+    console.error('Storage:', storage.describe());
     console.error('Error:', error.message);
     console.error('');
     console.error('The data collection completed successfully but could not');
-    console.error('be saved to the Gist. Possible causes:');
+    console.error('be saved. Possible causes:');
     console.error('  1. Network timeout');
-    console.error('  2. Invalid GIST_TOKEN or revoked permissions');
-    console.error('  3. Gist was deleted');
-    console.error('  4. GitHub API issues');
+    console.error('  2. Invalid credentials or revoked permissions');
+    console.error('  3. Gist/bucket/branch was deleted, or the git branch moved (push rejected)');
+    console.error('  4. GitHub or storage provider issues');
     console.error('');
-    console.error('Your historical data in the Gist has NOT been modified.');
+    console.error('Your stored historical data has NOT been modified.');
     console.error('═══════════════════════════════════════════════════════════');
     console.error('');
     throw error;
@@ -548,220 +970,39 @@ async function updateGist(data) {
 }
 
 /**
- * Aggregate snapshots to reduce data size
- * Groups snapshots into intervals and takes the last value in each interval
- */
-function aggregateSnapshots(snapshots, intervalHours) {
-  if (snapshots.length === 0) return [];
-
-  const intervalMs = intervalHours * 60 * 60 * 1000;
-  const aggregated = [];
-  let currentBucket = null;
-  let currentBucketStart = null;
-
-  for (const snapshot of snapshots) {
-    const timestamp = new Date(snapshot.timestamp).getTime();
-    const bucketStart = Math.floor(timestamp / intervalMs) * intervalMs;
-
-    if (currentBucketStart !== bucketStart) {
-      if (currentBucket) {
-        aggregated.push(currentBucket);
-      }
-      currentBucketStart = bucketStart;
-    }
-    // Always keep the latest snapshot in the bucket
-    currentBucket = snapshot;
-  }
-
-  if (currentBucket) {
-    aggregated.push(currentBucket);
-  }
-
-  return aggregated;
-}
-
-/**
- * Apply data retention policy to snapshots
- */
-function applyRetentionPolicy(snapshots) {
-  const now = Date.now();
-  const hourlyThreshold = now - (HOURLY_RETENTION_DAYS * 24 * 60 * 60 * 1000);
-  const sixHourThreshold = now - (SIX_HOUR_RETENTION_DAYS * 24 * 60 * 60 * 1000);
-
-  // Separate snapshots into retention buckets
-  const hourlySnapshots = [];
-  const sixHourSnapshots = [];
-  const dailySnapshots = [];
-
-  for (const snapshot of snapshots) {
-    const timestamp = new Date(snapshot.timestamp).getTime();
-
-    if (timestamp >= hourlyThreshold) {
-      // Last 7 days: keep hourly
-      hourlySnapshots.push(snapshot);
-    } else if (timestamp >= sixHourThreshold) {
-      // 7-30 days: aggregate to 6-hour intervals
-      sixHourSnapshots.push(snapshot);
-    } else {
-      // Beyond 30 days: aggregate to daily
-      dailySnapshots.push(snapshot);
-    }
-  }
-
-  // Aggregate older data
-  const aggregatedSixHour = aggregateSnapshots(sixHourSnapshots, 6);
-  const aggregatedDaily = aggregateSnapshots(dailySnapshots, 24);
-
-  // Combine all snapshots, sorted by timestamp
-  const result = [...aggregatedDaily, ...aggregatedSixHour, ...hourlySnapshots];
-  result.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-
-  return result;
-}
-
-/**
- * Check if a snapshot is delta-encoded (has any d* keys)
- */
-function isDelta(snapshot) {
-  return snapshot && ('dl' in snapshot || 'dh' in snapshot ||
-         'dla' in snapshot || 'dc' in snapshot || 'dco' in snapshot ||
-         'dbu' in snapshot || 'dcol' in snapshot || 'dvi' in snapshot || '_d' in snapshot);
-}
-
-/**
- * Resolve a single snapshot at a given index to absolute values
- * by walking backward to find the nearest absolute snapshot and applying deltas forward
- */
-function resolveSnapshot(snapshots, index) {
-  let base = { likes: 0, hearts: 0, laughs: 0, cries: 0, comments: 0, buzz: 0, collects: 0, views: 0 };
-  let startIdx = 0;
-
-  for (let i = index; i >= 0; i--) {
-    if (!isDelta(snapshots[i])) {
-      base = {
-        likes: snapshots[i].likes || 0,
-        hearts: snapshots[i].hearts || 0,
-        laughs: snapshots[i].laughs || 0,
-        cries: snapshots[i].cries || 0,
-        comments: snapshots[i].comments || 0,
-        buzz: snapshots[i].buzz || 0,
-        collects: snapshots[i].collects || 0,
-        views: snapshots[i].views || 0
-      };
-      startIdx = i + 1;
-      break;
-    }
-  }
-
-  for (let i = startIdx; i <= index; i++) {
-    const s = snapshots[i];
-    if (isDelta(s)) {
-      base.likes += s.dl || 0;
-      base.hearts += s.dh || 0;
-      base.laughs += s.dla || 0;
-      base.cries += s.dc || 0;
-      base.comments += s.dco || 0;
-      base.buzz += s.dbu || 0;
-      base.collects += s.dcol || 0;
-      base.views += s.dvi || 0;
-    }
-  }
-
-  return { timestamp: snapshots[index].timestamp, ...base };
-}
-
-/**
- * Resolve all snapshots in an array to absolute values
+ * Timestamp of this run's snapshots, to the second: the columnar encoding
+ * stores whole seconds, so corrections, anomalies and milestones that name a
+ * snapshot's timestamp keep matching it after a round trip. A run that starts
+ * within the second of the last stored snapshot waits for the next one.
  */
-function resolveAllSnapshots(snapshots) {
-  const result = [];
-  let current = { likes: 0, hearts: 0, laughs: 0, cries: 0, comments: 0, buzz: 0, collects: 0, views: 0 };
-
-  for (const s of snapshots) {
-    if (isDelta(s)) {
-      current = {
-        likes: current.likes + (s.dl || 0),
-        hearts: current.hearts + (s.dh || 0),
-        laughs: current.laughs + (s.dla || 0),
-        cries: current.cries + (s.dc || 0),
-        comments: current.comments + (s.dco || 0),
-        buzz: current.buzz + (s.dbu || 0),
-        collects: current.collects + (s.dcol || 0),
-        views: current.views + (s.dvi || 0)
-      };
-    } else {
-      current = {
-        likes: s.likes || 0,
-        hearts: s.hearts || 0,
-        laughs: s.laughs || 0,
-        cries: s.cries || 0,
-        comments: s.comments || 0,
-        buzz: s.buzz || 0,
-        collects: s.collects || 0,
-        views: s.views || 0
-      };
-    }
-    result.push({ timestamp: s.timestamp, ...current });
-  }
-  return result;
-}
-
-/**
- * Encode an array of absolute snapshots as deltas (first stays absolute, rest become deltas)
- */
-function encodeAsDeltas(absoluteSnapshots) {
-  if (absoluteSnapshots.length === 0) return [];
-  const result = [absoluteSnapshots[0]];
-  for (let i = 1; i < absoluteSnapshots.length; i++) {
-    const prev = absoluteSnapshots[i - 1];
-    const curr = absoluteSnapshots[i];
-    const delta = { timestamp: curr.timestamp };
-    if (curr.likes - prev.likes) delta.dl = curr.likes - prev.likes;
-    if (curr.hearts - prev.hearts) delta.dh = curr.hearts - prev.hearts;
-    if (curr.laughs - prev.laughs) delta.dla = curr.laughs - prev.laughs;
-    if (curr.cries - prev.cries) delta.dc = curr.cries - prev.cries;
-    if (curr.comments - prev.comments) delta.dco = curr.comments - prev.comments;
-    if (curr.buzz - prev.buzz) delta.dbu = curr.buzz - prev.buzz;
-    if (curr.collects - prev.collects) delta.dcol = curr.collects - prev.collects;
-    if (curr.views - prev.views) delta.dvi = curr.views - prev.views;
-    // Mark as delta even when all changes are zero, so resolvers don't mistake it for absolute
-    if (!delta.dl && !delta.dh && !delta.dla && !delta.dc && !delta.dco && !delta.dbu && !delta.dcol && !delta.dvi) {
-      delta._d = 1;
-    }
-    result.push(delta);
-  }
-  return result;
+async function snapshotTimestamp(lastUpdated) {
+  const next = lastUpdated ? Math.floor(Date.parse(lastUpdated) / 1000) * 1000 + 1000 : 0;
+  if (Date.now() < next) await sleep(next - Date.now());
+  return new Date(Math.floor(Date.now() / 1000) * 1000).toISOString();
 }
 
 /**
  * Process images and create current snapshot
- * Merges new snapshot data with existing image snapshots
+ * Merges new snapshot data with existing image snapshots.
+ * Also reports, for the dry-run diff, which stats were clamped
+ * ({ id, fields: { likes: { api, kept }, ... } }), the correction entries
+ * added for confirmed decreases ({ id, timestamp, likes: -2, ... }) and which series
+ * retention compacted ({ id, before, after }).
  */
-function processImages(apiImages, existingImages = []) {
-  const timestamp = new Date().toISOString();
+function processImages(apiImages, existingImages, timestamp) {
 
   // Create a map of existing images for quick lookup
   const existingImageMap = new Map(existingImages.map(img => [img.id, img]));
 
+  const clamped = [];
+  const corrections = [];
+  const compactions = [];
+
   // Calculate totals
-  let totalLikes = 0;
-  let totalHearts = 0;
-  let totalLaughs = 0;
-  let totalCries = 0;
-  let totalComments = 0;
-  let totalBuzz = 0;
-  let totalCollects = 0;
-  let totalViews = 0;
+  const totals = Object.fromEntries(STAT_FIELDS.map(field => [field, 0]));
 
   const images = apiImages.map(img => {
-    const apiLikes = img.stats?.likeCount || 0;
-    const apiHearts = img.stats?.heartCount || 0;
-    const apiLaughs = img.stats?.laughCount || 0;
-    const apiCries = img.stats?.cryCount || 0;
-    const apiComments = img.stats?.commentCount || 0;
-    const apiBuzz = img.stats?.buzzCount || 0;
-    const apiCollects = img.stats?.collectCount || 0;
-    const apiViews = img.stats?.viewCount || 0;
+    const api = Object.fromEntries(STAT_FIELDS.map(field => [field, img.stats?.[SOURCE_FIELDS[field]] || 0]));
 
     // Get existing image data if available
     const existingImage = existingImageMap.get(String(img.id));
@@ -772,101 +1013,101 @@ function processImages(apiImages, existingImages = []) {
       ? resolveSnapshot(snapshots, snapshots.length - 1)
       : null;
 
-    // Clamp: never let stats decrease due to stale bulk API data
-    const likes = Math.max(apiLikes, lastSnapshot?.likes || 0);
-    const hearts = Math.max(apiHearts, lastSnapshot?.hearts || 0);
-    const laughs = Math.max(apiLaughs, lastSnapshot?.laughs || 0);
-    const cries = Math.max(apiCries, lastSnapshot?.cries || 0);
-    const comments = Math.max(apiComments, lastSnapshot?.comments || 0);
-    const buzz = Math.max(apiBuzz, lastSnapshot?.buzz || 0);
-    const collects = Math.max(apiCollects, lastSnapshot?.collects || 0);
-    const views = Math.max(apiViews, lastSnapshot?.views || 0);
-
-    if (lastSnapshot && (apiLikes < lastSnapshot.likes || apiHearts < lastSnapshot.hearts ||
-        apiLaughs < lastSnapshot.laughs || apiCries < lastSnapshot.cries || apiComments < lastSnapshot.comments)) {
-      console.log(`  Clamped stale API stats for image ${img.id}: API[${apiLikes},${apiHearts},${apiLaughs},${apiCries},${apiComments}] -> kept[${likes},${hearts},${laughs},${cries},${comments}]`);
+    // Clamp: never let stats decrease due to stale bulk API data, except
+    // where a decrease was confirmed by two individual fetches
+    const confirmed = img.confirmedDecrease || {};
+    const current = { timestamp };
+    for (const field of STAT_FIELDS) {
+      current[field] = field in confirmed ? api[field] : Math.max(api[field], lastSnapshot?.[field] || 0);
     }
 
-    totalLikes += likes;
-    totalHearts += hearts;
-    totalLaughs += laughs;
-    totalCries += cries;
-    totalComments += comments;
-    totalBuzz += buzz;
-    totalCollects += collects;
-    totalViews += views;
-
-    // Only store new snapshot if reactions actually changed (or it's the first snapshot)
-    const hasChanged = !lastSnapshot ||
-      lastSnapshot.likes !== likes ||
-      lastSnapshot.hearts !== hearts ||
-      lastSnapshot.laughs !== laughs ||
-      lastSnapshot.cries !== cries ||
-      lastSnapshot.comments !== comments ||
-      lastSnapshot.buzz !== buzz ||
-      lastSnapshot.collects !== collects ||
-      lastSnapshot.views !== views;
-
-    if (hasChanged) {
-      if (!lastSnapshot) {
-        // First snapshot — store absolute
-        snapshots.push({ timestamp, likes, hearts, laughs, cries, comments, buzz, collects, views });
-      } else {
-        // Subsequent snapshot — store as delta
-        const delta = { timestamp };
-        if (likes - lastSnapshot.likes) delta.dl = likes - lastSnapshot.likes;
-        if (hearts - lastSnapshot.hearts) delta.dh = hearts - lastSnapshot.hearts;
-        if (laughs - lastSnapshot.laughs) delta.dla = laughs - lastSnapshot.laughs;
-        if (cries - lastSnapshot.cries) delta.dc = cries - lastSnapshot.cries;
-        if (comments - lastSnapshot.comments) delta.dco = comments - lastSnapshot.comments;
-        if (buzz - lastSnapshot.buzz) delta.dbu = buzz - lastSnapshot.buzz;
-        if (collects - lastSnapshot.collects) delta.dcol = collects - lastSnapshot.collects;
-        if (views - lastSnapshot.views) delta.dvi = views - lastSnapshot.views;
-        if (Object.keys(delta).length > 1) {
-          snapshots.push(delta);
-        }
+    if (lastSnapshot) {
+      // Stats missing from the response (REST has no buzz/collects/views) are not clamps
+      const fields = {};
+      for (const [field, value] of Object.entries(api)) {
+        if (img.stats?.[SOURCE_FIELDS[field]] === undefined || field in confirmed) continue;
+        if (value < (lastSnapshot[field] || 0)) fields[field] = { api: value, kept: lastSnapshot[field] };
+      }
+      if (Object.keys(fields).length > 0) {
+        clamped.push({ id: String(img.id), fields });
+        console.log(`  Clamped stale API stats for image ${img.id}: ` +
+          Object.entries(fields).map(([field, { api: value, kept }]) => `${field} API ${value} -> kept ${kept}`).join(', '));
       }
     }
 
+    // Confirmed decreases become correction entries next to the snapshots
+    let imageCorrections = existingImage?.corrections || [];
+    if (lastSnapshot && img.confirmedDecrease) {
+      const entry = correctionEntry(lastSnapshot, img.confirmedDecrease, timestamp);
+      imageCorrections = [...imageCorrections, entry];
+      corrections.push({ id: String(img.id), ...entry });
+      console.log(`  Confirmed decrease for image ${img.id}: ` +
+        Object.entries(img.confirmedDecrease).map(([field, value]) => `${field} ${lastSnapshot[field]} -> ${value}`).join(', '));
+    }
+
+    for (const field of STAT_FIELDS) totals[field] += current[field];
+
+    // Only store a new snapshot if a stat actually changed: absolute for the
+    // first snapshot, a delta after that
+    const entry = appendEntry(lastSnapshot, current);
+    if (entry) {
+      snapshots.push(entry);
+    }
+
     // Apply retention: resolve to absolute first, retain, then re-encode as deltas
-    let resolvedSnapshots = resolveAllSnapshots(snapshots);
-    resolvedSnapshots = applyRetentionPolicy(resolvedSnapshots);
-    snapshots = encodeAsDeltas(resolvedSnapshots);
+    const retained = compactSeries(snapshots, RETENTION.images, { peaks: RETENTION_PEAKS });
+    if (retained.after < retained.before) {
+      compactions.push({ id: String(img.id), before: retained.before, after: retained.after });
+    }
+    snapshots = retained.snapshots;
 
     const host = img.host || 'com';
     return {
       id: String(img.id),
-      name: img.meta?.prompt?.substring(0, 100) || `Image ${img.id}`,
+      name: img.fromHistory ? img.name : (img.meta?.prompt?.substring(0, 100) || `Image ${img.id}`),
       url: `${siteOriginForHost(host)}/images/${img.id}`,
       thumbnailUrl: img.url,
       createdAt: img.createdAt,
+      // Post the image belongs to (kept from storage for carried images)
+      postId: (img.fromHistory ? existingImage?.postId : img.postId ?? existingImage?.postId) ?? null,
       host,
-      lastSeenAt: timestamp,
+      // Generation metadata (base model, resources, sampler, size, nsfwLevel);
+      // images carried by incremental discovery keep what was stored
+      meta: img.fromHistory ? existingImage?.meta : (extractImageMeta(img) || existingImage?.meta),
+      // Images carried by incremental discovery were not seen this run
+      lastSeenAt: img.fromHistory ? img.lastSeenAt : timestamp,
+      refreshedAt: img.refreshedAt || existingImage?.refreshedAt || null,
       stale: false,
+      // Suspected decrease awaiting confirmation (kept when not refreshed this run)
+      pendingDecrease: (img.pendingDecrease !== undefined ? img.pendingDecrease : existingImage?.pendingDecrease) || undefined,
+      corrections: imageCorrections.length > 0 ? imageCorrections : undefined,
+      anomalies: existingImage?.anomalies,
+      // A listed image that had a stale status has reappeared
+      availability: existingImage?.availability && existingImage.availability.status !== 'reappeared'
+        ? nextAvailability(existingImage.availability,
+          { status: 'reappeared', reason: `listed on civitai.${host} again (was ${existingImage.availability.status})` }, timestamp)
+        : existingImage?.availability,
       snapshots
     };
   });
 
   // Include last-known stats for images not returned by API this run
-  // This prevents false dips in the total when the API drops some images
+  // This prevents false dips in the total when the API drops some images.
+  // Images confirmed deleted no longer count (main took them out of the
+  // total history).
   const apiImageIds = new Set(apiImages.map(img => String(img.id)));
   let missingImageCount = 0;
 
   for (const existing of existingImages) {
     if (!apiImageIds.has(existing.id) && existing.snapshots?.length > 0) {
-      const last = resolveSnapshot(existing.snapshots, existing.snapshots.length - 1);
-      totalLikes += last.likes || 0;
-      totalHearts += last.hearts || 0;
-      totalLaughs += last.laughs || 0;
-      totalCries += last.cries || 0;
-      totalComments += last.comments || 0;
-      totalBuzz += last.buzz || 0;
-      totalCollects += last.collects || 0;
-      totalViews += last.views || 0;
+      if (existing.availability?.status !== 'deleted') {
+        const last = resolveSnapshot(existing.snapshots, existing.snapshots.length - 1);
+        for (const field of STAT_FIELDS) totals[field] += last[field] || 0;
+      }
 
       // Preserve the image in the output so its history isn't lost. Mark it
       // stale: no API (either host) returned it this run, so it's frozen at its
-      // last-known value — likely migrated to civitai.red or removed.
+      // last-known value until probeStaleImages classifies it.
       const host = existing.host || 'com';
       images.push({
         id: existing.id,
@@ -874,9 +1115,20 @@ function processImages(apiImages, existingImages = []) {
         url: existing.url || `${siteOriginForHost(host)}/images/${existing.id}`,
         thumbnailUrl: existing.thumbnailUrl,
         createdAt: existing.createdAt,
+        postId: existing.postId ?? null,
         host,
+        meta: existing.meta,
         lastSeenAt: existing.lastSeenAt || null,
+        refreshedAt: existing.refreshedAt || null,
         stale: true,
+        // When a run first missed it: lastSeenAt can be days older for images
+        // incremental discovery carried forward (images stale before this
+        // field existed keep their lastSeenAt)
+        staleSince: existing.stale ? existing.staleSince || existing.lastSeenAt || timestamp : timestamp,
+        pendingDecrease: existing.pendingDecrease,
+        corrections: existing.corrections,
+        anomalies: existing.anomalies,
+        availability: existing.availability,
         snapshots: existing.snapshots // keep existing snapshots as-is
       });
       missingImageCount++;
@@ -894,52 +1146,202 @@ function processImages(apiImages, existingImages = []) {
   const redCount = images.filter(img => img.host === 'red').length;
   const staleCount = images.filter(img => img.stale).length;
   console.log(`Host split: ${images.length - redCount} com, ${redCount} red | ${staleCount} stale (frozen, not seen this run)`);
+  const statusCounts = {};
+  for (const img of images) {
+    if (img.stale && img.availability) statusCounts[img.availability.status] = (statusCounts[img.availability.status] || 0) + 1;
+  }
+  if (Object.keys(statusCounts).length > 0) {
+    console.log(`Stale image status: ${Object.entries(statusCounts).map(([status, count]) => `${count} ${status}`).join(', ')}`);
+  }
 
   const totalSnapshot = {
     timestamp,
-    likes: totalLikes,
-    hearts: totalHearts,
-    laughs: totalLaughs,
-    cries: totalCries,
-    comments: totalComments,
-    buzz: totalBuzz,
-    collects: totalCollects,
-    views: totalViews,
-    imageCount: images.length
+    ...totals,
+    // Images that count towards the totals (deleted ones no longer do)
+    imageCount: images.filter(img => img.availability?.status !== 'deleted').length
   };
 
-  return { images, totalSnapshot };
+  return { images, totalSnapshot, clamped, corrections, compactions };
+}
+
+/**
+ * Add the absolute snapshot `current` to a delta-encoded series of `series`
+ * (as a delta, and only if a stat changed), then apply the retention `tiers`.
+ * Returns { snapshots, before, after }: the new series and its length
+ * before and after retention.
+ */
+function appendToSeries(snapshots, current, series, tiers) {
+  const appended = [...snapshots];
+  if (appended.length === 0) {
+    appended.push(current);
+  } else {
+    const entry = appendEntry(resolveSnapshot(appended, appended.length - 1, series), current, series);
+    if (entry) appended.push(entry);
+  }
+
+  return compactSeries(appended, tiers, { series });
+}
+
+/**
+ * Current stats of a models API item, as a MODEL_SERIES snapshot
+ */
+function modelStatsOf(item, timestamp) {
+  const stats = item.stats || {};
+  return {
+    timestamp,
+    downloads: stats.downloadCount || 0,
+    favorites: stats.favoriteCount || 0,
+    thumbsUp: stats.thumbsUpCount || 0,
+    thumbsDown: stats.thumbsDownCount || 0,
+    comments: stats.commentCount || 0,
+    buzz: stats.tippedAmountCount || 0,
+    ratingCount: stats.ratingCount || 0,
+    rating: Math.round((stats.rating || 0) * 100) / 100
+  };
+}
+
+/**
+ * Merge the models returned by the API into the stored ones: append a
+ * snapshot when any stat changed, apply retention, and carry models the API
+ * did not return as stale. Model stats are stored as reported (favorites and
+ * ratings can be withdrawn, so they are not clamped like image reactions).
+ * Returns { models, compactions } like processImages.
+ */
+function processModels(apiModels, existingModels, timestamp) {
+  const existingModelMap = new Map(existingModels.map(model => [model.id, model]));
+  const compactions = [];
+
+  const models = apiModels.map(item => {
+    const id = String(item.id);
+    const existing = existingModelMap.get(id);
+
+    const { snapshots, before, after } = appendToSeries(existing?.snapshots || [], modelStatsOf(item, timestamp), MODEL_SERIES, RETENTION.models);
+    if (after < before) {
+      compactions.push({ id: `model ${id}`, before, after });
+    }
+
+    const versions = (item.modelVersions || []).map(version => ({
+      id: String(version.id),
+      name: version.name,
+      baseModel: version.baseModel || null,
+      publishedAt: version.publishedAt || version.createdAt || null,
+      downloads: version.stats?.downloadCount || 0
+    }));
+    const published = versions.map(version => version.publishedAt).filter(Boolean).sort();
+
+    return {
+      id,
+      name: item.name || `Model ${id}`,
+      type: item.type || null,
+      url: `${siteOriginForHost('com')}/models/${id}`,
+      thumbnailUrl: item.modelVersions?.flatMap(version => version.images || []).find(image => image.url)?.url ||
+        existing?.thumbnailUrl || null,
+      createdAt: published[0] || existing?.createdAt || null,
+      nsfw: Boolean(item.nsfw),
+      versions,
+      lastSeenAt: timestamp,
+      stale: false,
+      snapshots
+    };
+  });
+
+  // Keep the history of models the API did not return (deleted, unpublished
+  // or a partial response), frozen at their last-known value
+  const apiModelIds = new Set(models.map(model => model.id));
+  for (const existing of existingModels) {
+    if (!apiModelIds.has(existing.id) && existing.snapshots?.length > 0) {
+      models.push({ ...existing, stale: true });
+    }
+  }
+
+  const staleCount = models.filter(model => model.stale).length;
+  const newCount = models.filter(model => !existingModelMap.has(model.id)).length;
+  console.log(`\nModels: ${models.length} tracked, ${newCount} new, ${staleCount} stale (not returned this run)`);
+
+  return { models, compactions };
+}
+
+/**
+ * Load the checkpoint of an interrupted run into resumeCheckpoint. Unusable
+ * checkpoints are deleted (except in dry runs); a checkpoint that cannot be
+ * read only costs the refresh it would have saved.
+ */
+async function readCheckpoint() {
+  try {
+    const { checkpoint, discarded } = await loadCheckpoint(storage, {
+      username: CIVITAI_USERNAME,
+      maxAgeHours: CHECKPOINT_MAX_AGE_HOURS
+    });
+    if (discarded) {
+      console.log(`Discarding refresh checkpoint: ${discarded}`);
+      if (!DRY_RUN) await clearCheckpoint(storage);
+    }
+    resumeCheckpoint = checkpoint;
+  } catch (error) {
+    console.log(`⚠️  Could not read the refresh checkpoint, starting over: ${error.message}`);
+  }
+}
+
+/**
+ * Post `events` (of the NOTIFY_EVENTS types) to the configured webhooks,
+ * skipping what each one was sent before and recording deliveries in the
+ * storage before posting (see deliverNotifications). A run that wrote its
+ * data (`succeeded`) also clears the aborted-run entries. Dry runs only list
+ * the events. Never throws: notifications must not fail the run.
+ */
+async function notify(events, { succeeded = false } = {}) {
+  if (WEBHOOKS.length === 0) return;
+  const selected = events.filter(event => NOTIFY_EVENTS.includes(event.type));
+
+  if (DRY_RUN) {
+    console.log(`\nNotifications (not sent in a dry run): ${selected.length}`);
+    selected.forEach(event => console.log(`  [${event.type}] ${event.title}`));
+    return;
+  }
+
+  try {
+    const { results, held, logError } = await deliverNotifications(storage, WEBHOOKS, selected, {
+      username: CIVITAI_USERNAME, succeeded
+    });
+    if (logError) {
+      console.log(`⚠️  Notification log: ${logError}` + (held > 0 ? ` (${held} events held back for a later run)` : ''));
+    }
+    if (results.length > 0) {
+      console.log('\nNotifications:');
+      for (const { webhook, sent, error } of results) {
+        console.log(`  ${webhook.format} webhook ${webhook.id}: ${sent} sent` + (error ? `, failed: ${error}` : ''));
+      }
+    }
+  } catch (error) {
+    console.log(`⚠️  Could not send notifications: ${error.message}`);
+  }
 }
 
 /**
  * Main execution
  */
 async function main() {
+  const startedAt = new Date().toISOString();
   console.log('=== Civitai Stats Collector ===');
-  console.log(`Time: ${new Date().toISOString()}`);
+  console.log(`Time: ${startedAt}`);
   console.log(`Username: ${CIVITAI_USERNAME}`);
   console.log('');
-  if (REFRESH_TIER_OVERRIDE && REFRESH_TIER_OVERRIDE !== 'auto') {
-    console.log(`Refresh tier override: ${REFRESH_TIER_OVERRIDE} (manually triggered)`);
+  if (REFRESH_MODE === 'all') {
+    console.log('Refresh mode: all (every image, full crawl)');
   }
   console.log('');
 
   try {
-    // Fetch all user images from Civitai
-    const apiImages = await fetchAllUserImages(CIVITAI_USERNAME);
-
-    if (apiImages.length === 0) {
-      console.log('No images found for user. Exiting.');
-      return;
-    }
-
-    // Read existing Gist data
-    const existingData = await readGistData();
+    // Read existing stored data first: discovery needs the known images.
+    // Discovery moves its cursors in place, so keep an untouched copy for the
+    // dry-run diff now
+    const existingData = await readStoredData();
+    const storedData = DRY_RUN ? structuredClone(existingData) : null;
 
     // Log the data we read for debugging
     if (existingData.totalSnapshots.length === 0 && existingData.images.length === 0) {
       console.log('⚠️  WARNING: Starting with empty data (no existing history found)');
-      console.log('   If this is unexpected, check your GIST_ID and ensure the Gist exists.');
+      console.log('   If this is unexpected, check your storage settings (e.g. GIST_ID) and ensure the data exists.');
     } else {
       console.log(`✓ Loaded existing history successfully`);
 
@@ -956,10 +1358,54 @@ async function main() {
       }
     }
 
-    console.log(`\nExisting data: ${existingData.totalSnapshots.length} totalSnapshots, ${existingData.images.length} images`);
+    console.log(`\nExisting data: ${existingData.totalSnapshots.length} totalSnapshots, ${existingData.images.length} images\n`);
+
+    // One timestamp for every series this run appends to
+    const timestamp = await snapshotTimestamp(existingData.lastUpdated);
+
+    if (CHECKPOINT_ENABLED) {
+      await readCheckpoint();
+    }
+
+    // Fetch all user images from Civitai
+    const apiImages = await fetchAllUserImages(CIVITAI_USERNAME, existingData);
+
+    if (apiImages.length === 0) {
+      console.log('No images found for user. Exiting.');
+      return;
+    }
+
+    const apiModels = MODELS_ENABLED ? await fetchUserModels(CIVITAI_USERNAME) : null;
+    const profile = PROFILE_ENABLED ? await fetchCreatorProfile(CIVITAI_USERNAME, timestamp) : null;
+
+    // processImages appends to the existing snapshot arrays, so capture the
+    // latest values it read for validation before it runs
+    const baseline = summarizeDocument(existingData);
+    const wasStale = new Set(existingData.images.filter(img => img.stale).map(img => img.id));
+
+    // Classify images that have been stale for a while. Confirmed deletions
+    // leave the totals, history included, so the totals chart shows no drop;
+    // deleted images listed again are added back (see lib/stale-status.js)
+    const listedIds = new Set(apiImages.map(img => String(img.id)));
+    if (STALE_PROBE_ENABLED) {
+      const staleImages = existingData.images.filter(img => img.stale && !listedIds.has(img.id));
+      const deleted = await probeStaleImages(staleImages, new Date().toISOString());
+      for (const image of deleted) {
+        existingData.totalSnapshots = shiftTotals(existingData.totalSnapshots, image.snapshots, -1);
+      }
+      if (deleted.length > 0) {
+        console.log(`Removed ${deleted.length} deleted image(s) from the total history`);
+      }
+    }
+    for (const image of existingData.images) {
+      if (image.availability?.status === 'deleted' && listedIds.has(image.id)) {
+        existingData.totalSnapshots = shiftTotals(existingData.totalSnapshots, image.snapshots, 1);
+        console.log(`Image ${image.id} was deleted but is listed again: added back to the total history`);
+      }
+    }
 
     // Process images with existing data to merge snapshots
-    const { images, totalSnapshot } = processImages(apiImages, existingData.images);
+    const { images, totalSnapshot, clamped, corrections, compactions } = processImages(apiImages, existingData.images, timestamp);
 
     console.log('\nSnapshot created:');
     console.log(`  Images: ${totalSnapshot.imageCount}`);
@@ -972,60 +1418,68 @@ async function main() {
     console.log(`  Collects: ${totalSnapshot.collects}`);
     console.log(`  Views: ${totalSnapshot.views}`);
 
+    // Flag suspicious bursts among the gains recorded this run
+    const anomalies = [];
+    if (ANOMALY_ENABLED) {
+      for (const image of images) {
+        if (image.stale || image.snapshots.at(-1)?.timestamp !== totalSnapshot.timestamp) continue;
+        const burst = detectBurst(image.snapshots, { createdAt: image.createdAt, threshold: ANOMALY_THRESHOLD });
+        if (!burst) continue;
+        image.anomalies = [...(image.anomalies || []), burst];
+        anomalies.push({ id: image.id, ...burst });
+      }
+      if (anomalies.length > 0) {
+        console.log(`\nSuspicious bursts (${anomalies.length}):`);
+        for (const a of anomalies) {
+          console.log(`  Image ${a.id}: +${a.gain} reactions in ${a.hours}h (usually ${a.baseline}/h, score ${a.score})`);
+        }
+      }
+    }
+
     // Append new total snapshot (as delta if possible)
     if (existingData.totalSnapshots.length > 0) {
       const prevTotal = resolveSnapshot(existingData.totalSnapshots, existingData.totalSnapshots.length - 1);
 
-      // Clamp: total should never decrease (same rationale as per-image clamping)
-      // If the API missed images, the carried-forward stats (Change 2) should prevent this,
+      // Clamp: total should never decrease (same rationale as per-image
+      // clamping) beyond this run's confirmed decreases. If the API missed
+      // images, the carried-forward stats (Change 2) should prevent this,
       // but this is a safety net in case anything slips through.
-      totalSnapshot.likes = Math.max(totalSnapshot.likes, prevTotal.likes);
-      totalSnapshot.hearts = Math.max(totalSnapshot.hearts, prevTotal.hearts);
-      totalSnapshot.laughs = Math.max(totalSnapshot.laughs, prevTotal.laughs);
-      totalSnapshot.cries = Math.max(totalSnapshot.cries, prevTotal.cries);
-      totalSnapshot.comments = Math.max(totalSnapshot.comments, prevTotal.comments);
-      totalSnapshot.buzz = Math.max(totalSnapshot.buzz, prevTotal.buzz || 0);
-      totalSnapshot.collects = Math.max(totalSnapshot.collects, prevTotal.collects || 0);
-      totalSnapshot.views = Math.max(totalSnapshot.views, prevTotal.views || 0);
-
-      const delta = { timestamp: totalSnapshot.timestamp, imageCount: totalSnapshot.imageCount };
-      if (totalSnapshot.likes - prevTotal.likes) delta.dl = totalSnapshot.likes - prevTotal.likes;
-      if (totalSnapshot.hearts - prevTotal.hearts) delta.dh = totalSnapshot.hearts - prevTotal.hearts;
-      if (totalSnapshot.laughs - prevTotal.laughs) delta.dla = totalSnapshot.laughs - prevTotal.laughs;
-      if (totalSnapshot.cries - prevTotal.cries) delta.dc = totalSnapshot.cries - prevTotal.cries;
-      if (totalSnapshot.comments - prevTotal.comments) delta.dco = totalSnapshot.comments - prevTotal.comments;
-      if (totalSnapshot.buzz - (prevTotal.buzz || 0)) delta.dbu = totalSnapshot.buzz - (prevTotal.buzz || 0);
-      if (totalSnapshot.collects - (prevTotal.collects || 0)) delta.dcol = totalSnapshot.collects - (prevTotal.collects || 0);
-      if (totalSnapshot.views - (prevTotal.views || 0)) delta.dvi = totalSnapshot.views - (prevTotal.views || 0);
-      if (!delta.dl && !delta.dh && !delta.dla && !delta.dc && !delta.dco && !delta.dbu && !delta.dcol && !delta.dvi) {
-        delta._d = 1;
+      const floor = field => (prevTotal[field] || 0) + corrections.reduce((sum, c) => sum + (c[field] || 0), 0);
+      for (const field of STAT_FIELDS) {
+        totalSnapshot[field] = Math.max(totalSnapshot[field], floor(field));
       }
-      existingData.totalSnapshots.push(delta);
+
+      // Always appended (a `_d: 1` entry when nothing changed), with imageCount next to the codec's keys
+      const delta = appendEntry(prevTotal, totalSnapshot, IMAGE_SERIES, { keepUnchanged: true });
+      existingData.totalSnapshots.push({ ...delta, imageCount: totalSnapshot.imageCount });
     } else {
       existingData.totalSnapshots.push(totalSnapshot);
     }
 
     // Apply retention: resolve to absolute, retain, re-encode as deltas
-    const snapshotsBefore = existingData.totalSnapshots.length;
-    let resolvedTotal = resolveAllSnapshots(existingData.totalSnapshots);
-    // Preserve imageCount through resolve/encode cycle
-    for (let i = 0; i < resolvedTotal.length; i++) {
-      if (existingData.totalSnapshots[i]?.imageCount != null) {
-        resolvedTotal[i].imageCount = existingData.totalSnapshots[i].imageCount;
-      }
+    // (imageCount is not part of the codec and is carried through)
+    const retainedTotal = compactSeries(existingData.totalSnapshots, RETENTION.totals, { carry: ['imageCount'], peaks: RETENTION_PEAKS });
+    existingData.totalSnapshots = retainedTotal.snapshots;
+
+    if (retainedTotal.after < retainedTotal.before) {
+      console.log(`\nRetention policy (total): ${retainedTotal.before} -> ${retainedTotal.after} snapshots`);
+      compactions.push({ id: 'total', before: retainedTotal.before, after: retainedTotal.after });
     }
-    resolvedTotal = applyRetentionPolicy(resolvedTotal);
-    existingData.totalSnapshots = encodeAsDeltas(resolvedTotal);
-    // Re-attach imageCount to encoded snapshots
-    for (let i = 0; i < existingData.totalSnapshots.length; i++) {
-      if (resolvedTotal[i]?.imageCount != null) {
-        existingData.totalSnapshots[i].imageCount = resolvedTotal[i].imageCount;
-      }
+
+    // Merge the models (skipped when disabled or their fetch failed; a user
+    // without models gets no `models` key)
+    if (apiModels && (apiModels.length > 0 || existingData.models)) {
+      const { models, compactions: modelCompactions } = processModels(apiModels, existingData.models || [], timestamp);
+      existingData.models = models;
+      compactions.push(...modelCompactions);
     }
-    const snapshotsAfter = existingData.totalSnapshots.length;
 
-    if (snapshotsBefore !== snapshotsAfter) {
-      console.log(`\nRetention policy (total): ${snapshotsBefore} -> ${snapshotsAfter} snapshots`);
+    // Creator profile series (followers, uploads, rank); a failed fetch adds nothing
+    if (profile) {
+      console.log(`\nCreator profile: ${profile.followers} followers, ${profile.uploads} uploads, rank ${profile.rank || 'none'}`);
+      const { snapshots, before, after } = appendToSeries(existingData.profileSnapshots || [], profile, PROFILE_SERIES, RETENTION.profile);
+      existingData.profileSnapshots = snapshots;
+      if (after < before) compactions.push({ id: 'profile', before, after });
     }
 
     // Update images with merged snapshots
@@ -1033,51 +1487,124 @@ async function main() {
     existingData.username = CIVITAI_USERNAME;
     existingData.lastUpdated = totalSnapshot.timestamp;
 
-    // SAFETY CHECK: Prevent catastrophic data loss
-    // If we read existing data but new data has way fewer snapshots, something went wrong
-    if (snapshotsBefore > 1) { // Only check if we had meaningful existing data
-      const newImageSnapshotCount = images.reduce((sum, img) => {
-        return sum + (img.snapshots?.length || 0);
-      }, 0);
-
-      // For validation, we need to count what we started with
-      // We can estimate: if we had X totalSnapshots and Y images, we should have roughly similar image snapshots
-      // A more precise check: count current vs what we expect after adding one more snapshot per image
-      const expectedMinImageSnapshots = existingData.images.length; // At minimum, each image should have 1 snapshot
-
-      console.log('\nData integrity check:');
-      console.log(`  Total snapshots: ${existingData.totalSnapshots.length}`);
-      console.log(`  Total image snapshots: ${newImageSnapshotCount}`);
-      console.log(`  Images tracked: ${images.length}`);
-
-      // Sanity check: We should have at least as many image snapshots as images
-      // And the count should be reasonable (not drastically low)
-      if (newImageSnapshotCount < expectedMinImageSnapshots) {
-        console.error('');
-        console.error('═══════════════════════════════════════════════════════════');
-        console.error('DATA LOSS DETECTED!');
-        console.error('═══════════════════════════════════════════════════════════');
-        console.error(`Expected at least: ${expectedMinImageSnapshots} image snapshots`);
-        console.error(`Actual image snapshots: ${newImageSnapshotCount}`);
-        console.error('');
-        console.error('This indicates a critical bug in data merging.');
-        console.error('ABORTING to prevent overwriting good data with incomplete data.');
-        console.error('═══════════════════════════════════════════════════════════');
-        console.error('');
-        process.exit(1);
+    // Milestones reached this run (the first time, also those found in the
+    // stored history); recorded ones are kept as they are
+    const { milestones, added: newMilestones } = updateMilestones(existingData, MILESTONE_THRESHOLDS);
+    if (milestones.length > 0) existingData.milestones = milestones;
+    if (newMilestones.length > 0) {
+      console.log(`\nMilestones reached (${newMilestones.length}):`);
+      for (const m of newMilestones.slice(0, 20)) {
+        console.log(`  ${m.scope === 'account' ? 'Account' : `Image ${m.id}`}: ${m.value} ${m.metric} (threshold ${m.threshold}) at ${m.timestamp}`);
       }
+      if (newMilestones.length > 20) console.log(`  ... and ${newMilestones.length - 20} more`);
+    }
 
-      console.log('✓ Data integrity check: PASSED');
-    } else {
-      console.log('\nSkipping data integrity check (first run or minimal existing data)');
+    // Health record of this run (see lib/runs.js)
+    const { discovery, refreshed, requests, retries, rateLimited, failures, problems } = runCounters;
+    const run = {
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      mode: REFRESH_MODE,
+      discovery,
+      refreshed,
+      requests,
+      retries,
+      rateLimited,
+      failures,
+      images: images.length,
+      newImages: images.filter(img => !baseline.images.has(img.id)).length,
+      staleImages: images.filter(img => img.stale && !wasStale.has(img.id)).length,
+      clamped: clamped.length,
+      size: Object.values(serializeStatsDocument(existingData, STATS_LAYOUT, { encoding: STATS_ENCODING })).reduce((sum, content) => sum + content.length, 0),
+      problems
+    };
+    const previousRun = existingData.runs?.at(-1);
+    existingData.runs = appendRun(existingData.runs, run, RUN_HISTORY_LIMIT);
+    console.log(`\nRun health: ${requests.com + requests.red} API requests (${requests.com} com, ${requests.red} red),` +
+      ` ${retries} retries, ${rateLimited} rate-limited, ${failures} failed`);
+    const [gap] = missedRuns(previousRun ? [previousRun, run] : []);
+    if (gap) {
+      console.log(`  ⚠️  ${gap.missed} hourly run(s) missed since the last recorded run (${gap.after})`);
+    }
+    if (isDegraded(run)) {
+      console.log(`  ⚠️  Degraded run${problems.length > 0 ? `: ${problems.join('; ')}` : ''}`);
+    }
+
+    // SAFETY CHECK: Prevent catastrophic data loss. Any broken invariant
+    // means a bug in merging/retention; never overwrite good data with it.
+    console.log('\nData integrity check:');
+    console.log(`  Total snapshots: ${existingData.totalSnapshots.length}`);
+    console.log(`  Total image snapshots: ${images.reduce((sum, img) => sum + (img.snapshots?.length || 0), 0)}`);
+    console.log(`  Images tracked: ${images.length} (${baseline.images.size} before this run)`);
+    if (existingData.models) {
+      console.log(`  Models tracked: ${existingData.models.length} (${baseline.models.size} before this run)`);
+    }
+
+    const violations = validateDocument(existingData, baseline);
+    if (violations.length > 0) {
+      console.error('');
+      console.error('═══════════════════════════════════════════════════════════');
+      console.error('DATA INTEGRITY CHECK FAILED!');
+      console.error('═══════════════════════════════════════════════════════════');
+      console.error(`${violations.length} violation(s):`);
+      violations.slice(0, 50).forEach(violation => console.error(`  - ${violation}`));
+      if (violations.length > 50) {
+        console.error(`  ... and ${violations.length - 50} more`);
+      }
+      console.error('');
+      console.error('This indicates a critical bug in data merging or retention.');
+      console.error('ABORTING to prevent overwriting good data with broken data.');
+      console.error('═══════════════════════════════════════════════════════════');
+      console.error('');
+      await notify([abortedEvent('integrity-check-failed',
+        `${violations.length} violation(s): ${violations.slice(0, 5).join('; ')}`, { username: CIVITAI_USERNAME })]);
+      process.exit(1);
+    }
+
+    console.log('✓ Data integrity check: PASSED');
+
+    const runTime = new Date(totalSnapshot.timestamp);
+    const events = [
+      ...milestoneEvents(existingData.milestones || [], images, { username: CIVITAI_USERNAME, now: runTime }),
+      ...gainEvents(images, { threshold: NOTIFY_GAIN_THRESHOLD, hours: NOTIFY_GAIN_HOURS, now: runTime }),
+      ...staleEvents(images, { now: runTime })
+    ];
+
+    if (DRY_RUN) {
+      const diff = diffDocuments(storedData, existingData, {
+        clamped, corrections, anomalies, compactions, layout: STATS_LAYOUT, encoding: STATS_ENCODING, previousFiles: storedFiles
+      });
+      console.log('\n=== Dry run: changes that would be written ===');
+      formatDiff(diff).forEach(line => console.log(line));
+      if (DIFF_FILE) {
+        await writeFile(DIFF_FILE, JSON.stringify(diff, null, 2));
+        console.log(`\nDiff written to ${DIFF_FILE}`);
+      }
+      await notify(events);
+      console.log('\nDry run: nothing written.');
+      console.log('\n=== Complete ===');
+      return;
+    }
+
+    // Back up the version about to be replaced, then write to storage
+    await backupStoredData();
+    await writeStoredData(existingData);
+
+    // The refreshed stats are stored now, so the checkpoint has served its purpose
+    if (CHECKPOINT_ENABLED) {
+      try {
+        await clearCheckpoint(storage);
+      } catch (error) {
+        console.log(`⚠️  Could not delete the refresh checkpoint: ${error.message}`);
+      }
     }
 
-    // Update Gist
-    await updateGist(existingData);
+    await notify(events, { succeeded: true });
 
     console.log('\n=== Complete ===');
   } catch (error) {
     console.error('Error:', error.message);
+    await notify([abortedEvent('error', error.message, { username: CIVITAI_USERNAME })]);
     process.exit(1);
   }
 }
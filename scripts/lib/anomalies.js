@@ -0,0 +1,88 @@
+/**
+ * Burst detection on per-image gains.
+ *
+ * After each run the collector takes the gain an image just recorded (its
+ * last two snapshots) in reactions per hour and compares it with the rates of
+ * the image's earlier intervals using a robust z-score:
+ *
+ *   score = 0.6745 * (rate - median) / MAD
+ *
+ * where the median absolute deviation is floored at `minMad`, so a flat
+ * history does not turn every gain into an infinite score. A gain of at least
+ * `minGain` reactions scoring `threshold` or more is flagged; images younger
+ * than `youngDays` need twice the score, since new images naturally gain in
+ * bursts. Images with fewer than `minHistory` earlier intervals are not
+ * judged. Only the 4 reaction types count (not comments, buzz, ...).
+ *
+ * Flags are stored on the image:
+ *   anomalies: [{ timestamp, gain, hours, rate, baseline, score }]
+ * (`rate` and `baseline`, the median rate, in reactions per hour).
+ */
+
+import { resolveAllSnapshots } from './snapshots.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const DEFAULT_ANOMALY = {
+  threshold: 8,
+  minGain: 50,
+  minMad: 1,
+  minHistory: 12,
+  youngDays: 3
+};
+
+function reactionsOf(snapshot) {
+  return snapshot.likes + snapshot.hearts + snapshot.laughs + snapshot.cries;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const round = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Judge the latest gain of a delta-encoded image series. Returns the flag
+ * to store, or null when the gain looks organic (or cannot be judged).
+ */
+export function detectBurst(snapshots, {
+  createdAt = null,
+  threshold = DEFAULT_ANOMALY.threshold,
+  minGain = DEFAULT_ANOMALY.minGain,
+  minMad = DEFAULT_ANOMALY.minMad,
+  minHistory = DEFAULT_ANOMALY.minHistory,
+  youngDays = DEFAULT_ANOMALY.youngDays
+} = {}) {
+  const resolved = resolveAllSnapshots(snapshots || []);
+  if (resolved.length < minHistory + 2) return null;
+
+  const intervals = [];
+  for (let i = 1; i < resolved.length; i++) {
+    const gain = reactionsOf(resolved[i]) - reactionsOf(resolved[i - 1]);
+    // Runs are hourly; a shorter gap (e.g. a resumed run) is not a faster rate
+    const hours = Math.max(1, (Date.parse(resolved[i].timestamp) - Date.parse(resolved[i - 1].timestamp)) / HOUR_MS);
+    intervals.push({ timestamp: resolved[i].timestamp, gain, hours, rate: gain / hours });
+  }
+
+  const current = intervals.pop();
+  if (current.gain < minGain) return null;
+
+  const rates = intervals.map(interval => interval.rate);
+  const baseline = median(rates);
+  const mad = Math.max(minMad, median(rates.map(rate => Math.abs(rate - baseline))));
+  const score = 0.6745 * (current.rate - baseline) / mad;
+
+  const ageDays = createdAt ? (Date.parse(current.timestamp) - Date.parse(createdAt)) / (24 * HOUR_MS) : Infinity;
+  if (score < (ageDays < youngDays ? threshold * 2 : threshold)) return null;
+
+  return {
+    timestamp: current.timestamp,
+    gain: current.gain,
+    hours: round(current.hours, 1),
+    rate: round(current.rate, 1),
+    baseline: round(baseline, 2),
+    score: round(score, 1)
+  };
+}
@@ -0,0 +1,202 @@
+/**
+ * Rotating backups of the stats document.
+ *
+ * Before writing, the collector stores the document it read as a single
+ * self-contained file (whatever the layout), at most once per day and once
+ * per week:
+ *   backup-daily-YYYY-MM-DD.json          kept for `dailyDays`
+ *   backup-weekly-YYYY-MM-DD.json         week starting that Monday, kept for `weeklyWeeks`
+ *   backup-pre-restore-YYYY-MM-DDTHHMMSS.json
+ *                                         written by restore.js before it overwrites
+ *                                         the data, kept like the daily ones
+ *   backup-pre-compact-YYYY-MM-DDTHHMMSS.json
+ *                                         written by compact.js, kept like the daily ones
+ * Dates are UTC.
+ */
+
+import { decodeColumnar, resolveSnapshot, validateSeries } from './snapshots.js';
+import { CURRENT_SCHEMA_VERSION, migrateDocument } from './migrations.js';
+import { STATS_FILE, readStatsDocument, serializeStatsDocument } from './stats-store.js';
+
+export const DEFAULT_BACKUP_POLICY = { dailyDays: 14, weeklyWeeks: 13 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BACKUP_NAME = /^backup-(daily|weekly|pre-restore|pre-compact)-(\d{4}-\d{2}-\d{2})(?:T(\d{2})(\d{2})(\d{2}))?\.json$/;
+
+/**
+ * Parse a backup file name into { name, kind, date } (date: Date), or null
+ */
+export function parseBackupName(name) {
+  const match = BACKUP_NAME.exec(name);
+  if (!match) return null;
+  const [, kind, day, hh = '00', mm = '00', ss = '00'] = match;
+  return { name, kind, date: new Date(`${day}T${hh}:${mm}:${ss}Z`) };
+}
+
+/**
+ * Backups in a storage backend, newest first
+ */
+export async function listBackups(storage) {
+  return (await storage.listFiles())
+    .map(parseBackupName)
+    .filter(Boolean)
+    .sort((a, b) => b.date - a.date || a.name.localeCompare(b.name));
+}
+
+function dayString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Monday of the (UTC) week containing `date`
+function weekStart(date) {
+  const day = new Date(`${dayString(date)}T00:00:00Z`);
+  return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+}
+
+/**
+ * Name of a pre-restore backup taken at `now`
+ */
+export function preRestoreBackupName(now = new Date()) {
+  return `backup-pre-restore-${now.toISOString().slice(0, 19).replace(/:/g, '')}.json`;
+}
+
+/**
+ * Name of a pre-compact backup taken at `now`
+ */
+export function preCompactBackupName(now = new Date()) {
+  return `backup-pre-compact-${now.toISOString().slice(0, 19).replace(/:/g, '')}.json`;
+}
+
+/**
+ * Decide which backups to create and which have expired.
+ * `existing` is the result of listBackups(). Returns { create, remove } (file names).
+ */
+export function planBackups(existing, now = new Date(), policy = DEFAULT_BACKUP_POLICY) {
+  const names = new Set(existing.map(b => b.name));
+  const create = [
+    `backup-daily-${dayString(now)}.json`,
+    `backup-weekly-${dayString(weekStart(now))}.json`
+  ].filter(name => !names.has(name));
+
+  const today = new Date(`${dayString(now)}T00:00:00Z`).getTime();
+  const remove = existing.filter(backup => {
+    const age = today - backup.date.getTime();
+    if (backup.kind === 'weekly') return age >= policy.weeklyWeeks * 7 * DAY_MS;
+    return age >= policy.dailyDays * DAY_MS;
+  }).map(backup => backup.name);
+
+  return { create, remove };
+}
+
+/**
+ * Content of a backup of the files a stats document was read from
+ * (`files` as returned by readStatsDocument): one JSON document in the
+ * stored encoding, with a sharded layout reassembled. Returns null if there
+ * is no document.
+ */
+export async function backupContent(files) {
+  const { data, layout, encoding } = await readStatsDocument({ readFile: async name => files[name] ?? null });
+  if (!data) return null;
+  return layout === 'single' ? files[STATS_FILE] : serializeStatsDocument(data, 'single', { encoding })[STATS_FILE];
+}
+
+/**
+ * Create the backups due today and delete expired ones. `getContent` is only
+ * called when a backup is due; if it resolves to null nothing is created.
+ * Returns { created, removed }.
+ */
+export async function rotateBackups(storage, getContent, { now = new Date(), policy = DEFAULT_BACKUP_POLICY } = {}) {
+  let { create, remove } = planBackups(await listBackups(storage), now, policy);
+
+  const content = create.length > 0 ? await getContent() : null;
+  if (content === null) {
+    create = [];
+  } else {
+    await storage.writeFiles(Object.fromEntries(create.map(name => [name, content])));
+  }
+  if (remove.length > 0) {
+    await storage.writeFiles(Object.fromEntries(remove.map(name => [name, null])));
+  }
+
+  return { created: create, removed: remove };
+}
+
+/**
+ * Check that a backup holds a usable stats document.
+ * Returns { valid, errors, data, summary } where data is the parsed document
+ * upgraded to the current schema (null if unusable) and summary is
+ * { schemaVersion, lastUpdated, images, totalSnapshots }.
+ */
+export function validateBackup(content) {
+  const errors = [];
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    return { valid: false, errors: [`not valid JSON: ${error.message}`], data: null, summary: null };
+  }
+
+  if (data && typeof data === 'object') {
+    try {
+      // Columnar series are turned back into entries
+      const { encoding, ...decoded } = decodeColumnar(data);
+      data = decoded;
+    } catch (error) {
+      return { valid: false, errors: [`columnar series could not be decoded: ${error.message}`], data: null, summary: null };
+    }
+  }
+
+  if (!data || !Array.isArray(data.totalSnapshots) || !Array.isArray(data.images)) {
+    return { valid: false, errors: ['missing totalSnapshots or images arrays'], data: null, summary: null };
+  }
+
+  const summary = {
+    schemaVersion: data.schemaVersion || 0,
+    lastUpdated: data.lastUpdated || null,
+    images: data.images.length,
+    totalSnapshots: data.totalSnapshots.length
+  };
+
+  if (summary.schemaVersion > CURRENT_SCHEMA_VERSION) {
+    errors.push(`schemaVersion ${summary.schemaVersion} is newer than this collector supports (${CURRENT_SCHEMA_VERSION})`);
+    return { valid: false, errors, data: null, summary };
+  }
+
+  try {
+    migrateDocument(data);
+  } catch (error) {
+    errors.push(`migration failed: ${error.message}`);
+    return { valid: false, errors, data: null, summary };
+  }
+
+  const checkSeries = (label, snapshots) => {
+    if (!Array.isArray(snapshots)) {
+      errors.push(`${label}: snapshots is not an array`);
+      return;
+    }
+    if (snapshots.length === 0) return;
+    const problems = validateSeries(snapshots);
+    if (problems.length > 0) {
+      errors.push(`${label}: ${problems[0]}${problems.length > 1 ? ` (and ${problems.length - 1} more)` : ''}`);
+      return;
+    }
+    const last = resolveSnapshot(snapshots, snapshots.length - 1);
+    if (!last?.timestamp || Number.isNaN(Date.parse(last.timestamp)) || !Number.isFinite(last.likes)) {
+      errors.push(`${label}: snapshots do not resolve to a valid latest value`);
+    }
+  };
+
+  checkSeries('totalSnapshots', data.totalSnapshots);
+  const ids = new Set();
+  for (const image of data.images) {
+    if (!image?.id) {
+      errors.push('image without id');
+      continue;
+    }
+    if (ids.has(image.id)) errors.push(`image ${image.id}: tracked twice`);
+    ids.add(image.id);
+    checkSeries(`image ${image.id}`, image.snapshots);
+  }
+
+  return { valid: errors.length === 0, errors, data: errors.length === 0 ? data : null, summary };
+}
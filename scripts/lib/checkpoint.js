@@ -0,0 +1,114 @@
+/**
+ * Checkpoints of the individual stats refresh, so a run that is cancelled or
+ * times out halfway through a long refresh does not lose the stats it
+ * already fetched.
+ *
+ * The checkpoint lives next to the stats in the same storage backend:
+ *
+ *   refresh-checkpoint.json
+ *   { version, username, startedAt, updatedAt,
+ *     refreshed: { "<imageId>": { stats, refreshedAt }, ... } }
+ *
+ * `stats` are the merged (tRPC vs bulk) stats in API field names. The next
+ * run applies them instead of fetching those images again, and deletes the
+ * checkpoint once its own write succeeded. A checkpoint is discarded when it
+ * belongs to another user or was started more than `maxAgeHours` ago: by
+ * then its stats are older than what a fresh refresh would return.
+ */
+
+export const CHECKPOINT_FILE = 'refresh-checkpoint.json';
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * Read the checkpoint left by an unfinished run.
+ * Returns { checkpoint, discarded }: checkpoint is null when there is none
+ * or it cannot be used, and discarded then says why (null if there was none).
+ */
+export async function loadCheckpoint(storage, { username, maxAgeHours, now = new Date() }) {
+  const content = await storage.readFile(CHECKPOINT_FILE);
+  if (content === null || content.trim() === '') {
+    return { checkpoint: null, discarded: null };
+  }
+
+  let checkpoint;
+  try {
+    checkpoint = JSON.parse(content);
+  } catch (error) {
+    return { checkpoint: null, discarded: `unreadable (${error.message})` };
+  }
+
+  if (checkpoint.version !== CHECKPOINT_VERSION || !checkpoint.refreshed || typeof checkpoint.refreshed !== 'object') {
+    return { checkpoint: null, discarded: `unsupported format (version ${checkpoint.version})` };
+  }
+  if (checkpoint.username !== username) {
+    return { checkpoint: null, discarded: `belongs to ${checkpoint.username}` };
+  }
+  const ageHours = (now - new Date(checkpoint.startedAt)) / (60 * 60 * 1000);
+  if (!(ageHours <= maxAgeHours)) {
+    return { checkpoint: null, discarded: `started ${checkpoint.startedAt}, older than ${maxAgeHours}h` };
+  }
+
+  return { checkpoint, discarded: null };
+}
+
+/**
+ * Delete the checkpoint (after a successful write, or when discarded).
+ * Skips the write when there is none, so backends that keep a history
+ * (Gist revisions, git commits) do not record an empty change every run.
+ */
+export async function clearCheckpoint(storage) {
+  if (await storage.readFile(CHECKPOINT_FILE) === null) return;
+  await storage.writeFiles({ [CHECKPOINT_FILE]: null });
+}
+
+/**
+ * Collects refreshed stats and saves them at most every `intervalMs`.
+ * `resumed` is the checkpoint being resumed (its entries and startedAt are
+ * kept). Returns {
+ *   record(id, stats, refreshedAt) -> add a refreshed image, saving if due
+ *   flush()                        -> Promise; save now if anything is unsaved
+ *   size                           -> images in the checkpoint
+ * }
+ * Saves never overlap, and a failed save only logs a warning: the refresh
+ * itself must not fail because of a checkpoint.
+ */
+export function createCheckpointWriter(storage, { username, resumed = null, intervalMs = 60000, now = Date.now }) {
+  const checkpoint = {
+    version: CHECKPOINT_VERSION,
+    username,
+    startedAt: resumed?.startedAt || new Date(now()).toISOString(),
+    updatedAt: null,
+    refreshed: { ...resumed?.refreshed }
+  };
+  let savedAt = now();
+  let dirty = false;
+  let saving = null;
+
+  function save() {
+    dirty = false;
+    savedAt = now();
+    checkpoint.updatedAt = new Date(savedAt).toISOString();
+    const content = JSON.stringify(checkpoint);
+    saving = storage.writeFiles({ [CHECKPOINT_FILE]: content })
+      .catch(error => console.log(`  Warning: Failed to save refresh checkpoint: ${error.message}`))
+      .finally(() => { saving = null; });
+    return saving;
+  }
+
+  return {
+    record(id, stats, refreshedAt) {
+      checkpoint.refreshed[String(id)] = { stats, refreshedAt };
+      dirty = true;
+      if (!saving && now() - savedAt >= intervalMs) save();
+    },
+
+    async flush() {
+      if (saving) await saving;
+      if (dirty) await save();
+    },
+
+    get size() {
+      return Object.keys(checkpoint.refreshed).length;
+    }
+  };
+}
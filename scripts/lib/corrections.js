@@ -0,0 +1,62 @@
+/**
+ * Confirmed decreases of image stats.
+ *
+ * Bulk (REST) stats lag behind, so a bulk value below the stored one never
+ * lowers it (it is clamped). A lower value from an individual tRPC fetch is a
+ * suspected decrease (an un-reaction, a moderation removal): it is kept on
+ * the image as `pendingDecrease: { seenAt, fields: { likes: 8, ... } }` and
+ * the image is fetched again on the next run. If that fetch is still below
+ * the stored value, the decrease is confirmed: the stored value goes down and
+ * a correction entry `{ timestamp, likes: -2, ... }` is added to
+ * `image.corrections`. Corrections are kept apart from the snapshots (and
+ * from retention), so charts can show them separately from gains.
+ */
+
+import { STAT_FIELDS } from './snapshots.js';
+
+/**
+ * Compare a fresh tRPC reading with the stored latest snapshot, given the
+ * image's pending decrease from an earlier run (if any). Returns
+ * { confirmed: { field: value } | null, pending: pendingDecrease | null }:
+ * fields lower again than stored are confirmed, fields lower for the first
+ * time become the new pending decrease.
+ */
+export function checkDecreases(stored, fresh, pending, timestamp) {
+  const confirmed = {};
+  const suspected = {};
+  for (const field of STAT_FIELDS) {
+    if (fresh[field] == null || fresh[field] >= (stored[field] || 0)) continue;
+    if (pending?.fields && field in pending.fields) confirmed[field] = fresh[field];
+    else suspected[field] = fresh[field];
+  }
+  return {
+    confirmed: Object.keys(confirmed).length > 0 ? confirmed : null,
+    pending: Object.keys(suspected).length > 0 ? { seenAt: timestamp, fields: suspected } : null
+  };
+}
+
+/**
+ * Correction entry for the confirmed values `confirmed` of an image whose
+ * stored latest snapshot is `stored`
+ */
+export function correctionEntry(stored, confirmed, timestamp) {
+  const entry = { timestamp };
+  for (const [field, value] of Object.entries(confirmed)) {
+    entry[field] = value - (stored[field] || 0);
+  }
+  return entry;
+}
+
+/**
+ * Sum of the corrections at `timestamp`, per field
+ */
+export function correctionsAt(corrections, timestamp) {
+  const sum = {};
+  for (const entry of corrections || []) {
+    if (entry.timestamp !== timestamp) continue;
+    for (const field of STAT_FIELDS) {
+      if (entry[field]) sum[field] = (sum[field] || 0) + entry[field];
+    }
+  }
+  return sum;
+}
@@ -0,0 +1,185 @@
+/**
+ * Structured diff between the stored stats document and the one a run would
+ * write, used by the collector's dry-run mode.
+ */
+
+import { MODEL_SERIES, PROFILE_SERIES, STAT_FIELDS, resolveSnapshot } from './snapshots.js';
+import { serializeStatsDocument } from './stats-store.js';
+import { milestoneKey } from './milestones.js';
+
+function latest(snapshots, series) {
+  return snapshots?.length ? resolveSnapshot(snapshots, snapshots.length - 1, series) : null;
+}
+
+function filesSize(files) {
+  return Object.values(files).reduce((sum, content) => sum + content.length, 0);
+}
+
+/**
+ * Compare two stats documents.
+ *
+ * `before` is the document as read from storage (not mutated by the run),
+ * `after` the document the run would write. `run` carries what only the
+ * collector knows: { clamped, corrections, anomalies, compactions, layout, encoding, previousFiles }.
+ *
+ * Returns {
+ *   newImages:   [{ id, name, host }],
+ *   newlyStale:  [{ id, name, lastSeenAt }],
+ *   reappeared:  [{ id, name }],
+ *   statusChanges: [{ id, name, from, to, reason }],   stale statuses (from null if none)
+ *   changes:     [{ id, name, stats: { likes: { from, to }, ... } }],
+ *   modelChanges: [{ id, name, isNew, stats: { downloads: { from, to }, ... } }],
+ *   total:       { likes: { from, to }, ... },
+ *   profile:     { followers: { from, to }, ... },
+ *   clamped:     [{ id, fields: { likes: { api, kept }, ... } }],
+ *   corrections: [{ id, timestamp, likes: -2, ... }],   confirmed decreases
+ *   anomalies:   [{ id, timestamp, gain, hours, rate, baseline, score }],   suspicious bursts
+ *   milestones:  [{ scope, id, metric, threshold, value, timestamp }],   newly reached
+ *   discovery:   [{ host, cursor, from, to }],   moved discovery cursors: an
+ *                NSFW level's newest image, or 'full crawl' for lastFullCrawlAt
+ *   compactions: [{ id, before, after }],   id 'total' for totalSnapshots
+ *   size:        { before, after, delta }   bytes of all stored files
+ * }
+ */
+export function diffDocuments(before, after, { clamped = [], corrections = [], anomalies = [], compactions = [], layout = 'single', encoding = 'objects', previousFiles = {} } = {}) {
+  const beforeMap = new Map((before.images || []).map(img => [img.id, img]));
+
+  const newImages = [];
+  const newlyStale = [];
+  const reappeared = [];
+  const statusChanges = [];
+  const changes = [];
+
+  for (const image of after.images || []) {
+    const old = beforeMap.get(image.id);
+    if (!old) {
+      newImages.push({ id: image.id, name: image.name, host: image.host });
+      continue;
+    }
+    if (image.stale && !old.stale) {
+      newlyStale.push({ id: image.id, name: image.name, lastSeenAt: image.lastSeenAt });
+    } else if (!image.stale && old.stale) {
+      reappeared.push({ id: image.id, name: image.name });
+    }
+    const status = image.availability?.status || null;
+    if (status !== (old.availability?.status || null)) {
+      statusChanges.push({ id: image.id, name: image.name, from: old.availability?.status || null, to: status,
+        reason: image.availability?.reason || null });
+    }
+
+    const stats = diffStats(latest(old.snapshots), latest(image.snapshots));
+    if (stats) changes.push({ id: image.id, name: image.name, stats });
+  }
+
+  const beforeModels = new Map((before.models || []).map(model => [model.id, model]));
+  const modelChanges = [];
+  for (const model of after.models || []) {
+    const old = beforeModels.get(model.id);
+    const stats = diffStats(latest(old?.snapshots, MODEL_SERIES), latest(model.snapshots, MODEL_SERIES), MODEL_SERIES.fields);
+    if (stats) modelChanges.push({ id: model.id, name: model.name, isNew: !old, stats });
+  }
+
+  const recorded = new Set((before.milestones || []).map(milestoneKey));
+  const milestones = (after.milestones || []).filter(m => !recorded.has(milestoneKey(m)));
+
+  const discovery = [];
+  for (const [host, state] of Object.entries(after.discovery || {})) {
+    const old = before.discovery?.[host];
+    for (const [level, cursor] of Object.entries(state.levels || {})) {
+      const from = old?.levels?.[level]?.newestCreatedAt || null;
+      if (cursor.newestCreatedAt !== from) discovery.push({ host, cursor: level, from, to: cursor.newestCreatedAt });
+    }
+    if ((state.lastFullCrawlAt || null) !== (old?.lastFullCrawlAt || null)) {
+      discovery.push({ host, cursor: 'full crawl', from: old?.lastFullCrawlAt || null, to: state.lastFullCrawlAt || null });
+    }
+  }
+
+  const beforeSize = filesSize(previousFiles);
+  const afterSize = filesSize(serializeStatsDocument(after, layout, { encoding }));
+
+  return {
+    newImages,
+    newlyStale,
+    reappeared,
+    statusChanges,
+    changes,
+    modelChanges,
+    total: diffStats(latest(before.totalSnapshots), latest(after.totalSnapshots)) || {},
+    profile: diffStats(latest(before.profileSnapshots, PROFILE_SERIES), latest(after.profileSnapshots, PROFILE_SERIES),
+      PROFILE_SERIES.fields) || {},
+    clamped,
+    corrections,
+    anomalies,
+    milestones,
+    discovery,
+    compactions,
+    size: { before: beforeSize, after: afterSize, delta: afterSize - beforeSize }
+  };
+}
+
+// { field: { from, to } } for every stat that changed, or null
+function diffStats(from, to, fields = STAT_FIELDS) {
+  if (!to) return null;
+  const stats = {};
+  for (const field of fields) {
+    const a = from?.[field] || 0;
+    const b = to[field] || 0;
+    if (a !== b) stats[field] = { from: a, to: b };
+  }
+  return Object.keys(stats).length > 0 ? stats : null;
+}
+
+function formatStats(stats) {
+  return Object.entries(stats)
+    .map(([field, { from, to }]) => {
+      // Rounded for fractional fields such as a model's average rating
+      const change = Math.round((to - from) * 100) / 100;
+      return `${field} ${from} -> ${to} (${change >= 0 ? '+' : ''}${change})`;
+    })
+    .join(', ');
+}
+
+function formatBytes(bytes) {
+  return `${(bytes / 1024).toFixed(2)} KB`;
+}
+
+/**
+ * Human-readable report of a diff. Lists are cut at `maxItems` entries.
+ */
+export function formatDiff(diff, maxItems = 20) {
+  const lines = [];
+  const section = (title, items, format) => {
+    lines.push(`${title}: ${items.length}`);
+    for (const item of items.slice(0, maxItems)) {
+      lines.push(`  ${format(item)}`);
+    }
+    if (items.length > maxItems) {
+      lines.push(`  ... and ${items.length - maxItems} more`);
+    }
+  };
+
+  section('New images', diff.newImages, img => `${img.id} (${img.host}) ${img.name || ''}`.trim());
+  section('Newly stale', diff.newlyStale, img => `${img.id} last seen ${img.lastSeenAt || 'never'}`);
+  section('Reappeared', diff.reappeared, img => `${img.id}`);
+  section('Stale status changes', diff.statusChanges, img => `${img.id}: ${img.from || 'none'} -> ${img.to || 'none'}` +
+    (img.reason ? ` (${img.reason})` : ''));
+  section('Stat changes', diff.changes, img => `${img.id}: ${formatStats(img.stats)}`);
+  section('Model changes', diff.modelChanges, model => `${model.id}${model.isNew ? ' (new)' : ''}: ${formatStats(model.stats)}`);
+  section('Clamped values', diff.clamped, img => `${img.id}: ` + Object.entries(img.fields)
+    .map(([field, { api, kept }]) => `${field} API ${api} kept ${kept}`).join(', '));
+  section('Confirmed decreases', diff.corrections, c => `${c.id}: ` + STAT_FIELDS.filter(field => c[field])
+    .map(field => `${field} ${c[field]}`).join(', '));
+  section('Suspicious bursts', diff.anomalies, a => `${a.id}: +${a.gain} reactions in ${a.hours}h ` +
+    `(usually ${a.baseline}/h, score ${a.score})`);
+  section('New milestones', diff.milestones, m => `${m.scope === 'account' ? 'account' : m.id}: ` +
+    `${m.metric} reached ${m.threshold} (${m.value} at ${m.timestamp})`);
+  section('Discovery cursors', diff.discovery, c => `${c.host} ${c.cursor}: ${c.from || 'none'} -> ${c.to || 'none'}`);
+  section('Retention compactions', diff.compactions, c => `${c.id}: ${c.before} -> ${c.after} snapshots`);
+
+  const total = Object.keys(diff.total).length > 0 ? formatStats(diff.total) : 'no change';
+  lines.push(`Totals: ${total}`);
+  lines.push(`Profile: ${Object.keys(diff.profile).length > 0 ? formatStats(diff.profile) : 'no change'}`);
+  lines.push(`Size: ${formatBytes(diff.size.before)} -> ${formatBytes(diff.size.after)} (${diff.size.delta >= 0 ? '+' : ''}${formatBytes(diff.size.delta)})`);
+
+  return lines;
+}
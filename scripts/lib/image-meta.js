@@ -0,0 +1,66 @@
+/**
+ * Compact generation metadata stored per image, taken from an item of the
+ * images REST API:
+ *
+ *   { baseModel, checkpoint, loras: [{ name, weight }], sampler,
+ *     width, height, nsfwLevel }
+ *
+ * Fields the API does not provide are left out. Resources come from
+ * `meta.resources` (named, from the generation parameters), falling back to
+ * `meta.civitaiResources` (on-site generator, only version names) and
+ * `meta.Model` for the checkpoint.
+ */
+
+const CHECKPOINT_TYPES = ['model', 'checkpoint'];
+const LORA_TYPES = ['lora', 'locon', 'lycoris', 'dora'];
+
+function resourceName(resource) {
+  return resource.name || resource.modelVersionName || (resource.modelVersionId ? `version ${resource.modelVersionId}` : null);
+}
+
+function loraList(resources) {
+  const loras = [];
+  const seen = new Set();
+  for (const resource of resources) {
+    if (!LORA_TYPES.includes(String(resource.type).toLowerCase())) continue;
+    const name = resourceName(resource);
+    if (!name || seen.has(name)) continue;
+    seen.add(name);
+    loras.push(typeof resource.weight === 'number' ? { name, weight: resource.weight } : { name });
+  }
+  return loras;
+}
+
+/**
+ * Metadata record for an API image item, or null if it has none at all
+ */
+export function extractImageMeta(item) {
+  const meta = item.meta || {};
+  const resources = Array.isArray(meta.resources) ? meta.resources : [];
+  const civitaiResources = Array.isArray(meta.civitaiResources) ? meta.civitaiResources : [];
+
+  const checkpointResource = resources.find(r => CHECKPOINT_TYPES.includes(String(r.type).toLowerCase()));
+  const civitaiCheckpoint = civitaiResources.find(r => CHECKPOINT_TYPES.includes(String(r.type).toLowerCase()));
+  const checkpoint = (checkpointResource && resourceName(checkpointResource)) || meta.Model ||
+    (civitaiCheckpoint && resourceName(civitaiCheckpoint)) || null;
+
+  const loras = loraList(resources);
+  if (loras.length === 0) loras.push(...loraList(civitaiResources));
+
+  const [sizeWidth, sizeHeight] = /^(\d+)x(\d+)$/.exec(meta.Size || '')?.slice(1).map(Number) || [];
+
+  const record = {
+    baseModel: item.baseModel || null,
+    checkpoint,
+    loras,
+    sampler: meta.sampler || null,
+    width: item.width || sizeWidth || null,
+    height: item.height || sizeHeight || null,
+    nsfwLevel: item.nsfwLevel ?? null
+  };
+
+  for (const [key, value] of Object.entries(record)) {
+    if (value === null || (Array.isArray(value) && value.length === 0)) delete record[key];
+  }
+  return Object.keys(record).length > 0 ? record : null;
+}
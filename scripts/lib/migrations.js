@@ -0,0 +1,192 @@
+import { STAT_FIELDS, encodeAsDeltas, isDelta, resolveAllSnapshots, resolveSnapshot } from './snapshots.js';
+
+/**
+ * Schema migrations for the stats document.
+ *
+ * Documents carry a top-level `schemaVersion`; documents written before it
+ * existed are version 0. Each migration upgrades a document from the previous
+ * version in place and returns a list of human-readable changes for the
+ * report. Migrations must be idempotent on partially-upgraded data, because
+ * version 0 documents can be in any state between the historical formats.
+ *
+ * Keep in sync with extension/stats-page/migrations.js (read-side only).
+ */
+
+// Re-encode a series that still has absolute snapshots after its first entry;
+// `adjust` may change the resolved snapshots first
+function reencodeSeries(snapshots, adjust = () => {}) {
+  const resolved = resolveAllSnapshots(snapshots);
+  resolved.forEach(adjust);
+  // imageCount only appears on totalSnapshots; carry it through the re-encode
+  snapshots.forEach((s, i) => {
+    if (s.imageCount != null) resolved[i].imageCount = s.imageCount;
+  });
+  const encoded = encodeAsDeltas(resolved);
+  encoded.forEach((s, i) => {
+    if (resolved[i].imageCount != null) s.imageCount = resolved[i].imageCount;
+  });
+  return encoded;
+}
+
+function hasAbsoluteAfterFirst(snapshots) {
+  return snapshots.slice(1).some(s => !isDelta(s));
+}
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'current-stats-to-snapshots',
+    description: 'Convert legacy per-image `currentStats` into a first snapshot',
+    migrate(data) {
+      const changes = [];
+      for (const image of data.images || []) {
+        if (!image.currentStats) continue;
+        if (!image.snapshots || image.snapshots.length === 0) {
+          const cs = image.currentStats;
+          image.snapshots = [{
+            timestamp: data.lastUpdated || image.createdAt || new Date(0).toISOString(),
+            likes: cs.likes || 0,
+            hearts: cs.hearts || 0,
+            laughs: cs.laughs || 0,
+            cries: cs.cries || 0,
+            comments: cs.comments || 0,
+            buzz: cs.buzz || 0,
+            collects: cs.collects || 0,
+            views: cs.views || 0
+          }];
+          changes.push(`image ${image.id}: currentStats -> 1 snapshot`);
+        } else {
+          changes.push(`image ${image.id}: dropped currentStats (snapshots already present)`);
+        }
+        delete image.currentStats;
+      }
+      return changes;
+    }
+  },
+  {
+    version: 2,
+    name: 'delta-snapshots',
+    description: 'Delta-encode series that still store absolute snapshots',
+    migrate(data) {
+      const changes = [];
+      if (Array.isArray(data.totalSnapshots) && hasAbsoluteAfterFirst(data.totalSnapshots)) {
+        data.totalSnapshots = reencodeSeries(data.totalSnapshots);
+        changes.push(`totalSnapshots: re-encoded ${data.totalSnapshots.length} snapshots as deltas`);
+      }
+      for (const image of data.images || []) {
+        if (Array.isArray(image.snapshots) && hasAbsoluteAfterFirst(image.snapshots)) {
+          image.snapshots = reencodeSeries(image.snapshots);
+          changes.push(`image ${image.id}: re-encoded ${image.snapshots.length} snapshots as deltas`);
+        }
+      }
+      return changes;
+    }
+  },
+  {
+    version: 3,
+    name: 'image-host-tracking',
+    description: 'Add host/stale/lastSeenAt to images tracked before the civitai.red split',
+    migrate(data) {
+      let count = 0;
+      for (const image of data.images || []) {
+        let changed = false;
+        if (!image.host) {
+          image.host = image.url?.includes('civitai.red') ? 'red' : 'com';
+          changed = true;
+        }
+        if (image.stale === undefined) {
+          image.stale = false;
+          changed = true;
+        }
+        if (image.lastSeenAt === undefined) {
+          image.lastSeenAt = null;
+          changed = true;
+        }
+        if (changed) count++;
+      }
+      return count > 0 ? [`${count} images: added host/stale/lastSeenAt`] : [];
+    }
+  },
+  {
+    version: 4,
+    name: 'totals-match-images',
+    description: 'Shift the total history so the latest total is the sum of the images (the integrity check requires it)',
+    migrate(data) {
+      if (!Array.isArray(data.totalSnapshots) || data.totalSnapshots.length === 0) return [];
+
+      // Totals written by older collectors may include images that are no
+      // longer tracked, or miss some that are. Like a deleted image, the
+      // difference leaves (or joins) the whole history, so no step appears.
+      const sum = Object.fromEntries(STAT_FIELDS.map(field => [field, 0]));
+      for (const image of data.images || []) {
+        if (image.availability?.status === 'deleted' || !image.snapshots?.length) continue;
+        const last = resolveSnapshot(image.snapshots, image.snapshots.length - 1);
+        STAT_FIELDS.forEach(field => { sum[field] += last[field] || 0; });
+      }
+      const total = resolveSnapshot(data.totalSnapshots, data.totalSnapshots.length - 1);
+      const offsets = STAT_FIELDS
+        .map(field => [field, sum[field] - (total[field] || 0)])
+        .filter(([, offset]) => offset !== 0);
+      if (offsets.length === 0) return [];
+
+      data.totalSnapshots = reencodeSeries(data.totalSnapshots, snapshot => {
+        for (const [field, offset] of offsets) snapshot[field] = Math.max(0, (snapshot[field] || 0) + offset);
+      });
+      return [`totalSnapshots: shifted ${offsets.map(([field, offset]) => `${field} by ${offset > 0 ? '+' : ''}${offset}`).join(', ')}`];
+    }
+  }
+];
+
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Upgrade a document to CURRENT_SCHEMA_VERSION in place.
+ * Returns { fromVersion, toVersion, applied: [{ version, name, description, changes }] }.
+ * Throws for documents written by a newer collector, which this code could
+ * only damage.
+ */
+export function migrateDocument(data) {
+  const fromVersion = data.schemaVersion || 0;
+
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    throw new Error(`Stats data has schemaVersion ${fromVersion}, newer than this collector supports (${CURRENT_SCHEMA_VERSION}). Update the collector.`);
+  }
+
+  const applied = [];
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= fromVersion) continue;
+    const changes = migration.migrate(data);
+    data.schemaVersion = migration.version;
+    applied.push({
+      version: migration.version,
+      name: migration.name,
+      description: migration.description,
+      changes
+    });
+  }
+
+  return { fromVersion, toVersion: data.schemaVersion || fromVersion, applied };
+}
+
+/**
+ * Format a migration result as report lines
+ */
+export function formatMigrationReport({ fromVersion, toVersion, applied }, maxChangesPerStep = 10) {
+  if (applied.length === 0) {
+    return [`Schema is up to date (version ${toVersion})`];
+  }
+  const lines = [`Schema upgraded: version ${fromVersion} -> ${toVersion}`];
+  for (const step of applied) {
+    lines.push(`  v${step.version} ${step.name}: ${step.description}`);
+    if (step.changes.length === 0) {
+      lines.push('    (nothing to change)');
+    }
+    for (const change of step.changes.slice(0, maxChangesPerStep)) {
+      lines.push(`    - ${change}`);
+    }
+    if (step.changes.length > maxChangesPerStep) {
+      lines.push(`    ... and ${step.changes.length - maxChangesPerStep} more`);
+    }
+  }
+  return lines;
+}
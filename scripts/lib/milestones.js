@@ -0,0 +1,113 @@
+/**
+ * Milestones: when an image or the account first reached a threshold.
+ *
+ * Each run, updateMilestones() walks the resolved series of every image and
+ * of the totals and finds, per metric and threshold, the first snapshot at or
+ * above the threshold. Thresholds a series' first snapshot had already
+ * reached are skipped: they were crossed before tracking began, at an
+ * unknown time. Crossings not recorded yet are added to the document's
+ * `milestones` list; recorded ones are never changed, so a milestone keeps
+ * its original timestamp after retention has merged the snapshot it was
+ * found in (and after a confirmed decrease took the value back below).
+ *
+ * Entries: { scope: 'image' | 'account', id, metric, threshold, value, timestamp }
+ * (`id` for images only; `value` is the metric at `timestamp`, which can be
+ * well past the threshold when a single run gained a lot).
+ */
+
+import { resolveAllSnapshots } from './snapshots.js';
+
+export const MILESTONE_METRICS = {
+  reactions: s => (s.likes || 0) + (s.hearts || 0) + (s.laughs || 0) + (s.cries || 0),
+  hearts: s => s.hearts || 0,
+  buzz: s => s.buzz || 0,
+  collects: s => s.collects || 0,
+  views: s => s.views || 0
+};
+
+// One ladder per metric, used for images and for the account
+export const DEFAULT_MILESTONES = {
+  reactions: [100, 500, 1000, 5000, 10000, 50000, 100000, 500000, 1000000],
+  hearts: [100, 1000, 10000, 100000],
+  buzz: [1000, 10000, 100000, 1000000],
+  collects: [100, 1000, 10000],
+  views: [1000, 10000, 100000, 1000000, 10000000]
+};
+
+/**
+ * Thresholds from a spec such as "reactions=1000,5000;views=100000". Metrics
+ * the spec leaves out keep their defaults; "views=" turns a metric off.
+ * Throws on unknown metrics and invalid numbers.
+ */
+export function parseMilestoneThresholds(spec) {
+  const thresholds = { ...DEFAULT_MILESTONES };
+  for (const part of (spec || '').split(';').map(p => p.trim()).filter(Boolean)) {
+    const [name, list = ''] = part.split('=').map(p => p.trim());
+    if (!(name in MILESTONE_METRICS)) {
+      throw new Error(`unknown metric "${name}" (expected one of: ${Object.keys(MILESTONE_METRICS).join(', ')})`);
+    }
+    const values = list.split(',').map(v => v.trim()).filter(Boolean).map(Number);
+    if (values.some(v => !Number.isFinite(v) || v <= 0)) {
+      throw new Error(`invalid thresholds for ${name}: "${list}"`);
+    }
+    thresholds[name] = [...new Set(values)].sort((a, b) => a - b);
+  }
+  return thresholds;
+}
+
+/**
+ * Crossings in one delta-encoded series: [{ metric, threshold, value, timestamp }]
+ */
+export function seriesMilestones(snapshots, thresholds = DEFAULT_MILESTONES) {
+  const resolved = resolveAllSnapshots(snapshots || []);
+  const found = [];
+  if (resolved.length < 2) return found;
+
+  for (const [metric, list] of Object.entries(thresholds)) {
+    const valueOf = MILESTONE_METRICS[metric];
+    const start = valueOf(resolved[0]);
+    for (const threshold of list) {
+      if (start >= threshold) continue;
+      const hit = resolved.find(s => valueOf(s) >= threshold);
+      if (hit) found.push({ metric, threshold, value: valueOf(hit), timestamp: hit.timestamp });
+    }
+  }
+  return found;
+}
+
+/**
+ * Identity of a milestone: one per scope, image, metric and threshold
+ */
+export function milestoneKey(milestone) {
+  return `${milestone.scope}:${milestone.id ?? ''}:${milestone.metric}:${milestone.threshold}`;
+}
+
+/**
+ * The document's milestones plus the crossings found in its image and total
+ * series that are not recorded yet. Returns { milestones, added }, both in
+ * timestamp order.
+ */
+export function updateMilestones(data, thresholds = DEFAULT_MILESTONES) {
+  const existing = data.milestones || [];
+  const known = new Set(existing.map(milestoneKey));
+  const added = [];
+
+  const collect = (scope, id, snapshots) => {
+    for (const crossing of seriesMilestones(snapshots, thresholds)) {
+      const milestone = scope === 'account' ? { scope, ...crossing } : { scope, id, ...crossing };
+      const key = milestoneKey(milestone);
+      if (known.has(key)) continue;
+      known.add(key);
+      added.push(milestone);
+    }
+  };
+
+  collect('account', null, data.totalSnapshots);
+  for (const image of data.images || []) {
+    collect('image', image.id, image.snapshots);
+  }
+
+  const byTime = (a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp);
+  added.sort(byTime);
+  return { milestones: [...existing, ...added].sort(byTime), added };
+}
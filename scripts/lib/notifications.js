@@ -0,0 +1,363 @@
+/**
+ * Webhook notifications.
+ *
+ * The collector turns what happened in a run into events
+ * { type, key, title, text, url, timestamp } and posts them to every webhook
+ * in WEBHOOK_URLS, formatted for Discord, for Slack or as generic JSON:
+ *
+ *   milestone  the account or an image reached a milestone (milestones.js)
+ *   gain       an image gained at least `gainThreshold` reactions within
+ *              `gainHours`
+ *   stale      an image went missing from the listings
+ *   aborted    a run stopped without writing (unreadable data, failed
+ *              integrity check, fatal error)
+ *
+ * Events are built from the current data each run (milestones and stale
+ * images of the last `recentHours`), so what a failing webhook missed is
+ * sent on a later run, and enabling notifications does not replay history.
+ *
+ * What was sent is logged per webhook in notifications.json, next to the
+ * stats in the same storage backend:
+ *
+ *   { version, sent: { "<webhook id>": { "<event key>": sentAt } } }
+ *
+ * An event is not sent to a webhook that already got its key; gain events
+ * may be sent again once `gainHours` have passed, aborted events once a run
+ * has succeeded again. Webhook ids are hashes of the URLs, which carry their
+ * secret tokens. Entries older than `keepDays` are pruned. Deliveries are
+ * recorded before they are posted (deliverNotifications), so a storage that
+ * fails to write holds events back instead of repeating them.
+ */
+
+import { createHash } from 'node:crypto';
+import { milestoneKey } from './milestones.js';
+import { resolveAllSnapshots } from './snapshots.js';
+
+export const NOTIFICATIONS_FILE = 'notifications.json';
+const NOTIFICATIONS_VERSION = 1;
+
+export const EVENT_TYPES = ['milestone', 'gain', 'stale', 'aborted'];
+export const FORMATS = ['discord', 'slack', 'json'];
+
+export const DEFAULT_NOTIFY = {
+  gainThreshold: 100,
+  gainHours: 24,
+  recentHours: 24,
+  keepDays: 90
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Discord embed colors per event type
+const COLORS = { milestone: 0xfcc419, gain: 0x40c057, stale: 0x868e96, aborted: 0xfa5252 };
+
+// Events per post: Discord takes at most 10 embeds per message, Slack 50 blocks
+const BATCH_SIZE = { discord: 10, slack: 20, json: 50 };
+
+/**
+ * Webhooks from a spec such as "discord=https://...,https://example.com/hook".
+ * Entries are separated by commas or whitespace; without a `format=` prefix
+ * the format follows the URL (discord.com, hooks.slack.com) and defaults to
+ * generic JSON. Returns [{ id, format, url }]; throws on unknown formats and
+ * invalid URLs.
+ */
+export function parseWebhooks(spec) {
+  return (spec || '').split(/[\s,]+/).filter(Boolean).map(entry => {
+    const match = entry.match(/^(\w+)=(.*)$/);
+    let url;
+    try {
+      url = new URL(match ? match[2] : entry);
+    } catch {
+      throw new Error(`invalid webhook URL "${match ? match[1] + '=...' : entry.slice(0, 24) + '...'}"`);
+    }
+    const format = match ? match[1].toLowerCase()
+      : /(^|\.)discord(app)?\.com$/.test(url.hostname) ? 'discord'
+        : url.hostname === 'hooks.slack.com' ? 'slack' : 'json';
+    if (!FORMATS.includes(format)) {
+      throw new Error(`unknown webhook format "${format}" (expected one of: ${FORMATS.join(', ')})`);
+    }
+    const id = createHash('sha256').update(url.href).digest('hex').slice(0, 12);
+    return { id, format, url: url.href };
+  });
+}
+
+function label(metric) {
+  return metric === 'buzz' ? 'Buzz' : metric;
+}
+
+/**
+ * Events for the milestones reached in the last `recentHours`; `images` are
+ * the document's images
+ */
+export function milestoneEvents(milestones, images, { username, now = new Date(), recentHours = DEFAULT_NOTIFY.recentHours }) {
+  const byId = new Map(images.map(image => [image.id, image]));
+  const since = now.getTime() - recentHours * HOUR_MS;
+  return milestones.filter(milestone => Date.parse(milestone.timestamp) >= since).map(milestone => {
+    const image = milestone.scope === 'image' ? byId.get(milestone.id) : null;
+    const subject = milestone.scope === 'account' ? username : (image?.name || `Image ${milestone.id}`);
+    return {
+      type: 'milestone',
+      key: `milestone:${milestoneKey(milestone)}`,
+      title: `${subject} reached ${milestone.threshold.toLocaleString('en-US')} ${label(milestone.metric)}`,
+      text: `${milestone.value.toLocaleString('en-US')} ${label(milestone.metric)} at ${milestone.timestamp}`,
+      url: image?.url || `https://civitai.com/user/${username}`,
+      timestamp: milestone.timestamp
+    };
+  });
+}
+
+function reactionsOf(snapshot) {
+  return snapshot.likes + snapshot.hearts + snapshot.laughs + snapshot.cries;
+}
+
+/**
+ * Events for listed images that gained at least `threshold` reactions in the
+ * last `hours`: from their latest snapshot at or before `now - hours` (or
+ * their first snapshot, when they are tracked for less long) to their latest.
+ */
+export function gainEvents(images, { threshold = DEFAULT_NOTIFY.gainThreshold, hours = DEFAULT_NOTIFY.gainHours, now = new Date() } = {}) {
+  const since = now.getTime() - hours * HOUR_MS;
+  const events = [];
+  for (const image of images) {
+    if (image.stale) continue;
+    const resolved = resolveAllSnapshots(image.snapshots || []);
+    if (resolved.length < 2) continue;
+    const from = resolved.filter(s => Date.parse(s.timestamp) <= since).at(-1) || resolved[0];
+    const to = resolved.at(-1);
+    const gain = reactionsOf(to) - reactionsOf(from);
+    if (gain < threshold) continue;
+    events.push({
+      type: 'gain',
+      key: `gain:${image.id}`,
+      cooldownHours: hours,
+      title: `${image.name || `Image ${image.id}`} gained ${gain.toLocaleString('en-US')} reactions`,
+      text: `${reactionsOf(from).toLocaleString('en-US')} -> ${reactionsOf(to).toLocaleString('en-US')} reactions since ${from.timestamp}`,
+      url: image.url,
+      timestamp: to.timestamp
+    });
+  }
+  return events;
+}
+
+/**
+ * Events for images that went stale within `recentHours` (staleSince; images
+ * stale before that field existed fall back to lastSeenAt)
+ */
+export function staleEvents(images, { now = new Date(), recentHours = DEFAULT_NOTIFY.recentHours } = {}) {
+  const since = now.getTime() - recentHours * HOUR_MS;
+  return images.map(image => ({ image, staleSince: image.staleSince || image.lastSeenAt }))
+    .filter(({ image, staleSince }) => image.stale && staleSince && Date.parse(staleSince) >= since)
+    .map(({ image, staleSince }) => ({
+      type: 'stale',
+      key: `stale:${image.id}:${staleSince}`,
+      title: `${image.name || `Image ${image.id}`} is no longer listed`,
+      text: `Not returned by the API since ${staleSince}; last seen ${image.lastSeenAt || 'never'}. Its stats are frozen until it reappears.`,
+      url: image.url,
+      timestamp: now.toISOString()
+    }));
+}
+
+/**
+ * Event for an aborted run. `kind` (e.g. 'integrity-check-failed') is the
+ * dedupe key, so the same failure is reported once until a run succeeds.
+ */
+export function abortedEvent(kind, message, { username, timestamp = new Date().toISOString() }) {
+  return {
+    type: 'aborted',
+    key: `aborted:${kind}`,
+    title: `Stats collection for ${username} aborted: ${kind.replace(/-/g, ' ')}`,
+    text: message.length > 1500 ? `${message.slice(0, 1500)}...` : message,
+    url: null,
+    timestamp
+  };
+}
+
+// Slack mrkdwn needs &, < and > escaped
+function slackEscape(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Request body posting `events` (at most BATCH_SIZE[format]) to a webhook of
+ * the given format
+ */
+export function formatPayload(format, events, { username }) {
+  if (format === 'discord') {
+    return {
+      username: 'Civitai Stats',
+      embeds: events.map(event => ({
+        title: event.title.slice(0, 256),
+        description: event.text,
+        ...(event.url ? { url: event.url } : {}),
+        color: COLORS[event.type],
+        timestamp: event.timestamp
+      }))
+    };
+  }
+  if (format === 'slack') {
+    return {
+      text: `Civitai stats for ${username}: ${events.map(event => event.title).join('; ')}`,
+      blocks: events.map(event => ({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*${event.url ? `<${event.url}|${slackEscape(event.title)}>` : slackEscape(event.title)}*\n${slackEscape(event.text)}`
+        }
+      }))
+    };
+  }
+  return {
+    source: 'civitai-reaction-stats',
+    username,
+    events: events.map(({ type, key, title, text, url, timestamp }) => ({ type, key, title, text, url, timestamp }))
+  };
+}
+
+export function emptyNotificationLog() {
+  return { version: NOTIFICATIONS_VERSION, sent: {} };
+}
+
+/**
+ * Read the log of sent notifications (an empty log when there is none or it
+ * cannot be parsed). Throws when the storage cannot be read.
+ */
+export async function readNotificationLog(storage) {
+  const content = await storage.readFile(NOTIFICATIONS_FILE);
+  try {
+    const log = content ? JSON.parse(content) : null;
+    if (log?.version === NOTIFICATIONS_VERSION && log.sent && typeof log.sent === 'object') return log;
+  } catch {
+    // Start a new log
+  }
+  return emptyNotificationLog();
+}
+
+export async function writeNotificationLog(storage, log) {
+  await storage.writeFiles({ [NOTIFICATIONS_FILE]: JSON.stringify(log, null, 2) });
+}
+
+/**
+ * Events a webhook has not been sent yet (gain events: not within their
+ * cooldown)
+ */
+export function unsentEvents(log, webhook, events, now = new Date()) {
+  const sent = log.sent[webhook.id] || {};
+  return events.filter(event => {
+    if (!sent[event.key]) return true;
+    return event.cooldownHours != null && now.getTime() - Date.parse(sent[event.key]) >= event.cooldownHours * HOUR_MS;
+  });
+}
+
+/**
+ * Drop entries older than `keepDays` and, after a successful run, the
+ * aborted-run entries. Returns whether the log changed.
+ */
+export function pruneLog(log, { now = new Date(), keepDays = DEFAULT_NOTIFY.keepDays, succeeded = false } = {}) {
+  let changed = false;
+  for (const [webhookId, sent] of Object.entries(log.sent)) {
+    for (const [key, sentAt] of Object.entries(sent)) {
+      if ((succeeded && key.startsWith('aborted:')) || now.getTime() - Date.parse(sentAt) > keepDays * 24 * HOUR_MS) {
+        delete sent[key];
+        changed = true;
+      }
+    }
+    if (Object.keys(sent).length === 0) delete log.sent[webhookId];
+  }
+  return changed;
+}
+
+/**
+ * POST a JSON body; a 429 is retried once after its Retry-After (at most
+ * 30s). Throws on any other non-2xx answer.
+ */
+export async function postWebhook(url, body, { timeoutMs = 10000, fetchImpl = fetch } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const response = await fetchImpl(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    if (response.ok) return;
+    if (response.status === 429 && attempt === 0) {
+      const seconds = Math.min(30, Number(response.headers.get('retry-after')) || 1);
+      await new Promise(resolve => setTimeout(resolve, seconds * 1000));
+      continue;
+    }
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+}
+
+/**
+ * Post every unsent event to every webhook, in batches, and record each
+ * batch in `log` (mutated) once it was accepted. A failing webhook is
+ * skipped and reported; its remaining events are tried again on the next
+ * run. Returns [{ webhook, sent, error }] for the webhooks that had
+ * something to send.
+ */
+export async function sendNotifications(webhooks, events, log, { username, now = new Date(), post = postWebhook } = {}) {
+  const results = [];
+  for (const webhook of webhooks) {
+    const pending = unsentEvents(log, webhook, events, now);
+    if (pending.length === 0) continue;
+    const result = { webhook, sent: 0, error: null };
+    try {
+      for (let i = 0; i < pending.length; i += BATCH_SIZE[webhook.format]) {
+        const batch = pending.slice(i, i + BATCH_SIZE[webhook.format]);
+        await post(webhook.url, formatPayload(webhook.format, batch, { username }));
+        const sent = log.sent[webhook.id] ||= {};
+        for (const event of batch) sent[event.key] = now.toISOString();
+        result.sent += batch.length;
+      }
+    } catch (error) {
+      result.error = error.message;
+    }
+    results.push(result);
+  }
+  return results;
+}
+
+/**
+ * Send `events` with the log in `storage`, recording each delivery before it
+ * is posted: the log is written with every pending event marked as sent,
+ * then the events are posted, and the ones a webhook refused are released
+ * again. An event whose delivery cannot be recorded (the log cannot be read
+ * or written) is held back, so failing storage never causes duplicates;
+ * later runs rebuild it from the data. Aborted events are the exception:
+ * they report runs that may have failed because the storage is down, so they
+ * are sent unrecorded. A successful run (`succeeded`) also clears the
+ * aborted-run entries.
+ *
+ * Returns { results, held, logError }: the results of sendNotifications,
+ * the number of events held back and the log problem, if any.
+ */
+export async function deliverNotifications(storage, webhooks, events, { username, succeeded = false, now = new Date(), post = postWebhook } = {}) {
+  let log;
+  try {
+    log = await readNotificationLog(storage);
+    const pruned = pruneLog(log, { now, succeeded });
+    const claimed = structuredClone(log);
+    let claims = 0;
+    for (const webhook of webhooks) {
+      for (const event of unsentEvents(log, webhook, events, now)) {
+        (claimed.sent[webhook.id] ||= {})[event.key] = now.toISOString();
+        claims++;
+      }
+    }
+    if (claims > 0 || pruned) await writeNotificationLog(storage, claimed);
+  } catch (error) {
+    const aborted = events.filter(event => event.type === 'aborted');
+    const results = await sendNotifications(webhooks, aborted, emptyNotificationLog(), { username, now, post });
+    return { results, held: events.length - aborted.length, logError: `could not record deliveries: ${error.message}` };
+  }
+
+  const results = await sendNotifications(webhooks, events, log, { username, now, post });
+  if (results.some(result => result.error)) {
+    try {
+      await writeNotificationLog(storage, log);
+    } catch (error) {
+      return { results, held: 0, logError: `could not release the failed deliveries, so they are not retried: ${error.message}` };
+    }
+  }
+  return { results, held: 0, logError: null };
+}
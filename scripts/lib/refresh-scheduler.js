@@ -0,0 +1,121 @@
+/**
+ * Priority scheduler for individual (tRPC) stat refreshes.
+ *
+ * The bulk REST API returns stale stats, so images are re-fetched one by one.
+ * Each image gets a target refresh interval from its age and its recent gain
+ * velocity: roughly "once per `reactionsPerRefresh` expected new reactions",
+ * but never less often than its age allows:
+ *
+ *   age < 1 day: 1h | < 7 days: 3h | < 30 days: 12h | < 180 days: 3 days | older: 10 days
+ *
+ * Its score is the time since its last individual refresh divided by that
+ * interval; images scoring >= 1 are due, and the highest scores are refreshed
+ * first within the per-run request budget. Images not refreshed for
+ * `maxStalenessHours` are refreshed regardless of the budget, so every image
+ * is guaranteed a refresh within that window.
+ */
+
+import { resolveAllSnapshots } from './snapshots.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const DEFAULT_SCHEDULE = {
+  budget: 300,
+  maxStalenessHours: 30 * 24,
+  reactionsPerRefresh: 5,
+  velocityWindowHours: 48
+};
+
+// Target interval by age, before velocity is taken into account
+const AGE_INTERVALS = [
+  { maxAgeHours: 24, intervalHours: 1 },
+  { maxAgeHours: 7 * 24, intervalHours: 3 },
+  { maxAgeHours: 30 * 24, intervalHours: 12 },
+  { maxAgeHours: 180 * 24, intervalHours: 72 },
+  { maxAgeHours: Infinity, intervalHours: 240 }
+];
+
+function reactionsOf(snapshot) {
+  return (snapshot.likes || 0) + (snapshot.hearts || 0) + (snapshot.laughs || 0) +
+         (snapshot.cries || 0) + (snapshot.comments || 0);
+}
+
+/**
+ * Reactions gained per hour over the last `windowHours` of a stored series
+ * (0 without enough history).
+ */
+export function gainVelocity(snapshots, now = new Date(), windowHours = DEFAULT_SCHEDULE.velocityWindowHours) {
+  if (!snapshots || snapshots.length < 2) return 0;
+  const resolved = resolveAllSnapshots(snapshots);
+  const last = resolved[resolved.length - 1];
+  const windowStart = now.getTime() - windowHours * HOUR_MS;
+
+  // Latest snapshot at or before the window start, else the first one
+  let base = resolved[0];
+  for (const snapshot of resolved) {
+    if (Date.parse(snapshot.timestamp) > windowStart) break;
+    base = snapshot;
+  }
+
+  const hours = (Date.parse(last.timestamp) - Date.parse(base.timestamp)) / HOUR_MS;
+  if (hours <= 0) return 0;
+  return Math.max(0, reactionsOf(last) - reactionsOf(base)) / hours;
+}
+
+/**
+ * Target refresh interval in hours for an image.
+ */
+export function refreshInterval({ ageHours, velocity, bulkReactions }, schedule = DEFAULT_SCHEDULE) {
+  // The bulk API often reports 0 for images that do have reactions
+  if (bulkReactions === 0) return 1;
+  const byAge = AGE_INTERVALS.find(step => ageHours < step.maxAgeHours).intervalHours;
+  const byVelocity = velocity > 0 ? schedule.reactionsPerRefresh / velocity : Infinity;
+  return Math.max(1, Math.min(byAge, byVelocity, schedule.maxStalenessHours));
+}
+
+/**
+ * Choose which images to refresh this run.
+ *
+ * `candidates` are { id, createdAt, refreshedAt, velocity, bulkReactions }
+ * (refreshedAt null = never refreshed individually). Returns
+ * { refresh: [candidate, ...] in refresh order, forced, due, notDue, deferred }
+ * where forced counts images past the staleness guarantee and deferred the
+ * due images left for a later run by the budget.
+ */
+export function planRefresh(candidates, { now = new Date(), refreshAll = false, ...options } = {}) {
+  const schedule = { ...DEFAULT_SCHEDULE, ...options };
+
+  if (refreshAll) {
+    return { refresh: [...candidates], forced: 0, due: candidates.length, notDue: 0, deferred: 0 };
+  }
+
+  const forced = [];
+  const due = [];
+  let notDue = 0;
+  for (const candidate of candidates) {
+    const ageHours = Math.max(0, (now - new Date(candidate.createdAt)) / HOUR_MS);
+    const sinceRefresh = candidate.refreshedAt ? (now - new Date(candidate.refreshedAt)) / HOUR_MS : Infinity;
+
+    if (candidate.refreshedAt && sinceRefresh >= schedule.maxStalenessHours) {
+      forced.push({ candidate, score: sinceRefresh });
+      continue;
+    }
+
+    const score = sinceRefresh / refreshInterval({ ...candidate, ageHours }, schedule);
+    if (score >= 1) due.push({ candidate, score });
+    else notDue++;
+  }
+
+  const byScore = (a, b) => b.score - a.score;
+  forced.sort(byScore);
+  due.sort(byScore);
+
+  const room = Math.max(0, schedule.budget - forced.length);
+  return {
+    refresh: [...forced, ...due.slice(0, room)].map(entry => entry.candidate),
+    forced: forced.length,
+    due: due.length,
+    notDue,
+    deferred: Math.max(0, due.length - room)
+  };
+}
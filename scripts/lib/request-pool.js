@@ -0,0 +1,156 @@
+/**
+ * Request pacing for the Civitai API.
+ *
+ * createRateLimiter() is a token bucket shared by every request the collector
+ * makes (both hosts, REST and tRPC). A 429 seen by any request pauses the
+ * whole bucket for the Retry-After time, so other requests wait too instead
+ * of each discovering the limit on its own.
+ *
+ * runPool() keeps up to N tasks in flight and adapts N: it grows by one after
+ * a run of fast, trouble-free completions and halves when the limiter reports
+ * a 429 or an error, or when latency climbs past the target.
+ */
+
+function defaultSleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Token bucket allowing `requestsPerSecond` on average and bursts of `burst`.
+ * Returns {
+ *   acquire()         -> Promise resolving when a request may start
+ *   pause(ms)         -> stop every request for ms (429 / Retry-After)
+ *   reportError()     -> count a failed request (feeds the pool's adaptation)
+ *   troubleCount      -> pauses + errors so far
+ *   stats()           -> { requests, pauses, errors, pausedMs }
+ * }
+ */
+export function createRateLimiter({ requestsPerSecond = 6, burst = requestsPerSecond, now = Date.now, sleep = defaultSleep } = {}) {
+  let tokens = burst;
+  let refilledAt = now();
+  let pausedUntil = 0;
+  let requests = 0;
+  let pauses = 0;
+  let errors = 0;
+  let pausedMs = 0;
+
+  function refill() {
+    const time = now();
+    tokens = Math.min(burst, tokens + ((time - refilledAt) / 1000) * requestsPerSecond);
+    refilledAt = time;
+  }
+
+  return {
+    async acquire() {
+      for (;;) {
+        const wait = pausedUntil - now();
+        if (wait > 0) {
+          await sleep(wait);
+          continue;
+        }
+        refill();
+        if (tokens >= 1) {
+          tokens -= 1;
+          requests++;
+          return;
+        }
+        await sleep(Math.ceil(((1 - tokens) / requestsPerSecond) * 1000));
+      }
+    },
+
+    pause(ms) {
+      const until = now() + ms;
+      if (until > pausedUntil) {
+        pausedMs += until - Math.max(pausedUntil, now());
+        pausedUntil = until;
+      }
+      // Start from an empty bucket after the pause instead of bursting
+      tokens = 0;
+      refilledAt = pausedUntil;
+      pauses++;
+    },
+
+    reportError() {
+      errors++;
+    },
+
+    get troubleCount() {
+      return pauses + errors;
+    },
+
+    stats() {
+      return { requests, pauses, errors, pausedMs };
+    }
+  };
+}
+
+/**
+ * Run `task(item)` for every item with an adaptive number of workers.
+ * Options: limiter (for trouble signals), minWorkers, maxWorkers,
+ * initialWorkers, targetLatencyMs, onProgress(done, total, workers).
+ * Resolves with { results, peakWorkers }: results in item order (a throwing
+ * task yields undefined and counts as trouble).
+ */
+export async function runPool(items, task, {
+  limiter = null,
+  minWorkers = 1,
+  maxWorkers = 8,
+  initialWorkers = Math.min(4, maxWorkers),
+  targetLatencyMs = 2000,
+  onProgress = null
+} = {}) {
+  const results = Array.from({ length: items.length });
+  let next = 0;
+  let done = 0;
+  let inFlight = 0;
+  let limit = Math.max(minWorkers, Math.min(initialWorkers, maxWorkers));
+  let peakWorkers = limit;
+  let smoothLatency = null;
+  let goodStreak = 0;
+  let lastTrouble = limiter?.troubleCount ?? 0;
+  let localErrors = 0;
+
+  function adapt(latency) {
+    smoothLatency = smoothLatency === null ? latency : smoothLatency * 0.8 + latency * 0.2;
+    const trouble = (limiter?.troubleCount ?? 0) + localErrors;
+    if (trouble > lastTrouble) {
+      lastTrouble = trouble;
+      limit = Math.max(minWorkers, Math.floor(limit / 2));
+      goodStreak = 0;
+    } else if (smoothLatency > targetLatencyMs) {
+      limit = Math.max(minWorkers, limit - 1);
+      goodStreak = 0;
+    } else if (++goodStreak >= limit && limit < maxWorkers) {
+      limit++;
+      goodStreak = 0;
+    }
+    peakWorkers = Math.max(peakWorkers, limit);
+  }
+
+  await new Promise(resolve => {
+    if (items.length === 0) return resolve();
+
+    function launch() {
+      while (inFlight < limit && next < items.length) {
+        const index = next++;
+        inFlight++;
+        const started = Date.now();
+        Promise.resolve()
+          .then(() => task(items[index], index))
+          .then(result => { results[index] = result; }, () => { localErrors++; })
+          .finally(() => {
+            inFlight--;
+            done++;
+            adapt(Date.now() - started);
+            if (onProgress) onProgress(done, items.length, limit);
+            if (done === items.length) resolve();
+            else launch();
+          });
+      }
+    }
+
+    launch();
+  });
+
+  return { results, peakWorkers };
+}
@@ -0,0 +1,247 @@
+/**
+ * Retention: how finely old snapshots are kept.
+ *
+ * A policy lists, per series, tiers ordered by age:
+ *
+ *   { after: '7d', bucket: '6h' }
+ *
+ * Snapshots older than `after` keep one snapshot (the latest) per `bucket`;
+ * snapshots younger than the first tier are all kept. Spans are a number and
+ * a unit: h, d, w (weeks start on Monday), mo (calendar months) or y. Buckets
+ * are UTC-aligned. An age of "1mo" means 30 days and "1y" 365 days.
+ *
+ * Series: totals, images, models, profile. By default every series keeps
+ * daily snapshots forever, as before tiers could be configured: coarser
+ * (weekly, monthly) tiers discard detail for good, so they are opt-in.
+ *
+ * With `peaks`, an entry that absorbed several samples records what the
+ * merge loses: `pk`, the peak hourly reaction gain over its period (from the
+ * sample before it to the latest one), and `n`, the number of samples merged.
+ * Gains over intervals longer than an hour count as their hourly average;
+ * merging already downsampled entries keeps the highest `pk` and adds up `n`.
+ */
+
+import { IMAGE_SERIES, MODEL_SERIES, PROFILE_SERIES, encodeAsDeltas, resolveAllSnapshots } from './snapshots.js';
+
+export const RETENTION_SERIES = ['totals', 'images', 'models', 'profile'];
+
+const DEFAULT_TIERS = [
+  { after: '7d', bucket: '6h' },
+  { after: '30d', bucket: '1d' }
+];
+
+export const DEFAULT_RETENTION = {
+  totals: DEFAULT_TIERS,
+  images: DEFAULT_TIERS,
+  models: DEFAULT_TIERS,
+  profile: DEFAULT_TIERS
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const REACTION_FIELDS = ['likes', 'hearts', 'laughs', 'cries'];
+const UNIT_HOURS = { h: 1, d: 24, w: 7 * 24, mo: 30 * 24, y: 365 * 24 };
+// 1970-01-01 was a Thursday: weekly buckets are shifted to start on Monday
+const MONDAY_OFFSET_MS = 4 * 24 * HOUR_MS;
+
+function parseSpan(text) {
+  const match = /^(\d+)(h|d|w|mo|y)$/.exec(String(text).trim());
+  if (!match || Number(match[1]) === 0) {
+    throw new Error(`invalid span "${text}" (expected e.g. 6h, 7d, 1w, 1mo, 1y)`);
+  }
+  return { count: Number(match[1]), unit: match[2] };
+}
+
+// An age in milliseconds
+function ageMs(text) {
+  const { count, unit } = parseSpan(text);
+  return count * UNIT_HOURS[unit] * HOUR_MS;
+}
+
+// Start of the bucket `time` falls in
+function bucketStart(time, text) {
+  const { count, unit } = parseSpan(text);
+  if (unit === 'mo' || unit === 'y') {
+    const months = unit === 'y' ? count * 12 : count;
+    const date = new Date(time);
+    const index = date.getUTCFullYear() * 12 + date.getUTCMonth();
+    const start = index - (index % months);
+    return Date.UTC(Math.floor(start / 12), start % 12, 1);
+  }
+  const size = count * UNIT_HOURS[unit] * HOUR_MS;
+  const offset = unit === 'w' ? MONDAY_OFFSET_MS : 0;
+  return Math.floor((time - offset) / size) * size + offset;
+}
+
+// Rough bucket length, to check that tiers get coarser
+function bucketHours(text) {
+  const { count, unit } = parseSpan(text);
+  return count * UNIT_HOURS[unit];
+}
+
+/**
+ * Check a list of tiers; throws when a span is invalid, ages do not increase
+ * or a bucket is finer than the one before it
+ */
+export function validateTiers(tiers) {
+  let previous = null;
+  for (const tier of tiers) {
+    const age = ageMs(tier.after);
+    const hours = bucketHours(tier.bucket);
+    if (previous && age <= previous.age) {
+      throw new Error(`tier after ${tier.after} must be older than the one before it (${previous.after})`);
+    }
+    if (previous && hours < previous.hours) {
+      throw new Error(`bucket ${tier.bucket} (after ${tier.after}) is finer than ${previous.bucket}`);
+    }
+    previous = { age, hours, after: tier.after, bucket: tier.bucket };
+  }
+  return tiers;
+}
+
+/**
+ * Policy from a spec such as "images=7d:6h,30d:1d,1y:1mo;totals=30d:1d".
+ * `default=` sets every series the spec does not name; series left out
+ * keep DEFAULT_RETENTION, and "images=" keeps every snapshot. Throws on
+ * unknown series and invalid tiers.
+ */
+export function parseRetentionPolicy(spec) {
+  const policy = { ...DEFAULT_RETENTION };
+  const named = {};
+  for (const part of (spec || '').split(';').map(p => p.trim()).filter(Boolean)) {
+    const [name, list = ''] = part.split('=').map(p => p.trim());
+    if (name !== 'default' && !RETENTION_SERIES.includes(name)) {
+      throw new Error(`unknown series "${name}" (expected default or one of: ${RETENTION_SERIES.join(', ')})`);
+    }
+    const tiers = list.split(',').map(t => t.trim()).filter(Boolean).map(tier => {
+      const [after, bucket] = tier.split(':').map(t => t.trim());
+      if (!after || !bucket) throw new Error(`invalid tier "${tier}" for ${name} (expected age:bucket, e.g. 30d:1d)`);
+      return { after, bucket };
+    });
+    try {
+      named[name] = validateTiers(tiers);
+    } catch (error) {
+      throw new Error(`${name}: ${error.message}`);
+    }
+  }
+  for (const series of RETENTION_SERIES) {
+    policy[series] = named[series] ?? named.default ?? policy[series];
+  }
+  return policy;
+}
+
+/**
+ * One line per series, e.g. "images: every snapshot, 6h after 7d, 1d after 30d"
+ */
+export function formatRetentionPolicy(policy) {
+  return RETENTION_SERIES.map(series => `${series}: ${['every snapshot',
+    ...policy[series].map(tier => `${tier.bucket} after ${tier.after}`)].join(', ')}`);
+}
+
+function reactionsOf(snapshot) {
+  return REACTION_FIELDS.reduce((sum, field) => sum + (snapshot[field] || 0), 0);
+}
+
+// Peak hourly gain over the period of `snapshot`, which follows `previous`
+function peakOf(previous, snapshot) {
+  if (snapshot.pk != null) return snapshot.pk;
+  if (!previous) return 0;
+  const hours = Math.max(1, (Date.parse(snapshot.timestamp) - Date.parse(previous.timestamp)) / HOUR_MS);
+  return Math.max(0, Math.round((reactionsOf(snapshot) - reactionsOf(previous)) / hours));
+}
+
+/**
+ * Apply `tiers` to absolute snapshots in time order: each snapshot older than
+ * a tier's `after` is merged into the latest snapshot of its bucket. With
+ * `peaks`, merged entries carry `pk` and `n`; without, they lose them.
+ */
+export function applyRetention(snapshots, tiers, now = Date.now(), { peaks = false } = {}) {
+  const ages = tiers.map(tier => ageMs(tier.after));
+  const result = [];
+  let currentKey = null;
+  let bucket = null;
+  let previous = null;
+
+  for (const snapshot of snapshots) {
+    const time = new Date(snapshot.timestamp).getTime();
+    let tier = -1;
+    for (let i = 0; i < ages.length; i++) {
+      if (now - time >= ages[i]) tier = i;
+    }
+    if (tier < 0) {
+      result.push(snapshot);
+      currentKey = null;
+      previous = snapshot;
+      continue;
+    }
+
+    const key = `${tier}:${bucketStart(time, tiers[tier].bucket)}`;
+    if (key === currentKey) {
+      // Always keep the latest snapshot in the bucket
+      bucket.peak = Math.max(bucket.peak, peakOf(previous, snapshot));
+      bucket.samples += snapshot.n || 1;
+      const { pk, n, ...rest } = snapshot;
+      result[result.length - 1] = peaks ? { ...rest, pk: bucket.peak, n: bucket.samples } : rest;
+    } else {
+      result.push(snapshot);
+      currentKey = key;
+      bucket = { peak: peakOf(previous, snapshot), samples: snapshot.n || 1 };
+    }
+    previous = snapshot;
+  }
+
+  return result;
+}
+
+/**
+ * Resolve a delta-encoded series, apply `tiers` and re-encode it. Fields in
+ * `carry` (e.g. the totals' imageCount) are not part of the codec and are
+ * kept on the snapshots that remain. `peaks` only applies to reaction series
+ * (images and totals). Returns { snapshots, before, after } (lengths before
+ * and after retention).
+ */
+export function compactSeries(snapshots, tiers, { series = IMAGE_SERIES, carry = [], peaks = false, now = Date.now() } = {}) {
+  const resolved = resolveAllSnapshots(snapshots, series);
+  for (const field of carry) {
+    resolved.forEach((snapshot, i) => {
+      if (snapshots[i]?.[field] != null) snapshot[field] = snapshots[i][field];
+    });
+  }
+
+  const retained = applyRetention(resolved, tiers, now, { peaks });
+  const encoded = encodeAsDeltas(retained, series);
+  for (const field of carry) {
+    encoded.forEach((snapshot, i) => {
+      if (retained[i][field] != null) snapshot[field] = retained[i][field];
+    });
+  }
+  return { snapshots: encoded, before: snapshots.length, after: encoded.length };
+}
+
+/**
+ * Apply a policy to every series of a stats document, in place (`peaks` for
+ * the totals and images). Returns the series that lost snapshots:
+ * [{ id, before, after }] with id 'total', 'profile', an image id or
+ * 'model <id>'.
+ */
+export function compactDocument(data, policy = DEFAULT_RETENTION, { now = Date.now(), peaks = false } = {}) {
+  const compactions = [];
+  const compact = (id, snapshots, tiers, options) => {
+    const result = compactSeries(snapshots, tiers, { ...options, now });
+    if (result.after < result.before) compactions.push({ id, before: result.before, after: result.after });
+    return result.snapshots;
+  };
+
+  if (data.totalSnapshots?.length) {
+    data.totalSnapshots = compact('total', data.totalSnapshots, policy.totals, { carry: ['imageCount'], peaks });
+  }
+  for (const image of data.images || []) {
+    if (image.snapshots?.length) image.snapshots = compact(image.id, image.snapshots, policy.images, { peaks });
+  }
+  for (const model of data.models || []) {
+    if (model.snapshots?.length) model.snapshots = compact(`model ${model.id}`, model.snapshots, policy.models, { series: MODEL_SERIES });
+  }
+  if (data.profileSnapshots?.length) {
+    data.profileSnapshots = compact('profile', data.profileSnapshots, policy.profile, { series: PROFILE_SERIES });
+  }
+  return compactions;
+}
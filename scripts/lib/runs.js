@@ -0,0 +1,71 @@
+/**
+ * Collector health log.
+ *
+ * Every run that writes appends one record to the document's `runs` list,
+ * which keeps the latest `limit` records:
+ *
+ *   { startedAt, finishedAt, mode, discovery, refreshed,
+ *     requests: { com, red }, retries, rateLimited, failures,
+ *     images, newImages, staleImages, clamped, size, problems }
+ *
+ * `mode` is the refresh mode (auto | all), `discovery` full | incremental,
+ * `refreshed` the images whose stats were fetched with tRPC. `retries` counts
+ * repeated requests (after a 429 or an error), `rateLimited` the 429
+ * answers, `failures` the requests that failed for good (404s excepted:
+ * they answer a probe). `staleImages` are the images that went stale in this
+ * run, `size` the bytes of the stored files before the record was added.
+ * `problems` lists what the run had to do without (e.g. civitai.red
+ * discovery failed).
+ *
+ * Runs that abort write nothing, so they show up as missed runs.
+ */
+
+export const DEFAULT_RUN_HISTORY = 336; // two weeks of hourly runs
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Counters the collector fills in while it runs
+ */
+export function createRunCounters() {
+  return {
+    discovery: null,
+    refreshed: 0,
+    requests: { com: 0, red: 0 },
+    retries: 0,
+    rateLimited: 0,
+    failures: 0,
+    problems: []
+  };
+}
+
+/**
+ * `runs` with `record` appended, keeping the latest `limit` records
+ */
+export function appendRun(runs, record, limit = DEFAULT_RUN_HISTORY) {
+  return [...(runs || []), record].slice(-limit);
+}
+
+/**
+ * Whether a run failed requests or went without some of its data
+ */
+export function isDegraded(run) {
+  return run.failures > 0 || (run.problems?.length || 0) > 0;
+}
+
+/**
+ * Gaps between consecutive runs of more than 1.5 intervals:
+ * [{ after, before, missed }], where `missed` is the number of scheduled
+ * runs that did not write
+ */
+export function missedRuns(runs, { intervalHours = 1 } = {}) {
+  const interval = intervalHours * HOUR_MS;
+  const gaps = [];
+  for (let i = 1; i < (runs || []).length; i++) {
+    const gap = Date.parse(runs[i].startedAt) - Date.parse(runs[i - 1].startedAt);
+    if (gap > interval * 1.5) {
+      gaps.push({ after: runs[i - 1].startedAt, before: runs[i].startedAt, missed: Math.round(gap / interval) - 1 });
+    }
+  }
+  return gaps;
+}
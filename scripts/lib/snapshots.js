@@ -0,0 +1,15 @@
+/**
+ * Delta-encoded snapshot series.
+ *
+ * The codec lives in extension/lib/snapshot-codec.js, which the stats page
+ * loads as well; see there for the format. This module re-exports it for
+ * the collector.
+ */
+
+import codec from '../../extension/lib/snapshot-codec.js';
+
+export const {
+  IMAGE_SERIES, MODEL_SERIES, PROFILE_SERIES, STAT_FIELDS, BUCKET_FIELDS,
+  isDelta, resolveSnapshot, resolveAllSnapshots, deltaBetween, appendEntry, encodeAsDeltas, validateSeries,
+  isColumnar, toColumns, fromColumns, encodeColumnar, decodeColumnar
+} = codec;
@@ -0,0 +1,121 @@
+/**
+ * Classification of stale images: tracked images that no crawl returned.
+ *
+ * Once an image has been stale for `graceHours` (brief gaps in the listings
+ * are common), the collector probes it with tRPC `image.get` on both hosts
+ * and records `availability: { status, reason, since, checkedAt }`:
+ *
+ *   deleted          not found on either host
+ *   migrated-to-red  a .com image that civitai.red serves
+ *   migrated-to-com  a .red image that civitai.com serves
+ *   unavailable      still served by its host but not listed (hidden, under
+ *                    review), or a probe failed
+ *   reappeared       a crawl listed the image again after it had a status
+ *
+ * Statuses other than `deleted` are probed again every `reprobeHours`.
+ * A deleted image no longer counts towards the totals; its contribution is
+ * taken out of the whole total history (shiftTotals), so the totals chart
+ * shows no drop, and put back if the image reappears.
+ */
+
+import { STAT_FIELDS, encodeAsDeltas, resolveAllSnapshots } from './snapshots.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const STALE_STATUSES = ['deleted', 'migrated-to-red', 'migrated-to-com', 'unavailable', 'reappeared'];
+
+export const DEFAULT_STALE_PROBE = {
+  graceHours: 48,
+  reprobeHours: 24,
+  limit: 50
+};
+
+/**
+ * Stale images due for a probe: stale for at least `graceHours`, not probed
+ * in the last `reprobeHours` and not already deleted. Longest-stale first,
+ * at most `limit`. Stale time counts from `staleSince`, the run that first
+ * missed the image (lastSeenAt for images stale before that was recorded):
+ * lastSeenAt alone can be days old for images incremental discovery carried.
+ */
+export function selectForProbe(images, {
+  now = new Date(),
+  graceHours = DEFAULT_STALE_PROBE.graceHours,
+  reprobeHours = DEFAULT_STALE_PROBE.reprobeHours,
+  limit = DEFAULT_STALE_PROBE.limit
+} = {}) {
+  const nowMs = now.getTime();
+  const staleSince = image => {
+    const since = image.staleSince || image.lastSeenAt;
+    return since ? Date.parse(since) : -Infinity;
+  };
+
+  return images
+    .filter(image => image.stale && image.availability?.status !== 'deleted')
+    .filter(image => nowMs - staleSince(image) >= graceHours * HOUR_MS)
+    .filter(image => !image.availability?.checkedAt ||
+      nowMs - Date.parse(image.availability.checkedAt) >= reprobeHours * HOUR_MS)
+    .sort((a, b) => staleSince(a) - staleSince(b))
+    .slice(0, limit);
+}
+
+/**
+ * Status of a stale image from its probes on both hosts. Each probe is
+ * { found: true }, { found: false } (not found) or { error: message }.
+ * Returns { status, reason }.
+ */
+export function classifyProbe(host, probes) {
+  const other = host === 'red' ? 'com' : 'red';
+  if (probes[other]?.found) {
+    return { status: `migrated-to-${other}`, reason: `served by civitai.${other}` };
+  }
+  if (probes[host]?.found) {
+    return { status: 'unavailable', reason: `served by civitai.${host} but not listed (hidden or under review)` };
+  }
+  if (probes[host]?.found === false && probes[other]?.found === false) {
+    return { status: 'deleted', reason: 'not found on civitai.com or civitai.red' };
+  }
+  const errors = ['com', 'red'].filter(h => probes[h]?.error).map(h => `${h}: ${probes[h].error}`);
+  return { status: 'unavailable', reason: `probe failed (${errors.join('; ')})` };
+}
+
+/**
+ * New `availability` record for a classification made at `timestamp`;
+ * `since` is kept while the status stays the same.
+ */
+export function nextAvailability(previous, { status, reason }, timestamp) {
+  return {
+    status,
+    reason,
+    since: previous?.status === status ? previous.since : timestamp,
+    checkedAt: timestamp
+  };
+}
+
+/**
+ * Remove (direction -1) or add back (+1) one image's contribution to every
+ * snapshot of a delta-encoded total series. At each total snapshot the image
+ * counts with its latest value at or before that time (nothing before its
+ * first snapshot), so the adjusted totals keep their shape. `imageCount`
+ * follows along. Returns the re-encoded series.
+ */
+export function shiftTotals(totalSnapshots, imageSnapshots, direction) {
+  const totals = resolveAllSnapshots(totalSnapshots);
+  const image = resolveAllSnapshots(imageSnapshots || []);
+
+  let i = -1;
+  totals.forEach((total, index) => {
+    const time = Date.parse(total.timestamp);
+    while (i + 1 < image.length && Date.parse(image[i + 1].timestamp) <= time) i++;
+    const imageCount = totalSnapshots[index].imageCount;
+    if (i >= 0) {
+      for (const field of STAT_FIELDS) total[field] += direction * (image[i][field] || 0);
+    }
+    if (imageCount != null) total.imageCount = imageCount + (i >= 0 ? direction : 0);
+  });
+
+  const encoded = encodeAsDeltas(totals.map(({ imageCount, ...rest }) => rest));
+  totals.forEach((total, index) => {
+    if (total.imageCount != null) encoded[index].imageCount = total.imageCount;
+  });
+  return encoded;
+}
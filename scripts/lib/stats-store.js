@@ -0,0 +1,152 @@
+/**
+ * Reading and writing the stats document through a storage backend.
+ *
+ * Two layouts are supported:
+ * - single:  everything in one stats.json (the original format)
+ * - sharded: stats.json is a small index (totalSnapshots + metadata + a shard
+ *            list) and images live in per-creation-month files such as
+ *            images-2024-01.json, so an hourly run only rewrites the months
+ *            whose images actually changed.
+ *
+ * and two encodings of the snapshot series:
+ * - objects:  one JSON object per snapshot, pretty-printed (the original format)
+ * - columnar: one set of columns per series (toColumns in the snapshot codec),
+ *             compact JSON; files are marked with "encoding": "columnar"
+ *
+ * Readers detect the layout from the content of stats.json and the encoding
+ * per series, so switching either setting converts the data on the next
+ * write. In memory, series are always lists of entries.
+ */
+
+import { decodeColumnar, encodeColumnar } from './snapshots.js';
+
+export const STATS_FILE = 'stats.json';
+export const LAYOUTS = ['single', 'sharded'];
+export const ENCODINGS = ['objects', 'columnar'];
+
+/**
+ * Shard file holding an image, by creation month
+ */
+export function shardFileFor(image) {
+  const month = /^\d{4}-\d{2}/.exec(image.createdAt || '')?.[0];
+  return `images-${month || 'unknown'}.json`;
+}
+
+/**
+ * Read the stats document, reassembling a sharded layout into the usual
+ * { totalSnapshots, images, ... } shape.
+ *
+ * Returns { data, files, layout, encoding }: data is null when stats.json
+ * does not exist or is empty; files maps every file read to its raw content
+ * so writeStatsDocument can skip shards that did not change; layout and
+ * encoding are those the document was stored in. Throws if a listed shard is
+ * missing or does not hold the number of images the index promises.
+ */
+export async function readStatsDocument(storage) {
+  const files = {};
+  const content = await storage.readFile(STATS_FILE);
+  if (content === null) {
+    return { data: null, files, layout: 'single', encoding: 'objects' };
+  }
+  files[STATS_FILE] = content;
+
+  if (content.trim() === '' || content.trim() === '{}') {
+    return { data: null, files, layout: 'single', encoding: 'objects' };
+  }
+
+  const { encoding: stored, ...data } = decodeColumnar(JSON.parse(content));
+  const encoding = stored === 'columnar' ? 'columnar' : 'objects';
+  if (!Array.isArray(data.shards)) {
+    return { data, files, layout: 'single', encoding };
+  }
+
+  const images = [];
+  for (const shard of data.shards) {
+    const shardContent = await storage.readFile(shard.file);
+    if (shardContent === null) {
+      throw new Error(`Shard ${shard.file} listed in ${STATS_FILE} is missing`);
+    }
+    files[shard.file] = shardContent;
+
+    const parsed = decodeColumnar(JSON.parse(shardContent));
+    if (!Array.isArray(parsed.images) || parsed.images.length !== shard.imageCount) {
+      throw new Error(`Shard ${shard.file} is corrupt: expected ${shard.imageCount} images, found ${parsed.images?.length ?? 'none'}`);
+    }
+    images.push(...parsed.images);
+  }
+
+  const { layout, shards, ...rest } = data;
+  return { data: { ...rest, images }, files, layout: 'sharded', encoding };
+}
+
+/**
+ * Serialize a stats document into the files of the given layout and encoding.
+ * Returns { name: content } for every file the layout consists of.
+ */
+export function serializeStatsDocument(data, layout = 'single', { encoding = 'objects' } = {}) {
+  const columnar = encoding === 'columnar';
+  const stringify = doc => columnar ? JSON.stringify({ encoding, ...encodeColumnar(doc) }) : JSON.stringify(doc, null, 2);
+
+  if (layout !== 'sharded') {
+    return { [STATS_FILE]: stringify(data) };
+  }
+
+  const byShard = new Map();
+  for (const image of data.images) {
+    const file = shardFileFor(image);
+    if (!byShard.has(file)) byShard.set(file, []);
+    byShard.get(file).push(image);
+  }
+
+  const files = {};
+  const shards = [];
+  for (const file of [...byShard.keys()].sort()) {
+    const images = byShard.get(file);
+    files[file] = stringify({ images });
+    shards.push({ file, imageCount: images.length });
+  }
+
+  const { images, ...rest } = data;
+  const index = {
+    username: rest.username,
+    lastUpdated: rest.lastUpdated,
+    layout: 'sharded',
+    shards,
+    ...rest
+  };
+  files[STATS_FILE] = stringify(index);
+  return files;
+}
+
+/**
+ * Write a stats document, skipping files whose content is identical to what
+ * was read (`previousFiles` from readStatsDocument). Shards are written before
+ * the index so a reader never sees an index pointing at a shard that is not
+ * there yet. Returns { written, unchanged, size } (size = bytes of all files).
+ */
+export async function writeStatsDocument(storage, data, { layout = 'single', encoding = 'objects', previousFiles = {} } = {}) {
+  const files = serializeStatsDocument(data, layout, { encoding });
+
+  const changed = {};
+  let unchanged = 0;
+  let size = 0;
+  for (const [name, content] of Object.entries(files)) {
+    size += content.length;
+    if (previousFiles[name] === content) {
+      unchanged++;
+    } else if (name !== STATS_FILE) {
+      changed[name] = content;
+    }
+  }
+
+  if (Object.keys(changed).length > 0) {
+    await storage.writeFiles(changed);
+  }
+  const written = Object.keys(changed);
+  if (previousFiles[STATS_FILE] !== files[STATS_FILE]) {
+    await storage.writeFiles({ [STATS_FILE]: files[STATS_FILE] });
+    written.push(STATS_FILE);
+  }
+
+  return { written, unchanged, size };
+}
@@ -0,0 +1,196 @@
+/**
+ * Invariants the collector checks before a run's result may replace the
+ * stored data. The stored document is the only copy of the history, so a
+ * violation aborts the write instead of being repaired.
+ *
+ * Checked against a summary of the document read at the start of the run
+ * (summarizeDocument), so the check does not depend on anything the run
+ * mutated:
+ *   - no image tracked before the run is missing
+ *   - every series has strictly increasing timestamps
+ *   - resolved per-image and total series never decrease, except by the
+ *     correction entries recorded at that time (confirmed decreases, see
+ *     corrections.js); for series that existed before the run this covers
+ *     the stored latest value onward (older history may predate the
+ *     clamping and is not re-checked). Corrections only ever lower a stat
+ *   - the latest total equals the sum of the latest value of every image
+ *     that counts (images confirmed deleted do not); when an image is
+ *     confirmed deleted or comes back, its contribution leaves or rejoins
+ *     the whole total history, so the stored latest total the new totals
+ *     must not fall below moves by its stored latest value
+ *     (totals of documents older than schema version 4 may not match; the
+ *     totals-match-images migration repairs them before this runs)
+ *   - stale statuses are known ones (see stale-status.js)
+ *   - no model tracked before is missing and every model series has strictly
+ *     increasing timestamps (model stats may legitimately go down: favorites
+ *     and ratings can be withdrawn)
+ *   - the creator profile series, once recorded, is kept and has strictly
+ *     increasing timestamps (followers can go down, so no monotonicity)
+ *   - every milestone recorded before the run is still there, unchanged
+ *     (see milestones.js)
+ */
+
+import { IMAGE_SERIES, MODEL_SERIES, PROFILE_SERIES, STAT_FIELDS, resolveAllSnapshots, resolveSnapshot, validateSeries } from './snapshots.js';
+import { STALE_STATUSES } from './stale-status.js';
+import { correctionsAt } from './corrections.js';
+import { milestoneKey } from './milestones.js';
+
+function latest(snapshots, series) {
+  return snapshots?.length ? resolveSnapshot(snapshots, snapshots.length - 1, series) : null;
+}
+
+/**
+ * What validateDocument needs from the pre-run document:
+ * { images: Map(id -> latest resolved snapshot | null), total: latest | null,
+ *   deleted: Set(ids of images confirmed deleted),
+ *   models: Map(id -> latest | null), profile: latest | null,
+ *   milestones: Map(key -> timestamp) }
+ */
+export function summarizeDocument(data) {
+  return {
+    images: new Map((data.images || []).map(img => [img.id, latest(img.snapshots)])),
+    deleted: new Set((data.images || []).filter(img => img.availability?.status === 'deleted').map(img => img.id)),
+    total: latest(data.totalSnapshots),
+    models: new Map((data.models || []).map(model => [model.id, latest(model.snapshots, MODEL_SERIES)])),
+    profile: latest(data.profileSnapshots, PROFILE_SERIES),
+    milestones: new Map((data.milestones || []).map(m => [milestoneKey(m), m.timestamp]))
+  };
+}
+
+// Violations of one series, labelled `label`; `stored` is its pre-run latest
+// snapshot. `monotonic` series must not decrease after `stored` by more than
+// the `corrections` at the same timestamp.
+function checkSeries(label, snapshots, stored, { series = IMAGE_SERIES, monotonic = true, corrections = [] } = {}) {
+  const violations = [];
+  if (!Array.isArray(snapshots) || snapshots.length === 0) {
+    if (stored) violations.push(`${label}: snapshots were lost (stored latest ${stored.timestamp})`);
+    return violations;
+  }
+
+  // Encoding problems (invalid timestamps, non-numeric values, ...)
+  for (const problem of validateSeries(snapshots, series)) violations.push(`${label}: ${problem}`);
+
+  const resolved = resolveAllSnapshots(snapshots, series);
+
+  let previousTime = -Infinity;
+  resolved.forEach((snapshot, i) => {
+    const time = Date.parse(snapshot.timestamp);
+    if (Number.isNaN(time)) return;
+    if (time <= previousTime) {
+      violations.push(`${label}: timestamp ${snapshot.timestamp} (snapshot ${i}) is not after ${resolved[i - 1].timestamp}`);
+    }
+    previousTime = time;
+  });
+
+  const storedTime = stored ? Date.parse(stored.timestamp) : -Infinity;
+  const last = resolved[resolved.length - 1];
+  if (stored && Date.parse(last.timestamp) < storedTime) {
+    violations.push(`${label}: latest snapshot ${last.timestamp} is older than the stored latest ${stored.timestamp}`);
+  }
+
+  if (!monotonic) return violations;
+
+  let previous = stored;
+  for (const snapshot of resolved) {
+    if (Date.parse(snapshot.timestamp) <= storedTime) continue;
+    if (previous) {
+      const allowed = correctionsAt(corrections, snapshot.timestamp);
+      const decreased = STAT_FIELDS.filter(field => (snapshot[field] || 0) < (previous[field] || 0) + Math.min(0, allowed[field] || 0));
+      if (decreased.length > 0) {
+        violations.push(`${label}: ${decreased.map(field => `${field} ${previous[field] || 0} -> ${snapshot[field] || 0}`).join(', ')}` +
+          ` between ${previous.timestamp} and ${snapshot.timestamp}`);
+      }
+    }
+    previous = snapshot;
+  }
+
+  return violations;
+}
+
+/**
+ * Check a document about to be written against the pre-run summary.
+ * Returns a list of human-readable violations (empty when valid).
+ */
+export function validateDocument(data, baseline = { images: new Map(), total: null, deleted: new Set(), models: new Map(), profile: null }) {
+  const violations = [];
+  const imageIds = new Set(data.images.map(img => img.id));
+
+  for (const id of baseline.images.keys()) {
+    if (!imageIds.has(id)) {
+      violations.push(`image ${id}: tracked before this run but missing from the new data`);
+    }
+  }
+
+  const sum = Object.fromEntries(STAT_FIELDS.map(field => [field, 0]));
+  const storedTotal = baseline.total ? { ...baseline.total } : null;
+  const countedCorrections = [];
+  let counted = 0;
+  for (const image of data.images) {
+    violations.push(...checkSeries(`image ${image.id}`, image.snapshots, baseline.images.get(image.id),
+      { corrections: image.corrections }));
+    for (const entry of image.corrections || []) {
+      const raised = STAT_FIELDS.filter(field => entry[field] > 0);
+      if (raised.length > 0) {
+        violations.push(`image ${image.id}: correction at ${entry.timestamp} raises ${raised.join(', ')}`);
+      }
+    }
+    const status = image.availability?.status;
+    if (status && !STALE_STATUSES.includes(status)) {
+      violations.push(`image ${image.id}: unknown stale status "${status}"`);
+    }
+
+    const deleted = status === 'deleted';
+    const stored = baseline.images.get(image.id);
+    if (storedTotal && stored && deleted !== Boolean(baseline.deleted?.has(image.id))) {
+      STAT_FIELDS.forEach(field => { storedTotal[field] = (storedTotal[field] || 0) + (deleted ? -1 : 1) * (stored[field] || 0); });
+    }
+    if (deleted) continue;
+
+    counted++;
+    countedCorrections.push(...(image.corrections || []));
+    const last = latest(image.snapshots);
+    if (last) STAT_FIELDS.forEach(field => { sum[field] += last[field] || 0; });
+  }
+
+  violations.push(...checkSeries('totalSnapshots', data.totalSnapshots, storedTotal, { corrections: countedCorrections }));
+
+  const total = latest(data.totalSnapshots);
+  if (total) {
+    const mismatched = STAT_FIELDS.filter(field => (total[field] || 0) !== sum[field]);
+    if (mismatched.length > 0) {
+      violations.push(`totalSnapshots: latest total does not match the sum of image latest values (` +
+        `${mismatched.map(field => `${field} ${total[field] || 0} vs ${sum[field]}`).join(', ')})`);
+    }
+    const imageCount = data.totalSnapshots[data.totalSnapshots.length - 1].imageCount;
+    if (imageCount != null && imageCount !== counted) {
+      violations.push(`totalSnapshots: latest imageCount ${imageCount} does not match ${counted} counted images`);
+    }
+  }
+
+  const modelIds = new Set((data.models || []).map(model => model.id));
+  for (const id of baseline.models?.keys() || []) {
+    if (!modelIds.has(id)) {
+      violations.push(`model ${id}: tracked before this run but missing from the new data`);
+    }
+  }
+  for (const model of data.models || []) {
+    violations.push(...checkSeries(`model ${model.id}`, model.snapshots, baseline.models?.get(model.id),
+      { series: MODEL_SERIES, monotonic: false }));
+  }
+
+  if (data.profileSnapshots || baseline.profile) {
+    violations.push(...checkSeries('profileSnapshots', data.profileSnapshots, baseline.profile,
+      { series: PROFILE_SERIES, monotonic: false }));
+  }
+
+  const milestones = new Map((data.milestones || []).map(m => [milestoneKey(m), m.timestamp]));
+  for (const [key, timestamp] of baseline.milestones || []) {
+    if (!milestones.has(key)) {
+      violations.push(`milestone ${key}: recorded at ${timestamp} but missing from the new data`);
+    } else if (milestones.get(key) !== timestamp) {
+      violations.push(`milestone ${key}: moved from ${timestamp} to ${milestones.get(key)}`);
+    }
+  }
+
+  return violations;
+}
@@ -0,0 +1,49 @@
+/**
+ * Upgrade the stored stats data to the latest schema version and print a
+ * report of what changed.
+ *
+ * Usage: node scripts/migrate.js [--dry-run]
+ *
+ * Uses the same storage settings as the collector (STORAGE_BACKEND, GIST_ID,
+ * GIST_TOKEN, ...). The collector also migrates on read, so running this is
+ * only needed to rewrite the stored file ahead of time or to inspect the
+ * changes. --dry-run prints the report without writing anything.
+ */
+
+import { createStorage } from './storage/index.js';
+import { readStatsDocument, writeStatsDocument } from './lib/stats-store.js';
+import { formatMigrationReport, migrateDocument } from './lib/migrations.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+  const storage = createStorage(process.env);
+  console.log(`Reading stats data from ${storage.describe()}...`);
+
+  const { data, files, layout, encoding } = await readStatsDocument(storage);
+  if (!data) {
+    console.log('No stats data found, nothing to migrate.');
+    return;
+  }
+
+  const before = Object.values(files).reduce((sum, content) => sum + content.length, 0);
+  const result = migrateDocument(data);
+  formatMigrationReport(result, Infinity).forEach(line => console.log(line));
+
+  if (result.applied.length === 0) {
+    return;
+  }
+
+  if (dryRun) {
+    console.log('\nDry run: nothing written.');
+    return;
+  }
+
+  const { written, size } = await writeStatsDocument(storage, data, { layout, encoding, previousFiles: files });
+  console.log(`\nWrote ${written.join(', ')} (${(before / 1024).toFixed(2)} KB -> ${(size / 1024).toFixed(2)} KB)`);
+}
+
+main().catch(error => {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+});
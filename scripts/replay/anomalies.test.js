@@ -0,0 +1,54 @@
+/**
+ * Unit tests for the burst detection in lib/anomalies.js.
+ *
+ * Run: cd scripts && npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { encodeAsDeltas } from '../lib/snapshots.js';
+import { detectBurst } from '../lib/anomalies.js';
+
+const HOUR = 60 * 60 * 1000;
+const start = Date.parse('2026-01-01T00:00:00.000Z');
+
+// Hourly series with the given likes gained per hour
+function series(gains) {
+  let likes = 100;
+  const snapshots = [{ likes }].concat(gains.map(gain => ({ likes: (likes += gain) })));
+  return encodeAsDeltas(snapshots.map((s, i) => ({
+    timestamp: new Date(start + i * HOUR).toISOString(),
+    likes: s.likes, hearts: 0, laughs: 0, cries: 0, comments: 0, buzz: 0, collects: 0, views: 0
+  })));
+}
+
+const quiet = Array.from({ length: 24 }, (_, i) => i % 3 === 0 ? 2 : 1);
+const old = '2025-01-01T00:00:00.000Z';
+
+describe('detectBurst', () => {
+  test('flags a jump far above the image\'s own hourly rate', () => {
+    const burst = detectBurst(series([...quiet, 300]), { createdAt: old });
+    assert.deepEqual(burst, {
+      timestamp: new Date(start + 25 * HOUR).toISOString(),
+      gain: 300, hours: 1, rate: 300, baseline: 1, score: 201.7
+    });
+  });
+
+  test('leaves gains in line with a busy history alone', () => {
+    const busy = Array.from({ length: 24 }, (_, i) => 60 + (i % 5) * 10);
+    assert.equal(detectBurst(series([...busy, 120]), { createdAt: old }), null);
+  });
+
+  test('ignores small gains and images without enough history', () => {
+    assert.equal(detectBurst(series([...quiet, 40]), { createdAt: old }), null);
+    assert.equal(detectBurst(series([1, 1, 1, 300]), { createdAt: old }), null);
+  });
+
+  test('young images need twice the score', () => {
+    const gains = [...quiet, 60];
+    const young = new Date(start).toISOString();
+    assert.ok(detectBurst(series(gains), { createdAt: old, threshold: 30 }));
+    assert.equal(detectBurst(series(gains), { createdAt: young, threshold: 30 }), null);
+  });
+});
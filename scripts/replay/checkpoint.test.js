@@ -0,0 +1,111 @@
+/**
+ * Unit tests for the refresh checkpoints in lib/checkpoint.js.
+ *
+ * Run: cd scripts && npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CHECKPOINT_FILE, clearCheckpoint, createCheckpointWriter, loadCheckpoint } from '../lib/checkpoint.js';
+
+// In-memory storage backend that records every write
+function memoryStorage(files = {}) {
+  const writes = [];
+  return {
+    files,
+    writes,
+    describe: () => 'memory',
+    listFiles: async () => Object.keys(files),
+    readFile: async name => files[name] ?? null,
+    async writeFiles(changed) {
+      writes.push(changed);
+      for (const [name, content] of Object.entries(changed)) {
+        if (content === null) delete files[name];
+        else files[name] = content;
+      }
+    }
+  };
+}
+
+const stats = { likeCount: 3, heartCount: 1 };
+
+describe('createCheckpointWriter', () => {
+  test('saves at most once per interval and everything on flush', async () => {
+    let time = 0;
+    const storage = memoryStorage();
+    const writer = createCheckpointWriter(storage, { username: 'u', intervalMs: 1000, now: () => time });
+
+    writer.record('1', stats, '2025-01-01T00:00:00.000Z');
+    assert.equal(storage.writes.length, 0, 'interval has not passed');
+    time = 1000;
+    writer.record('2', stats, '2025-01-01T00:00:01.000Z');
+    writer.record('3', stats, '2025-01-01T00:00:01.000Z');
+    await writer.flush();
+
+    assert.equal(storage.writes.length, 2);
+    const saved = JSON.parse(storage.files[CHECKPOINT_FILE]);
+    assert.deepEqual(Object.keys(saved.refreshed), ['1', '2', '3']);
+    assert.equal(saved.username, 'u');
+    assert.equal(writer.size, 3);
+  });
+
+  test('keeps the entries and start time of the checkpoint it resumes', async () => {
+    const storage = memoryStorage();
+    const resumed = { startedAt: '2025-01-01T00:00:00.000Z', refreshed: { 1: { stats, refreshedAt: '2025-01-01T00:00:00.000Z' } } };
+    const writer = createCheckpointWriter(storage, { username: 'u', resumed });
+    writer.record('2', stats, '2025-01-01T01:00:00.000Z');
+    await writer.flush();
+
+    const saved = JSON.parse(storage.files[CHECKPOINT_FILE]);
+    assert.equal(saved.startedAt, resumed.startedAt);
+    assert.deepEqual(Object.keys(saved.refreshed), ['1', '2']);
+  });
+
+  test('a failed save does not throw', async () => {
+    const storage = memoryStorage();
+    storage.writeFiles = async () => { throw new Error('offline'); };
+    const writer = createCheckpointWriter(storage, { username: 'u', intervalMs: 0 });
+    writer.record('1', stats, '2025-01-01T00:00:00.000Z');
+    await writer.flush();
+  });
+});
+
+describe('loadCheckpoint', () => {
+  const now = new Date('2025-01-01T10:00:00.000Z');
+  const saved = startedAt => memoryStorage({
+    [CHECKPOINT_FILE]: JSON.stringify({ version: 1, username: 'u', startedAt, updatedAt: startedAt, refreshed: {} })
+  });
+
+  test('returns a recent checkpoint of the same user', async () => {
+    const { checkpoint, discarded } = await loadCheckpoint(saved('2025-01-01T08:00:00.000Z'), { username: 'u', maxAgeHours: 6, now });
+    assert.equal(checkpoint.startedAt, '2025-01-01T08:00:00.000Z');
+    assert.equal(discarded, null);
+  });
+
+  test('discards old, foreign and unreadable checkpoints', async () => {
+    let result = await loadCheckpoint(saved('2025-01-01T03:00:00.000Z'), { username: 'u', maxAgeHours: 6, now });
+    assert.equal(result.checkpoint, null);
+    assert.match(result.discarded, /older than 6h/);
+
+    result = await loadCheckpoint(saved('2025-01-01T08:00:00.000Z'), { username: 'other', maxAgeHours: 6, now });
+    assert.match(result.discarded, /belongs to u/);
+
+    result = await loadCheckpoint(memoryStorage({ [CHECKPOINT_FILE]: '{"version":' }), { username: 'u', maxAgeHours: 6, now });
+    assert.match(result.discarded, /unreadable/);
+  });
+
+  test('reports nothing when there is no checkpoint', async () => {
+    assert.deepEqual(await loadCheckpoint(memoryStorage(), { username: 'u', maxAgeHours: 6, now }), { checkpoint: null, discarded: null });
+  });
+});
+
+describe('clearCheckpoint', () => {
+  test('deletes the checkpoint and skips the write when there is none', async () => {
+    const storage = memoryStorage({ [CHECKPOINT_FILE]: '{}' });
+    await clearCheckpoint(storage);
+    await clearCheckpoint(storage);
+    assert.equal(storage.files[CHECKPOINT_FILE], undefined);
+    assert.equal(storage.writes.length, 1);
+  });
+});
@@ -0,0 +1,1094 @@
+/**
+ * End-to-end replay tests: run the real collector (fetch-stats.js) against
+ * the mock Civitai API with local storage, then inspect the stored document.
+ *
+ * Run: cd scripts && npm test
+ */
+
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { mkdir, mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { startMockServer } from './mock-server.js';
+import { startWebhookSink } from './webhook-sink.js';
+import {
+  MODEL_SERIES, PROFILE_SERIES, decodeColumnar, encodeAsDeltas, isColumnar, resolveAllSnapshots, resolveSnapshot
+} from '../lib/snapshots.js';
+import { CURRENT_SCHEMA_VERSION } from '../lib/migrations.js';
+import { serializeStatsDocument } from '../lib/stats-store.js';
+
+const SCRIPTS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const fixture = JSON.parse(await readFile(path.join(SCRIPTS_DIR, 'replay/fixtures/basic.json'), 'utf8'));
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// tRPC stats of an image in the fixture, in snapshot field names
+function recordedStats(id) {
+  for (const host of Object.values(fixture.hosts)) {
+    const s = host.trpc[id]?.stats;
+    if (s) {
+      return {
+        likes: s.likeCountAllTime, hearts: s.heartCountAllTime, laughs: s.laughCountAllTime,
+        cries: s.cryCountAllTime, comments: s.commentCountAllTime, buzz: s.tippedAmountCountAllTime,
+        collects: s.collectedCountAllTime, views: s.viewCountAllTime
+      };
+    }
+  }
+  throw new Error(`Image ${id} is not in the fixture`);
+}
+
+const FIXTURE_IDS = Object.values(fixture.hosts).flatMap(host => Object.keys(host.trpc));
+
+function latest(snapshots) {
+  return resolveSnapshot(snapshots, snapshots.length - 1);
+}
+
+function withoutTimestamp({ timestamp, ...rest }) {
+  return rest;
+}
+
+describe('collector replay', () => {
+  let server;
+  let sink;
+  let storeDir;
+
+  before(async () => {
+    server = await startMockServer(fixture);
+    sink = await startWebhookSink();
+  });
+
+  after(async () => {
+    await server.close();
+    await sink.close();
+  });
+
+  async function freshStore() {
+    if (storeDir) await rm(storeDir, { recursive: true, force: true });
+    storeDir = await mkdtemp(path.join(os.tmpdir(), 'replay-store-'));
+  }
+
+  function runCollector(scenario = {}, env = {}, args = []) {
+    server.setScenario(scenario);
+    return runScript('fetch-stats.js', args, env);
+  }
+
+  // Run one of the scripts against the local store; rejects on a non-zero exit
+  function runScript(script, args = [], env = {}) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(process.execPath, [script, ...args], {
+        cwd: SCRIPTS_DIR,
+        env: {
+          PATH: process.env.PATH,
+          CIVITAI_USERNAME: fixture.username,
+          STORAGE_BACKEND: 'local',
+          STORAGE_DIR: storeDir,
+          CIVITAI_API_ORIGIN: server.comOrigin,
+          CIVITAI_RED_API_ORIGIN: server.redOrigin,
+          REFRESH_MODE: 'all',
+          ...env
+        }
+      });
+      let output = '';
+      child.stdout.on('data', chunk => { output += chunk; });
+      child.stderr.on('data', chunk => { output += chunk; });
+      const timer = setTimeout(() => child.kill(), 60000);
+      child.on('close', code => {
+        clearTimeout(timer);
+        if (code === 0) resolve(output);
+        else reject(new Error(`${script} exited with ${code}:\n${output}`));
+      });
+    });
+  }
+
+  async function readStore() {
+    return JSON.parse(await readFile(path.join(storeDir, 'stats.json'), 'utf8'));
+  }
+
+  function imageById(data, id) {
+    const image = data.images.find(img => img.id === String(id));
+    assert.ok(image, `image ${id} should be tracked`);
+    return image;
+  }
+
+  test('first run tracks every image on both hosts with accurate tRPC stats', async () => {
+    await freshStore();
+    await runCollector({ pageSize: 2 });
+    const data = await readStore();
+
+    assert.ok(server.requests.some(r => r.url.includes('replayPage=1')), 'pagination was followed');
+
+    assert.equal(data.images.length, FIXTURE_IDS.length);
+    for (const id of FIXTURE_IDS) {
+      const image = imageById(data, id);
+      assert.equal(image.snapshots.length, 1, `image ${id} starts with one absolute snapshot`);
+      assert.deepEqual(withoutTimestamp(latest(image.snapshots)), recordedStats(id));
+      assert.equal(image.stale, false);
+    }
+
+    const red = imageById(data, 2001);
+    assert.equal(red.host, 'red');
+    assert.equal(red.url, 'https://civitai.red/images/2001');
+    assert.equal(imageById(data, 1001).url, 'https://civitai.com/images/1001');
+    assert.equal(imageById(data, 1001).postId, 501);
+    assert.equal(imageById(data, 2001).postId, 601);
+    assert.deepEqual(imageById(data, 1003).meta, {
+      baseModel: 'Pony',
+      checkpoint: 'ponyDiffusionV6XL',
+      loras: [{ name: 'detailTweaker', weight: 0.8 }],
+      sampler: 'Euler a',
+      width: 832,
+      height: 1216,
+      nsfwLevel: 'Soft'
+    });
+
+    const total = latest(data.totalSnapshots);
+    const expectedLikes = FIXTURE_IDS.reduce((sum, id) => sum + recordedStats(id).likes, 0);
+    assert.equal(total.likes, expectedLikes);
+    assert.equal(data.totalSnapshots.at(-1).imageCount, FIXTURE_IDS.length);
+  });
+
+  test('later runs store growth as delta snapshots', async () => {
+    await runCollector({ bump: { 1001: { likeCount: 5, heartCount: 2 } } });
+    const data = await readStore();
+
+    const image = imageById(data, 1001);
+    assert.equal(image.snapshots.length, 2);
+    assert.deepEqual(withoutTimestamp(image.snapshots[1]), { dl: 5, dh: 2 });
+    assert.equal(latest(image.snapshots).likes, recordedStats(1001).likes + 5);
+
+    // Unchanged images get no new snapshot
+    assert.equal(imageById(data, 1002).snapshots.length, 1);
+
+    const lastTotal = data.totalSnapshots.at(-1);
+    assert.equal(lastTotal.dl, 5);
+    assert.equal(lastTotal.dh, 2);
+  });
+
+  test('429 responses are retried after Retry-After', async () => {
+    await freshStore();
+    await runCollector({ rateLimit: { rest: 1, trpc: 2, retryAfter: 1 } });
+    const data = await readStore();
+
+    assert.equal(server.requests.filter(r => r.status === 429).length, 3);
+    for (const id of FIXTURE_IDS) {
+      assert.deepEqual(withoutTimestamp(latest(imageById(data, id).snapshots)), recordedStats(id));
+    }
+
+    const [run] = data.runs;
+    assert.equal(run.rateLimited, 3);
+    assert.equal(run.retries, 3);
+    assert.equal(run.failures, 0);
+    assert.equal(run.requests.com + run.requests.red, server.requests.length);
+  });
+
+  test('every run appends a health record; failed requests make it degraded', async () => {
+    await freshStore();
+    await runCollector({ pageSize: 2 });
+    const data = await readStore();
+    assert.equal(data.runs.length, 1);
+    const [first] = data.runs;
+    assert.deepEqual({ ...first, startedAt: null, finishedAt: null, size: null }, {
+      startedAt: null,
+      finishedAt: null,
+      mode: 'all',
+      discovery: 'full',
+      refreshed: FIXTURE_IDS.length,
+      requests: {
+        com: server.requests.filter(r => r.host === 'com').length,
+        red: server.requests.filter(r => r.host === 'red').length
+      },
+      retries: 0,
+      rateLimited: 0,
+      failures: 0,
+      images: FIXTURE_IDS.length,
+      newImages: FIXTURE_IDS.length,
+      staleImages: 0,
+      clamped: 0,
+      size: null,
+      problems: []
+    });
+    assert.ok(Date.parse(first.finishedAt) >= Date.parse(first.startedAt));
+    assert.ok(first.size > 0);
+
+    // Pretend the last run was 4 hours ago
+    data.runs[0].startedAt = new Date(Date.now() - 4 * 60 * 60 * 1000).toISOString();
+    await writeFile(path.join(storeDir, 'stats.json'), JSON.stringify(data));
+    const output = await runCollector({ drop: [1005] });
+    assert.match(output, /3 hourly run\(s\) missed/);
+    const second = (await readStore()).runs[1];
+    assert.equal(second.staleImages, 1);
+    assert.equal(second.newImages, 0);
+    assert.deepEqual(second.problems, []);
+
+    // civitai.red unreachable: the run goes on without it, degraded
+    await runCollector({ drop: [1005] }, { REFRESH_MODE: 'auto', CIVITAI_RED_API_ORIGIN: 'http://127.0.0.1:9/red' });
+    const runs = (await readStore()).runs;
+    assert.equal(runs.length, 3);
+    assert.equal(runs[2].mode, 'auto');
+    assert.ok(runs[2].failures > 0);
+    assert.equal(runs[2].requests.red, runs[2].failures * 3);
+    assert.match(runs[2].problems[0], /^civitai\.red discovery failed/);
+  });
+
+  test('a 429 pauses every worker for Retry-After', async () => {
+    await freshStore();
+    await runCollector({ rateLimit: { trpc: 1, retryAfter: 2 } }, { STATS_CONCURRENCY: '4' });
+
+    const trpc = server.requests.filter(r => r.kind === 'trpc');
+    const limited = trpc.find(r => r.status === 429);
+    assert.ok(limited, 'the first tRPC request was rate limited');
+    // Requests already in flight when the 429 arrived finish right away;
+    // nothing new may start until Retry-After has passed
+    const during = trpc.filter(r => r.time > limited.time + 200 && r.time < limited.time + 1900);
+    assert.deepEqual(during, []);
+    assert.equal(trpc.filter(r => r.status === 200).length, FIXTURE_IDS.length);
+  });
+
+  test('scheduled runs discover incrementally and stop at known images', async () => {
+    await freshStore();
+    // No cursors yet: the first run crawls everything, without image 1001
+    await runCollector({ pageSize: 1, drop: [1001] }, { REFRESH_MODE: 'auto' });
+    const before = await readStore();
+    assert.ok(before.discovery.com.levels.None.newestCreatedAt);
+    assert.ok(before.discovery.com.lastFullCrawlAt);
+
+    const output = await runCollector({ pageSize: 1 }, { REFRESH_MODE: 'auto' });
+    const data = await readStore();
+    const restRequests = server.requests.filter(r => r.kind === 'rest');
+
+    assert.match(output, /Discovery: incremental/);
+    // SFW level holds 3 images, one per page: 1001 (new) on page 1, 1002
+    // (known) on page 2, then it stops before 1005
+    assert.equal(restRequests.filter(r => r.host === 'com' && !r.url.includes('nsfw=')).length, 2);
+
+    assert.equal(imageById(data, 1001).snapshots.length, 1, 'new image discovered');
+    const carried = imageById(data, 1005);
+    assert.equal(carried.stale, false, 'images past the stop point are not marked stale');
+    assert.equal(carried.lastSeenAt, imageById(before, 1005).lastSeenAt);
+    assert.deepEqual(carried.snapshots, imageById(before, 1005).snapshots);
+    assert.deepEqual(carried.meta, imageById(before, 1005).meta, 'carried images keep their metadata');
+    assert.equal(carried.postId, 504);
+    assert.equal(carried.meta.checkpoint, 'ponyDiffusionV6XL');
+    assert.equal(data.discovery.com.lastFullCrawlAt, before.discovery.com.lastFullCrawlAt);
+
+    // Once the last full crawl is old enough, everything is crawled again
+    const later = await runCollector({ pageSize: 1, drop: [1005] }, { FULL_CRAWL_INTERVAL_DAYS: '0.00001' });
+    assert.match(later, /Discovery: full crawl/);
+    assert.equal(imageById(await readStore(), 1005).stale, true, 'a full crawl notices missing images');
+  });
+
+  test('the scheduler refreshes overdue and fast-growing images within the budget', async () => {
+    await freshStore();
+    const now = Date.now();
+    const at = hoursAgo => new Date(now - hoursAgo * HOUR).toISOString();
+    const zero = { likes: 0, hearts: 0, laughs: 0, cries: 0, comments: 0, buzz: 0, collects: 0, views: 0 };
+
+    // Every image was refreshed recently and is quiet, except 1003 (refreshed
+    // 40 days ago: past the staleness limit) and 1004 (500 likes in 48h)
+    const images = FIXTURE_IDS.map(id => ({
+      id,
+      name: `Image ${id}`,
+      createdAt: '2024-12-01T00:00:00.000Z',
+      host: id.startsWith('2') ? 'red' : 'com',
+      stale: false,
+      lastSeenAt: at(1),
+      refreshedAt: at(0.5),
+      snapshots: [{ timestamp: at(1), ...recordedStats(id) }]
+    }));
+    const byId = Object.fromEntries(images.map(img => [img.id, img]));
+    byId['1003'].refreshedAt = at(40 * 24);
+    byId['1002'].refreshedAt = at(3);
+    byId['1004'].refreshedAt = at(3);
+    byId['1004'].snapshots = encodeAsDeltas([
+      { timestamp: at(50), ...recordedStats('1004') },
+      { timestamp: at(1), ...recordedStats('1004'), likes: recordedStats('1004').likes + 500 }
+    ]);
+
+    const total = { ...zero, timestamp: at(1), imageCount: images.length };
+    for (const image of images) {
+      const last = latest(image.snapshots);
+      for (const field of Object.keys(zero)) total[field] += last[field];
+    }
+    await writeFile(path.join(storeDir, 'stats.json'), JSON.stringify({
+      schemaVersion: 3, username: fixture.username, lastUpdated: at(1), totalSnapshots: [total], images
+    }));
+
+    const output = await runCollector({}, { REFRESH_MODE: 'auto', REFRESH_BUDGET: '2' });
+    const refreshed = server.requests
+      .filter(r => r.kind === 'trpc')
+      .map(r => String(JSON.parse(new URL(r.url, 'http://x').searchParams.get('input')).json.id));
+
+    // 1003 is guaranteed (and uses one slot), 1004 takes the other; 1002 is old and quiet
+    assert.deepEqual(refreshed, ['1003', '1004']);
+    assert.match(output, /1 past the 30-day staleness limit, 1 due \(0 deferred by the budget\)/);
+    const data = await readStore();
+    assert.ok(Date.parse(imageById(data, 1003).refreshedAt) > now);
+    assert.equal(imageById(data, 1002).refreshedAt, byId['1002'].refreshedAt);
+  });
+
+  test('stale bulk stats never lower stored values', async () => {
+    await freshStore();
+    await runCollector();
+    const before = await readStore();
+
+    // Scheduler: every image was refreshed by the previous run and none is
+    // gaining, so none is due and only bulk stats (halved here) are seen
+    const output = await runCollector({ staleBulk: { '*': 0.5 } }, { REFRESH_MODE: 'auto' });
+    const data = await readStore();
+
+    assert.match(output, /Clamped stale API stats/);
+    for (const id of FIXTURE_IDS) {
+      assert.deepEqual(imageById(data, id).snapshots, imageById(before, id).snapshots);
+    }
+    assert.deepEqual(withoutTimestamp(latest(data.totalSnapshots)), withoutTimestamp(latest(before.totalSnapshots)));
+  });
+
+  test('images dropped by the API are carried forward as stale', async () => {
+    await freshStore();
+    await runCollector();
+    const before = await readStore();
+
+    await runCollector({ drop: [1003] });
+    const data = await readStore();
+
+    const dropped = imageById(data, 1003);
+    assert.equal(dropped.stale, true);
+    assert.deepEqual(dropped.snapshots, imageById(before, 1003).snapshots);
+    assert.equal(latest(data.totalSnapshots).likes, latest(before.totalSnapshots).likes);
+  });
+
+  test('a decrease confirmed by two individual fetches becomes a correction', async () => {
+    await freshStore();
+    await runCollector();
+    const likes = recordedStats(1001).likes;
+
+    // First sighting: only suspected, the stored value is kept
+    await runCollector({ bump: { 1001: { likeCount: -2 } } });
+    let image = imageById(await readStore(), 1001);
+    assert.equal(latest(image.snapshots).likes, likes);
+    assert.deepEqual(image.pendingDecrease.fields, { likes: likes - 2 });
+
+    // The scheduler has nothing due, but the suspected decrease is re-checked
+    const output = await runCollector({ bump: { 1001: { likeCount: -2 } } }, { REFRESH_MODE: 'auto' });
+    assert.deepEqual(server.requests.filter(r => r.kind === 'trpc').map(r => r.host), ['com']);
+    assert.match(output, /Confirmed decrease for image 1001: likes \d+ -> \d+/);
+    const data = await readStore();
+    image = imageById(data, 1001);
+    assert.equal(latest(image.snapshots).likes, likes - 2);
+    assert.equal(image.pendingDecrease, undefined);
+    assert.deepEqual(image.corrections, [{ timestamp: image.snapshots.at(-1).timestamp, likes: -2 }]);
+    assert.equal(latest(data.totalSnapshots).likes, FIXTURE_IDS.reduce((sum, id) => sum + recordedStats(id).likes, 0) - 2);
+  });
+
+  test('a decrease not seen again is dropped without a correction', async () => {
+    await freshStore();
+    await runCollector();
+    await runCollector({ bump: { 1001: { likeCount: -2 } } });
+    await runCollector();
+    const image = imageById(await readStore(), 1001);
+    assert.equal(image.pendingDecrease, undefined);
+    assert.equal(image.corrections, undefined);
+    assert.equal(latest(image.snapshots).likes, recordedStats(1001).likes);
+  });
+
+  test('a burst far above an image\'s hourly rate is flagged', async () => {
+    await freshStore();
+
+    // A day of slow hourly growth for one image, 300 likes short of the fixture
+    const now = Date.now();
+    const recorded = recordedStats(1001);
+    const hourly = [];
+    for (let i = 24; i >= 1; i--) {
+      hourly.push({ timestamp: new Date(now - i * HOUR).toISOString(), ...recorded, likes: recorded.likes - 300 - i });
+    }
+    const seeded = {
+      username: fixture.username,
+      lastUpdated: hourly.at(-1).timestamp,
+      totalSnapshots: encodeAsDeltas(hourly),
+      images: [{ id: '1001', name: 'seeded', createdAt: '2025-03-01T10:00:00.000Z', host: 'com', snapshots: encodeAsDeltas(hourly) }]
+    };
+    await writeFile(path.join(storeDir, 'stats.json'), JSON.stringify(seeded));
+
+    const output = await runCollector();
+    assert.match(output, /Image 1001: \+301 reactions in 1h/);
+    const data = await readStore();
+    const [burst] = imageById(data, 1001).anomalies;
+    assert.equal(burst.timestamp, imageById(data, 1001).snapshots.at(-1).timestamp);
+    assert.equal(burst.gain, 301);
+    assert.equal(burst.baseline, 1);
+    assert.ok(data.images.filter(img => img.id !== '1001').every(img => img.anomalies === undefined));
+
+    // Kept on later runs that flag nothing new
+    await runCollector();
+    assert.deepEqual(imageById(await readStore(), 1001).anomalies, [burst]);
+  });
+
+  test('threshold crossings are recorded as milestones and kept', async () => {
+    await freshStore();
+    const env = { MILESTONE_THRESHOLDS: 'reactions=200,1550;hearts=;buzz=;collects=;views=' };
+    await runCollector({}, env);
+    assert.equal((await readStore()).milestones, undefined, 'nothing crossed on the first snapshot');
+
+    const output = await runCollector({ bump: { 1001: { likeCount: 40 } } }, env);
+    assert.match(output, /Milestones reached \(2\)/);
+    const data = await readStore();
+    const timestamp = data.totalSnapshots.at(-1).timestamp;
+    const reactions = FIXTURE_IDS.reduce((sum, id) => {
+      const s = recordedStats(id);
+      return sum + s.likes + s.hearts + s.laughs + s.cries;
+    }, 40);
+    assert.deepEqual(data.milestones, [
+      { scope: 'account', metric: 'reactions', threshold: 1550, value: reactions, timestamp },
+      { scope: 'image', id: '1001', metric: 'reactions', threshold: 200, value: 210, timestamp }
+    ]);
+
+    await runCollector({ bump: { 1001: { likeCount: 45 } } }, env);
+    assert.deepEqual((await readStore()).milestones, data.milestones);
+  });
+
+  // Move the last sighting of the given stored images `hours` back, and for
+  // stale ones the time they went stale
+  async function ageLastSeen(ids, hours) {
+    const data = await readStore();
+    for (const id of ids) {
+      const image = imageById(data, id);
+      image.lastSeenAt = new Date(Date.now() - hours * HOUR).toISOString();
+      if (image.staleSince) image.staleSince = image.lastSeenAt;
+    }
+    await writeFile(path.join(storeDir, 'stats.json'), JSON.stringify(data));
+  }
+
+  test('stale images found on neither host are deleted and leave the total history', async () => {
+    await freshStore();
+    await runCollector();
+    const first = await readStore();
+
+    await runCollector({ drop: [1003] });
+    await ageLastSeen([1003], 72);
+    await runCollector({ drop: [1003] });
+    const data = await readStore();
+
+    const probes = server.requests.filter(r => r.kind === 'trpc' && r.url.includes('1003'));
+    assert.deepEqual(probes.map(r => `${r.host} ${r.status}`).sort(), ['com 404', 'red 404']);
+    const deleted = imageById(data, 1003);
+    assert.equal(deleted.stale, true);
+    assert.equal(deleted.availability.status, 'deleted');
+    assert.equal(deleted.availability.since, deleted.availability.checkedAt);
+
+    // Every total, not just the latest, lost the image: no drop in the chart
+    const likes = resolveAllSnapshots(data.totalSnapshots).map(s => s.likes);
+    const expected = resolveAllSnapshots(first.totalSnapshots)[0].likes - recordedStats(1003).likes;
+    assert.deepEqual(likes, likes.map(() => expected));
+    assert.equal(data.totalSnapshots.at(-1).imageCount, FIXTURE_IDS.length - 1);
+
+    // A deleted image is not probed again, and is added back once it is listed
+    await runCollector({ drop: [1003] });
+    assert.equal(server.requests.filter(r => r.url.includes('1003')).length, 0);
+    await runCollector();
+    const back = await readStore();
+    assert.equal(imageById(back, 1003).availability.status, 'reappeared');
+    assert.equal(imageById(back, 1003).stale, false);
+    const original = resolveAllSnapshots(first.totalSnapshots)[0].likes;
+    assert.ok(resolveAllSnapshots(back.totalSnapshots).every(s => s.likes === original), 'history restored');
+  });
+
+  test('stale images are classified as migrated or unavailable after the grace period', async () => {
+    await freshStore();
+    await runCollector();
+    const scenario = { unlist: [1004, 1005], migrate: { 1004: 'red' } };
+
+    await runCollector(scenario);
+    assert.equal(imageById(await readStore(), 1004).availability, undefined, 'not probed within the grace period');
+    await ageLastSeen([1004, 1005], 72);
+    await runCollector(scenario);
+    const data = await readStore();
+
+    const moved = imageById(data, 1004);
+    assert.equal(moved.availability.status, 'migrated-to-red');
+    assert.equal(moved.host, 'red');
+    assert.equal(moved.url, 'https://civitai.red/images/1004');
+    assert.equal(imageById(data, 1005).availability.status, 'unavailable');
+    assert.match(imageById(data, 1005).availability.reason, /not listed/);
+    assert.equal(latest(data.totalSnapshots).likes, FIXTURE_IDS.reduce((sum, id) => sum + recordedStats(id).likes, 0));
+  });
+
+  test('a probe that stays rate limited neither deletes the image nor changes the totals', async () => {
+    await freshStore();
+    await runCollector();
+    await runCollector({ unlist: [1003] });
+    await ageLastSeen([1003], 72);
+    const output = await runCollector({ unlist: [1003], rateLimit: { trpc: 100000, retryAfter: 0 } });
+    const data = await readStore();
+
+    assert.doesNotMatch(output, /deleted/);
+    const image = imageById(data, 1003);
+    assert.equal(image.stale, true);
+    assert.notEqual(image.availability?.status, 'deleted');
+    const sum = FIXTURE_IDS.reduce((total, id) => total + recordedStats(id).likes, 0);
+    assert.ok(resolveAllSnapshots(data.totalSnapshots).every(s => s.likes === sum));
+    assert.equal(data.totalSnapshots.at(-1).imageCount, FIXTURE_IDS.length);
+  });
+
+  test('images migrated from .com to .red keep their history', async () => {
+    await freshStore();
+    await runCollector();
+    const before = await readStore();
+
+    await runCollector({ migrate: { 1004: 'red' }, bump: { 1004: { likeCount: 3 } } });
+    const data = await readStore();
+
+    const moved = imageById(data, 1004);
+    assert.equal(moved.host, 'red');
+    assert.equal(moved.url, 'https://civitai.red/images/1004');
+    assert.equal(moved.stale, false);
+    assert.equal(moved.snapshots.length, imageById(before, 1004).snapshots.length + 1);
+    assert.equal(latest(moved.snapshots).likes, recordedStats(1004).likes + 3);
+  });
+
+  test('dry run reports the diff without writing', async () => {
+    await freshStore();
+    await runCollector({ drop: [1005] });
+    const storedBefore = await readFile(path.join(storeDir, 'stats.json'), 'utf8');
+
+    const diffFile = path.join(storeDir, 'diff.json');
+    const output = await runCollector(
+      { drop: [1003], bump: { 1001: { likeCount: 4 } } },
+      {},
+      ['--dry-run', `--diff-file=${diffFile}`]
+    );
+
+    assert.equal(await readFile(path.join(storeDir, 'stats.json'), 'utf8'), storedBefore, 'stored data untouched');
+    assert.match(output, /Dry run: nothing written/);
+
+    const diff = JSON.parse(await readFile(diffFile, 'utf8'));
+    assert.deepEqual(diff.newImages.map(img => img.id), ['1005']);
+    assert.deepEqual(diff.newlyStale.map(img => img.id), ['1003']);
+    const fullCrawl = diff.discovery.find(c => c.host === 'com' && c.cursor === 'full crawl');
+    assert.equal(fullCrawl.from, JSON.parse(storedBefore).discovery.com.lastFullCrawlAt, 'cursor changes are diffed against the stored data');
+    assert.ok(fullCrawl.to > fullCrawl.from);
+    assert.deepEqual(diff.statusChanges, [], 'not probed within the grace period');
+    assert.deepEqual(diff.anomalies, [], 'too little history to judge bursts');
+    const likes = recordedStats(1001).likes;
+    assert.deepEqual(diff.changes.find(c => c.id === '1001').stats, { likes: { from: likes, to: likes + 4 } });
+    assert.equal(diff.total.likes.to - diff.total.likes.from, 4 + recordedStats(1005).likes);
+    assert.ok(diff.size.after > diff.size.before);
+  });
+
+  test('backups rotate before writes and can be restored', async () => {
+    await freshStore();
+    const expired = ['backup-daily-2000-01-01.json', 'backup-weekly-2000-01-03.json'];
+    for (const name of expired) {
+      await writeFile(path.join(storeDir, name), '{}');
+    }
+
+    await runCollector();
+    const firstRun = await readFile(path.join(storeDir, 'stats.json'), 'utf8');
+    await runCollector({ bump: { 1001: { likeCount: 7 } } });
+
+    const files = await readdir(storeDir);
+    for (const name of expired) {
+      assert.ok(!files.includes(name), `${name} expired`);
+    }
+    const daily = `backup-daily-${new Date().toISOString().slice(0, 10)}.json`;
+    assert.ok(files.includes(daily));
+    assert.ok(files.some(name => name.startsWith('backup-weekly-')));
+    assert.equal(await readFile(path.join(storeDir, daily), 'utf8'), firstRun, 'backup holds the version before the write');
+
+    // A third run the same day keeps the first backup of the day
+    await runCollector({ bump: { 1001: { likeCount: 9 } } });
+    assert.equal(await readFile(path.join(storeDir, daily), 'utf8'), firstRun);
+
+    const listing = await runScript('restore.js');
+    assert.match(listing, new RegExp(daily.replace(/\./g, '\\.')));
+
+    await writeFile(path.join(storeDir, 'backup-daily-2099-01-01.json'), '{"images": []}');
+    await assert.rejects(runScript('restore.js', ['backup-daily-2099-01-01.json']), /failed validation/);
+
+    await runScript('restore.js', [daily]);
+    const restored = await readStore();
+    assert.equal(latest(imageById(restored, 1001).snapshots).likes, recordedStats(1001).likes);
+    assert.ok((await readdir(storeDir)).some(name => name.startsWith('backup-pre-restore-')));
+  });
+
+  test('backups kept elsewhere leave the data location alone and report leftovers there', async () => {
+    await freshStore();
+    const backupDir = await mkdtemp(path.join(os.tmpdir(), 'replay-backups-'));
+    try {
+      const env = { BACKUP_STORAGE_BACKEND: 'local', BACKUP_STORAGE_DIR: backupDir };
+      await runCollector({}, env);
+      const leftover = 'backup-daily-2000-01-01.json';
+      await writeFile(path.join(storeDir, leftover), await readFile(path.join(storeDir, 'stats.json'), 'utf8'));
+      const output = await runCollector({ bump: { 1001: { likeCount: 7 } } }, env);
+      assert.match(output, /1 backups from earlier runs are still in/);
+
+      const daily = `backup-daily-${new Date().toISOString().slice(0, 10)}.json`;
+      assert.ok((await readdir(backupDir)).includes(daily));
+      const backupsNextToData = async () => (await readdir(storeDir)).filter(name => name.startsWith('backup-'));
+      assert.deepEqual(await backupsNextToData(), [leftover], 'the old backup is neither rotated out nor joined by new ones');
+
+      // restore.js lists and restores the leftover, but saves its copy in the backup location
+      const listing = await runScript('restore.js', [], env);
+      assert.match(listing, /1 backups in .*, left next to the data by earlier versions/);
+      assert.match(listing, new RegExp(daily.replace(/\./g, '\\.')));
+      await runScript('restore.js', [leftover], env);
+      assert.equal(latest(imageById(await readStore(), 1001).snapshots).likes, recordedStats(1001).likes);
+      assert.deepEqual(await backupsNextToData(), [leftover]);
+      assert.ok((await readdir(backupDir)).some(name => name.startsWith('backup-pre-restore-')));
+    } finally {
+      await rm(backupDir, { recursive: true, force: true });
+    }
+  });
+
+  test('compact.js needs a backup location for data in a Gist', async () => {
+    const gist = { STORAGE_BACKEND: 'gist', GIST_ID: 'data-gist', GIST_TOKEN: 'token' };
+    await assert.rejects(runScript('compact.js', [], gist), /No place for the pre-compact backup: the data is in a Gist.*set BACKUP_STORAGE_BACKEND/);
+    await assert.rejects(runScript('compact.js', [], { ...gist, BACKUP_STORAGE_BACKEND: 'gist' }), /Backups need a Gist of their own/);
+  });
+
+  test('a broken invariant aborts the write with a report', async () => {
+    await freshStore();
+    // Stored totals claim more likes than the images add up to
+    const timestamp = new Date(Date.now() - 2 * HOUR).toISOString();
+    const stats = { likes: 0, hearts: 0, laughs: 0, cries: 0, comments: 0, buzz: 0, collects: 0, views: 0 };
+    const seeded = JSON.stringify({
+      schemaVersion: CURRENT_SCHEMA_VERSION,
+      username: fixture.username,
+      lastUpdated: timestamp,
+      totalSnapshots: [{ timestamp, ...stats, likes: 100000, imageCount: 1 }],
+      images: [{ id: '1001', name: 'seeded', createdAt: '2025-03-01T10:00:00.000Z', host: 'com', stale: false, lastSeenAt: timestamp, snapshots: [{ timestamp, ...stats }] }]
+    });
+    await writeFile(path.join(storeDir, 'stats.json'), seeded);
+
+    await assert.rejects(runCollector(), error => {
+      assert.match(error.message, /DATA INTEGRITY CHECK FAILED/);
+      assert.match(error.message, /latest total does not match the sum of image latest values \(likes 100000 vs \d+\)/);
+      return true;
+    });
+    assert.equal(await readFile(path.join(storeDir, 'stats.json'), 'utf8'), seeded, 'stored data untouched');
+  });
+
+  test('totals of older collectors are shifted to the sum of the images on upgrade', async () => {
+    await freshStore();
+    // Version 3 totals claim 100000 more likes than the images add up to
+    const before = new Date(Date.now() - 3 * HOUR).toISOString();
+    const timestamp = new Date(Date.now() - 2 * HOUR).toISOString();
+    const stats = { likes: 0, hearts: 0, laughs: 0, cries: 0, comments: 0, buzz: 0, collects: 0, views: 0 };
+    await writeFile(path.join(storeDir, 'stats.json'), JSON.stringify({
+      schemaVersion: 3,
+      username: fixture.username,
+      lastUpdated: timestamp,
+      totalSnapshots: encodeAsDeltas([
+        { timestamp: before, ...stats, likes: 100000, imageCount: 1 },
+        { timestamp, ...stats, likes: 100010, imageCount: 1 }
+      ]),
+      images: [{ id: '1001', name: 'seeded', createdAt: '2025-03-01T10:00:00.000Z', host: 'com', stale: false, lastSeenAt: timestamp, snapshots: [{ timestamp, ...stats, likes: 10 }] }]
+    }));
+
+    const output = await runCollector();
+    assert.match(output, /v4 totals-match-images/);
+    assert.match(output, /totalSnapshots: shifted likes by -100000/);
+
+    const data = await readStore();
+    const totals = resolveAllSnapshots(data.totalSnapshots);
+    assert.deepEqual(totals.slice(0, 2).map(s => s.likes), [0, 10], 'history shifted without a step');
+    assert.equal(latest(data.totalSnapshots).likes, FIXTURE_IDS.reduce((sum, id) => sum + recordedStats(id).likes, 0));
+    assert.equal(data.schemaVersion, CURRENT_SCHEMA_VERSION);
+  });
+
+  test('webhooks hear about milestones, fast gains and newly stale images once', async () => {
+    await freshStore();
+    sink.reset();
+    const env = {
+      WEBHOOK_URLS: `discord=${sink.url('discord')}, ${sink.url('generic')}`,
+      MILESTONE_THRESHOLDS: 'reactions=200,1550;hearts=;buzz=;collects=;views=',
+      NOTIFY_GAIN_THRESHOLD: '30'
+    };
+    await runCollector({}, env);
+    assert.deepEqual(sink.received, [], 'nothing to report on the first run');
+
+    // The Discord webhook fails once: the generic one gets the events now...
+    sink.fail(1);
+    const output = await runCollector({ bump: { 1001: { likeCount: 40 } }, drop: [1002] }, env);
+    assert.match(output, /discord webhook \w+: 0 sent, failed: HTTP 500/);
+    assert.deepEqual(sink.received.map(r => r.path), ['/generic']);
+    const { events } = sink.received[0].body;
+    assert.deepEqual(events.map(e => e.key).filter(key => !key.startsWith('stale:')).sort(),
+      ['gain:1001', 'milestone:account::reactions:1550', 'milestone:image:1001:reactions:200']);
+    assert.match(events.find(e => e.type === 'stale').key, /^stale:1002:/);
+    assert.match(events.find(e => e.type === 'gain').title, /gained 40 reactions/);
+
+    // ...and Discord on the next run, which sends nothing twice
+    sink.reset();
+    await runCollector({ bump: { 1001: { likeCount: 40 } }, drop: [1002] }, env);
+    assert.deepEqual(sink.received.map(r => r.path), ['/discord']);
+    assert.equal(sink.received[0].body.embeds.length, 4);
+    assert.ok(sink.received[0].body.embeds.every(embed => embed.title && embed.timestamp));
+
+    sink.reset();
+    await runCollector({ bump: { 1001: { likeCount: 40 } }, drop: [1002] }, env);
+    assert.deepEqual(sink.received, []);
+
+    const log = JSON.parse(await readFile(path.join(storeDir, 'notifications.json'), 'utf8'));
+    assert.equal(Object.keys(log.sent).length, 2);
+    assert.ok(!JSON.stringify(log).includes('127.0.0.1'), 'webhook URLs are not stored');
+  });
+
+  test('notifications wait while their deliveries cannot be recorded, then go out once', async () => {
+    await freshStore();
+    sink.reset();
+    const env = { WEBHOOK_URLS: sink.url('generic'), NOTIFY_GAIN_THRESHOLD: '30' };
+    await runCollector({}, env);
+
+    // A directory in place of the log: every read and write of it fails
+    const logPath = path.join(storeDir, 'notifications.json');
+    await mkdir(logPath);
+    for (let run = 0; run < 2; run++) {
+      const output = await runCollector({ bump: { 1001: { likeCount: 40 } } }, env);
+      assert.match(output, /Notification log: could not record deliveries: .*\(1 events held back for a later run\)/);
+    }
+    assert.deepEqual(sink.received, []);
+
+    await rm(logPath, { recursive: true });
+    await runCollector({ bump: { 1001: { likeCount: 40 } } }, env);
+    await runCollector({ bump: { 1001: { likeCount: 40 } } }, env);
+    assert.deepEqual(sink.received.flatMap(r => r.body.events.map(e => e.key)), ['gain:1001']);
+  });
+
+  test('an image missed by the weekly full crawl after incremental runs is reported stale', async () => {
+    await freshStore();
+    sink.reset();
+    const env = { REFRESH_MODE: 'auto', WEBHOOK_URLS: sink.url('generic'), NOTIFY_EVENTS: 'stale' };
+    await runCollector({}, env);
+    // Incremental runs carry the images they do not reach with their old lastSeenAt
+    await ageLastSeen(FIXTURE_IDS, 72);
+    assert.match(await runCollector({ pageSize: 1 }, env), /Discovery: incremental/);
+
+    // A week later, the full crawl no longer finds image 1005
+    const data = await readStore();
+    for (const host of Object.values(data.discovery)) {
+      host.lastFullCrawlAt = new Date(Date.now() - 8 * DAY).toISOString();
+    }
+    await writeFile(path.join(storeDir, 'stats.json'), JSON.stringify(data));
+    assert.match(await runCollector({ drop: [1005] }, env), /Discovery: full crawl/);
+
+    const stale = imageById(await readStore(), 1005);
+    assert.equal(stale.stale, true);
+    assert.ok(Date.now() - Date.parse(stale.lastSeenAt) > 48 * HOUR);
+    assert.ok(Date.now() - Date.parse(stale.staleSince) < HOUR);
+    assert.deepEqual(sink.received.flatMap(r => r.body.events.map(e => e.key)), [`stale:1005:${stale.staleSince}`]);
+
+    // Later runs keep the time it went missing and do not report it again
+    await runCollector({ drop: [1005] }, env);
+    assert.equal(imageById(await readStore(), 1005).staleSince, stale.staleSince);
+    assert.equal(sink.received.length, 1);
+  });
+
+  test('the probe grace period of an image missed after incremental runs starts when it went missing', async () => {
+    await freshStore();
+    const env = { REFRESH_MODE: 'auto' };
+    await runCollector({}, env);
+    await ageLastSeen(FIXTURE_IDS, 72);
+    await runCollector({ pageSize: 1 }, env);
+    const data = await readStore();
+    for (const host of Object.values(data.discovery)) {
+      host.lastFullCrawlAt = new Date(Date.now() - 8 * DAY).toISOString();
+    }
+    await writeFile(path.join(storeDir, 'stats.json'), JSON.stringify(data));
+
+    // Missed by the full crawl, then by the next run: not probed yet
+    const probes = () => server.requests.filter(r => r.kind === 'trpc' && r.url.includes('1005'));
+    await runCollector({ unlist: [1005] }, env);
+    assert.deepEqual(probes(), []);
+    await runCollector({ unlist: [1005] }, env);
+    assert.deepEqual(probes(), []);
+    assert.equal(imageById(await readStore(), 1005).availability, undefined);
+
+    // ...until it has been missing for STALE_GRACE_HOURS
+    await ageLastSeen([1005], 72);
+    await runCollector({ unlist: [1005] }, env);
+    assert.equal(imageById(await readStore(), 1005).availability.status, 'unavailable');
+  });
+
+  test('an aborted run is reported once until a run succeeds', async () => {
+    await freshStore();
+    sink.reset();
+    const env = { WEBHOOK_URLS: sink.url('generic') };
+    const timestamp = new Date(Date.now() - 2 * HOUR).toISOString();
+    const stats = { likes: 0, hearts: 0, laughs: 0, cries: 0, comments: 0, buzz: 0, collects: 0, views: 0 };
+    await writeFile(path.join(storeDir, 'stats.json'), JSON.stringify({
+      schemaVersion: CURRENT_SCHEMA_VERSION,
+      username: fixture.username,
+      lastUpdated: timestamp,
+      totalSnapshots: [{ timestamp, ...stats, likes: 100000, imageCount: 1 }],
+      images: [{ id: '1001', name: 'seeded', createdAt: '2025-03-01T10:00:00.000Z', host: 'com', stale: false, lastSeenAt: timestamp, snapshots: [{ timestamp, ...stats }] }]
+    }));
+
+    await assert.rejects(runCollector({}, env));
+    await assert.rejects(runCollector({}, env));
+    assert.equal(sink.received.length, 1);
+    const [event] = sink.received[0].body.events;
+    assert.equal(event.key, 'aborted:integrity-check-failed');
+    assert.match(event.text, /latest total does not match/);
+
+    // A successful run clears it, so the next failure is reported again
+    await rm(path.join(storeDir, 'stats.json'));
+    await runCollector({}, env);
+    const log = JSON.parse(await readFile(path.join(storeDir, 'notifications.json'), 'utf8'));
+    assert.deepEqual(log.sent, {});
+  });
+
+  test('published models get their own delta-encoded series', async () => {
+    await freshStore();
+    await runCollector();
+    let data = await readStore();
+
+    assert.deepEqual(data.models.map(model => model.id).sort(), ['9001', '9002']);
+    const checkpoint = data.models.find(model => model.id === '9001');
+    assert.equal(checkpoint.type, 'Checkpoint');
+    assert.equal(checkpoint.url, 'https://civitai.com/models/9001');
+    assert.equal(checkpoint.createdAt, '2025-01-05T12:00:00.000Z');
+    assert.deepEqual(checkpoint.versions.map(version => [version.id, version.downloads]), [['90012', 700], ['90011', 500]]);
+    assert.deepEqual(withoutTimestamp(checkpoint.snapshots[0]), {
+      downloads: 1200, favorites: 85, thumbsUp: 140, thumbsDown: 3, comments: 21, buzz: 500, ratingCount: 0, rating: 0
+    });
+
+    // Growth is stored as model deltas; a withdrawn favorite is kept as reported
+    await runCollector({ bumpModels: { 9001: { downloadCount: 30, favoriteCount: -1 }, 9002: { rating: 0.04, ratingCount: 1 } } });
+    data = await readStore();
+    const [first, second] = data.models.map(model => model.snapshots);
+    assert.deepEqual(withoutTimestamp(first[1]), { ddl: 30, dfa: -1 });
+    assert.deepEqual(withoutTimestamp(second[1]), { drc: 1, drt: 0.04 });
+    assert.equal(resolveSnapshot(second, 1, MODEL_SERIES).rating, 4.87);
+
+    // A model the API no longer returns keeps its history, marked stale
+    await runCollector({ drop: [9002] });
+    data = await readStore();
+    const dropped = data.models.find(model => model.id === '9002');
+    assert.equal(dropped.stale, true);
+    assert.equal(dropped.snapshots.length, 2);
+
+    // Disabled tracking leaves the stored models untouched
+    const stored = data.models;
+    await runCollector({}, { MODELS_ENABLED: 'false' });
+    assert.deepEqual((await readStore()).models, stored);
+  });
+
+  test('the creator profile is recorded as its own series', async () => {
+    await freshStore();
+    await runCollector();
+    let data = await readStore();
+    assert.deepEqual(withoutTimestamp(data.profileSnapshots[0]), {
+      followers: 250, uploads: 7, reactions: 1830, downloads: 1540, rank: 512
+    });
+
+    await runCollector({ bumpCreator: { followerCountAllTime: 12 } });
+    await runCollector({ bumpCreator: { followerCountAllTime: 9 } });
+    data = await readStore();
+    assert.deepEqual(data.profileSnapshots.slice(1).map(withoutTimestamp), [{ dfo: 12 }, { dfo: -3 }]);
+    assert.equal(resolveSnapshot(data.profileSnapshots, 2, PROFILE_SERIES).followers, 259);
+
+    // Profile tracking off: the series is kept as it is
+    await runCollector({}, { PROFILE_ENABLED: 'false' });
+    assert.deepEqual((await readStore()).profileSnapshots, data.profileSnapshots);
+  });
+
+  test('an interrupted refresh resumes from its checkpoint', async () => {
+    await freshStore();
+    // A broken invariant stands in for a cancelled job: the run dies after
+    // the refresh, before anything is written
+    const timestamp = new Date(Date.now() - 2 * HOUR).toISOString();
+    const stats = { likes: 0, hearts: 0, laughs: 0, cries: 0, comments: 0, buzz: 0, collects: 0, views: 0 };
+    await writeFile(path.join(storeDir, 'stats.json'), JSON.stringify({
+      schemaVersion: CURRENT_SCHEMA_VERSION,
+      username: fixture.username,
+      lastUpdated: timestamp,
+      totalSnapshots: [{ timestamp, ...stats, likes: 100000, imageCount: 1 }],
+      images: [{ id: '1001', name: 'seeded', createdAt: '2025-03-01T10:00:00.000Z', host: 'com', stale: false, lastSeenAt: timestamp, snapshots: [{ timestamp, ...stats }] }]
+    }));
+    await assert.rejects(runCollector({}, { CHECKPOINT_INTERVAL_SECONDS: '0.001' }));
+
+    const checkpointFile = path.join(storeDir, 'refresh-checkpoint.json');
+    const checkpoint = JSON.parse(await readFile(checkpointFile, 'utf8'));
+    assert.deepEqual(Object.keys(checkpoint.refreshed).sort(), [...FIXTURE_IDS].sort());
+
+    // The next run starts from clean data and fetches nothing individually again
+    await rm(path.join(storeDir, 'stats.json'));
+    const output = await runCollector();
+    assert.match(output, new RegExp(`Resuming refresh checkpoint from .*: ${FIXTURE_IDS.length} images already refreshed`));
+    assert.equal(server.requests.filter(r => r.kind === 'trpc').length, 0);
+
+    const data = await readStore();
+    for (const id of FIXTURE_IDS) {
+      assert.deepEqual(withoutTimestamp(latest(imageById(data, id).snapshots)), recordedStats(id));
+      assert.equal(imageById(data, id).refreshedAt, checkpoint.refreshed[id].refreshedAt);
+    }
+    assert.deepEqual(await readdir(storeDir).then(files => files.filter(f => f.includes('checkpoint'))), [], 'checkpoint deleted after the write');
+  });
+
+  test('an old checkpoint is discarded', async () => {
+    await freshStore();
+    const startedAt = new Date(Date.now() - 7 * HOUR).toISOString();
+    await writeFile(path.join(storeDir, 'refresh-checkpoint.json'), JSON.stringify({
+      version: 1,
+      username: fixture.username,
+      startedAt,
+      updatedAt: startedAt,
+      refreshed: { 1001: { stats: { likeCount: 999999 }, refreshedAt: startedAt } }
+    }));
+
+    const output = await runCollector();
+    assert.match(output, /Discarding refresh checkpoint: started .* older than 6h/);
+    assert.equal(server.requests.filter(r => r.kind === 'trpc').length, FIXTURE_IDS.length);
+    assert.deepEqual(withoutTimestamp(latest(imageById(await readStore(), 1001).snapshots)), recordedStats('1001'));
+  });
+
+  test('retention downsamples old snapshots and keeps recent ones hourly', async () => {
+    await freshStore();
+
+    // 40 days of hourly history for one image and for the totals
+    const now = Date.now();
+    const hourly = [];
+    for (let t = now - 40 * DAY; t < now - HOUR; t += HOUR) {
+      const i = hourly.length;
+      hourly.push({
+        timestamp: new Date(t).toISOString(),
+        likes: Math.floor(i / 10), hearts: Math.floor(i / 40), laughs: 0, cries: 0,
+        comments: 0, buzz: 0, collects: 0, views: i
+      });
+    }
+    const seeded = {
+      username: fixture.username,
+      lastUpdated: hourly.at(-1).timestamp,
+      totalSnapshots: encodeAsDeltas(hourly),
+      images: [{ id: '1001', name: 'seeded', createdAt: '2025-03-01T10:00:00.000Z', host: 'com', snapshots: encodeAsDeltas(hourly) }]
+    };
+    await writeFile(path.join(storeDir, 'stats.json'), JSON.stringify(seeded));
+
+    await runCollector();
+    const data = await readStore();
+
+    for (const series of [imageById(data, 1001).snapshots, data.totalSnapshots]) {
+      const times = resolveAllSnapshots(series).map(s => new Date(s.timestamp).getTime());
+      const older = times.filter(t => t < now - 31 * DAY);
+      const middle = times.filter(t => t > now - 29 * DAY && t < now - 8 * DAY);
+      const recent = times.filter(t => t > now - 6 * DAY);
+
+      assert.equal(new Set(older.map(t => Math.floor(t / DAY))).size, older.length, 'one snapshot per day beyond 30 days');
+      assert.equal(new Set(middle.map(t => Math.floor(t / (6 * HOUR)))).size, middle.length, 'one snapshot per 6h between 7 and 30 days');
+      assert.ok(recent.length >= 6 * 24 - 1, 'hourly snapshots kept for the last 7 days');
+      assert.ok(times.length < hourly.length / 2, 'history was compacted');
+    }
+
+    const image = imageById(data, 1001);
+    assert.deepEqual(withoutTimestamp(latest(image.snapshots)), recordedStats(1001));
+
+    // Downsampled days keep their peak hourly gain and sample count
+    const days = resolveAllSnapshots(image.snapshots).filter(s => Date.parse(s.timestamp) < now - 31 * DAY).slice(1);
+    assert.ok(days.length > 0 && days.every(s => s.n === 24 && s.pk >= 1 && s.pk <= 2), 'peaks of full days');
+  });
+
+  test('delta codec round-trips every stored series', async () => {
+    const data = await readStore();
+    const series = [data.totalSnapshots, ...data.images.map(img => img.snapshots)]
+      .map(snapshots => ({ snapshots, codec: undefined }))
+      .concat(data.models.map(model => ({ snapshots: model.snapshots, codec: MODEL_SERIES })))
+      .concat([{ snapshots: data.profileSnapshots, codec: PROFILE_SERIES }]);
+
+    for (const { snapshots, codec } of series) {
+      const resolved = resolveAllSnapshots(snapshots, codec);
+      const strip = list => list.map(({ imageCount, ...rest }) => rest);
+      assert.deepEqual(strip(encodeAsDeltas(resolved, codec)), strip(snapshots));
+      resolved.forEach((snapshot, i) => {
+        assert.deepEqual(resolveSnapshot(snapshots, i, codec), snapshot);
+      });
+    }
+  });
+
+  test('compact re-applies a new retention policy and reports the size saved', async () => {
+    await freshStore();
+    const now = Date.now();
+    const hourly = [];
+    for (let t = now - 20 * DAY; t < now - HOUR; t += HOUR) {
+      const i = hourly.length;
+      hourly.push({
+        timestamp: new Date(t).toISOString(),
+        likes: Math.floor(i / 10), hearts: 0, laughs: 0, cries: 0, comments: 0, buzz: 0, collects: 0, views: i
+      });
+    }
+    const totals = encodeAsDeltas(hourly).map(s => ({ ...s, imageCount: 1 }));
+    await writeFile(path.join(storeDir, 'stats.json'), JSON.stringify({
+      schemaVersion: 3,
+      username: fixture.username,
+      lastUpdated: hourly.at(-1).timestamp,
+      totalSnapshots: totals,
+      images: [{ id: '1001', name: 'seeded', createdAt: '2025-03-01T10:00:00.000Z', host: 'com', stale: false, snapshots: encodeAsDeltas(hourly) }]
+    }));
+    const storedBefore = await readFile(path.join(storeDir, 'stats.json'), 'utf8');
+
+    const policy = '--policy=totals=2d:6h;images=2d:1d';
+    const preview = await runScript('compact.js', [policy, '--dry-run']);
+    assert.match(preview, /totals: \d+ -> \d+ in 1 series/);
+    assert.match(preview, /images: \d+ -> \d+ in 1 series/);
+    assert.match(preview, /Size: .* KB -> .* KB \(saves .* KB, \d+%\)/);
+    assert.equal(await readFile(path.join(storeDir, 'stats.json'), 'utf8'), storedBefore, 'dry run writes nothing');
+
+    await runScript('compact.js', [policy]);
+    const data = await readStore();
+    const older = series => resolveAllSnapshots(series).filter(s => Date.parse(s.timestamp) < now - 2 * DAY - HOUR);
+    assert.equal(new Set(older(data.totalSnapshots).map(s => Math.floor(Date.parse(s.timestamp) / (6 * HOUR)))).size,
+      older(data.totalSnapshots).length, 'totals: one snapshot per 6 hours');
+    assert.ok(older(imageById(data, 1001).snapshots).length <= 19, 'images: one snapshot per day');
+    assert.ok(data.totalSnapshots.every(s => s.imageCount === 1));
+    assert.deepEqual(latest(data.totalSnapshots), latest(totals));
+    assert.deepEqual(latest(imageById(data, 1001).snapshots), hourly.at(-1));
+
+    const backup = (await readdir(storeDir)).find(name => name.startsWith('backup-pre-compact-'));
+    assert.equal(await readFile(path.join(storeDir, backup), 'utf8'), storedBefore);
+
+    assert.match(await runScript('compact.js', [policy]), /nothing to compact/);
+  });
+
+  test('the columnar encoding is written on request and converted back when turned off', async () => {
+    await freshStore();
+    await runCollector({}, { STATS_ENCODING: 'columnar' });
+    const firstRun = await readFile(path.join(storeDir, 'stats.json'), 'utf8');
+    assert.ok(firstRun.startsWith('{"encoding":"columnar",'), 'compact JSON with an encoding marker');
+    const stored = JSON.parse(firstRun);
+    assert.ok(isColumnar(stored.totalSnapshots) && stored.images.every(image => isColumnar(image.snapshots)));
+    assert.ok([stored.totalSnapshots, ...stored.images.map(image => image.snapshots)]
+      .every(columns => [columns.base.t, ...columns.t].every(Number.isInteger)), 'times in whole seconds');
+    const columnar = decodeColumnar(stored);
+    assert.equal(latest(imageById(columnar, 1001).snapshots).likes, recordedStats(1001).likes);
+    assert.ok(firstRun.length < serializeStatsDocument(columnar)['stats.json'].length, 'smaller than the objects encoding');
+
+    await runCollector({ bump: { 1001: { likeCount: 4 } } }, { STATS_ENCODING: 'columnar' });
+    const secondRun = decodeColumnar(await readStore());
+    assert.equal(latest(imageById(secondRun, 1001).snapshots).likes, recordedStats(1001).likes + 4);
+
+    // Back to objects: the stored series become entries again, history intact
+    await runCollector({ bump: { 1001: { likeCount: 4 } } });
+    const data = await readStore();
+    assert.equal(data.encoding, undefined);
+    assert.ok(Array.isArray(data.totalSnapshots) && data.images.every(image => Array.isArray(image.snapshots)));
+    const keeps = (series, before) => assert.deepEqual(resolveAllSnapshots(series).slice(0, before.length), resolveAllSnapshots(before));
+    keeps(data.totalSnapshots, secondRun.totalSnapshots);
+    for (const image of secondRun.images) keeps(imageById(data, image.id).snapshots, image.snapshots);
+
+    // A columnar backup restores into the current encoding
+    const daily = `backup-daily-${new Date().toISOString().slice(0, 10)}.json`;
+    assert.equal(await readFile(path.join(storeDir, daily), 'utf8'), firstRun);
+    await runScript('restore.js', [daily]);
+    const restored = await readStore();
+    assert.ok(Array.isArray(restored.totalSnapshots));
+    assert.deepEqual(resolveAllSnapshots(restored.totalSnapshots), resolveAllSnapshots(columnar.totalSnapshots));
+  });
+
+  after(async () => {
+    if (storeDir) await rm(storeDir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Unit tests for the confirmed decreases in lib/corrections.js.
+ *
+ * Run: cd scripts && npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { checkDecreases, correctionEntry, correctionsAt } from '../lib/corrections.js';
+
+const stored = { timestamp: '2026-01-01T00:00:00.000Z', likes: 10, hearts: 4, laughs: 0, cries: 0, comments: 2 };
+
+describe('checkDecreases', () => {
+  test('a first decrease is only suspected', () => {
+    assert.deepEqual(checkDecreases(stored, { likes: 8, hearts: 5 }, undefined, 't1'),
+      { confirmed: null, pending: { seenAt: 't1', fields: { likes: 8 } } });
+  });
+
+  test('a decrease seen again is confirmed with the latest value', () => {
+    const pending = { seenAt: 't1', fields: { likes: 8 } };
+    assert.deepEqual(checkDecreases(stored, { likes: 7, hearts: 3 }, pending, 't2'),
+      { confirmed: { likes: 7 }, pending: { seenAt: 't2', fields: { hearts: 3 } } });
+  });
+
+  test('a decrease that went away clears the pending one', () => {
+    const pending = { seenAt: 't1', fields: { likes: 8 } };
+    assert.deepEqual(checkDecreases(stored, { likes: 10, hearts: 4 }, pending, 't2'), { confirmed: null, pending: null });
+  });
+});
+
+describe('correction entries', () => {
+  test('record the change of each confirmed field and sum per timestamp', () => {
+    const entry = correctionEntry(stored, { likes: 7, comments: 1 }, 't2');
+    assert.deepEqual(entry, { timestamp: 't2', likes: -3, comments: -1 });
+    assert.deepEqual(correctionsAt([entry, { timestamp: 't2', likes: -1 }, { timestamp: 't3', likes: -5 }], 't2'),
+      { likes: -4, comments: -1 });
+  });
+});
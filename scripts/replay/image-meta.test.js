@@ -0,0 +1,59 @@
+/**
+ * Unit tests for the per-image generation metadata in lib/image-meta.js.
+ *
+ * Run: cd scripts && npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extractImageMeta } from '../lib/image-meta.js';
+
+describe('extractImageMeta', () => {
+  test('takes the checkpoint and LoRAs from the named resources', () => {
+    const meta = extractImageMeta({
+      width: 1024,
+      height: 1536,
+      nsfwLevel: 'None',
+      baseModel: 'SDXL 1.0',
+      meta: {
+        sampler: 'DPM++ 2M Karras',
+        Model: 'ignoredWhenResourcesNameOne',
+        resources: [
+          { name: 'juggernautXL', type: 'model', hash: 'aa' },
+          { name: 'detailTweaker', type: 'lora', weight: 0.6 },
+          { name: 'detailTweaker', type: 'lora', weight: 0.6 },
+          { name: 'styleLyco', type: 'LyCORIS' },
+          { name: 'easynegative', type: 'embed' }
+        ]
+      }
+    });
+    assert.deepEqual(meta, {
+      baseModel: 'SDXL 1.0',
+      checkpoint: 'juggernautXL',
+      loras: [{ name: 'detailTweaker', weight: 0.6 }, { name: 'styleLyco' }],
+      sampler: 'DPM++ 2M Karras',
+      width: 1024,
+      height: 1536,
+      nsfwLevel: 'None'
+    });
+  });
+
+  test('falls back to on-site generator resources, meta.Model and meta.Size', () => {
+    assert.deepEqual(extractImageMeta({
+      meta: {
+        Size: '832x1216',
+        civitaiResources: [
+          { type: 'checkpoint', modelVersionId: 1, modelVersionName: 'v6' },
+          { type: 'lora', modelVersionId: 2, weight: 1 }
+        ]
+      }
+    }), { checkpoint: 'v6', loras: [{ name: 'version 2', weight: 1 }], width: 832, height: 1216 });
+
+    assert.equal(extractImageMeta({ meta: { Model: 'dreamshaper' } }).checkpoint, 'dreamshaper');
+  });
+
+  test('returns null for an image without any metadata', () => {
+    assert.equal(extractImageMeta({ id: 1, meta: null }), null);
+  });
+});
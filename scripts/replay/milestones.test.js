@@ -0,0 +1,73 @@
+/**
+ * Unit tests for the milestone detection in lib/milestones.js.
+ *
+ * Run: cd scripts && npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { encodeAsDeltas } from '../lib/snapshots.js';
+import { DEFAULT_MILESTONES, parseMilestoneThresholds, seriesMilestones, updateMilestones } from '../lib/milestones.js';
+
+const ZERO = { likes: 0, hearts: 0, laughs: 0, cries: 0, comments: 0, buzz: 0, collects: 0, views: 0 };
+const at = hour => new Date(Date.UTC(2026, 0, 1, hour)).toISOString();
+
+// Delta-encoded series with the given stats at hours 0, 1, 2, ...
+function series(...points) {
+  return encodeAsDeltas(points.map((values, hour) => ({ timestamp: at(hour), ...ZERO, ...values })));
+}
+
+describe('parseMilestoneThresholds', () => {
+  test('overrides the listed metrics and keeps the defaults of the others', () => {
+    const thresholds = parseMilestoneThresholds('reactions=5000, 1000,1000; views=');
+    assert.deepEqual(thresholds.reactions, [1000, 5000]);
+    assert.deepEqual(thresholds.views, []);
+    assert.deepEqual(thresholds.buzz, DEFAULT_MILESTONES.buzz);
+    assert.deepEqual(parseMilestoneThresholds(undefined), DEFAULT_MILESTONES);
+  });
+
+  test('rejects unknown metrics and invalid numbers', () => {
+    assert.throws(() => parseMilestoneThresholds('likes=10'), /unknown metric "likes"/);
+    assert.throws(() => parseMilestoneThresholds('views=10,lots'), /invalid thresholds for views/);
+  });
+});
+
+describe('seriesMilestones', () => {
+  test('finds the first snapshot at or past each threshold', () => {
+    const snapshots = series({ likes: 60 }, { likes: 90, hearts: 5 }, { likes: 90, hearts: 500 }, { likes: 80, hearts: 500 });
+    assert.deepEqual(seriesMilestones(snapshots, { reactions: [50, 95, 500], hearts: [100] }), [
+      { metric: 'reactions', threshold: 95, value: 95, timestamp: at(1) },
+      { metric: 'reactions', threshold: 500, value: 590, timestamp: at(2) },
+      { metric: 'hearts', threshold: 100, value: 500, timestamp: at(2) }
+    ]);
+  });
+});
+
+describe('updateMilestones', () => {
+  const thresholds = { reactions: [10, 100] };
+
+  test('adds new crossings for images and the account, in time order', () => {
+    const data = {
+      totalSnapshots: series({ likes: 5 }, { likes: 50 }, { likes: 150 }),
+      images: [{ id: '1', snapshots: series({ likes: 5 }, { likes: 50 }, { likes: 150 }) }]
+    };
+    const { milestones, added } = updateMilestones(data, thresholds);
+    assert.equal(added.length, 4);
+    assert.deepEqual(milestones.map(m => [m.scope, m.id, m.threshold, m.timestamp]), [
+      ['account', undefined, 10, at(1)],
+      ['image', '1', 10, at(1)],
+      ['account', undefined, 100, at(2)],
+      ['image', '1', 100, at(2)]
+    ]);
+  });
+
+  test('never moves a recorded milestone', () => {
+    // Retention merged the crossing snapshot into a later one
+    const recorded = { scope: 'image', id: '1', metric: 'reactions', threshold: 10, value: 12, timestamp: at(1) };
+    const data = { totalSnapshots: [], images: [{ id: '1', snapshots: series({ likes: 5 }, { likes: 5 }, { likes: 150 }) }], milestones: [recorded] };
+    const { milestones, added } = updateMilestones(data, thresholds);
+    assert.deepEqual(added.map(m => m.threshold), [100]);
+    assert.deepEqual(milestones[0], recorded);
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * Local mock of the Civitai API for offline replay.
+ *
+ * Serves both hosts from one port under path prefixes, so the collector can
+ * be pointed at it with:
+ *   CIVITAI_API_ORIGIN=http://127.0.0.1:PORT/com
+ *   CIVITAI_RED_API_ORIGIN=http://127.0.0.1:PORT/red
+ *
+ * It replays a fixture recorded by record.js (or written by hand in the same
+ * shape):
+ *   {
+ *     "username": "...",
+ *     "hosts": {
+ *       "com": {
+ *         "pages": { "": [page, ...], "Soft": [...], "Mature": [...], "X": [...] },
+ *         "trpc":  { "<imageId>": <image.get result json> },
+ *         "models": [page, ...],
+ *         "creator": <user.getCreator result json>
+ *       },
+ *       "red": { ... }
+ *     }
+ *   }
+ * where each page is a recorded /api/v1/images (or /api/v1/models) response
+ * ({ items, metadata }). Recorded items are re-paginated with the request's `limit`.
+ *
+ * A scenario layered on top simulates the failure modes the collector has to
+ * survive (all optional):
+ *   rateLimit:   { rest: n, trpc: n, retryAfter: s }  first n requests of that kind get 429 + Retry-After
+ *   drop:        [id, ...]                            images (or models) missing from every REST page and tRPC (deleted/dropped)
+ *   unlist:      [id, ...]                            images missing from the REST pages but still served by tRPC (hidden)
+ *   migrate:     { id: 'red' | 'com' }                image moved to the other host (REST + tRPC)
+ *   staleBulk:   { id: factor } | { '*': factor }     REST stats scaled down (tRPC stays accurate)
+ *   bump:        { id: { likeCount: n, ... } }        stats increase since recording (REST + tRPC)
+ *   bumpModels:  { id: { downloadCount: n, ... } }    model stats change since recording
+ *   bumpCreator: { followerCountAllTime: n, ... }      creator profile stats change since recording
+ *   pageSize:    n                                    override the page size to exercise pagination
+ */
+
+import http from 'node:http';
+
+const NSFW_LEVELS = ['', 'Soft', 'Mature', 'X'];
+const REST_FIELDS = ['likeCount', 'heartCount', 'laughCount', 'cryCount', 'commentCount'];
+// REST stat field -> tRPC all-time field
+const TRPC_FIELDS = {
+  likeCount: 'likeCountAllTime',
+  heartCount: 'heartCountAllTime',
+  laughCount: 'laughCountAllTime',
+  cryCount: 'cryCountAllTime',
+  commentCount: 'commentCountAllTime',
+  buzzCount: 'tippedAmountCountAllTime',
+  collectCount: 'collectedCountAllTime',
+  viewCount: 'viewCountAllTime'
+};
+
+function json(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Start the mock server on a random local port.
+ * Returns { comOrigin, redOrigin, requests, setScenario(scenario), close() }.
+ * `requests` logs every request as { host, kind, url, status, time }.
+ */
+export async function startMockServer(fixture, initialScenario = {}) {
+  let scenario = initialScenario;
+  let counters = { rest: 0, trpc: 0 };
+  const requests = [];
+
+  // Which host serves an image under the current scenario
+  function hostOf(id, recordedHost) {
+    return scenario.migrate?.[id] || recordedHost;
+  }
+
+  function isDropped(id) {
+    return (scenario.drop || []).map(String).includes(String(id));
+  }
+
+  function isUnlisted(id) {
+    return isDropped(id) || (scenario.unlist || []).map(String).includes(String(id));
+  }
+
+  // Recorded REST items of one NSFW level, after drops and migrations
+  function itemsFor(host, level) {
+    const items = [];
+    for (const [recordedHost, data] of Object.entries(fixture.hosts)) {
+      for (const page of data.pages[level] || []) {
+        for (const item of page.items) {
+          if (isUnlisted(item.id) || hostOf(item.id, recordedHost) !== host) continue;
+          items.push(applyRestStats(item));
+        }
+      }
+    }
+    return items;
+  }
+
+  function applyRestStats(item) {
+    const stats = { ...item.stats };
+    for (const [field, inc] of Object.entries(scenario.bump?.[item.id] || {})) {
+      if (field in stats) stats[field] += inc;
+    }
+    const factor = scenario.staleBulk?.[item.id] ?? scenario.staleBulk?.['*'];
+    if (factor != null) {
+      for (const field of REST_FIELDS) {
+        stats[field] = Math.floor((stats[field] || 0) * factor);
+      }
+    }
+    return { ...item, stats };
+  }
+
+  function trpcFor(host, id) {
+    if (isDropped(id)) return null;
+    for (const [recordedHost, data] of Object.entries(fixture.hosts)) {
+      const recorded = data.trpc?.[id];
+      if (!recorded || hostOf(id, recordedHost) !== host) continue;
+      const stats = { ...recorded.stats };
+      for (const [field, inc] of Object.entries(scenario.bump?.[id] || {})) {
+        const key = TRPC_FIELDS[field];
+        if (key) stats[key] = (stats[key] || 0) + inc;
+      }
+      return { ...recorded, stats };
+    }
+    return null;
+  }
+
+  function modelsFor(host) {
+    const items = [];
+    for (const page of fixture.hosts[host]?.models || []) {
+      for (const item of page.items) {
+        if (isDropped(item.id)) continue;
+        const stats = { ...item.stats };
+        for (const [field, change] of Object.entries(scenario.bumpModels?.[item.id] || {})) {
+          stats[field] = (stats[field] || 0) + change;
+        }
+        items.push({ ...item, stats });
+      }
+    }
+    return items;
+  }
+
+  // One page of `items` for the request, linking the next page like the API
+  function paginate(req, url, items) {
+    const limit = scenario.pageSize || Number(url.searchParams.get('limit')) || 100;
+    const page = Number(url.searchParams.get('replayPage')) || 0;
+    let nextPage = null;
+    if ((page + 1) * limit < items.length) {
+      const next = new URL(`http://${req.headers.host}${req.url}`);
+      next.searchParams.set('replayPage', String(page + 1));
+      nextPage = next.toString();
+    }
+    return { items: items.slice(page * limit, (page + 1) * limit), metadata: { nextPage } };
+  }
+
+  function rateLimited(kind) {
+    counters[kind]++;
+    const limit = scenario.rateLimit?.[kind] || 0;
+    return counters[kind] <= limit;
+  }
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const [, host, ...rest] = url.pathname.split('/');
+    const route = `/${rest.join('/')}`;
+    const log = (kind, status) => requests.push({ host, kind, url: req.url, status, time: Date.now() });
+
+    if (host !== 'com' && host !== 'red') {
+      log('unknown', 404);
+      return json(res, 404, { error: 'Unknown host prefix' });
+    }
+
+    if (route === '/api/v1/images') {
+      if (rateLimited('rest')) {
+        log('rest', 429);
+        return json(res, 429, { error: 'Too Many Requests' }, { 'Retry-After': String(scenario.rateLimit.retryAfter ?? 1) });
+      }
+      const level = url.searchParams.get('nsfw') || '';
+      if (!NSFW_LEVELS.includes(level)) {
+        log('rest', 400);
+        return json(res, 400, { error: `Unsupported nsfw level ${level}` });
+      }
+      log('rest', 200);
+      return json(res, 200, paginate(req, url, itemsFor(host, level)));
+    }
+
+    if (route === '/api/trpc/user.getCreator') {
+      const creator = fixture.hosts[host]?.creator;
+      if (!creator) {
+        log('creator', 404);
+        return json(res, 404, { error: { json: { message: 'No creator', code: -32004 } } });
+      }
+      const stats = { ...creator.stats };
+      for (const [field, change] of Object.entries(scenario.bumpCreator || {})) {
+        stats[field] = (stats[field] || 0) + change;
+      }
+      log('creator', 200);
+      return json(res, 200, { result: { data: { json: { ...creator, stats } } } });
+    }
+
+    if (route === '/api/v1/models') {
+      log('models', 200);
+      return json(res, 200, paginate(req, url, modelsFor(host)));
+    }
+
+    if (route === '/api/trpc/image.get') {
+      if (rateLimited('trpc')) {
+        log('trpc', 429);
+        return json(res, 429, { error: 'Too Many Requests' }, { 'Retry-After': String(scenario.rateLimit.retryAfter ?? 1) });
+      }
+      const input = JSON.parse(url.searchParams.get('input') || '{}');
+      const item = trpcFor(host, String(input.json?.id));
+      if (!item) {
+        log('trpc', 404);
+        return json(res, 404, { error: { json: { message: 'No image with id', code: -32004 } } });
+      }
+      log('trpc', 200);
+      return json(res, 200, { result: { data: { json: item } } });
+    }
+
+    log('unknown', 404);
+    json(res, 404, { error: `No mock for ${route}` });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    comOrigin: `http://127.0.0.1:${port}/com`,
+    redOrigin: `http://127.0.0.1:${port}/red`,
+    requests,
+    setScenario(next) {
+      scenario = next;
+      counters = { rest: 0, trpc: 0 };
+      requests.length = 0;
+    },
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
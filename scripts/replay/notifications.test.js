@@ -0,0 +1,187 @@
+/**
+ * Unit tests for the webhook notifications in lib/notifications.js, posting
+ * to a local HTTP sink.
+ *
+ * Run: cd scripts && npm test
+ */
+
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { encodeAsDeltas } from '../lib/snapshots.js';
+import {
+  NOTIFICATIONS_FILE, abortedEvent, deliverNotifications, emptyNotificationLog, formatPayload, gainEvents, milestoneEvents,
+  parseWebhooks, pruneLog, sendNotifications, unsentEvents
+} from '../lib/notifications.js';
+import { startWebhookSink } from './webhook-sink.js';
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date('2026-01-10T00:00:00.000Z');
+const hoursAgo = hours => new Date(now.getTime() - hours * HOUR).toISOString();
+const ZERO = { likes: 0, hearts: 0, laughs: 0, cries: 0, comments: 0, buzz: 0, collects: 0, views: 0 };
+
+describe('parseWebhooks', () => {
+  test('takes the format from a prefix or from the URL', () => {
+    const webhooks = parseWebhooks('https://discord.com/api/webhooks/1/abc, slack=https://example.com/s\nhttps://example.com/hook');
+    assert.deepEqual(webhooks.map(w => w.format), ['discord', 'slack', 'json']);
+    assert.match(webhooks[0].id, /^[0-9a-f]{12}$/);
+    assert.deepEqual(parseWebhooks(''), []);
+  });
+
+  test('rejects unknown formats and invalid URLs without echoing them', () => {
+    assert.throws(() => parseWebhooks('teams=https://example.com'), /unknown webhook format "teams"/);
+    assert.throws(() => parseWebhooks('discord=not-a-url-secret'), error => !error.message.includes('secret'));
+  });
+});
+
+describe('events', () => {
+  test('gain events compare with the latest snapshot before the window', () => {
+    const image = (id, likes) => ({
+      id, name: `Image ${id}`, stale: false,
+      snapshots: encodeAsDeltas(likes.map((value, i) => ({ timestamp: hoursAgo(30 - i * 10), ...ZERO, likes: value })))
+    });
+    const events = gainEvents([image('1', [10, 20, 60, 130]), image('2', [60, 100, 110, 120])], { threshold: 100, hours: 24, now });
+    assert.deepEqual(events.map(e => [e.key, e.title]), [['gain:1', 'Image 1 gained 120 reactions']]);
+  });
+
+  test('only recent milestones are reported', () => {
+    const milestones = [
+      { scope: 'account', metric: 'reactions', threshold: 1000, value: 1010, timestamp: hoursAgo(30) },
+      { scope: 'image', id: '1', metric: 'buzz', threshold: 1000, value: 1200, timestamp: hoursAgo(1) }
+    ];
+    const events = milestoneEvents(milestones, [{ id: '1', name: 'Sunset', url: 'https://civitai.com/images/1' }], { username: 'me', now });
+    assert.deepEqual(events.map(e => [e.key, e.title, e.url]), [
+      ['milestone:image:1:buzz:1000', 'Sunset reached 1,000 Buzz', 'https://civitai.com/images/1']
+    ]);
+  });
+});
+
+describe('formatPayload', () => {
+  const events = [abortedEvent('read-failed', 'HTTP 502 <Bad Gateway>', { username: 'me', timestamp: hoursAgo(0) })];
+
+  test('Discord embeds, Slack blocks and generic JSON', () => {
+    assert.deepEqual(formatPayload('discord', events, { username: 'me' }).embeds[0], {
+      title: 'Stats collection for me aborted: read failed',
+      description: 'HTTP 502 <Bad Gateway>',
+      color: 0xfa5252,
+      timestamp: hoursAgo(0)
+    });
+    assert.equal(formatPayload('slack', events, { username: 'me' }).blocks[0].text.text,
+      '*Stats collection for me aborted: read failed*\nHTTP 502 &lt;Bad Gateway&gt;');
+    assert.equal(formatPayload('json', events, { username: 'me' }).events[0].key, 'aborted:read-failed');
+  });
+});
+
+describe('sendNotifications', () => {
+  let sink;
+  before(async () => { sink = await startWebhookSink(); });
+  after(async () => { await sink.close(); });
+
+  const event = (key, extra = {}) => ({ type: 'stale', key, title: key, text: key, url: null, timestamp: hoursAgo(0), ...extra });
+
+  test('posts in batches and records each accepted batch', async () => {
+    sink.reset();
+    const [discord, generic] = parseWebhooks(`discord=${sink.url('discord')},${sink.url('generic')}`);
+    const events = Array.from({ length: 12 }, (_, i) => event(`stale:${i}`));
+    const log = emptyNotificationLog();
+
+    // The second Discord batch fails: the first one stays recorded
+    sink.fail(0);
+    const results = await sendNotifications([discord, generic], events, log, { username: 'me', now });
+    assert.deepEqual(results.map(r => [r.sent, r.error]), [[12, null], [12, null]]);
+    assert.deepEqual(sink.received.map(r => r.path), ['/discord', '/discord', '/generic']);
+    assert.deepEqual(unsentEvents(log, discord, events, now), []);
+
+    sink.reset();
+    const retry = emptyNotificationLog();
+    let posts = 0;
+    const failSecond = async () => { if (++posts === 2) throw new Error('HTTP 500: Internal Server Error'); };
+    const partial = await sendNotifications([discord], events, retry, { username: 'me', now, post: failSecond });
+    assert.deepEqual(partial.map(r => [r.sent, r.error]), [[10, 'HTTP 500: Internal Server Error']]);
+    assert.equal(unsentEvents(retry, discord, events, now).length, 2);
+  });
+
+  test('gain events come back after their cooldown, aborted ones after a success', () => {
+    const [webhook] = parseWebhooks(sink.url('generic'));
+    const log = { version: 1, sent: { [webhook.id]: { 'gain:1': hoursAgo(25), 'gain:2': hoursAgo(2), 'aborted:error': hoursAgo(3) } } };
+    const events = [event('gain:1', { cooldownHours: 24 }), event('gain:2', { cooldownHours: 24 }), event('aborted:error')];
+    assert.deepEqual(unsentEvents(log, webhook, events, now).map(e => e.key), ['gain:1']);
+
+    assert.equal(pruneLog(log, { now, succeeded: true }), true);
+    assert.deepEqual(Object.keys(log.sent[webhook.id]), ['gain:1', 'gain:2']);
+    assert.equal(pruneLog(log, { now: new Date(now.getTime() + 100 * 24 * HOUR) }), true);
+    assert.deepEqual(log.sent, {});
+  });
+});
+
+describe('deliverNotifications', () => {
+  let sink;
+  before(async () => { sink = await startWebhookSink(); });
+  after(async () => { await sink.close(); });
+
+  const event = (type, key) => ({ type, key, title: key, text: key, url: null, timestamp: hoursAgo(0) });
+
+  // In-memory storage whose reads or writes can be made to fail
+  function memoryStorage() {
+    const files = {};
+    return {
+      files,
+      failReads: false,
+      failWrites: false,
+      async readFile(name) {
+        if (this.failReads) throw new Error('read failed');
+        return files[name] ?? null;
+      },
+      async writeFiles(changes) {
+        if (this.failWrites) throw new Error('write failed');
+        Object.assign(files, changes);
+      }
+    };
+  }
+
+  test('records deliveries before posting, so failing writes hold events back instead of repeating them', async () => {
+    sink.reset();
+    const webhooks = parseWebhooks(sink.url('generic'));
+    const storage = memoryStorage();
+    const events = [event('milestone', 'milestone:account::reactions:1000'), event('aborted', 'aborted:error')];
+
+    // Every retry while the log cannot be written only reports the abort
+    storage.failWrites = true;
+    for (let run = 0; run < 2; run++) {
+      const { results, held, logError } = await deliverNotifications(storage, webhooks, events, { username: 'me', now });
+      assert.deepEqual([results[0].sent, held], [1, 1]);
+      assert.match(logError, /could not record deliveries: write failed/);
+    }
+    storage.failReads = true;
+    storage.failWrites = false;
+    assert.equal((await deliverNotifications(storage, webhooks, events, { username: 'me', now })).held, 1);
+    assert.deepEqual(sink.received.flatMap(r => r.body.events.map(e => e.key)), Array(3).fill('aborted:error'));
+
+    // Once the log can be written, the milestone is sent exactly once
+    sink.reset();
+    storage.failReads = false;
+    assert.equal((await deliverNotifications(storage, webhooks, events, { username: 'me', now })).logError, null);
+    assert.equal((await deliverNotifications(storage, webhooks, events, { username: 'me', now })).results.length, 0);
+    assert.deepEqual(sink.received.flatMap(r => r.body.events.map(e => e.key)).sort(),
+      ['aborted:error', 'milestone:account::reactions:1000']);
+    assert.ok(JSON.parse(storage.files[NOTIFICATIONS_FILE]).sent[webhooks[0].id]['milestone:account::reactions:1000']);
+  });
+
+  test('releases what a webhook refused, for the next run', async () => {
+    sink.reset();
+    const [discord, generic] = parseWebhooks(`discord=${sink.url('discord')},${sink.url('generic')}`);
+    const storage = memoryStorage();
+    const events = [event('stale', 'stale:1')];
+
+    sink.fail(1);
+    const { results } = await deliverNotifications(storage, [discord, generic], events, { username: 'me', now });
+    assert.deepEqual(results.map(r => r.sent), [0, 1]);
+    const log = JSON.parse(storage.files[NOTIFICATIONS_FILE]);
+    assert.equal(unsentEvents(log, discord, events, now).length, 1);
+    assert.equal(unsentEvents(log, generic, events, now).length, 0);
+
+    sink.reset();
+    await deliverNotifications(storage, [discord, generic], events, { username: 'me', now });
+    assert.deepEqual(sink.received.map(r => r.path), ['/discord']);
+  });
+});
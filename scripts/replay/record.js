@@ -0,0 +1,100 @@
+/**
+ * Record live Civitai responses into a replay fixture for mock-server.js
+ * Usage: node scripts/replay/record.js <username> [maxImages] > fixture.json
+ *
+ * Records every REST page of each NSFW level on civitai.com and civitai.red,
+ * plus the tRPC image.get response of the first `maxImages` images (default 50)
+ * the user's /api/v1/models pages and their tRPC user.getCreator profile.
+ * Uses CIVITAI_API_KEY / CIVITAI_RED_API_KEY like the collector. Review the
+ * output before committing it: it contains prompts and image URLs.
+ */
+
+const username = process.argv[2];
+const maxImages = Number(process.argv[3]) || 50;
+
+if (!username) {
+  console.error('Usage: node scripts/replay/record.js <username> [maxImages] > fixture.json');
+  process.exit(1);
+}
+
+const HOSTS = {
+  com: { origin: 'https://civitai.com', key: process.env.CIVITAI_API_KEY },
+  red: { origin: 'https://civitai.red', key: process.env.CIVITAI_RED_API_KEY || process.env.CIVITAI_API_KEY }
+};
+const NSFW_LEVELS = ['', 'Soft', 'Mature', 'X'];
+
+async function getJson(url, key) {
+  const headers = key ? { Authorization: `Bearer ${key}` } : {};
+  const response = await fetch(url, { headers });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} for ${url}`);
+  }
+  return response.json();
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function recordHost({ origin, key }) {
+  const pages = {};
+  const ids = [];
+  for (const level of NSFW_LEVELS) {
+    pages[level] = [];
+    let next = `${origin}/api/v1/images?username=${encodeURIComponent(username)}&limit=200&sort=Newest&period=AllTime${level ? `&nsfw=${level}` : ''}`;
+    while (next) {
+      console.error(`  GET ${next}`);
+      const page = await getJson(next, key);
+      pages[level].push(page);
+      ids.push(...(page.items || []).map(item => item.id));
+      next = page.metadata?.nextPage || null;
+      await sleep(500);
+    }
+  }
+
+  const trpc = {};
+  for (const id of [...new Set(ids)].slice(0, maxImages)) {
+    const input = encodeURIComponent(JSON.stringify({ json: { id: Number(id) } }));
+    try {
+      const data = await getJson(`${origin}/api/trpc/image.get?input=${input}`, key);
+      trpc[id] = data?.result?.data?.json;
+    } catch (error) {
+      console.error(`  tRPC image.get ${id} failed: ${error.message}`);
+    }
+    await sleep(300);
+  }
+
+  const models = [];
+  let next = `${origin}/api/v1/models?username=${encodeURIComponent(username)}&limit=100&nsfw=true`;
+  while (next) {
+    console.error(`  GET ${next}`);
+    const page = await getJson(next, key);
+    models.push(page);
+    next = page.metadata?.nextPage || null;
+    await sleep(500);
+  }
+
+  let creator = null;
+  try {
+    const input = encodeURIComponent(JSON.stringify({ json: { username } }));
+    creator = (await getJson(`${origin}/api/trpc/user.getCreator?input=${input}`, key))?.result?.data?.json ?? null;
+  } catch (error) {
+    console.error(`  tRPC user.getCreator failed: ${error.message}`);
+  }
+
+  return { pages, trpc, models, creator };
+}
+
+async function main() {
+  const fixture = { username, recordedAt: new Date().toISOString(), hosts: {} };
+  for (const [host, config] of Object.entries(HOSTS)) {
+    console.error(`Recording ${host}...`);
+    fixture.hosts[host] = await recordHost(config);
+  }
+  process.stdout.write(JSON.stringify(fixture, null, 2) + '\n');
+}
+
+main().catch(error => {
+  console.error('Recording failed:', error.message);
+  process.exit(1);
+});
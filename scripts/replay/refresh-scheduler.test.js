@@ -0,0 +1,79 @@
+/**
+ * Unit tests for the refresh priority scheduler in lib/refresh-scheduler.js.
+ *
+ * Run: cd scripts && npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { gainVelocity, planRefresh, refreshInterval } from '../lib/refresh-scheduler.js';
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date('2026-06-01T12:00:00.000Z');
+const at = hoursAgo => new Date(NOW - hoursAgo * HOUR).toISOString();
+
+describe('gainVelocity', () => {
+  test('measures reactions per hour over the window', () => {
+    const snapshots = [
+      { timestamp: at(100), likes: 0, hearts: 0 },
+      { timestamp: at(48), dl: 10 },
+      { timestamp: at(0), dl: 40, dh: 8 }
+    ];
+    assert.equal(gainVelocity(snapshots, NOW, 48), 1);
+  });
+
+  test('is 0 without history', () => {
+    assert.equal(gainVelocity([{ timestamp: at(1), likes: 5 }], NOW), 0);
+    assert.equal(gainVelocity(undefined, NOW), 0);
+  });
+});
+
+describe('refreshInterval', () => {
+  test('shortens with velocity and lengthens with age', () => {
+    assert.equal(refreshInterval({ ageHours: 2, velocity: 0, bulkReactions: 3 }), 1);
+    assert.equal(refreshInterval({ ageHours: 48, velocity: 0, bulkReactions: 3 }), 3);
+    assert.equal(refreshInterval({ ageHours: 400 * 24, velocity: 0, bulkReactions: 3 }), 240);
+    assert.equal(refreshInterval({ ageHours: 400 * 24, velocity: 0.5, bulkReactions: 3 }), 10);
+    assert.equal(refreshInterval({ ageHours: 400 * 24, velocity: 50, bulkReactions: 3 }), 1);
+  });
+
+  test('refreshes images the bulk API reports without reactions every run', () => {
+    assert.equal(refreshInterval({ ageHours: 400 * 24, velocity: 0, bulkReactions: 0 }), 1);
+  });
+});
+
+describe('planRefresh', () => {
+  const candidate = (id, fields) => ({ id, createdAt: at(400 * 24), refreshedAt: at(1), velocity: 0, bulkReactions: 10, ...fields });
+
+  test('orders due images by score and defers the rest to later runs', () => {
+    const plan = planRefresh([
+      candidate('quiet'),
+      candidate('warm', { velocity: 1, refreshedAt: at(6) }),
+      candidate('hot', { velocity: 10, refreshedAt: at(6) }),
+      candidate('new', { refreshedAt: null })
+    ], { now: NOW, budget: 2 });
+
+    assert.deepEqual(plan.refresh.map(c => c.id), ['new', 'hot']);
+    assert.equal(plan.due, 3);
+    assert.equal(plan.deferred, 1);
+    assert.equal(plan.notDue, 1);
+  });
+
+  test('refreshes images past the staleness limit even beyond the budget', () => {
+    const plan = planRefresh([
+      candidate('a', { refreshedAt: at(31 * 24) }),
+      candidate('b', { refreshedAt: at(40 * 24) }),
+      candidate('c', { refreshedAt: null })
+    ], { now: NOW, budget: 1, maxStalenessHours: 30 * 24 });
+
+    assert.deepEqual(plan.refresh.map(c => c.id), ['b', 'a']);
+    assert.equal(plan.forced, 2);
+    assert.equal(plan.deferred, 1);
+  });
+
+  test('refreshAll takes every image', () => {
+    const plan = planRefresh([candidate('a'), candidate('b')], { now: NOW, budget: 0, refreshAll: true });
+    assert.equal(plan.refresh.length, 2);
+  });
+});
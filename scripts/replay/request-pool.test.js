@@ -0,0 +1,77 @@
+/**
+ * Unit tests for the shared rate limiter and adaptive worker pool in
+ * lib/request-pool.js.
+ *
+ * Run: cd scripts && npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createRateLimiter, runPool } from '../lib/request-pool.js';
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('createRateLimiter', () => {
+  test('allows a burst, then paces requests at the configured rate', async () => {
+    const limiter = createRateLimiter({ requestsPerSecond: 20, burst: 2 });
+    const started = Date.now();
+    for (let i = 0; i < 6; i++) await limiter.acquire();
+    // 2 from the burst, 4 more at 20/s
+    assert.ok(Date.now() - started >= 180, `took ${Date.now() - started}ms`);
+    assert.equal(limiter.stats().requests, 6);
+  });
+
+  test('a pause holds back every waiting request', async () => {
+    const limiter = createRateLimiter({ requestsPerSecond: 100 });
+    limiter.pause(300);
+    const started = Date.now();
+    await Promise.all([limiter.acquire(), limiter.acquire(), limiter.acquire()]);
+    assert.ok(Date.now() - started >= 290);
+    assert.equal(limiter.troubleCount, 1);
+  });
+});
+
+describe('runPool', () => {
+  test('keeps results in order and grows the pool while requests are fast', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const items = Array.from({ length: 60 }, (_, i) => i);
+    const { results, peakWorkers } = await runPool(items, async item => {
+      peak = Math.max(peak, ++inFlight);
+      await sleep(5);
+      inFlight--;
+      return item * 2;
+    }, { initialWorkers: 2, maxWorkers: 6 });
+
+    assert.deepEqual(results, items.map(item => item * 2));
+    assert.equal(peakWorkers, 6);
+    assert.ok(peak <= 6);
+  });
+
+  test('halves the pool when the limiter reports trouble', async () => {
+    const limiter = createRateLimiter({ requestsPerSecond: 1000 });
+    const limits = [];
+    await runPool(Array.from({ length: 20 }, (_, i) => i), async item => {
+      if (item === 10) limiter.reportError();
+      await sleep(1);
+    }, {
+      limiter,
+      initialWorkers: 8,
+      maxWorkers: 8,
+      onProgress: (done, total, workers) => limits.push(workers)
+    });
+
+    assert.ok(limits.some(workers => workers <= 4), `worker counts: ${limits.join(',')}`);
+  });
+
+  test('a throwing task yields undefined and does not stop the pool', async () => {
+    const { results } = await runPool([1, 2, 3], async item => {
+      if (item === 2) throw new Error('boom');
+      return item;
+    });
+    assert.deepEqual(results, [1, undefined, 3]);
+  });
+});
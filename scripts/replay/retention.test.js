@@ -0,0 +1,138 @@
+/**
+ * Unit tests for the retention policy in lib/retention.js.
+ *
+ * Run: cd scripts && npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { encodeAsDeltas, resolveAllSnapshots } from '../lib/snapshots.js';
+import {
+  DEFAULT_RETENTION, applyRetention, compactDocument, compactSeries, parseRetentionPolicy
+} from '../lib/retention.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const now = Date.parse('2026-06-01T00:00:00.000Z');
+
+// Hourly absolute snapshots (at half past) from `fromDays` ago until now,
+// likes counting up
+function hourly(fromDays) {
+  const snapshots = [];
+  for (let t = now - fromDays * DAY + HOUR / 2; t <= now; t += HOUR) {
+    snapshots.push({
+      timestamp: new Date(t).toISOString(),
+      likes: snapshots.length, hearts: 0, laughs: 0, cries: 0, comments: 0, buzz: 0, collects: 0, views: 0
+    });
+  }
+  return snapshots;
+}
+
+const times = snapshots => snapshots.map(s => s.timestamp);
+const olderThan = (snapshots, days) => snapshots.filter(s => now - Date.parse(s.timestamp) >= days * DAY);
+
+describe('parseRetentionPolicy', () => {
+  test('series left out keep their defaults; default= sets the others', () => {
+    assert.deepEqual(parseRetentionPolicy(''), DEFAULT_RETENTION);
+
+    const policy = parseRetentionPolicy('default=7d:1d, 90d:1w; totals=30d:6h;images=');
+    assert.deepEqual(policy.totals, [{ after: '30d', bucket: '6h' }]);
+    assert.deepEqual(policy.images, []);
+    assert.deepEqual(policy.models, [{ after: '7d', bucket: '1d' }, { after: '90d', bucket: '1w' }]);
+    assert.deepEqual(policy.profile, policy.models);
+  });
+
+  test('rejects unknown series, bad spans and tiers that do not get coarser', () => {
+    assert.throws(() => parseRetentionPolicy('posts=7d:1d'), /unknown series "posts"/);
+    assert.throws(() => parseRetentionPolicy('images=7d:6x'), /invalid span "6x"/);
+    assert.throws(() => parseRetentionPolicy('images=7d'), /invalid tier "7d"/);
+    assert.throws(() => parseRetentionPolicy('images=30d:1d,7d:1w'), /images: tier after 7d must be older/);
+    assert.throws(() => parseRetentionPolicy('images=7d:1d,30d:6h'), /bucket 6h \(after 30d\) is finer than 1d/);
+  });
+});
+
+describe('applyRetention', () => {
+  test('keeps the latest snapshot per bucket of each tier', () => {
+    const kept = applyRetention(hourly(10), [{ after: '2d', bucket: '6h' }, { after: '5d', bucket: '1d' }], now);
+
+    assert.equal(kept.length - olderThan(kept, 2).length, 48, 'hourly for 2 days');
+    assert.equal(olderThan(kept, 2).length - olderThan(kept, 5).length, 12, '6-hour buckets between 2 and 5 days');
+    assert.deepEqual(times(olderThan(kept, 5)), [
+      '2026-05-22T23:30:00.000Z', '2026-05-23T23:30:00.000Z', '2026-05-24T23:30:00.000Z',
+      '2026-05-25T23:30:00.000Z', '2026-05-26T23:30:00.000Z'
+    ]);
+    assert.equal(kept.at(-1).likes, 10 * 24 - 1, 'the latest snapshot is untouched');
+  });
+
+  test('the default keeps daily snapshots of every series forever', () => {
+    const daily = [];
+    for (let day = 3 * 365; day > 30; day--) {
+      daily.push({ timestamp: new Date(now - day * DAY).toISOString(), likes: daily.length, hearts: 0, laughs: 0, cries: 0, comments: 0, buzz: 0, collects: 0, views: 0 });
+    }
+    for (const series of Object.keys(DEFAULT_RETENTION)) {
+      assert.equal(applyRetention(daily, DEFAULT_RETENTION[series], now).length, daily.length, series);
+    }
+  });
+
+  test('weeks start on Monday and months on the 1st (UTC)', () => {
+    const snapshots = hourly(120);
+    const weekly = olderThan(applyRetention(snapshots, [{ after: '30d', bucket: '1w' }], now), 30);
+    // Sundays, then the snapshot just older than 30 days
+    assert.deepEqual(times(weekly.slice(-4)), [
+      '2026-04-12T23:30:00.000Z', '2026-04-19T23:30:00.000Z', '2026-04-26T23:30:00.000Z', '2026-05-01T23:30:00.000Z'
+    ]);
+
+    const monthly = olderThan(applyRetention(snapshots, [{ after: '30d', bucket: '1mo' }], now), 30);
+    assert.deepEqual(times(monthly), [
+      '2026-02-28T23:30:00.000Z', '2026-03-31T23:30:00.000Z', '2026-04-30T23:30:00.000Z', '2026-05-01T23:30:00.000Z'
+    ]);
+  });
+});
+
+describe('compactSeries / compactDocument', () => {
+  test('re-encodes as deltas and carries fields outside the codec', () => {
+    const snapshots = hourly(3);
+    const encoded = encodeAsDeltas(snapshots);
+    encoded.forEach((s, i) => { s.imageCount = 10 + Math.floor(i / 24); });
+
+    const { snapshots: compacted, before, after } = compactSeries(encoded, [{ after: '1d', bucket: '1d' }], { carry: ['imageCount'], now });
+    assert.equal(before, 72);
+    assert.equal(after, 2 + 24, 'two days of daily snapshots, then hourly');
+    assert.deepEqual(resolveAllSnapshots(compacted).at(-1), snapshots.at(-1));
+    assert.deepEqual(compacted.map(s => s.imageCount).slice(0, 3), [10, 11, 12]);
+  });
+
+  test('merged entries keep their peak hourly gain and sample count through the delta format', () => {
+    // 3 days of hourly samples gaining 1 like an hour, 51 in the 11th hour
+    const snapshots = hourly(3).map((s, i) => (i >= 10 ? { ...s, likes: s.likes + 50 } : s));
+    const daily = compactSeries(encodeAsDeltas(snapshots), [{ after: '1d', bucket: '1d' }], { peaks: true, now }).snapshots;
+    const resolved = resolveAllSnapshots(daily);
+    assert.deepEqual(resolved.slice(0, 2).map(({ pk, n }) => ({ pk, n })), [{ pk: 51, n: 24 }, { pk: 1, n: 24 }]);
+    assert.equal(resolved[2].pk, undefined, 'samples that were not merged carry nothing');
+    assert.deepEqual(resolveAllSnapshots(daily.slice(0, 2)), resolved.slice(0, 2));
+
+    // Merging downsampled entries keeps the highest peak and adds up the samples
+    const weekly = compactSeries(daily, [{ after: '1d', bucket: '1w' }], { peaks: true, now }).snapshots;
+    assert.deepEqual({ pk: weekly[0].pk, n: weekly[0].n }, { pk: 51, n: 48 });
+    assert.equal(compactSeries(weekly, [{ after: '1d', bucket: '1w' }], { peaks: true, now }).snapshots[0].n, 48, 'stable when re-applied');
+
+    // Without peaks, merged entries drop them
+    const plain = compactSeries(daily, [{ after: '1d', bucket: '1w' }], { now }).snapshots;
+    assert.equal(plain[0].pk, undefined);
+    assert.equal(plain[0].n, undefined);
+  });
+
+  test('applies each series its own tiers', () => {
+    const data = {
+      totalSnapshots: encodeAsDeltas(hourly(40)),
+      images: [{ id: '1', snapshots: encodeAsDeltas(hourly(40)) }, { id: '2', snapshots: encodeAsDeltas(hourly(1)) }]
+    };
+    const policy = parseRetentionPolicy('totals=30d:1d;images=7d:1d');
+    const compactions = compactDocument(data, policy, { now });
+    assert.deepEqual(compactions.map(c => c.id), ['total', '1']);
+    assert.equal(data.totalSnapshots.length, 30 * 24 + 10);
+    assert.equal(data.images[0].snapshots.length, 7 * 24 + 33);
+    assert.equal(resolveAllSnapshots(data.images[0].snapshots).at(-1).likes, 40 * 24 - 1);
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Unit tests for the collector health log in lib/runs.js.
+ *
+ * Run: cd scripts && npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { appendRun, createRunCounters, isDegraded, missedRuns } from '../lib/runs.js';
+
+const at = hour => ({ startedAt: new Date(Date.parse('2026-01-01T00:00:00.000Z') + hour * 60 * 60 * 1000).toISOString() });
+
+describe('appendRun', () => {
+  test('keeps the latest records', () => {
+    let runs;
+    for (let hour = 0; hour < 5; hour++) runs = appendRun(runs, at(hour), 3);
+    assert.deepEqual(runs, [at(2), at(3), at(4)]);
+  });
+});
+
+describe('missedRuns', () => {
+  test('reports gaps of more than one and a half intervals', () => {
+    // Runs a few minutes late, or manual runs in between, are not gaps
+    const runs = [at(0), at(1.3), at(1.5), at(2.4), at(6), at(7)];
+    assert.deepEqual(missedRuns(runs), [{ after: at(2.4).startedAt, before: at(6).startedAt, missed: 3 }]);
+    assert.deepEqual(missedRuns(runs, { intervalHours: 6 }), []);
+    assert.deepEqual(missedRuns(undefined), []);
+  });
+});
+
+describe('isDegraded', () => {
+  test('failed requests and problems degrade a run, retried 429s do not', () => {
+    const run = { ...createRunCounters(), rateLimited: 4, retries: 4 };
+    assert.equal(isDegraded(run), false);
+    assert.equal(isDegraded({ ...run, failures: 1 }), true);
+    assert.equal(isDegraded({ ...run, problems: ['models fetch failed: HTTP 500'] }), true);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * In-memory stand-in for an S3-compatible server in the storage tests. It
+ * checks every request's Signature V4 against the configured credentials and
+ * supports what the s3 backend uses: ListObjectsV2, GET, PUT and DELETE of
+ * objects, path-style.
+ *
+ *   const s3 = await startS3Mock({ pageSize: 2 });
+ *   createS3Storage({ endpoint: s3.endpoint, bucket: s3.bucket, ...s3.credentials, region: 'us-east-1' })
+ *   s3.objects  // Map<key, content>
+ */
+
+import { createHash, createHmac } from 'node:crypto';
+import http from 'node:http';
+
+const ACCESS_KEY_ID = 'test-access-key';
+const SECRET_ACCESS_KEY = 'test-secret-key';
+
+function sha256Hex(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return createHmac('sha256', key).update(data).digest();
+}
+
+function encodeRfc3986(str) {
+  return encodeURIComponent(str).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function escapeXml(text) {
+  return text.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[c]);
+}
+
+// Signature the request should carry, recomputed from what arrived
+function expectedSignature(req, url, body) {
+  const credential = /Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request/.exec(req.headers.authorization || '');
+  if (!credential || credential[1] !== ACCESS_KEY_ID) return null;
+  const [, , dateStamp, region] = credential;
+
+  const query = [...url.searchParams.entries()]
+    .map(([k, v]) => `${encodeRfc3986(k)}=${encodeRfc3986(v)}`)
+    .sort()
+    .join('&');
+  const headers = { host: req.headers.host, 'x-amz-content-sha256': sha256Hex(body), 'x-amz-date': req.headers['x-amz-date'] };
+  const canonicalRequest = [
+    req.method, url.pathname, query,
+    Object.keys(headers).map(h => `${h}:${headers[h]}\n`).join(''),
+    Object.keys(headers).join(';'),
+    headers['x-amz-content-sha256']
+  ].join('\n');
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', headers['x-amz-date'], scope, sha256Hex(canonicalRequest)].join('\n');
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${SECRET_ACCESS_KEY}`, dateStamp), region), 's3'), 'aws4_request');
+  return createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+}
+
+export async function startS3Mock({ bucket = 'stats', pageSize = 1000 } = {}) {
+  const objects = new Map();
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      const url = new URL(req.url, 'http://s3.local');
+      const error = (status, code) => {
+        res.writeHead(status, { 'Content-Type': 'application/xml' });
+        res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code></Error>`);
+      };
+
+      const signature = /Signature=([0-9a-f]+)/.exec(req.headers.authorization || '')?.[1];
+      if (!signature || signature !== expectedSignature(req, url, body)) return error(403, 'SignatureDoesNotMatch');
+
+      const [, bucketName, ...rest] = url.pathname.split('/');
+      if (decodeURIComponent(bucketName) !== bucket) return error(404, 'NoSuchBucket');
+      const key = rest.map(decodeURIComponent).join('/');
+
+      if (!key && req.method === 'GET' && url.searchParams.get('list-type') === '2') {
+        const prefix = url.searchParams.get('prefix') || '';
+        const keys = [...objects.keys()].filter(k => k.startsWith(prefix)).sort();
+        const start = Number(url.searchParams.get('continuation-token')?.replace('page&', '') || 0);
+        const page = keys.slice(start, start + pageSize);
+        const truncated = start + pageSize < keys.length;
+        res.writeHead(200, { 'Content-Type': 'application/xml' });
+        return res.end([
+          '<?xml version="1.0" encoding="UTF-8"?><ListBucketResult>',
+          `<IsTruncated>${truncated}</IsTruncated>`,
+          truncated ? `<NextContinuationToken>${escapeXml(`page&${start + pageSize}`)}</NextContinuationToken>` : '',
+          ...page.map(k => `<Contents><Key>${escapeXml(k)}</Key></Contents>`),
+          '</ListBucketResult>'
+        ].join(''));
+      }
+
+      switch (req.method) {
+        case 'GET':
+          if (!objects.has(key)) return error(404, 'NoSuchKey');
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          return res.end(objects.get(key));
+        case 'PUT':
+          objects.set(key, body);
+          res.writeHead(200);
+          return res.end();
+        case 'DELETE':
+          objects.delete(key);
+          res.writeHead(204);
+          return res.end();
+        default:
+          return error(405, 'MethodNotAllowed');
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    endpoint: `http://127.0.0.1:${port}`,
+    bucket,
+    credentials: { accessKeyId: ACCESS_KEY_ID, secretAccessKey: SECRET_ACCESS_KEY },
+    objects,
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
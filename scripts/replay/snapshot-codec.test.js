@@ -0,0 +1,232 @@
+/**
+ * Round-trip tests for the shared snapshot codec in
+ * extension/lib/snapshot-codec.js (re-exported by lib/snapshots.js).
+ *
+ * Run: cd scripts && npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import vm from 'node:vm';
+
+import {
+  IMAGE_SERIES, MODEL_SERIES, PROFILE_SERIES,
+  appendEntry, decodeColumnar, encodeAsDeltas, encodeColumnar, fromColumns, isColumnar, isDelta,
+  resolveAllSnapshots, resolveSnapshot, toColumns, validateSeries
+} from '../lib/snapshots.js';
+
+const CODEC_FILE = new URL('../../extension/lib/snapshot-codec.js', import.meta.url);
+const SERIES = { image: IMAGE_SERIES, model: MODEL_SERIES, profile: PROFILE_SERIES };
+
+// Deterministic pseudo-random numbers (mulberry32)
+function random(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Hourly absolute snapshots of `series`: most fields grow, some hours change
+// nothing, fractional fields move both ways
+function history(series, length, seed) {
+  const next = random(seed);
+  const values = Object.fromEntries(series.fields.map(field => [field, 0]));
+  const snapshots = [];
+  for (let i = 0; i < length; i++) {
+    if (next() < 0.7) {
+      for (const field of series.fields) {
+        if (series.precision[field] != null) {
+          values[field] = Math.round((1 + next() * 4) * 100) / 100;
+        } else if (next() < 0.5) {
+          values[field] += Math.floor(next() * 20);
+        }
+      }
+    }
+    snapshots.push({ timestamp: new Date(Date.UTC(2026, 0, 1, i)).toISOString(), ...values });
+  }
+  return snapshots;
+}
+
+describe('round trips', () => {
+  for (const [name, series] of Object.entries(SERIES)) {
+    test(`${name} series: encode, resolve, random access`, () => {
+      for (let seed = 1; seed <= 5; seed++) {
+        const absolute = history(series, 200, seed);
+        const encoded = encodeAsDeltas(absolute, series);
+
+        assert.ok(!isDelta(encoded[0], series), 'the first entry stays absolute');
+        assert.ok(encoded.slice(1).every(s => isDelta(s, series)), 'later entries are deltas');
+        assert.deepEqual(resolveAllSnapshots(encoded, series), absolute);
+        for (let i = 0; i < encoded.length; i += 17) {
+          assert.deepEqual(resolveSnapshot(encoded, i, series), absolute[i]);
+        }
+        assert.deepEqual(encodeAsDeltas(resolveAllSnapshots(encoded, series), series), encoded, 're-encoding is stable');
+        assert.deepEqual(validateSeries(encoded, series), []);
+      }
+    });
+  }
+
+  test('fractional fields do not accumulate floating-point noise', () => {
+    const ratings = [4.1, 4.27, 4.33, 4.1, 4.56, 4.7];
+    const absolute = ratings.map((rating, i) => ({ ...history(MODEL_SERIES, 1, 1)[0], timestamp: `2026-01-0${i + 1}T00:00:00.000Z`, rating }));
+    const resolved = resolveAllSnapshots(encodeAsDeltas(absolute, MODEL_SERIES), MODEL_SERIES);
+    assert.deepEqual(resolved.map(s => s.rating), ratings);
+  });
+
+  test('bucket fields are copied as they are, not accumulated', () => {
+    const absolute = history(IMAGE_SERIES, 4, 9);
+    absolute[1] = { ...absolute[1], pk: 12, n: 6 };
+    absolute[3] = { ...absolute[3], pk: 3, n: 24 };
+    const encoded = encodeAsDeltas(absolute);
+    assert.deepEqual([encoded[1].pk, encoded[1].n, encoded[2].pk, encoded[3].n], [12, 6, undefined, 24]);
+    assert.deepEqual(resolveAllSnapshots(encoded), absolute);
+    assert.deepEqual(resolveSnapshot(encoded, 2), absolute[2]);
+  });
+
+  test('absolute entries after the first reset the series (older data)', () => {
+    const snapshots = [
+      { timestamp: '2026-01-01T00:00:00.000Z', likes: 5 },
+      { timestamp: '2026-01-01T01:00:00.000Z', dl: 2 },
+      { timestamp: '2026-01-01T02:00:00.000Z', likes: 10, hearts: 1 },
+      { timestamp: '2026-01-01T03:00:00.000Z', _d: 1 }
+    ];
+    assert.deepEqual(resolveAllSnapshots(snapshots).map(s => [s.likes, s.hearts]), [[5, 0], [7, 0], [10, 1], [10, 1]]);
+    assert.equal(resolveSnapshot(snapshots, 3).likes, 10);
+    assert.deepEqual(resolveAllSnapshots(undefined), []);
+  });
+});
+
+describe('appendEntry', () => {
+  const prev = { timestamp: '2026-01-01T00:00:00.000Z', likes: 5, hearts: 2, laughs: 0, cries: 0, comments: 1, buzz: 0, collects: 0, views: 40 };
+  const same = { ...prev, timestamp: '2026-01-01T01:00:00.000Z' };
+
+  test('the first entry is absolute, later ones hold only what changed', () => {
+    assert.equal(appendEntry(null, prev), prev);
+    assert.deepEqual(appendEntry(prev, { ...same, likes: 7, views: 41 }), { timestamp: same.timestamp, dl: 2, dvi: 1 });
+    assert.deepEqual(appendEntry(prev, { ...same, hearts: 1 }), { timestamp: same.timestamp, dh: -1 });
+  });
+
+  test('unchanged snapshots are skipped unless kept as `_d` entries', () => {
+    assert.equal(appendEntry(prev, same), null);
+    const kept = appendEntry(prev, same, IMAGE_SERIES, { keepUnchanged: true });
+    assert.deepEqual(kept, { timestamp: same.timestamp, _d: 1 });
+    assert.deepEqual(resolveAllSnapshots([prev, kept]).at(-1), same);
+  });
+});
+
+describe('validateSeries', () => {
+  test('reports encoding problems', () => {
+    assert.deepEqual(validateSeries([
+      { timestamp: '2026-01-01T01:00:00.000Z', dl: 1 },
+      { timestamp: 'yesterday', dl: 'two' },
+      { timestamp: '2026-01-01T03:00:00.000Z', likes: 3, dh: 1 },
+      null
+    ]), [
+      'entry 0 is a delta, with no absolute snapshot to start from',
+      'entry 1 has an invalid timestamp "yesterday"',
+      'entry 1 has a non-numeric dl ("two")',
+      'entry 2 mixes likes with delta keys',
+      'entry 3 is not an object'
+    ]);
+    assert.deepEqual(validateSeries({}), ['snapshots is not a list']);
+    assert.deepEqual(validateSeries([{ timestamp: '2026-01-01T00:00:00.000Z', downloads: 3, rating: null }], MODEL_SERIES), []);
+  });
+});
+
+describe('columnar form', () => {
+  for (const [name, series] of Object.entries(SERIES)) {
+    test(`${name} series: base values and integer change columns`, () => {
+      for (let seed = 1; seed <= 5; seed++) {
+        const encoded = encodeAsDeltas(history(series, 200, seed), series);
+        const columns = JSON.parse(JSON.stringify(toColumns(encoded, series)));
+
+        assert.ok(isColumnar(columns));
+        assert.equal(columns.base.t, Date.parse(encoded[0].timestamp) / 1000);
+        assert.ok(Number.isInteger(columns.base.t));
+        assert.ok(columns.t.every(step => step === 3600), 'hourly timestamps become 3600-second steps');
+        for (const field of series.fields) {
+          assert.ok(!columns[field] || columns[field].every(Number.isInteger), `${field} changes are integers`);
+        }
+        assert.deepEqual(fromColumns(columns, series), encoded);
+      }
+    });
+  }
+
+  test('timestamps are kept to the second in integer columns', () => {
+    // Collector timestamps carry milliseconds
+    const absolute = history(IMAGE_SERIES, 4, 3).map((s, i) => ({ ...s, timestamp: new Date(Date.parse(s.timestamp) + 907 + i * 300).toISOString() }));
+    const columns = JSON.parse(JSON.stringify(toColumns(encodeAsDeltas(absolute))));
+    assert.ok([columns.base.t, ...columns.t].every(Number.isInteger), 'no fractional seconds');
+    assert.deepEqual(columns.t, [3601, 3600, 3600]);
+    assert.deepEqual(resolveAllSnapshots(fromColumns(columns)).map(s => s.timestamp),
+      absolute.map(s => `${s.timestamp.slice(0, 19)}.000Z`));
+
+    // Columns written with fractional seconds (the first version) still decode exactly
+    const fractional = { ...columns, base: { ...columns.base, t: columns.base.t + 0.907 }, t: [3600.3, 3600.3, 3600.3] };
+    assert.deepEqual(resolveAllSnapshots(fromColumns(fractional)).map(s => s.timestamp), absolute.map(s => s.timestamp));
+  });
+
+  test('other fields and bucket fields survive; unchanged stats get no column', () => {
+    const absolute = history(IMAGE_SERIES, 5, 4).map(s => ({ ...s, hearts: 2 }));
+    absolute[2] = { ...absolute[2], timestamp: '2026-01-01T02:00:07.000Z' };
+    const encoded = encodeAsDeltas(absolute).map((s, i) => ({ ...s, imageCount: 10 + i }));
+    encoded[3] = { ...encoded[3], pk: 7, n: 24 };
+
+    const columns = toColumns(encoded);
+    assert.equal(columns.hearts, undefined);
+    assert.deepEqual(columns.t, [3600, 3607, 3593, 3600]);
+    assert.deepEqual(columns.imageCount, [10, 11, 12, 13, 14]);
+    assert.deepEqual([columns.pk, columns.n], [[null, null, null, 7], [null, null, null, 24]]);
+    assert.deepEqual(fromColumns(columns), encoded);
+  });
+
+  test('documents convert every series both ways', () => {
+    const doc = {
+      schemaVersion: 3,
+      totalSnapshots: encodeAsDeltas(history(IMAGE_SERIES, 30, 5)),
+      profileSnapshots: encodeAsDeltas(history(PROFILE_SERIES, 30, 6), PROFILE_SERIES),
+      images: [{ id: '1', snapshots: encodeAsDeltas(history(IMAGE_SERIES, 30, 7)) }, { id: '2', snapshots: [] }],
+      models: [{ id: '3', snapshots: encodeAsDeltas(history(MODEL_SERIES, 30, 8), MODEL_SERIES) }]
+    };
+    const stored = JSON.parse(JSON.stringify(encodeColumnar(doc)));
+    assert.ok([stored.totalSnapshots, stored.profileSnapshots, stored.images[0].snapshots, stored.models[0].snapshots].every(isColumnar));
+    assert.deepEqual(stored.images[1].snapshots, [], 'empty series stay empty lists');
+    assert.deepEqual(decodeColumnar(stored), doc);
+    assert.deepEqual(decodeColumnar(doc), doc, 'entry series are left alone');
+    assert.ok(JSON.stringify(stored).length < JSON.stringify(doc).length / 2);
+  });
+});
+
+describe('field tables', () => {
+  test('every series has one distinct delta key per field', () => {
+    for (const [name, series] of Object.entries(SERIES)) {
+      const keys = series.fields.map(field => series.deltaKeys[field]);
+      assert.equal(new Set(keys).size, keys.length, `${name} delta keys are distinct`);
+      assert.ok(keys.every(key => !series.fields.includes(key)), `${name} delta keys are not field names`);
+    }
+  });
+
+  test('every image field names its keys in both API responses', () => {
+    for (const field of IMAGE_SERIES.fields) {
+      const { stats, trpc } = IMAGE_SERIES.sources[field] || {};
+      assert.ok(stats && trpc, `${field} has a stats and a tRPC key`);
+    }
+    const keys = IMAGE_SERIES.fields.map(field => IMAGE_SERIES.sources[field].stats);
+    assert.equal(new Set(keys).size, keys.length, 'stats keys are distinct');
+  });
+});
+
+describe('stats page', () => {
+  test('loads the codec as a classic script and reads what the collector writes', async () => {
+    const context = {};
+    vm.runInNewContext(`${await readFile(CODEC_FILE, 'utf8')}\nthis.codec = SnapshotCodec;`, context);
+    const encoded = encodeAsDeltas(history(MODEL_SERIES, 50, 3), MODEL_SERIES);
+    assert.deepEqual(
+      JSON.stringify(context.codec.resolveAllSnapshots(encoded, context.codec.MODEL_SERIES)),
+      JSON.stringify(resolveAllSnapshots(encoded, MODEL_SERIES))
+    );
+  });
+});
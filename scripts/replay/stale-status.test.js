@@ -0,0 +1,90 @@
+/**
+ * Unit tests for the stale image classification in lib/stale-status.js.
+ *
+ * Run: cd scripts && npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { resolveAllSnapshots } from '../lib/snapshots.js';
+import { classifyProbe, nextAvailability, selectForProbe, shiftTotals } from '../lib/stale-status.js';
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date('2026-01-10T00:00:00.000Z');
+const hoursAgo = hours => new Date(now.getTime() - hours * HOUR).toISOString();
+
+describe('selectForProbe', () => {
+  test('picks images stale beyond the grace period, longest-stale first', () => {
+    const images = [
+      { id: 'listed', stale: false, lastSeenAt: hoursAgo(100) },
+      { id: 'recent', stale: true, lastSeenAt: hoursAgo(10) },
+      { id: 'older', stale: true, lastSeenAt: hoursAgo(60) },
+      { id: 'oldest', stale: true, lastSeenAt: null },
+      { id: 'checked', stale: true, lastSeenAt: hoursAgo(100), availability: { status: 'unavailable', checkedAt: hoursAgo(2) } },
+      { id: 'rechecked', stale: true, lastSeenAt: hoursAgo(100), availability: { status: 'unavailable', checkedAt: hoursAgo(30) } },
+      { id: 'deleted', stale: true, lastSeenAt: hoursAgo(100), availability: { status: 'deleted', checkedAt: hoursAgo(30) } }
+    ];
+    const ids = images => images.map(image => image.id);
+    assert.deepEqual(ids(selectForProbe(images, { now, graceHours: 48 })), ['oldest', 'rechecked', 'older']);
+    assert.deepEqual(ids(selectForProbe(images, { now, graceHours: 48, limit: 1 })), ['oldest']);
+  });
+
+  test('counts the grace period from when the image went stale, not from its last sighting', () => {
+    // Last seen days ago by an incremental run, missed by today's full crawl
+    const images = [
+      { id: 'carried', stale: true, lastSeenAt: hoursAgo(100), staleSince: hoursAgo(1) },
+      { id: 'missing', stale: true, lastSeenAt: hoursAgo(200), staleSince: hoursAgo(50) },
+      { id: 'long-missing', stale: true, lastSeenAt: hoursAgo(70), staleSince: hoursAgo(60) }
+    ];
+    assert.deepEqual(selectForProbe(images, { now, graceHours: 48 }).map(image => image.id), ['long-missing', 'missing']);
+  });
+});
+
+describe('classifyProbe', () => {
+  const found = { found: true };
+  const missing = { found: false };
+
+  test('tells deleted, migrated and unlisted images apart', () => {
+    assert.equal(classifyProbe('com', { com: missing, red: missing }).status, 'deleted');
+    assert.equal(classifyProbe('com', { com: missing, red: found }).status, 'migrated-to-red');
+    assert.equal(classifyProbe('red', { com: found, red: missing }).status, 'migrated-to-com');
+    assert.deepEqual(classifyProbe('com', { com: found, red: missing }),
+      { status: 'unavailable', reason: 'served by civitai.com but not listed (hidden or under review)' });
+  });
+
+  test('a failed probe is never taken for a deletion', () => {
+    assert.deepEqual(classifyProbe('com', { com: missing, red: { error: 'HTTP 503: Service Unavailable' } }),
+      { status: 'unavailable', reason: 'probe failed (red: HTTP 503: Service Unavailable)' });
+  });
+});
+
+describe('nextAvailability', () => {
+  test('keeps `since` while the status stays the same', () => {
+    const first = nextAvailability(undefined, { status: 'unavailable', reason: 'a' }, hoursAgo(30));
+    const second = nextAvailability(first, { status: 'unavailable', reason: 'b' }, hoursAgo(5));
+    const third = nextAvailability(second, { status: 'deleted', reason: 'c' }, hoursAgo(1));
+    assert.deepEqual(second, { status: 'unavailable', reason: 'b', since: hoursAgo(30), checkedAt: hoursAgo(5) });
+    assert.equal(third.since, hoursAgo(1));
+  });
+});
+
+describe('shiftTotals', () => {
+  const zero = { likes: 0, hearts: 0, laughs: 0, cries: 0, comments: 0, buzz: 0, collects: 0, views: 0 };
+  const totals = [
+    { timestamp: hoursAgo(3), ...zero, likes: 10, imageCount: 1 },
+    { timestamp: hoursAgo(2), dl: 7, imageCount: 2 },
+    { timestamp: hoursAgo(1), dl: 3, imageCount: 2 }
+  ];
+  const image = [{ timestamp: hoursAgo(2), ...zero, likes: 5 }, { timestamp: hoursAgo(1), dl: 1 }];
+
+  test('takes an image out of every total from its first snapshot on', () => {
+    const shifted = shiftTotals(totals, image, -1);
+    assert.deepEqual(resolveAllSnapshots(shifted).map(s => s.likes), [10, 12, 14]);
+    assert.deepEqual(shifted.map(s => s.imageCount), [1, 1, 1]);
+  });
+
+  test('adding it back restores the original series', () => {
+    assert.deepEqual(shiftTotals(shiftTotals(totals, image, -1), image, 1), totals);
+  });
+});
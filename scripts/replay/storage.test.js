@@ -0,0 +1,166 @@
+/**
+ * Contract tests for the storage backends in storage/: every backend reads,
+ * writes, deletes (null content) and lists the same way. The s3 backend runs
+ * against an in-memory S3 mock, or against a real S3-compatible server
+ * (e.g. MinIO) when S3_TEST_ENDPOINT, S3_TEST_BUCKET, S3_TEST_ACCESS_KEY_ID
+ * and S3_TEST_SECRET_ACCESS_KEY are set; the git backend against temporary
+ * repositories. Also checks where backups go for each data backend.
+ *
+ * Run: cd scripts && npm test
+ */
+
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { promisify } from 'node:util';
+
+import { createGitStorage } from '../storage/git.js';
+import { createBackupStorage, createStorage } from '../storage/index.js';
+import { createLocalStorage } from '../storage/local.js';
+import { createS3Storage } from '../storage/s3.js';
+import { startS3Mock } from './s3-mock.js';
+
+const run = promisify(execFile);
+
+// A name with characters that need escaping in XML and URLs
+const AWKWARD_NAME = "backup-a&b<c'd e.json";
+
+async function exercise(storage) {
+  assert.deepEqual(await storage.listFiles(), []);
+  assert.equal(await storage.readFile('stats.json'), null);
+
+  await storage.writeFiles({ 'stats.json': '{"likes": 1}', 'images-2024-01.json': '{"images": []}', [AWKWARD_NAME]: 'ü ✓' });
+  assert.equal(await storage.readFile('stats.json'), '{"likes": 1}');
+  assert.equal(await storage.readFile(AWKWARD_NAME), 'ü ✓');
+  assert.deepEqual((await storage.listFiles()).sort(), [AWKWARD_NAME, 'images-2024-01.json', 'stats.json'].sort());
+
+  // null deletes; deleting a missing file is not an error
+  await storage.writeFiles({ 'stats.json': '{"likes": 2}', 'images-2024-01.json': null, 'missing.json': null });
+  assert.equal(await storage.readFile('stats.json'), '{"likes": 2}');
+  assert.equal(await storage.readFile('images-2024-01.json'), null);
+  assert.deepEqual((await storage.listFiles()).sort(), [AWKWARD_NAME, 'stats.json'].sort());
+}
+
+describe('storage backends', () => {
+  const dirs = [];
+
+  async function tempDir(name) {
+    const dir = await mkdtemp(path.join(os.tmpdir(), `storage-${name}-`));
+    dirs.push(dir);
+    return dir;
+  }
+
+  after(async () => {
+    await Promise.all(dirs.map(dir => rm(dir, { recursive: true, force: true })));
+  });
+
+  test('local', async () => {
+    await exercise(createLocalStorage({ dir: path.join(await tempDir('local'), 'data') }));
+  });
+
+  describe('s3', () => {
+    let s3;
+
+    before(async () => {
+      s3 = await startS3Mock({ pageSize: 2 });
+    });
+
+    after(async () => {
+      await s3.close();
+    });
+
+    test('reads, writes, deletes and lists through paginated listings', async () => {
+      const storage = createS3Storage({ endpoint: s3.endpoint, region: 'us-east-1', bucket: s3.bucket, ...s3.credentials, prefix: 'civitai/' });
+      // Objects outside the prefix are not listed
+      s3.objects.set('other/stats.json', '{}');
+      await exercise(storage);
+      assert.deepEqual([...s3.objects.keys()].sort(), ['civitai/' + AWKWARD_NAME, 'civitai/stats.json', 'other/stats.json'].sort());
+    });
+
+    test('a wrong secret fails with the S3 error code', async () => {
+      const storage = createS3Storage({ endpoint: s3.endpoint, region: 'us-east-1', bucket: s3.bucket, ...s3.credentials, secretAccessKey: 'wrong' });
+      await assert.rejects(storage.readFile('stats.json'), /S3 read of stats.json failed: HTTP 403 \(SignatureDoesNotMatch\)/);
+    });
+
+    const env = process.env;
+    const real = env.S3_TEST_ENDPOINT && env.S3_TEST_BUCKET && env.S3_TEST_ACCESS_KEY_ID && env.S3_TEST_SECRET_ACCESS_KEY;
+    test('against S3_TEST_ENDPOINT', { skip: !real && 'S3_TEST_ENDPOINT is not set' }, async () => {
+      const storage = createS3Storage({
+        endpoint: env.S3_TEST_ENDPOINT,
+        region: env.S3_TEST_REGION || 'us-east-1',
+        bucket: env.S3_TEST_BUCKET,
+        accessKeyId: env.S3_TEST_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_TEST_SECRET_ACCESS_KEY,
+        prefix: `storage-test-${Date.now()}`
+      });
+      try {
+        await exercise(storage);
+      } finally {
+        await storage.writeFiles(Object.fromEntries((await storage.listFiles()).map(name => [name, null])));
+      }
+    });
+  });
+
+  describe('backup location', () => {
+    const gist = { GIST_ID: 'data-gist', GIST_TOKEN: 'token' };
+
+    test('never the data Gist', () => {
+      assert.equal(createBackupStorage(gist), null, 'no backups without a location of their own');
+      assert.throws(() => createBackupStorage({ ...gist, BACKUP_STORAGE_BACKEND: 'gist' }), /Gist of their own/);
+      assert.equal(createBackupStorage({ ...gist, BACKUP_STORAGE_BACKEND: 'gist', BACKUP_GIST_ID: 'backup-gist' }).describe(), 'Gist backup-gist');
+    });
+
+    test('next to the data for the other backends, unless set', async () => {
+      const env = { STORAGE_BACKEND: 'local', STORAGE_DIR: await tempDir('data') };
+      const storage = createStorage(env);
+      assert.equal(createBackupStorage(env, storage), storage);
+      const backupDir = await tempDir('backups');
+      assert.equal(createBackupStorage({ ...env, BACKUP_STORAGE_BACKEND: 'local', BACKUP_STORAGE_DIR: backupDir }, storage).describe(),
+        createLocalStorage({ dir: backupDir }).describe());
+    });
+  });
+
+  describe('git', () => {
+    async function repo(name, { bare = false } = {}) {
+      const dir = await tempDir(name);
+      await run('git', ['init', '--quiet', ...(bare ? ['--bare'] : []), dir]);
+      return dir;
+    }
+
+    test('commits to a branch without touching the working tree', async () => {
+      const dir = await repo('git');
+      await exercise(createGitStorage({ repo: dir, branch: 'stats-data', dir: 'data' }));
+
+      const { stdout: tree } = await run('git', ['ls-tree', '-r', '--name-only', 'stats-data'], { cwd: dir });
+      assert.deepEqual(tree.split('\n').filter(Boolean).sort(), [`data/${AWKWARD_NAME}`, 'data/stats.json'].sort());
+      const { stdout: log } = await run('git', ['log', '--format=%s', 'stats-data'], { cwd: dir });
+      assert.match(log, /^Update stats.json; Remove images-2024-01.json, missing.json\n/);
+      const { stdout: status } = await run('git', ['status', '--porcelain'], { cwd: dir });
+      assert.equal(status, '');
+    });
+
+    test('pushes to a remote, which other clones read; a stale writer is rejected', async () => {
+      const remote = await repo('git-remote', { bare: true });
+      const clone = async name => {
+        const dir = await repo(name);
+        await run('git', ['remote', 'add', 'origin', remote], { cwd: dir });
+        return createGitStorage({ repo: dir, branch: 'stats-data', remote: 'origin' });
+      };
+
+      const first = await clone('git-first');
+      await exercise(first);
+      const { stdout: pushed } = await run('git', ['show', 'stats-data:stats.json'], { cwd: remote });
+      assert.equal(pushed, '{"likes": 2}');
+
+      const second = await clone('git-second');
+      assert.equal(await second.readFile('stats.json'), '{"likes": 2}');
+      await first.writeFiles({ 'stats.json': '{"likes": 3}' });
+      await assert.rejects(second.writeFiles({ 'stats.json': '{"likes": 4}' }), /git push failed/);
+      const { stdout: kept } = await run('git', ['show', 'stats-data:stats.json'], { cwd: remote });
+      assert.equal(kept, '{"likes": 3}');
+    });
+  });
+});
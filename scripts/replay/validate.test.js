@@ -0,0 +1,137 @@
+/**
+ * Unit tests for the integrity invariants in lib/validate.js. The collector
+ * itself never produces most of these violations, so they are built by hand.
+ *
+ * Run: cd scripts && npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { resolveSnapshot } from '../lib/snapshots.js';
+import { summarizeDocument, validateDocument } from '../lib/validate.js';
+
+const ZERO = { likes: 0, hearts: 0, laughs: 0, cries: 0, comments: 0, buzz: 0, collects: 0, views: 0 };
+
+function snapshot(hour, values = {}) {
+  return { timestamp: new Date(Date.UTC(2026, 0, 1, hour)).toISOString(), ...ZERO, ...values };
+}
+
+function documentWith(images) {
+  const totals = { ...ZERO };
+  for (const image of images) {
+    const last = resolveSnapshot(image.snapshots, image.snapshots.length - 1);
+    for (const field of Object.keys(ZERO)) totals[field] += last[field];
+  }
+  return {
+    totalSnapshots: [{ ...snapshot(0), ...totals, imageCount: images.length }],
+    images
+  };
+}
+
+describe('validateDocument', () => {
+  const before = documentWith([
+    { id: '1', snapshots: [snapshot(0, { likes: 5 })] },
+    { id: '2', snapshots: [snapshot(0, { likes: 3 })] }
+  ]);
+  const baseline = summarizeDocument(before);
+
+  test('accepts a consistent document', () => {
+    assert.deepEqual(validateDocument(before, baseline), []);
+  });
+
+  test('reports images that disappeared', () => {
+    const after = documentWith([{ id: '1', snapshots: [snapshot(0, { likes: 5 })] }]);
+    assert.deepEqual(validateDocument(after, baseline), ['image 2: tracked before this run but missing from the new data']);
+  });
+
+  test('reports decreases since the stored latest value', () => {
+    const after = documentWith([
+      { id: '1', snapshots: [snapshot(0, { likes: 5 }), { timestamp: snapshot(1).timestamp, dl: -2 }] },
+      { id: '2', snapshots: [snapshot(0, { likes: 3 })] }
+    ]);
+    after.totalSnapshots = [snapshot(0, { likes: 8 }), snapshot(1, { likes: 6 })];
+    const violations = validateDocument(after, baseline);
+    assert.deepEqual(violations, [
+      `image 1: likes 5 -> 3 between ${snapshot(0).timestamp} and ${snapshot(1).timestamp}`,
+      `totalSnapshots: likes 8 -> 6 between ${snapshot(0).timestamp} and ${snapshot(1).timestamp}`
+    ]);
+  });
+
+  test('reports timestamps that do not increase', () => {
+    const after = documentWith([
+      { id: '1', snapshots: [snapshot(0, { likes: 5 }), { timestamp: snapshot(0).timestamp, dl: 1 }] },
+      { id: '2', snapshots: [snapshot(0, { likes: 3 })] }
+    ]);
+    assert.deepEqual(validateDocument(after, baseline), [
+      `image 1: timestamp ${snapshot(0).timestamp} (snapshot 1) is not after ${snapshot(0).timestamp}`
+    ]);
+  });
+
+  test('reports totals that disagree with the images', () => {
+    const after = structuredClone(before);
+    after.totalSnapshots[0].likes = 9;
+    assert.deepEqual(validateDocument(after, baseline), [
+      'totalSnapshots: latest total does not match the sum of image latest values (likes 9 vs 8)'
+    ]);
+  });
+
+  test('lets a confirmed deletion take its image out of the totals, and no more', () => {
+    const after = structuredClone(before);
+    after.images[1].availability = { status: 'deleted', reason: 'gone', since: snapshot(1).timestamp, checkedAt: snapshot(1).timestamp };
+    after.totalSnapshots = [{ ...snapshot(0), likes: 5, imageCount: 1 }, { timestamp: snapshot(1).timestamp, _d: 1, imageCount: 1 }];
+    assert.deepEqual(validateDocument(after, baseline), []);
+
+    after.totalSnapshots[1] = { timestamp: snapshot(1).timestamp, dl: -1, imageCount: 2 };
+    after.images[0].snapshots.push({ timestamp: snapshot(1).timestamp, dl: -1 });
+    assert.deepEqual(validateDocument(after, baseline), [
+      'image 1: likes 5 -> 4 between 2026-01-01T00:00:00.000Z and 2026-01-01T01:00:00.000Z',
+      'totalSnapshots: likes 5 -> 4 between 2026-01-01T00:00:00.000Z and 2026-01-01T01:00:00.000Z',
+      'totalSnapshots: latest imageCount 2 does not match 1 counted images'
+    ]);
+  });
+
+  test('allows decreases recorded as corrections', () => {
+    const after = structuredClone(before);
+    const at = snapshot(1).timestamp;
+    after.images[0].snapshots.push({ timestamp: at, dl: -2 });
+    after.images[0].corrections = [{ timestamp: at, likes: -2 }];
+    after.totalSnapshots.push({ timestamp: at, dl: -2, imageCount: 2 });
+    assert.deepEqual(validateDocument(after, baseline), []);
+
+    after.images[0].corrections = [{ timestamp: at, likes: -1, hearts: 1 }];
+    assert.deepEqual(validateDocument(after, baseline), [
+      `image 1: likes 5 -> 3 between ${snapshot(0).timestamp} and ${at}`,
+      `image 1: correction at ${at} raises hearts`,
+      `totalSnapshots: likes 8 -> 6 between ${snapshot(0).timestamp} and ${at}`
+    ]);
+  });
+
+  test('reports unknown stale statuses', () => {
+    const after = structuredClone(before);
+    after.images[1].availability = { status: 'gone' };
+    assert.deepEqual(validateDocument(after, baseline), ['image 2: unknown stale status "gone"']);
+  });
+
+  test('allows model stats to decrease but not models to disappear', () => {
+    const model = id => ({ id, snapshots: [{ timestamp: snapshot(0).timestamp, downloads: 10, favorites: 2 }] });
+    const withModels = { ...structuredClone(before), models: [model('m1'), model('m2')] };
+    const modelBaseline = summarizeDocument(withModels);
+
+    const after = { ...structuredClone(before), models: [model('m1')] };
+    after.models[0].snapshots.push({ timestamp: snapshot(1).timestamp, dfa: -1 });
+    assert.deepEqual(validateDocument(after, modelBaseline), ['model m2: tracked before this run but missing from the new data']);
+  });
+
+  test('keeps recorded milestones where they are', () => {
+    const milestone = (id, timestamp) => ({ scope: 'image', id, metric: 'reactions', threshold: 5, value: 5, timestamp });
+    const withMilestones = { ...structuredClone(before), milestones: [milestone('1', snapshot(0).timestamp), milestone('2', snapshot(0).timestamp)] };
+    const milestoneBaseline = summarizeDocument(withMilestones);
+
+    const after = { ...structuredClone(before), milestones: [milestone('1', snapshot(1).timestamp)] };
+    assert.deepEqual(validateDocument(after, milestoneBaseline), [
+      `milestone image:1:reactions:5: moved from ${snapshot(0).timestamp} to ${snapshot(1).timestamp}`,
+      `milestone image:2:reactions:5: recorded at ${snapshot(0).timestamp} but missing from the new data`
+    ]);
+  });
+});
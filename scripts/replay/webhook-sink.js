@@ -0,0 +1,55 @@
+/**
+ * Local HTTP sink standing in for Discord, Slack or any other webhook in
+ * the replay tests. Every POST is recorded with its parsed JSON body.
+ *
+ *   const sink = await startWebhookSink();
+ *   WEBHOOK_URLS = `discord=${sink.url('discord')},${sink.url('generic')}`
+ *   sink.received  // [{ path: '/discord', body }, ...]
+ *   sink.fail(n)   // answer the next n posts with 500
+ */
+
+import http from 'node:http';
+
+export async function startWebhookSink() {
+  const received = [];
+  let failures = 0;
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (req.method !== 'POST') {
+        res.writeHead(405);
+        return res.end();
+      }
+      if (failures > 0) {
+        failures--;
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        return res.end('sink failure');
+      }
+      received.push({ path: req.url, body: JSON.parse(body) });
+      res.writeHead(204);
+      res.end();
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    received,
+    url(name) {
+      return `http://127.0.0.1:${port}/${name}`;
+    },
+    fail(n) {
+      failures = n;
+    },
+    reset() {
+      received.length = 0;
+      failures = 0;
+    },
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
@@ -0,0 +1,130 @@
+/**
+ * List the stats backups, or validate and restore one of them.
+ *
+ * Usage: node scripts/restore.js                       list backups
+ *        node scripts/restore.js <backup-file> [--dry-run]
+ *
+ * Uses the same storage settings as the collector (STORAGE_BACKEND, GIST_ID,
+ * GIST_TOKEN, ..., and BACKUP_STORAGE_BACKEND if backups live elsewhere).
+ * Backups that earlier versions left next to the data are listed and can be
+ * restored too. Before overwriting, the current data is saved as a
+ * pre-restore backup in the backup location, so a restore can itself be
+ * undone; without a backup location (data in a Gist) nothing is restored. The restored data is written in the layout
+ * and encoding the data is currently stored in (or STATS_LAYOUT and
+ * STATS_ENCODING when there is none).
+ * --dry-run validates the backup without writing anything.
+ */
+
+import { MISSING_BACKUP_LOCATION, createBackupStorage, createStorage } from './storage/index.js';
+import { ENCODINGS, LAYOUTS, readStatsDocument, writeStatsDocument } from './lib/stats-store.js';
+import { backupContent, listBackups, parseBackupName, preRestoreBackupName, validateBackup } from './lib/backups.js';
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const backupName = args.find(arg => !arg.startsWith('--'));
+
+function formatSize(content) {
+  return `${(content.length / 1024).toFixed(2)} KB`;
+}
+
+async function list(sources) {
+  let count = 0;
+  for (const { storage, leftover } of sources) {
+    const backups = await listBackups(storage);
+    if (backups.length === 0) continue;
+    count += backups.length;
+
+    console.log(`${backups.length} backups in ${storage.describe()}${leftover ? ', left next to the data by earlier versions' : ''} (newest first):\n`);
+    for (const backup of backups) {
+      const content = await storage.readFile(backup.name);
+      if (content === null) continue;
+      const { valid, errors, summary } = validateBackup(content);
+      const details = summary
+        ? `${summary.images} images, ${summary.totalSnapshots} total snapshots, last updated ${summary.lastUpdated || 'never'}`
+        : '';
+      console.log(`  ${backup.name}  [${backup.kind}]  ${formatSize(content)}  ${details}`);
+      if (!valid) console.log(`    INVALID: ${errors[0]}${errors.length > 1 ? ` (+${errors.length - 1} more)` : ''}`);
+    }
+    console.log('');
+  }
+  if (count === 0) {
+    console.log('No backups found.');
+    return;
+  }
+  console.log('Restore one with: node scripts/restore.js <backup-file>');
+}
+
+async function restore(storage, backupStorage, sources, name) {
+  if (!parseBackupName(name)) {
+    throw new Error(`"${name}" is not a backup file name (expected backup-<kind>-<date>.json)`);
+  }
+
+  let content = null;
+  for (const source of sources) {
+    content = await source.storage.readFile(name);
+    if (content !== null) break;
+  }
+  if (content === null) {
+    throw new Error(`Backup ${name} not found in ${sources.map(source => source.storage.describe()).join(' or ')}`);
+  }
+
+  const { valid, errors, data, summary } = validateBackup(content);
+  if (!valid) {
+    console.error(`Backup ${name} failed validation:`);
+    errors.forEach(error => console.error(`  - ${error}`));
+    throw new Error('Refusing to restore an invalid backup');
+  }
+  console.log(`Backup ${name} is valid: ${summary.images} images, ${summary.totalSnapshots} total snapshots, last updated ${summary.lastUpdated || 'never'}`);
+
+  const current = await readStatsDocument(storage);
+  const layout = current.data ? current.layout : (process.env.STATS_LAYOUT || 'single').toLowerCase();
+  if (!LAYOUTS.includes(layout)) {
+    throw new Error(`Invalid STATS_LAYOUT "${layout}" (expected one of: ${LAYOUTS.join(', ')})`);
+  }
+  const encoding = current.data ? current.encoding : (process.env.STATS_ENCODING || 'objects').toLowerCase();
+  if (!ENCODINGS.includes(encoding)) {
+    throw new Error(`Invalid STATS_ENCODING "${encoding}" (expected one of: ${ENCODINGS.join(', ')})`);
+  }
+  if (current.data) {
+    console.log(`Current data: ${current.data.images.length} images, ${current.data.totalSnapshots.length} total snapshots, last updated ${current.data.lastUpdated || 'never'}`);
+  }
+
+  if (dryRun) {
+    console.log('\nDry run: nothing written.');
+    return;
+  }
+  if (!backupStorage) {
+    throw new Error(`No place for the pre-restore backup: ${MISSING_BACKUP_LOCATION}`);
+  }
+
+  const currentContent = await backupContent(current.files);
+  if (currentContent !== null) {
+    const preRestore = preRestoreBackupName();
+    await backupStorage.writeFiles({ [preRestore]: currentContent });
+    console.log(`Saved current data as ${preRestore}`);
+  }
+
+  const { written, size } = await writeStatsDocument(storage, data, { layout, encoding, previousFiles: current.files });
+  console.log(`Restored ${name} to ${storage.describe()}: wrote ${written.join(', ') || 'nothing (identical)'} (${(size / 1024).toFixed(2)} KB)`);
+}
+
+async function main() {
+  const storage = createStorage(process.env);
+  const backupStorage = createBackupStorage(process.env, storage);
+  const sources = [
+    ...(backupStorage ? [{ storage: backupStorage, leftover: false }] : []),
+    ...(backupStorage !== storage ? [{ storage, leftover: true }] : [])
+  ];
+  if (!backupStorage) console.log(`⚠️  No backup location: ${MISSING_BACKUP_LOCATION}\n`);
+
+  if (backupName) {
+    await restore(storage, backupStorage, sources, backupName);
+  } else {
+    await list(sources);
+  }
+}
+
+main().catch(error => {
+  console.error('Restore failed:', error.message);
+  process.exit(1);
+});
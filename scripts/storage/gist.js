@@ -0,0 +1,60 @@
+import { Octokit } from '@octokit/rest';
+
+/**
+ * GitHub Gist backend. Each stored file is a file in the Gist.
+ */
+export function createGistStorage({ gistId, token }) {
+  const octokit = new Octokit({ auth: token });
+  let gist = null;
+
+  // The Gist API returns every file in one response; fetch it once per run
+  // (and again after a write) instead of once per readFile() call.
+  async function loadGist() {
+    if (!gist) {
+      const response = await octokit.gists.get({ gist_id: gistId });
+      gist = response.data;
+    }
+    return gist;
+  }
+
+  return {
+    describe() {
+      return `Gist ${gistId}`;
+    },
+
+    async listFiles() {
+      const data = await loadGist();
+      return Object.keys(data.files);
+    },
+
+    async readFile(name) {
+      const data = await loadGist();
+      const fileData = data.files[name];
+      if (!fileData) return null;
+
+      // Handle truncated files (GitHub API truncates large Gist files)
+      if (fileData.truncated) {
+        console.log(`Gist file ${name} is truncated (too large for API response), fetching full content from raw_url...`);
+        const response = await fetch(fileData.raw_url);
+        if (!response.ok) {
+          throw new Error(`Failed to fetch full Gist content from raw_url: HTTP ${response.status}`);
+        }
+        const content = await response.text();
+        console.log(`Fetched full content: ${(content.length / 1024).toFixed(2)} KB`);
+        return content;
+      }
+
+      return fileData.content;
+    },
+
+    async writeFiles(files) {
+      const gistFiles = {};
+      for (const [name, content] of Object.entries(files)) {
+        // The Gist API deletes a file when it is set to null
+        gistFiles[name] = content === null ? null : { content };
+      }
+      await octokit.gists.update({ gist_id: gistId, files: gistFiles });
+      gist = null;
+    }
+  };
+}
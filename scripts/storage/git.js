@@ -0,0 +1,141 @@
+import { spawn } from 'node:child_process';
+import { mkdtemp, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+/**
+ * Run a git command in `cwd`. Resolves with { code, stdout } for exit codes
+ * listed in `okCodes`, rejects otherwise.
+ */
+function git(cwd, args, { input, env, okCodes = [0] } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('git', args, { cwd, env: { ...process.env, ...env } });
+    const stdout = [];
+    const stderr = [];
+    child.stdout.on('data', chunk => stdout.push(chunk));
+    child.stderr.on('data', chunk => stderr.push(chunk));
+    child.on('error', reject);
+    child.on('close', code => {
+      if (okCodes.includes(code)) {
+        resolve({ code, stdout: Buffer.concat(stdout).toString('utf8') });
+      } else {
+        const message = Buffer.concat(stderr).toString('utf8').trim();
+        reject(new Error(`git ${args[0]} failed (exit ${code}): ${message}`));
+      }
+    });
+    if (input != null) child.stdin.end(input);
+    else child.stdin.end();
+  });
+}
+
+/**
+ * Git repository backend. Files are committed to `branch` (under `dir`) using
+ * plumbing commands, so the working tree and the checked-out branch are never
+ * touched. With a `remote`, the branch is fetched before reading and pushed
+ * after every write; a rejected push (someone else moved the branch) fails the
+ * write instead of overwriting their commit.
+ */
+export function createGitStorage({ repo, branch, dir = '', remote = null }) {
+  const cwd = path.resolve(repo);
+  // Remote-backed storage reads from a private ref so a local branch with the
+  // same name is never clobbered by the fetch.
+  const ref = remote ? `refs/stats-storage/${branch}` : `refs/heads/${branch}`;
+  const prefix = dir ? `${dir.replace(/\/+$/, '')}/` : '';
+  let synced = false;
+
+  // Commits need an identity; Actions runners have none configured.
+  const identity = {
+    GIT_AUTHOR_NAME: process.env.GIT_AUTHOR_NAME || 'Civitai Stats Collector',
+    GIT_AUTHOR_EMAIL: process.env.GIT_AUTHOR_EMAIL || 'civitai-stats@users.noreply.github.com',
+    GIT_COMMITTER_NAME: process.env.GIT_COMMITTER_NAME || 'Civitai Stats Collector',
+    GIT_COMMITTER_EMAIL: process.env.GIT_COMMITTER_EMAIL || 'civitai-stats@users.noreply.github.com'
+  };
+
+  async function sync() {
+    if (synced || !remote) return;
+    // Exit code 2 = the branch does not exist on the remote yet (first run)
+    const ls = await git(cwd, ['ls-remote', '--exit-code', '--heads', remote, branch], { okCodes: [0, 2] });
+    if (ls.code === 0) {
+      await git(cwd, ['fetch', '--quiet', remote, `+refs/heads/${branch}:${ref}`]);
+    } else {
+      await git(cwd, ['update-ref', '-d', ref]);
+    }
+    synced = true;
+  }
+
+  async function head() {
+    await sync();
+    const result = await git(cwd, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], { okCodes: [0, 1] });
+    return result.code === 0 ? result.stdout.trim() : null;
+  }
+
+  return {
+    describe() {
+      return `git ${remote ? `${remote}/` : ''}${branch}:${prefix || '/'} (${cwd})`;
+    },
+
+    async listFiles() {
+      const commit = await head();
+      if (!commit) return [];
+      const args = ['ls-tree', '--name-only', commit];
+      if (prefix) args.push(prefix);
+      const { stdout } = await git(cwd, args);
+      return stdout.split('\n').filter(Boolean).map(p => p.slice(prefix.length));
+    },
+
+    async readFile(name) {
+      const commit = await head();
+      if (!commit) return null;
+      const spec = `${commit}:${prefix}${name}`;
+      const exists = await git(cwd, ['cat-file', '-e', spec], { okCodes: [0, 1, 128] });
+      if (exists.code !== 0) return null;
+      const { stdout } = await git(cwd, ['cat-file', 'blob', spec]);
+      return stdout;
+    },
+
+    async writeFiles(files) {
+      const parent = await head();
+      const tmpDir = await mkdtemp(path.join(os.tmpdir(), 'stats-storage-'));
+      const env = { GIT_INDEX_FILE: path.join(tmpDir, 'index') };
+
+      try {
+        await git(cwd, parent ? ['read-tree', parent] : ['read-tree', '--empty'], { env });
+        for (const [name, content] of Object.entries(files)) {
+          if (content === null) {
+            await git(cwd, ['update-index', '--force-remove', `${prefix}${name}`], { env });
+            continue;
+          }
+          const { stdout: blob } = await git(cwd, ['hash-object', '-w', '--stdin'], { input: content });
+          await git(cwd, ['update-index', '--add', '--cacheinfo', `100644,${blob.trim()},${prefix}${name}`], { env });
+        }
+        const tree = (await git(cwd, ['write-tree'], { env })).stdout.trim();
+
+        if (parent) {
+          const parentTree = (await git(cwd, ['rev-parse', `${parent}^{tree}`])).stdout.trim();
+          if (parentTree === tree) {
+            console.log('  No changes to commit');
+            return;
+          }
+        }
+
+        const removed = Object.keys(files).filter(name => files[name] === null);
+        const updated = Object.keys(files).filter(name => files[name] !== null);
+        const message = [
+          updated.length > 0 ? `Update ${updated.join(', ')}` : null,
+          removed.length > 0 ? `Remove ${removed.join(', ')}` : null
+        ].filter(Boolean).join('; ');
+        const commitArgs = ['commit-tree', tree, '-m', message];
+        if (parent) commitArgs.push('-p', parent);
+        const commit = (await git(cwd, commitArgs, { env: identity })).stdout.trim();
+
+        if (remote) {
+          await git(cwd, ['push', '--quiet', remote, `${commit}:refs/heads/${branch}`]);
+        }
+        // Compare-and-swap against the commit we built on
+        await git(cwd, ['update-ref', ref, commit, parent || '']);
+      } finally {
+        await rm(tmpDir, { recursive: true, force: true });
+      }
+    }
+  };
+}
@@ -0,0 +1,102 @@
+import { createGistStorage } from './gist.js';
+import { createLocalStorage } from './local.js';
+import { createGitStorage } from './git.js';
+import { createS3Storage } from './s3.js';
+
+/**
+ * Storage backends for the collector's data files.
+ *
+ * Every backend is a flat store of named text files with the same interface:
+ *   describe()          -> short human-readable location, for logs
+ *   listFiles()         -> Promise<string[]> names of the stored files
+ *   readFile(name)      -> Promise<string|null> content, or null if the file does not exist
+ *   writeFiles(files)   -> Promise<void> write { name: content } pairs; a null
+ *                          content deletes the file (missing files are ignored)
+ *
+ * Backends only move bytes; the document format, retention and integrity
+ * checks live in the collector and are the same for every backend.
+ */
+
+// Required environment variables per backend
+const BACKENDS = {
+  gist: ['GIST_ID', 'GIST_TOKEN'],
+  local: ['STORAGE_DIR'],
+  git: [],
+  s3: ['S3_BUCKET', 'S3_ACCESS_KEY_ID', 'S3_SECRET_ACCESS_KEY']
+};
+
+/**
+ * Create the storage backend for backups of `storage`, the data backend.
+ * Set BACKUP_STORAGE_BACKEND to use a secondary location; its settings are
+ * the usual variables with a BACKUP_ prefix (BACKUP_GIST_ID,
+ * BACKUP_STORAGE_DIR, BACKUP_S3_BUCKET, ...), falling back to the unprefixed
+ * ones, so e.g. a second Gist can reuse GIST_TOKEN.
+ *
+ * Without it, backups go next to the data, except in a Gist: every read of a
+ * Gist downloads all of its files, so each collector run and stats page load
+ * would fetch every backup too. Returns null then (no backup location; see
+ * MISSING_BACKUP_LOCATION), and throws if the backup location is the data
+ * Gist itself.
+ */
+export function createBackupStorage(env = process.env, storage = createStorage(env)) {
+  const dataInGist = backendName(env) === 'gist';
+  if (!env.BACKUP_STORAGE_BACKEND) return dataInGist ? null : storage;
+
+  const backupEnv = { ...env };
+  for (const [name, value] of Object.entries(env)) {
+    if (name.startsWith('BACKUP_')) backupEnv[name.slice('BACKUP_'.length)] = value;
+  }
+  if (dataInGist && backendName(backupEnv) === 'gist' && backupEnv.GIST_ID === env.GIST_ID) {
+    throw new Error('Backups need a Gist of their own: set BACKUP_GIST_ID to a different Gist than GIST_ID');
+  }
+  return createStorage(backupEnv);
+}
+
+// Why a Gist has no backup location, and how to give it one
+export const MISSING_BACKUP_LOCATION = 'the data is in a Gist, which every read downloads with all its files, ' +
+  'so backups need a location of their own: set BACKUP_STORAGE_BACKEND (e.g. gist with BACKUP_GIST_ID=<second Gist>)';
+
+function backendName(env) {
+  return (env.STORAGE_BACKEND || 'gist').toLowerCase();
+}
+
+/**
+ * Create the storage backend selected by STORAGE_BACKEND (default: gist).
+ * Throws if the backend is unknown or its required variables are missing.
+ */
+export function createStorage(env = process.env) {
+  const backend = backendName(env);
+
+  if (!BACKENDS[backend]) {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected one of: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+
+  const missing = BACKENDS[backend].filter(name => !env[name]);
+  if (missing.length > 0) {
+    throw new Error(`Missing required environment variables for ${backend} storage: ${missing.join(', ')}`);
+  }
+
+  switch (backend) {
+    case 'local':
+      return createLocalStorage({ dir: env.STORAGE_DIR });
+    case 'git':
+      return createGitStorage({
+        repo: env.GIT_STORAGE_REPO || '.',
+        branch: env.GIT_STORAGE_BRANCH || 'stats-data',
+        dir: env.GIT_STORAGE_PATH || '',
+        remote: env.GIT_STORAGE_REMOTE || null
+      });
+    case 's3':
+      return createS3Storage({
+        endpoint: env.S3_ENDPOINT || null,
+        region: env.S3_REGION || 'us-east-1',
+        bucket: env.S3_BUCKET,
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        prefix: env.S3_PREFIX || ''
+      });
+    case 'gist':
+    default:
+      return createGistStorage({ gistId: env.GIST_ID, token: env.GIST_TOKEN });
+  }
+}
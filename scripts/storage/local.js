@@ -0,0 +1,49 @@
+import { mkdir, readdir, readFile, rename, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Local filesystem backend. Each stored file is a file in `dir`.
+ */
+export function createLocalStorage({ dir }) {
+  const root = path.resolve(dir);
+
+  return {
+    describe() {
+      return `directory ${root}`;
+    },
+
+    async listFiles() {
+      try {
+        const entries = await readdir(root, { withFileTypes: true });
+        return entries.filter(e => e.isFile()).map(e => e.name);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    },
+
+    async readFile(name) {
+      try {
+        return await readFile(path.join(root, name), 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async writeFiles(files) {
+      await mkdir(root, { recursive: true });
+      for (const [name, content] of Object.entries(files)) {
+        // Write to a temp file and rename so a crash never leaves a half-written file
+        const target = path.join(root, name);
+        if (content === null) {
+          await rm(target, { force: true });
+          continue;
+        }
+        const tmp = `${target}.${process.pid}.tmp`;
+        await writeFile(tmp, content, 'utf8');
+        await rename(tmp, target);
+      }
+    }
+  };
+}
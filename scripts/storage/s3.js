@@ -0,0 +1,120 @@
+import { createHash, createHmac } from 'node:crypto';
+
+function sha256Hex(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return createHmac('sha256', key).update(data).digest();
+}
+
+// RFC 3986 encoding as required by SigV4 (encodeURIComponent leaves !'()* alone)
+function encodeRfc3986(str) {
+  return encodeURIComponent(str).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// Text content of an XML element, with its entities decoded
+function xmlText(text) {
+  return text.replace(/&(?:#x([0-9a-f]+)|#(\d+)|(amp|lt|gt|quot|apos));/gi, (entity, hex, dec, name) => {
+    if (hex) return String.fromCodePoint(parseInt(hex, 16));
+    if (dec) return String.fromCodePoint(Number(dec));
+    return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[name.toLowerCase()];
+  });
+}
+
+/**
+ * S3-compatible backend (AWS S3, MinIO, R2, ...). Files are objects under
+ * `prefix` in `bucket`. Requests are signed with AWS Signature V4 and use
+ * path-style URLs, which every S3-compatible server accepts.
+ */
+export function createS3Storage({ endpoint, region, bucket, accessKeyId, secretAccessKey, prefix = '' }) {
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  const keyPrefix = prefix ? `${prefix.replace(/\/+$/, '')}/` : '';
+
+  async function request(method, key, { query = {}, body = '' } = {}) {
+    const segments = [bucket, ...(key ? key.split('/') : [])];
+    const canonicalUri = base.pathname.replace(/\/+$/, '') + '/' + segments.map(encodeRfc3986).join('/');
+    const canonicalQuery = Object.keys(query).sort()
+      .map(k => `${encodeRfc3986(k)}=${encodeRfc3986(query[k])}`)
+      .join('&');
+
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const payloadHash = sha256Hex(body);
+    const headers = {
+      host: base.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    const signedHeaders = Object.keys(headers).sort().join(';');
+    const canonicalHeaders = Object.keys(headers).sort().map(h => `${h}:${headers[h]}\n`).join('');
+    const canonicalRequest = [method, canonicalUri, canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+    const signature = createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    const url = `${base.origin}${canonicalUri}${canonicalQuery ? `?${canonicalQuery}` : ''}`;
+    return fetch(url, {
+      method,
+      headers: {
+        'x-amz-content-sha256': payloadHash,
+        'x-amz-date': amzDate,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+        ...(method === 'PUT' ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: method === 'PUT' ? body : undefined
+    });
+  }
+
+  async function failure(response, action) {
+    const text = await response.text().catch(() => '');
+    const code = text.match(/<Code>([^<]+)<\/Code>/)?.[1];
+    return new Error(`S3 ${action} failed: HTTP ${response.status}${code ? ` (${code})` : ''}`);
+  }
+
+  return {
+    describe() {
+      return `s3://${bucket}/${keyPrefix} at ${base.origin}`;
+    },
+
+    async listFiles() {
+      const names = [];
+      let token = null;
+      do {
+        const query = { 'list-type': '2', prefix: keyPrefix };
+        if (token) query['continuation-token'] = token;
+        const response = await request('GET', '', { query });
+        if (!response.ok) throw await failure(response, 'list');
+        const xml = await response.text();
+        for (const [, key] of xml.matchAll(/<Key>([^<]+)<\/Key>/g)) {
+          names.push(xmlText(key).slice(keyPrefix.length));
+        }
+        const next = xml.match(/<NextContinuationToken>([^<]+)<\/NextContinuationToken>/)?.[1];
+        token = /<IsTruncated>true<\/IsTruncated>/.test(xml) && next ? xmlText(next) : null;
+      } while (token);
+      return names;
+    },
+
+    async readFile(name) {
+      const response = await request('GET', `${keyPrefix}${name}`);
+      if (response.status === 404) return null;
+      if (!response.ok) throw await failure(response, `read of ${name}`);
+      return response.text();
+    },
+
+    async writeFiles(files) {
+      for (const [name, content] of Object.entries(files)) {
+        if (content === null) {
+          // S3 answers 204 whether or not the object existed
+          const response = await request('DELETE', `${keyPrefix}${name}`);
+          if (!response.ok) throw await failure(response, `delete of ${name}`);
+          continue;
+        }
+        const response = await request('PUT', `${keyPrefix}${name}`, { body: content });
+        if (!response.ok) throw await failure(response, `write of ${name}`);
+      }
+    }
+  };
+}